@@ -0,0 +1,977 @@
+const mongoose = require('mongoose');
+const Admin = require('../../models/Admin');
+const User = require('../../models/User');
+const Deposit = require('../../models/Deposit');
+const adminActions = require('../../services/adminActions');
+const admins = require('../../services/admins');
+const audit = require('../../services/audit');
+const users = require('../../services/users');
+const throttle = require('../../services/throttle');
+const ledger = require('../../services/ledger');
+const settings = require('../../services/settings');
+const scheduler = require('../../services/scheduler');
+const payouts = require('../../services/payouts');
+const upi = require('../../services/upi');
+const outbox = require('../../services/outbox');
+const risk = require('../../services/risk');
+const webhooks = require('../../services/webhooks');
+const products = require('../../services/products');
+const copies = require('../../services/copies');
+const referrals = require('../../services/referrals');
+const Media = require('../../transports/media');
+const { getStats } = require('../../services/stats');
+const { registerCommand } = require('../registry');
+const { paginate } = require('../paginate');
+
+registerCommand({
+    name: 'approve',
+    triggers: ['approve'],
+    role: 'reviewer',
+    usage: 'approve <chatId>',
+    help: 'help.admin.approve',
+    run: async (ctx) => {
+        if (ctx.args.length !== 1) {
+            ctx.reply('Invalid approval format. Use: approve <chatId>');
+            return;
+        }
+
+        const result = await adminActions.approveDeposit(ctx.transport, ctx.args[0], ctx.sender);
+        if (!result) {
+            ctx.reply('No user found with the specified chat ID pending approval.');
+            return;
+        }
+
+        const delivery = result.delivered
+            ? ''
+            : '\n⚠️ Sending the files failed (see the logs). Once fixed, the user can get them again with *purchases*.';
+        if (result.deposit.purchase) {
+            ctx.reply(`Purchase of ${result.deposit.productName} (₹${result.deposit.amount}) approved for ${result.user.name || ctx.profileName}.${result.delivered ? ' The files were sent.' : ''}${delivery}`);
+        } else if (result.addedToGroup) {
+            ctx.reply(`Payment approved and ${result.user.name || ctx.profileName} added to the group.${delivery}`);
+        } else {
+            ctx.reply(`Payment approved. Failed to add user to group directly. Sent invite link.${delivery}`);
+        }
+    },
+});
+
+registerCommand({
+    name: 'reject',
+    triggers: ['reject'],
+    role: 'reviewer',
+    usage: 'reject <chatId> <reason>',
+    help: 'help.admin.reject',
+    run: async (ctx) => {
+        if (ctx.args.length < 2) {
+            ctx.reply('Invalid rejection format. Use: reject <chatId> <reason>');
+            return;
+        }
+
+        const targetChatId = ctx.args[0];
+        const reason = ctx.args.slice(1).join(' ');
+
+        const result = await adminActions.rejectDeposit(ctx.transport, targetChatId, reason, ctx.sender);
+        if (!result) {
+            ctx.reply('No user found with the specified chat ID pending approval.');
+            return;
+        }
+
+        // Notify Admin
+        ctx.reply(`${result.deposit.purchase ? `Purchase of ${result.deposit.productName}` : 'Payment'} rejected for ${result.user.name || ctx.profileName} (${targetChatId}). Reason: ${reason}`);
+    },
+});
+
+registerCommand({
+    name: 'reverse',
+    triggers: ['reverse'],
+    role: 'finance',
+    usage: 'reverse <code|chatId> [#purchase] <reason>',
+    help: 'help.admin.reverse',
+    run: async (ctx) => {
+        const [ref, ...rest] = ctx.args;
+        const target = await users.findByRef(ref);
+        const numbered = /^#\d+$/.test(rest[0] || '');
+        const reason = rest.slice(numbered ? 1 : 0).join(' ');
+        if (!target || !reason) {
+            ctx.reply('Invalid format or unknown user. Use: reverse <code|chatId> [#purchase] <reason>, e.g. reverse 919876543210@c.us Payment bounced');
+            return;
+        }
+
+        // "#2" picks the second line of the user's purchases; the latest approved deposit otherwise
+        let depositId = null;
+        if (numbered) {
+            const purchase = (await products.getPurchases(target.chatId))[Number(rest[0].slice(1)) - 1];
+            if (!purchase) {
+                ctx.reply(`${target.name || 'Unnamed'} has no purchase ${rest[0]}.`);
+                return;
+            }
+            depositId = purchase.deposit._id;
+        }
+
+        const result = await adminActions.reverseDeposit(ctx.transport, target, reason, ctx.sender, { depositId });
+        if (!result) {
+            ctx.reply(`No approved deposit to reverse for ${target.name || 'Unnamed'} (${target.chatId}).`);
+            return;
+        }
+
+        const { deposit, clawbacks } = result;
+        ctx.reply([
+            `↩️ ${deposit.purchase ? `Purchase of ${deposit.productName}` : 'Payment'} (₹${deposit.amount}) reversed for ${target.name || 'Unnamed'} (${target.chatId}). Reason: ${reason}`,
+            ...clawbacks.map(({ user, amount, level, balance }) =>
+                `• Level ${level}: ₹${amount} taken back from ${user.name || 'Unnamed'} (${user.buddyCode}), balance now ₹${balance}${user.withdrawalPending ? ' - has a withdrawal pending' : ''}`),
+            ...(clawbacks.length === 0 ? ['No commissions to take back.'] : []),
+            ...(deposit.purchase ? [] : [
+                result.removedFromGroup ? 'The user was removed from the group and is back to paying.' : 'The user is back to paying. Removing them from the group failed; please remove them by hand.',
+            ]),
+            ...(result.cancelledPurchases > 0 ? [`${result.cancelledPurchases} purchase(s) waiting for approval were rejected.`] : []),
+            ...(result.rejectedWithdrawal ? [`Their pending withdrawal of ₹${result.rejectedWithdrawal.amount} was rejected.`] : []),
+            ...(result.batchedWithdrawal ? [
+                `Their withdrawal of ₹${result.batchedWithdrawal.amount} is in payout batch ${result.batchedWithdrawal.payoutReference} and stays held. If the bank hasn't paid it, mark it failed in the settlement CSV to release it.`,
+            ] : []),
+        ].join('\n'));
+    },
+});
+
+// Explain Why a Withdrawal Can't Be Approved or Rejected by Hand
+async function describeMissingWithdrawal(chatId) {
+    const pending = await User.findOne({ chatId, withdrawalPending: true });
+    if (pending && pending.payoutReference) {
+        return `This withdrawal is in payout batch ${pending.payoutReference}. Settle it with a settlement CSV (see *settle*).`;
+    }
+    if (pending && pending.riskHold) {
+        return `This withdrawal is held for review (risk score ${pending.riskScore}). Check it with *risk ${chatId}*, then *release ${chatId}* or reject it with *with_re*.`;
+    }
+    return 'No user found with the specified chat ID pending withdrawal approval.';
+}
+
+registerCommand({
+    name: 'app_with',
+    triggers: ['app_with', 'approve_withdrawal'],
+    role: 'finance',
+    usage: 'app_with <chatId>',
+    help: 'help.admin.app_with',
+    run: async (ctx) => {
+        if (ctx.args.length !== 1) {
+            ctx.reply('Invalid format. Use: app_with <chatId>');
+            return;
+        }
+
+        const targetChatId = ctx.args[0];
+        const result = await adminActions.approveWithdrawal(ctx.transport, targetChatId, ctx.sender);
+        if (!result) {
+            ctx.reply(await describeMissingWithdrawal(targetChatId));
+            return;
+        }
+
+        // Notify Admin
+        ctx.reply(`Withdrawal of ₹${result.amount} approved for ${result.user.name || ctx.profileName} (${targetChatId}).`);
+    },
+});
+
+registerCommand({
+    name: 'with_re',
+    triggers: ['with_re', 'reject_withdrawal'],
+    role: 'finance',
+    usage: 'with_re <chatId> <reason>',
+    help: 'help.admin.with_re',
+    run: async (ctx) => {
+        if (ctx.args.length < 2) {
+            ctx.reply('Invalid format. Use: with_re <chatId> <reason>');
+            return;
+        }
+
+        const targetChatId = ctx.args[0];
+        const reason = ctx.args.slice(1).join(' ');
+
+        const result = await adminActions.rejectWithdrawal(ctx.transport, targetChatId, reason, ctx.sender);
+        if (!result) {
+            ctx.reply(await describeMissingWithdrawal(targetChatId));
+            return;
+        }
+
+        // Notify Admin
+        ctx.reply(`Withdrawal of ₹${result.amount} rejected for ${result.user.name || ctx.profileName} (${targetChatId}). Reason: ${reason}`);
+    },
+});
+
+registerCommand({
+    name: 'admin',
+    triggers: ['admin'],
+    role: 'superadmin',
+    usage: 'admin add <number> <role> | admin remove <number>',
+    help: 'help.admin.admin',
+    run: async (ctx) => {
+        const [subcommand, number, role] = ctx.args;
+
+        if (subcommand === 'add' && number && Admin.ROLES.includes(role)) {
+            const chatId = admins.toChatId(number);
+            const before = await Admin.findOne({ chatId }).lean();
+            await admins.addAdmin(chatId, role, ctx.sender);
+            await audit.record({
+                actor: ctx.sender,
+                action: 'admin_add',
+                target: chatId,
+                before: before ? { role: before.role } : null,
+                after: { role },
+            });
+            ctx.reply(`✅ ${chatId} is now a ${role}.`);
+            return;
+        }
+
+        if (subcommand === 'remove' && number) {
+            const chatId = admins.toChatId(number);
+            const removed = await admins.removeAdmin(chatId);
+            if (!removed) {
+                ctx.reply(`${chatId} is not an admin.`);
+                return;
+            }
+            await audit.record({
+                actor: ctx.sender,
+                action: 'admin_remove',
+                target: chatId,
+                before: { role: removed.role },
+                after: null,
+            });
+            ctx.reply(`✅ ${chatId} is no longer an admin.`);
+            return;
+        }
+
+        ctx.reply(`Invalid format. Use: admin add <number> <${Admin.ROLES.join('|')}> or admin remove <number>`);
+    },
+});
+
+registerCommand({
+    name: 'admins',
+    triggers: ['admins'],
+    role: 'superadmin',
+    help: 'help.admin.admins',
+    run: async (ctx) => {
+        const list = await admins.listAdmins();
+        ctx.reply(`*👮 Admins:*\n${list.map((admin, index) => `${index + 1}. ${admin.chatId} - ${admin.role}`).join('\n')}`);
+    },
+});
+
+registerCommand({
+    name: 'audit',
+    triggers: ['audit'],
+    role: 'admin',
+    usage: 'audit [chatId|buddyCode]',
+    help: 'help.admin.audit',
+    run: async (ctx) => {
+        let target;
+        if (ctx.args[0]) {
+            const user = await users.findByRef(ctx.args[0]);
+            target = user ? user.chatId : admins.toChatId(ctx.args[0]);
+        }
+
+        const records = await audit.query({ target });
+        if (records.length === 0) {
+            ctx.reply('📄 No audit records found.');
+            return;
+        }
+
+        const lines = records.map((record) => {
+            const change = record.before || record.after
+                ? `\n   ${JSON.stringify(record.before)} → ${JSON.stringify(record.after)}`
+                : '';
+            return `• ${new Date(record.createdAt).toLocaleString()} *${record.action}* by ${record.actor}${record.target ? ` on ${record.target}` : ''}${record.reason ? ` (${record.reason})` : ''}${change}`;
+        });
+        ctx.reply(`*🧾 Audit Log${target ? ` for ${target}` : ''}:*\n${lines.join('\n')}`);
+    },
+});
+
+registerCommand({
+    name: 'pending',
+    triggers: ['pending'],
+    role: 'reviewer',
+    usage: 'pending [page]',
+    help: 'help.admin.pending',
+    run: async (ctx) => {
+        const deposits = await Deposit.find({ status: 'pending' }).sort({ createdAt: 1 }).lean();
+        if (deposits.length === 0) {
+            ctx.reply('✅ No deposits are waiting for approval.');
+            return;
+        }
+
+        const owners = await User.find({ chatId: { $in: deposits.map((deposit) => deposit.chatId) } }).lean();
+        const byChatId = new Map(owners.map((owner) => [owner.chatId, owner]));
+        const lines = deposits.map((deposit, index) => {
+            const owner = byChatId.get(deposit.chatId) || {};
+            const flag = owner.riskScore > 0 ? ` 🚩 ${owner.riskScore}` : '';
+            const product = `${deposit.productName || products.DEFAULT_PRODUCT.name}${deposit.purchase ? ' (purchase)' : ''}`;
+            return `${index + 1}. ${owner.name || 'Unnamed'} (${owner.buddyCode || '-'}) ₹${deposit.amount} ${product}${flag}\n   ${deposit.chatId} - ${new Date(deposit.createdAt).toLocaleString()}`;
+        });
+
+        ctx.reply(paginate(lines, ctx.args[0], {
+            header: `*🧾 Pending Deposits (${deposits.length}):*\n`,
+            command: 'pending',
+        }));
+    },
+});
+
+registerCommand({
+    name: 'withdrawals',
+    triggers: ['withdrawals'],
+    role: 'finance',
+    usage: 'withdrawals [page]',
+    help: 'help.admin.withdrawals',
+    run: async (ctx) => {
+        const waiting = await User.find({ withdrawalPending: true }).lean();
+        if (waiting.length === 0) {
+            ctx.reply('✅ No withdrawals are waiting for approval.');
+            return;
+        }
+
+        const holds = await Promise.all(waiting.map((owner) => ledger.getOpenHold(owner.chatId)));
+        const byChatId = new Map(waiting.map((owner) => [owner.chatId, owner]));
+        const open = holds.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+        const lines = open.map((hold, index) => {
+            const owner = byChatId.get(hold.chatId) || {};
+            const batch = owner.payoutReference ? ` - processing (${owner.payoutReference})` : owner.riskHold ? ` - 🚩 held (risk ${owner.riskScore})` : '';
+            return `${index + 1}. ${owner.name || 'Unnamed'} (${owner.buddyCode || '-'}) ₹${hold.amount} to ${owner.upiId || '-'}\n   ${hold.chatId} - ${new Date(hold.createdAt).toLocaleString()}${batch}`;
+        });
+
+        ctx.reply(paginate(lines, ctx.args[0], {
+            header: `*💸 Pending Withdrawals (${open.length}):*\n`,
+            command: 'withdrawals',
+        }));
+    },
+});
+
+registerCommand({
+    name: 'user',
+    triggers: ['user'],
+    role: 'admin',
+    usage: 'user <code|chatId> [page]',
+    help: 'help.admin.user',
+    run: async (ctx) => {
+        const [ref, page] = ctx.args;
+        const target = await users.findByRef(ref);
+        if (!target) {
+            ctx.reply('Invalid format or unknown user. Use: user <code|chatId> [page]');
+            return;
+        }
+
+        const [balance, buddies, upiChanges] = await Promise.all([
+            ledger.getBalance(target.chatId),
+            User.find({ referrer: target.buddyCode }).sort({ _id: 1 }).lean(),
+            upi.getHistory(target.chatId, 3),
+        ]);
+        const secondLevelCounts = await User.aggregate([
+            { $match: { referrer: { $in: buddies.map((buddy) => buddy.buddyCode) } } },
+            { $group: { _id: '$referrer', count: { $sum: 1 } } },
+        ]);
+        const countByCode = new Map(secondLevelCounts.map((row) => [row._id, row.count]));
+
+        // Walk the upline for context
+        const upline = [];
+        let code = target.referrer;
+        while (code && upline.length < 5 && !upline.includes(code)) {
+            upline.push(code);
+            const parent = await User.findOne({ buddyCode: code }, { referrer: 1 }).lean();
+            code = parent ? parent.referrer : null;
+        }
+
+        const header = [
+            `*👤 ${target.name || 'Unnamed'}* (${target.buddyCode})`,
+            `Chat ID: ${target.chatId}`,
+            `State: ${target.state || '-'} | Paid: ${target.hasPaid ? 'yes' : 'no'} | Approved: ${target.isApproved ? 'yes' : 'no'}`,
+            `Balance: ₹${balance}${target.withdrawalPending ? ' (withdrawal pending)' : ''}`,
+            `UPI: ${target.upiId ? `${target.upiId} (${upi.payeeName(target)})` : '-'}`,
+            ...upiChanges.map((change) => `  ${change.createdAt.toLocaleString()}: ${change.fromUpiId || 'none'} → ${change.toUpiId}`),
+            `Locked: ${target.lockedUntil && target.lockedUntil > new Date() ? `until ${target.lockedUntil.toLocaleString()}` : 'no'}`,
+            `Risk: ${target.riskCheckedAt ? `${target.riskScore}/100, checked ${target.riskCheckedAt.toLocaleString()}${target.riskHold ? ' - withdrawal held' : ''}` : 'not checked'}`,
+            `Upline: ${upline.length > 0 ? upline.join(' → ') : 'none'}`,
+            `Buddies: ${buddies.length} direct, ${secondLevelCounts.reduce((sum, row) => sum + row.count, 0)} second-level`,
+            '',
+        ].join('\n');
+
+        const lines = buddies.map((buddy, index) =>
+            `${index + 1}. ${buddy.name || 'Unnamed'} (${buddy.buddyCode}) ${buddy.isApproved ? '✅' : buddy.pendingApproval ? '⏳' : '❌'} - ${countByCode.get(buddy.buddyCode) || 0} buddies`);
+
+        ctx.reply(paginate(lines, page, { header, command: `user ${target.buddyCode}` }));
+    },
+});
+
+registerCommand({
+    name: 'adjust',
+    triggers: ['adjust'],
+    role: 'finance',
+    usage: 'adjust <code> <+/-amount> <reason>',
+    help: 'help.admin.adjust',
+    run: async (ctx) => {
+        const [ref, rawAmount, ...reasonParts] = ctx.args;
+        const amount = Number(rawAmount);
+        const reason = reasonParts.join(' ');
+        if (!ref || !/^[+-]?\d+(\.\d+)?$/.test(rawAmount || '') || amount === 0 || !reason) {
+            ctx.reply('Invalid format. Use: adjust <code> <+/-amount> <reason>\n*Example:* adjust ABCDEFGHIJ -13 duplicate commission');
+            return;
+        }
+
+        const target = await users.findByRef(ref);
+        if (!target) {
+            ctx.reply('No user found with that buddy code or chat ID.');
+            return;
+        }
+
+        const result = await adminActions.adjustBalance(ctx.transport, target, amount, reason, ctx.sender);
+        ctx.reply(`✅ Adjusted ${target.name || 'Unnamed'} (${target.buddyCode}) by ₹${amount}. New balance: ₹${result.balance}.`);
+    },
+});
+
+registerCommand({
+    name: 'lock',
+    triggers: ['lock'],
+    role: 'admin',
+    usage: 'lock <code> <duration> [reason]',
+    help: 'help.admin.lock',
+    run: async (ctx) => {
+        const [ref, duration, ...reasonParts] = ctx.args;
+        const ms = users.parseDuration(duration);
+        if (!ref || !ms) {
+            ctx.reply('Invalid format. Use: lock <code> <duration> [reason]\nDuration like 30m, 12h or 7d.');
+            return;
+        }
+
+        const target = await users.findByRef(ref);
+        if (!target) {
+            ctx.reply('No user found with that buddy code or chat ID.');
+            return;
+        }
+
+        const until = new Date(Date.now() + ms);
+        await adminActions.lockUser(ctx.transport, target, until, ctx.sender, reasonParts.join(' ') || null);
+        ctx.reply(`🔒 ${target.name || 'Unnamed'} (${target.buddyCode}) is locked until ${until.toLocaleString()}.`);
+    },
+});
+
+registerCommand({
+    name: 'unlock',
+    triggers: ['unlock'],
+    role: 'admin',
+    usage: 'unlock <code|chatId>',
+    help: 'help.admin.unlock',
+    run: async (ctx) => {
+        const ref = ctx.args[0];
+        const target = await users.findByRef(ref);
+        if (!target) {
+            // Senders locked before registering have no account, only a chat ID
+            if (ref && await throttle.unlockSender(admins.toChatId(ref))) {
+                await audit.record({ actor: ctx.sender, action: 'unlock', target: admins.toChatId(ref) });
+                ctx.reply(`🔓 ${admins.toChatId(ref)} is unlocked.`);
+                return;
+            }
+            ctx.reply('Invalid format or unknown user. Use: unlock <code|chatId>');
+            return;
+        }
+
+        await adminActions.unlockUser(ctx.transport, target, ctx.sender);
+        ctx.reply(`🔓 ${target.name || 'Unnamed'} (${target.buddyCode}) is unlocked.`);
+    },
+});
+
+registerCommand({
+    name: 'stats',
+    triggers: ['stats'],
+    role: 'admin',
+    help: 'help.admin.stats',
+    run: async (ctx) => {
+        const stats = await getStats();
+        ctx.reply([
+            '*📈 Buddy Cash Stats:*',
+            `Users: ${stats.users} (${stats.approvedUsers} approved, ${stats.registeredToday} today)`,
+            `Locked users: ${stats.lockedUsers}`,
+            `Pending deposits: ${stats.pendingDeposits}`,
+            `Pending withdrawals: ${stats.pendingWithdrawals}`,
+            `Deposits approved today: ${stats.approvedToday}`,
+            `Fees collected: ₹${stats.feesCollected}`,
+            `Commissions credited: ₹${stats.commissionsPaid}`,
+            `Reversed: ₹${stats.feesReversed} in payments, ₹${stats.commissionsClawedBack} in commissions taken back`,
+            `Paid out: ₹${stats.payouts}`,
+            `Outstanding balances: ₹${stats.outstandingBalance}`,
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'settings',
+    triggers: ['settings'],
+    role: 'admin',
+    help: 'help.admin.settings',
+    run: async (ctx) => {
+        const current = settings.all();
+        ctx.reply([
+            '*⚙️ Settings:*',
+            ...Object.entries(settings.SETTINGS).map(([key, description]) => `• *${key}*: ${current[key]}\n  ${description}`),
+            '',
+            'Change one with: set <name> <value>',
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'set',
+    triggers: ['set'],
+    role: 'superadmin',
+    usage: 'set <name> <value>',
+    help: 'help.admin.set',
+    run: async (ctx) => {
+        if (ctx.args.length !== 2) {
+            ctx.reply('Invalid format. Use: set <name> <value>, e.g. set payeeUpi name@bank');
+            return;
+        }
+
+        const result = await settings.setSetting(ctx.args[0], ctx.args[1], ctx.sender);
+        if (result.error) {
+            ctx.reply(`❌ ${result.error}`);
+            return;
+        }
+        ctx.reply(`✅ ${result.key} changed from ${result.before} to ${result.after}.`);
+    },
+});
+
+registerCommand({
+    name: 'jobs',
+    triggers: ['jobs'],
+    role: 'admin',
+    usage: 'jobs [run <name>]',
+    help: 'help.admin.jobs',
+    run: async (ctx) => {
+        if (ctx.args[0] === 'run') {
+            if (!await scheduler.runSoon(ctx.args[1])) {
+                ctx.reply('Unknown job. Send *jobs* for the list.');
+                return;
+            }
+            await audit.record({ actor: ctx.sender, action: 'run_job', target: ctx.args[1] });
+            ctx.reply(`⏱️ ${ctx.args[1]} is due now and runs on the next scheduler check.`);
+            return;
+        }
+
+        const jobs = await scheduler.listJobs();
+        ctx.reply([
+            '*⏱️ Scheduled Jobs:*',
+            ...jobs.map((job) => [
+                `• *${job.name}* every ${Math.round(job.intervalMs / 60000)} min`,
+                `  Last run: ${job.lastRunAt ? `${job.lastRunAt.toLocaleString()} (${job.lastError ? `failed: ${job.lastError}` : job.lastResult || 'ok'})` : 'never'}`,
+                `  Next run: ${job.nextRunAt ? job.nextRunAt.toLocaleString() : 'not scheduled'}${job.lockedBy ? ` (running on ${job.lockedBy})` : ''}`,
+            ].join('\n')),
+        ].join('\n'));
+    },
+});
+
+// Send a Payout Batch as a CSV File
+function sendBatchCsv(ctx, batch) {
+    const data = Buffer.from(payouts.exportCsv(batch)).toString('base64');
+    return ctx.transport.sendMessage(ctx.chatId, new Media('text/csv', data, `${batch.code}.csv`), {
+        caption: `Payout batch ${batch.code}: ${batch.items.length} payouts, ₹${payouts.batchTotal(batch)}`,
+    });
+}
+
+registerCommand({
+    name: 'payouts',
+    triggers: ['payouts'],
+    role: 'finance',
+    usage: 'payouts [new | csv <batch>]',
+    help: 'help.admin.payouts',
+    run: async (ctx) => {
+        const [subcommand, code] = ctx.args;
+
+        if (subcommand === 'new') {
+            const batch = await payouts.createBatch(ctx.sender);
+            if (!batch) {
+                ctx.reply('✅ No withdrawals are waiting for a payout batch.');
+                return;
+            }
+            await sendBatchCsv(ctx, batch);
+            ctx.reply(`📤 ${batch.items.length} withdrawals are now processing in batch ${batch.code}. Upload the file to the bank, then send the bank's settlement CSV with the caption *settle*.`);
+            return;
+        }
+
+        if (subcommand === 'csv') {
+            const batch = await payouts.getBatch(code);
+            if (!batch) {
+                ctx.reply('Unknown batch. Use: payouts csv <batch>');
+                return;
+            }
+            await sendBatchCsv(ctx, batch);
+            return;
+        }
+
+        const batches = await payouts.listBatches();
+        if (batches.length === 0) {
+            ctx.reply('No payout batches yet. Create one with: payouts new');
+            return;
+        }
+        ctx.reply([
+            '*📤 Payout Batches:*',
+            ...batches.map((batch) => {
+                const counts = payouts.summarize(batch);
+                return `• *${batch.code}* ${batch.createdAt.toLocaleString()} - ${batch.items.length} payouts, ₹${payouts.batchTotal(batch)}\n  ${counts.paid} paid, ${counts.failed} failed, ${counts.processing} processing`;
+            }),
+        ].join('\n'));
+    },
+});
+
+// Skipped Settlement Lines Listed in the Reply
+const MAX_SKIPPED_SHOWN = 20;
+
+registerCommand({
+    name: 'settle',
+    triggers: ['settle'],
+    role: 'finance',
+    media: true,
+    usage: 'settle (caption of a settlement CSV)',
+    help: 'help.admin.settle',
+    run: async (ctx) => {
+        if (!ctx.msg.hasMedia) {
+            ctx.reply('Send the bank\'s settlement CSV as a document with the caption *settle*. It needs reference and status columns, and optionally reason and utr.');
+            return;
+        }
+
+        const media = await ctx.msg.downloadMedia();
+        if (!media) {
+            ctx.reply('Failed to download the file. Please try again.');
+            return;
+        }
+
+        const report = await payouts.importSettlement(ctx.transport, Buffer.from(media.data, 'base64').toString('utf8'), ctx.sender);
+        if (report.error) {
+            ctx.reply(`❌ ${report.error}`);
+            return;
+        }
+        ctx.reply([
+            `🏦 Settlement imported: ${report.paid} paid, ${report.failed} failed, ${report.skipped.length} skipped.`,
+            ...report.skipped.slice(0, MAX_SKIPPED_SHOWN).map((skip) => `• Line ${skip.line} ${skip.reference || '-'}: ${skip.note}`),
+            ...(report.skipped.length > MAX_SKIPPED_SHOWN ? [`…and ${report.skipped.length - MAX_SKIPPED_SHOWN} more`] : []),
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'outbox',
+    triggers: ['outbox'],
+    role: 'admin',
+    usage: 'outbox [dead [page] | resend <id|all>]',
+    help: 'help.admin.outbox',
+    run: async (ctx) => {
+        const [subcommand, arg] = ctx.args;
+
+        if (subcommand === 'dead') {
+            const dead = await outbox.listDead();
+            if (dead.length === 0) {
+                ctx.reply('✅ No dead letters.');
+                return;
+            }
+            const lines = dead.map((message, index) =>
+                `${index + 1}. ${message._id} → ${message.chatId}\n   ${outbox.describe(message)}\n   ${message.attempts} attempts, last error: ${message.lastError || '-'}`);
+            ctx.reply(paginate(lines, arg, {
+                header: `*📭 Dead Letters (${dead.length}):*\n`,
+                command: 'outbox dead',
+            }));
+            return;
+        }
+
+        if (subcommand === 'resend') {
+            if (arg !== 'all' && !mongoose.isValidObjectId(arg)) {
+                ctx.reply('Invalid format. Use: outbox resend <id|all>');
+                return;
+            }
+            const count = await outbox.resendDead(arg);
+            await audit.record({ actor: ctx.sender, action: 'resend', target: arg, after: { count } });
+            ctx.reply(count > 0 ? `📤 ${count} message(s) queued again.` : 'No dead letter with that ID.');
+            return;
+        }
+
+        const counts = await outbox.getCounts();
+        ctx.reply([
+            '*📤 Outbox:*',
+            `Queued: ${counts.queued}`,
+            `Sending: ${counts.sending}`,
+            `Sent in the last hour: ${counts.sentLastHour}`,
+            `Dead letters: ${counts.dead}${counts.dead > 0 ? ' (see: outbox dead)' : ''}`,
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'risk',
+    triggers: ['risk'],
+    role: 'admin',
+    usage: 'risk <code|chatId>',
+    help: 'help.admin.risk',
+    run: async (ctx) => {
+        const target = await users.findByRef(ctx.args[0]);
+        if (!target) {
+            ctx.reply('Invalid format or unknown user. Use: risk <code|chatId>');
+            return;
+        }
+
+        // Assess again, since accounts sharing details may have joined since the last check
+        const assessment = await risk.assess(target);
+        ctx.reply([
+            `*🛡️ Risk for ${target.name || 'Unnamed'}* (${target.buddyCode})`,
+            ...risk.describe(assessment, ctx.t),
+            ...(target.riskHold ? ['', `Withdrawal held for review. Release it with *release ${target.chatId}* or reject it with *with_re*.`] : []),
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'release',
+    triggers: ['release'],
+    role: 'finance',
+    usage: 'release <chatId> [note]',
+    help: 'help.admin.release',
+    run: async (ctx) => {
+        if (ctx.args.length < 1) {
+            ctx.reply('Invalid format. Use: release <chatId> [note]');
+            return;
+        }
+
+        const targetChatId = ctx.args[0];
+        const note = ctx.args.slice(1).join(' ') || null;
+        if (!(await risk.releaseHold(targetChatId, ctx.sender, note))) {
+            ctx.reply('No withdrawal is held for review for that chat ID.');
+            return;
+        }
+        ctx.reply(`Withdrawal for ${targetChatId} released. Approve it with *app_with ${targetChatId}* or add it to the next payout batch.`);
+    },
+});
+
+registerCommand({
+    name: 'webhooks',
+    triggers: ['webhooks', 'webhook'],
+    role: 'superadmin',
+    usage: 'webhooks [add <url> [events] | remove <id> | test <id> | log <id> [page] | retry <deliveryId>]',
+    help: 'help.admin.webhooks',
+    run: async (ctx) => {
+        const [subcommand, arg, extra] = ctx.args;
+
+        if (subcommand === 'add') {
+            if (!arg) {
+                ctx.reply(`Invalid format. Use: webhooks add <url> [events]\nEvents, comma-separated (default *): ${webhooks.EVENTS.join(', ')}`);
+                return;
+            }
+            const { webhook, error } = await webhooks.addWebhook({ url: arg, events: extra }, ctx.sender);
+            if (error) {
+                ctx.reply(error);
+                return;
+            }
+            ctx.reply([
+                `🔗 Webhook ${webhook._id} added for ${webhook.events.join(', ')}.`,
+                `Signing secret (shown only now): ${webhook.secret}`,
+                'Each POST carries X-BuddyCash-Signature: t=<time>,v1=<HMAC-SHA256 of "<time>.<body>">.',
+            ].join('\n'));
+            return;
+        }
+
+        if (subcommand === 'remove') {
+            ctx.reply(await webhooks.removeWebhook(arg, ctx.sender) ? `Webhook ${arg} removed.` : 'No webhook with that ID.');
+            return;
+        }
+
+        if (subcommand === 'test') {
+            ctx.reply(await webhooks.sendTest(arg) ? `🧪 Test event queued for webhook ${arg}. See: webhooks log ${arg}` : 'No webhook with that ID.');
+            return;
+        }
+
+        if (subcommand === 'retry') {
+            ctx.reply(await webhooks.redeliver(arg) ? `📤 Delivery ${arg} queued again.` : 'No failed delivery with that ID.');
+            return;
+        }
+
+        if (subcommand === 'log') {
+            const webhook = await webhooks.getWebhook(arg);
+            if (!webhook) {
+                ctx.reply('Invalid format or unknown webhook. Use: webhooks log <id> [page]');
+                return;
+            }
+            const deliveries = await webhooks.getDeliveries(webhook._id);
+            if (deliveries.length === 0) {
+                ctx.reply(`No deliveries to ${webhook.url} yet.`);
+                return;
+            }
+            const lines = deliveries.map((delivery, index) =>
+                `${index + 1}. ${delivery._id} ${delivery.event} - ${delivery.status}${delivery.responseStatus ? ` (HTTP ${delivery.responseStatus})` : ''}\n   ${delivery.createdAt.toLocaleString()}, ${delivery.attempts} attempt(s)${delivery.lastError ? `, last error: ${delivery.lastError}` : ''}`);
+            ctx.reply(paginate(lines, extra, {
+                header: `*🔗 Deliveries to ${webhook.url}:*\n`,
+                command: `webhooks log ${webhook._id}`,
+            }));
+            return;
+        }
+
+        const hooks = await webhooks.listWebhooks();
+        if (hooks.length === 0) {
+            ctx.reply('No webhooks yet. Add one with: webhooks add <url> [events]');
+            return;
+        }
+        ctx.reply([
+            `*🔗 Webhooks (${hooks.length}):*`,
+            ...hooks.map((hook, index) => `${index + 1}. ${hook._id} ${hook.url}\n   ${hook.events.join(', ')} - ${hook.deliveries.delivered} delivered, ${hook.deliveries.queued + hook.deliveries.sending} queued, ${hook.deliveries.failed} failed`),
+        ].join('\n'));
+    },
+});
+
+// Describe Who an Issued Copy Belongs To
+function describeCopy({ copy, user, match }) {
+    const how = match === 'file' ? ' - the file is unchanged' : match === 'metadata' ? ' - found by its hidden code' : '';
+    return [
+        `🔎 Copy ${copy.code} of ${copy.product} (${copy.file})${how}`,
+        `Issued to: ${copy.name || (user && user.name) || 'Unnamed'} (${copy.buddyCode})`,
+        `Chat ID: ${copy.chatId}${user ? '' : ' (account no longer exists)'}`,
+        `Purchased: ${copy.purchasedAt.toLocaleString()} | Sent ${copy.sends} time(s), last ${copy.lastSentAt ? copy.lastSentAt.toLocaleString() : '-'}`,
+    ].join('\n');
+}
+
+registerCommand({
+    name: 'trace',
+    triggers: ['trace'],
+    role: 'admin',
+    media: true,
+    usage: 'trace <copy code> (or the caption of a leaked PDF)',
+    help: 'help.admin.trace',
+    run: async (ctx) => {
+        if (ctx.msg.hasMedia) {
+            const media = await ctx.msg.downloadMedia();
+            if (!media) {
+                ctx.reply('Failed to download the file. Please try again.');
+                return;
+            }
+            const result = await copies.trace(Buffer.from(media.data, 'base64'));
+            ctx.reply(result.error ? `❌ ${result.error}` : describeCopy(result));
+            return;
+        }
+
+        if (ctx.args.length !== 1) {
+            ctx.reply('Send a leaked PDF as a document with the caption *trace*, or use: trace <copy code>, e.g. trace BC-3F9A0C1D7E');
+            return;
+        }
+        const found = await copies.findByCode(ctx.args[0]);
+        ctx.reply(found ? describeCopy(found) : 'No copy with that code.');
+    },
+});
+
+// Fields Admins Type for `product set`, by Product Field
+const PRODUCT_FIELD_NAMES = {
+    name: 'name',
+    description: 'description',
+    price: 'price',
+    files: 'files',
+    caption: 'caption',
+    plan: 'planVersion',
+    active: 'active',
+    order: 'sortOrder',
+};
+
+registerCommand({
+    name: 'products',
+    triggers: ['products'],
+    role: 'admin',
+    help: 'help.admin.products',
+    run: async (ctx) => {
+        const catalog = await products.listProducts();
+        ctx.reply([
+            `*🛍️ Products (${catalog.length}):*`,
+            ...catalog.map((product, index) => [
+                `${index + 1}. *${product.code}* ${product.name} - ₹${product.price}${product.active ? '' : ' (inactive)'}`,
+                `   Files: ${product.files.length > 0 ? product.files.map((file) => file.path).join(', ') : 'none'} | Plan: ${product.planVersion ? `v${product.planVersion}` : 'active'} | Order: ${product.sortOrder}`,
+            ].join('\n')),
+            '',
+            'Add or change one with: product add | product set',
+        ].join('\n'));
+    },
+});
+
+registerCommand({
+    name: 'product',
+    triggers: ['product'],
+    role: 'superadmin',
+    usage: 'product [add <code> <price> <file,...> <name> | set <code> <field> <value>]',
+    help: 'help.admin.product',
+    run: async (ctx) => {
+        const [subcommand, code, ...rest] = ctx.args;
+
+        if (subcommand === 'add') {
+            if (rest.length < 3) {
+                ctx.reply('Invalid format. Use: product add <code> <price> <file,...> <name>\nFiles are paths in the pdf directory, e.g. product add GUIDE 50 guide.pdf Side Hustle Guide');
+                return;
+            }
+            const [price, files, ...name] = rest;
+            const { product, error } = await products.createProduct({ code, price, files, name: name.join(' ') }, ctx.sender);
+            if (error) {
+                ctx.reply(`❌ ${error}`);
+                return;
+            }
+            ctx.reply(`✅ Product ${product.code} added: ${product.name} for ₹${product.price}.`);
+            return;
+        }
+
+        if (subcommand === 'set') {
+            const field = PRODUCT_FIELD_NAMES[String(rest[0] || '').toLowerCase()];
+            if (!code || !field || rest.length < 2) {
+                ctx.reply(`Invalid format. Use: product set <code> <field> <value>\nFields: ${Object.keys(PRODUCT_FIELD_NAMES).join(', ')} (plan "active" follows the active plan, caption "default" uses the standard caption)`);
+                return;
+            }
+            const value = rest.slice(1).join(' ');
+            const cleared = (field === 'planVersion' && value.toLowerCase() === 'active')
+                || (field === 'caption' && value.toLowerCase() === 'default')
+                || (field === 'description' && value === '-');
+            const result = await products.updateProduct(code, { [field]: cleared ? null : value }, ctx.sender);
+            if (!result) {
+                ctx.reply('Unknown product. See: products');
+                return;
+            }
+            if (result.error) {
+                ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            ctx.reply(`✅ ${result.product.code} ${rest[0].toLowerCase()} changed.`);
+            return;
+        }
+
+        ctx.reply('Invalid format. Use: product add <code> <price> <file,...> <name> or product set <code> <field> <value>');
+    },
+});
+
+// Period the Most Clicked Codes Are Counted Over Unless Another Is Given
+const DEFAULT_LINKS_PERIOD = '30d';
+
+registerCommand({
+    name: 'linkstats',
+    triggers: ['linkstats'],
+    role: 'admin',
+    usage: 'linkstats [code|chatId|period]',
+    help: 'help.admin.linkstats',
+    run: async (ctx) => {
+        const [ref] = ctx.args;
+        const describe = (row) => `${row.clicks} clicks, ${row.signups} sign-ups (${referrals.rate(row.signups, row.clicks)}), ${row.paid} paid (${referrals.rate(row.paid, row.clicks)})`;
+
+        // Most clicked codes over a period such as 7d
+        const period = users.parseDuration(ref || DEFAULT_LINKS_PERIOD);
+        if (period) {
+            const top = await referrals.getTopLinks({ since: new Date(Date.now() - period) });
+            const owners = await User.find({ buddyCode: { $in: top.map((row) => row.buddyCode) } }, { buddyCode: 1, name: 1 }).lean();
+            const names = new Map(owners.map((owner) => [owner.buddyCode, owner.name]));
+            ctx.reply(top.length === 0
+                ? `No short link clicks in the last ${ref || DEFAULT_LINKS_PERIOD}.`
+                : [
+                    `*🔗 Most Clicked Links (last ${ref || DEFAULT_LINKS_PERIOD}):*`,
+                    ...top.map((row, index) => `${index + 1}. ${names.get(row.buddyCode) || 'Unnamed'} (${row.buddyCode}): ${describe(row)}`),
+                ].join('\n'));
+            return;
+        }
+
+        const target = await users.findByRef(ref);
+        if (!target) {
+            ctx.reply('Invalid format or unknown user. Use: linkstats [code|chatId|period], e.g. linkstats 7d');
+            return;
+        }
+        const stats = await referrals.getLinkStats(target.buddyCode);
+        ctx.reply([
+            `*🔗 ${target.name || 'Unnamed'} (${target.buddyCode})*`,
+            `Link: ${referrals.referralLink(target.buddyCode)}`,
+            `Total: ${describe(stats)}`,
+            `Last click: ${stats.lastClickAt ? stats.lastClickAt.toLocaleString() : '-'}`,
+            ...stats.campaigns.map((row) => `• ${row.campaign || 'no campaign'}: ${describe(row)}`),
+        ].join('\n'));
+    },
+});
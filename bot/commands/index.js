@@ -0,0 +1,3 @@
+// Register All Chat Commands (user commands first, so they keep their menu numbers)
+require('./user');
+require('./admin');
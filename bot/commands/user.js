@@ -0,0 +1,348 @@
+const ledger = require('../../services/ledger');
+const plans = require('../../services/plans');
+const products = require('../../services/products');
+const buddies = require('../../services/buddies');
+const referrals = require('../../services/referrals');
+const i18n = require('../../services/i18n');
+const admins = require('../../services/admins');
+const { registerCommand, renderMenu, renderHelp } = require('../registry');
+const { STATES, setState } = require('../states');
+const flows = require('../flows');
+const { paginate } = require('../paginate');
+
+
+// Catalog Keys of the Labels for Payment History Lines
+const HISTORY_LABELS = {
+    deposit: 'history.type.deposit',
+    commission: 'history.type.commission',
+    withdrawal_hold: 'history.type.withdrawal',
+    reversal: 'history.type.reversal',
+    clawback: 'history.type.clawback',
+    adjustment: 'history.type.adjustment',
+};
+
+// Icons for Buddy Registration Status
+const STATUS_ICONS = {
+    paid: '✅',
+    pending: '⏳',
+    unpaid: '❌',
+};
+
+// Second-Level Buddies Listed Under Each Direct Buddy
+const MAX_CHILDREN_SHOWN = 10;
+
+// Summarise Status Counts, e.g. "8 paid, 2 pending, 2 unpaid"
+function describeStatusCounts(t, counts) {
+    return t('buddies.status_counts', counts);
+}
+
+// Menu Commands (registration order is the menu order)
+
+registerCommand({
+    name: 'balance',
+    triggers: ['balance'],
+    menu: 'menu.balance',
+    help: 'help.balance',
+    run: async (ctx) => {
+        ctx.reply(ctx.t('balance.current', { balance: ctx.t.amount(await ledger.getBalance(ctx.user.chatId)) }));
+    },
+});
+
+registerCommand({
+    name: 'withdraw',
+    triggers: ['withdraw'],
+    menu: 'menu.withdraw',
+    usage: 'withdraw <amount>',
+    help: 'help.withdraw',
+    run: async (ctx) => {
+        if (ctx.args.length === 0) {
+            ctx.reply(ctx.t('withdraw.usage'));
+            return;
+        }
+        if (ctx.args.length !== 1) {
+            ctx.reply(ctx.t('withdraw.invalid_format'));
+            return;
+        }
+        await flows.startWithdrawal(ctx, parseFloat(ctx.args[0]));
+    },
+});
+
+registerCommand({
+    name: 'history',
+    triggers: ['history'],
+    menu: 'menu.history',
+    help: 'help.history',
+    run: async (ctx) => {
+        const { t } = ctx;
+        const historyLines = await ledger.getHistory(ctx.user.chatId);
+        if (historyLines.length === 0) {
+            ctx.reply(t('history.empty'));
+            return;
+        }
+        let history = `${t('history.title')}\n`;
+        historyLines.forEach((entry, index) => {
+            const label = t(HISTORY_LABELS[entry.type]);
+            history += `${index + 1}. ${t('history.line', {
+                label: entry.productName ? `${label} - ${entry.productName}` : label,
+                amount: t.amount(entry.amount),
+                date: t.date(entry.createdAt),
+                status: t(`history.status.${entry.status}`),
+            })}${entry.reason ? ` (${entry.reason})` : ''}\n`;
+        });
+        ctx.reply(history);
+    },
+});
+
+registerCommand({
+    name: 'buddies',
+    triggers: ['buddies'],
+    menu: 'menu.buddies',
+    usage: 'buddies [page]',
+    help: 'help.buddies',
+    run: async (ctx) => {
+        const { t } = ctx;
+        const tree = await buddies.getBuddyTree(ctx.user);
+        if (tree.directCount === 0) {
+            ctx.reply(t('buddies.none'));
+            return;
+        }
+
+        const header = [
+            t('buddies.title'),
+            t('buddies.summary', { direct: tree.directCount, secondLevel: tree.secondLevelCount, earned: t.amount(tree.totalEarned) }),
+            t('buddies.direct', { counts: describeStatusCounts(t, tree.directStatus) }),
+            tree.secondLevelCount > 0 ? t('buddies.second_level', { counts: describeStatusCounts(t, tree.secondLevelStatus) }) : null,
+            '',
+            '',
+        ].filter((line) => line !== null).join('\n');
+
+        // One entry per branch so a page never splits a buddy from their buddies
+        const lines = tree.branches.map((branch, index) => {
+            const shown = branch.children.slice(0, MAX_CHILDREN_SHOWN);
+            return [
+                `${index + 1}. ${branch.name || t('buddies.unnamed')} (${branch.buddyCode}) ${STATUS_ICONS[branch.status]} ${t.amount(branch.earned)}`
+                    + (branch.children.length > 0 ? ` · ${t('buddies.branch', { amount: t.amount(branch.branchEarned) })}` : ''),
+                ...shown.map((child) => `    └ ${child.name || t('buddies.unnamed')} (${child.buddyCode}) ${STATUS_ICONS[child.status]} ${t.amount(child.earned)}`),
+                ...(branch.children.length > shown.length ? [`    └ ${t('buddies.more', { count: branch.children.length - shown.length })}`] : []),
+            ].join('\n');
+        });
+
+        ctx.reply(paginate(lines, ctx.args[0], { header, command: 'buddies', t }));
+    },
+});
+
+registerCommand({
+    name: 'contact',
+    triggers: ['contact'],
+    menu: 'menu.contact',
+    help: 'help.contact',
+    run: async (ctx) => {
+        ctx.reply(ctx.t('contact.body'));
+    },
+});
+
+registerCommand({
+    name: 'formats',
+    triggers: ['formats'],
+    menu: 'menu.formats',
+    help: 'help.formats',
+    run: async (ctx) => {
+        const { t } = ctx;
+        const [plan, catalog] = await Promise.all([plans.getActivePlan(), products.listProducts({ activeOnly: true })]);
+        const earnings = [];
+        for (const product of catalog) {
+            const productPlan = await products.planFor(product);
+            earnings.push([
+                `*${product.name}* - ${t.amount(product.price)}`,
+                ...plans.describeLevels(productPlan, t, product.price).map((line) => `✅ ${line}`),
+            ].join('\n'));
+        }
+        const formats = [
+            t('formats.registration'),
+            t('formats.earnings', { products: earnings.join('\n\n') }),
+            t('formats.invite', { link: referrals.referralLink(ctx.user.buddyCode) }),
+            t('formats.support'),
+            t('formats.withdrawal', { min: t.amount(plan.minWithdrawal) }),
+        ];
+        for (const format of formats) {
+            await ctx.reply(format);
+        }
+    },
+});
+
+registerCommand({
+    name: 'buy',
+    triggers: ['buy'],
+    menu: 'menu.buy',
+    usage: 'buy [product]',
+    help: 'help.buy',
+    run: async (ctx) => {
+        await flows.startPurchase(ctx, ctx.args.join(' ') || null);
+    },
+});
+
+registerCommand({
+    name: 'purchases',
+    triggers: ['purchases'],
+    menu: 'menu.purchases',
+    usage: 'purchases [number]',
+    help: 'help.purchases',
+    run: async (ctx) => {
+        const { t } = ctx;
+        const purchases = await products.getPurchases(ctx.user.chatId);
+        if (purchases.length === 0) {
+            ctx.reply(t('purchases.empty'));
+            return;
+        }
+
+        // A number resends that purchase's files
+        if (ctx.args.length > 0) {
+            const purchase = /^\d+$/.test(ctx.args[0]) ? purchases[Number(ctx.args[0]) - 1] : null;
+            if (!purchase || !purchase.product) {
+                ctx.reply(t('purchases.invalid'));
+                return;
+            }
+            if (purchase.deposit.status !== 'approved') {
+                ctx.reply(t(purchase.deposit.status === 'reversed' ? 'purchases.reversed' : 'purchases.not_approved'));
+                return;
+            }
+            await products.deliver(ctx.transport, ctx.user, purchase.product, purchase.deposit, t);
+            return;
+        }
+
+        const lines = purchases.map(({ deposit, product }, index) => `${index + 1}. ${t('purchases.line', {
+            product: deposit.productName || (product ? product.name : products.depositProductCode(deposit)),
+            amount: t.amount(deposit.amount),
+            date: t.date(deposit.createdAt),
+            status: t(`history.status.${deposit.status}`),
+        })}`);
+        ctx.reply(`${t('purchases.title')}\n${lines.join('\n')}\n\n${t('purchases.footer')}`);
+    },
+});
+
+registerCommand({
+    name: 'promo',
+    triggers: ['promo'],
+    menu: 'menu.promo',
+    help: 'help.promo',
+    run: async (ctx) => {
+        await flows.sendPromo(ctx);
+    },
+});
+
+// Campaigns Listed in a Member's Link Stats
+const MAX_CAMPAIGNS_SHOWN = 10;
+
+registerCommand({
+    name: 'links',
+    triggers: ['links', 'clicks'],
+    menu: 'menu.links',
+    help: 'help.links',
+    run: async (ctx) => {
+        const { t } = ctx;
+        const link = referrals.referralLink(ctx.user.buddyCode);
+        const stats = await referrals.getLinkStats(ctx.user.buddyCode);
+        const counts = (row) => ({
+            clicks: row.clicks,
+            signups: row.signups,
+            signupRate: referrals.rate(row.signups, row.clicks),
+            paid: row.paid,
+            paidRate: referrals.rate(row.paid, row.clicks),
+        });
+
+        const sections = [t('links.summary', { link, ...counts(stats) })];
+        if (stats.campaigns.some((row) => row.campaign)) {
+            sections.push(t('links.campaigns', {
+                lines: stats.campaigns.slice(0, MAX_CAMPAIGNS_SHOWN)
+                    .map((row) => t('links.campaign_line', { campaign: row.campaign || t('links.no_campaign'), ...counts(row) }))
+                    .join('\n'),
+            }));
+        }
+        if (referrals.TRACKED) {
+            sections.push(t('links.tip', { example: `${link}?c=family` }));
+        }
+        ctx.reply(sections.join('\n\n'));
+    },
+});
+
+// Other Commands
+
+registerCommand({
+    name: 'menu',
+    triggers: [...flows.GREETINGS, 'menu'],
+    help: 'help.menu',
+    run: async (ctx) => {
+        ctx.reply(renderMenu(ctx.t, ctx.user.buddyCode));
+    },
+});
+
+registerCommand({
+    name: 'upi',
+    triggers: ['upi'],
+    usage: 'UPI <UPI_ID> <Name>',
+    help: 'help.upi',
+    run: async (ctx) => {
+        await flows.requestUpiChange(ctx);
+    },
+});
+
+registerCommand({
+    name: 'help',
+    triggers: ['help', '?'],
+    role: 'guest',
+    help: 'help.help',
+    run: async (ctx) => {
+        ctx.reply(renderHelp(ctx.t, ctx.role));
+    },
+});
+
+registerCommand({
+    name: 'language',
+    triggers: ['language', 'lang', 'भाषा', 'ഭാഷ'],
+    role: 'guest',
+    usage: 'language [en|ml|hi]',
+    help: 'help.language',
+    run: async (ctx) => {
+        const { t, user, sender } = ctx;
+        if (ctx.args.length === 0) {
+            ctx.reply(`${t('language.current', { language: i18n.LANGUAGES[t.lang].name })}\n\n${i18n.renderLanguageOptions()}\n\n${t('language.usage')}`);
+            return;
+        }
+
+        const language = i18n.parseLanguage(ctx.args.join(' '));
+        if (!language) {
+            ctx.reply(`${t('language.unknown')}\n\n${i18n.renderLanguageOptions()}`);
+            return;
+        }
+
+        // Admins without a user account keep their choice on the admin record
+        if (user) {
+            user.language = language;
+            await user.save();
+        } else if (!(await admins.setLanguage(sender, language))) {
+            ctx.reply(t('language.register_first'));
+            return;
+        }
+        ctx.reply(i18n.translate(language, 'language.changed', { language: i18n.LANGUAGES[language].name }));
+    },
+});
+
+registerCommand({
+    name: 'cancel',
+    triggers: ['cancel'],
+    global: true,
+    help: 'help.cancel',
+    run: async (ctx) => {
+        const { user } = ctx;
+        if (![STATES.AWAITING_UPI, STATES.CONFIRMING_WITHDRAWAL, STATES.CONFIRMING_UPI, STATES.BUYING].includes(user.state)) {
+            ctx.reply(ctx.t('cancel.nothing'));
+            return;
+        }
+        const cancelled = user.state === STATES.CONFIRMING_UPI ? 'upi.cancelled'
+            : user.state === STATES.BUYING ? 'purchase.cancelled'
+                : 'withdraw.cancelled';
+        setState(user, STATES.ACTIVE);
+        await user.save();
+        ctx.reply(ctx.t(cancelled));
+    },
+});
@@ -0,0 +1,162 @@
+const admins = require('../services/admins');
+const i18n = require('../services/i18n');
+const logger = require('../services/logger');
+const webhooks = require('../services/webhooks');
+
+const { publicUrl, port } = require('../config');
+
+// Disconnect Reasons Meaning the Session Is Gone and the Bot Must Be Paired Again
+const LOGGED_OUT_REASONS = ['LOGOUT', 'UNPAIRED'];
+
+// Register Handlers for Non-Message Transport Events
+function registerEventHandlers(transport) {
+    // Prevent Deletion Notifications
+    transport.on('message_revoke', async (before) => {
+        if (before) {
+            const sender = before.from;
+            const t = await i18n.forChat(sender);
+
+            // Notify the user
+            transport.sendMessage(
+                sender,
+                t('chat.no_delete')
+            );
+
+            // Optionally, send the deleted message content
+            if (before.body) {
+                transport.sendMessage(
+                    sender,
+                    t('chat.deleted_text', { body: before.body })
+                );
+            } else {
+                transport.sendMessage(
+                    sender,
+                    t('chat.deleted_media')
+                );
+            }
+
+            // Notify admin about the deletion attempt
+            admins.notifyAdmins(
+                transport,
+                (adminT) => adminT('admin.deleted_message', { sender, body: before.body || '[Media]' })
+            );
+
+            logger.info('User attempted to delete a message', { chatId: sender, body: before.body || '[Media]' });
+        }
+    });
+
+    // Additional Event Handlers
+
+    // Incoming Call Handler
+    transport.on('call', async (call) => {
+        const callerId = call.from; // The contact who initiated the call
+        logger.info('Incoming call', { chatId: callerId });
+
+        // Notify Admin about the incoming call
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.call', { callerId })
+        );
+
+        // Send a message to the caller
+        const t = await i18n.forChat(callerId);
+        transport.sendMessage(
+            callerId,
+            t('chat.no_calls')
+        );
+
+        // Optionally, block the caller if necessary
+        // await transport.client.contactBlock(callerId);
+    });
+
+    // Typing Indicator Handler
+    transport.on('typing', ({ chatId, name, isTyping }) => {
+        if (isTyping) {
+            logger.debug('User is typing', { chatId, name });
+            // Optionally, notify admin that the user is typing
+            admins.notifyAdmins(
+                transport,
+                (t) => t('admin.typing', { name, chatId })
+            );
+        }
+    });
+
+    // Group Join Handler
+    transport.on('group_join', async ({ groupId, participant }) => {
+
+        logger.info('Participant joined the group', { chatId: participant, groupId });
+        webhooks.emit('group.joined', { groupId, chatId: participant });
+
+        // Send a welcome message to the group
+        transport.sendMessage(
+            groupId,
+            i18n.translate(i18n.DEFAULT_LANGUAGE, 'group.welcome', { participant })
+        );
+
+        // Notify admin about the new member
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.group_join', { participant, groupId })
+        );
+    });
+
+    // Group Leave Handler
+    transport.on('group_leave', async ({ groupId, participant }) => {
+
+        logger.info('Participant left the group', { chatId: participant, groupId });
+        webhooks.emit('group.left', { groupId, chatId: participant });
+
+        // Send a farewell message to the group
+        transport.sendMessage(
+            groupId,
+            i18n.translate(i18n.DEFAULT_LANGUAGE, 'group.goodbye', { participant })
+        );
+
+        // Notify admin about the member leaving
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.group_leave', { participant, groupId })
+        );
+    });
+
+    // Battery Status Handler
+    transport.on('battery', (batteryInfo) => {
+        logger.info('Battery status', { level: batteryInfo.level, plugged: batteryInfo.isPlugged });
+
+        // Notify admin if battery is low
+        if (batteryInfo.level <= 20 && !batteryInfo.isPlugged) {
+            admins.notifyAdmins(
+                transport,
+                (t) => t('admin.battery_low', { level: batteryInfo.level })
+            );
+        }
+    });
+
+    // Client State Change Handler
+    transport.on('change_state', (state) => {
+        // Notify admin about the state change
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.client_state', { state })
+        );
+    });
+
+    // Logout Handler. The alert is queued and reaches admins once the bot is paired
+    // again, so the error log is what monitoring should watch for.
+    transport.on('disconnected', (reason) => {
+        if (!LOGGED_OUT_REASONS.includes(reason)) {
+            logger.warn('Client disconnected', { reason });
+            return;
+        }
+
+        logger.error('WhatsApp session logged out, pairing needed', { reason });
+        const loggedOutAt = new Date();
+        const link = new URL('/pairing', publicUrl || `http://localhost:${port}`).href;
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.logged_out', { date: t.date(loggedOutAt), reason, link })
+        );
+    });
+}
+
+module.exports = registerEventHandlers;
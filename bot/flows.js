@@ -0,0 +1,649 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const Media = require('../transports/media');
+const adminActions = require('../services/adminActions');
+const ledger = require('../services/ledger');
+const plans = require('../services/plans');
+const products = require('../services/products');
+const promoImages = require('../services/promoImages');
+const withdrawals = require('../services/withdrawals');
+const upi = require('../services/upi');
+const admins = require('../services/admins');
+const throttle = require('../services/throttle');
+const screenshots = require('../services/screenshots');
+const risk = require('../services/risk');
+const webhooks = require('../services/webhooks');
+const referrals = require('../services/referrals');
+const i18n = require('../services/i18n');
+const { NAME_PATTERN } = require('../services/users');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+const { STATES, setState } = require('./states');
+
+// Greetings That Open the Menu (and are never accepted as a name)
+const GREETINGS = ['hi', 'hello', 'hlo', 'haai', 'hey', 'namaste', 'नमस्ते', 'नमस्कार', 'ഹായ്', 'ഹലോ', 'നമസ്കാരം'];
+
+// First Message From a New Sender: a Buddy Code, and "#<ref>" When Pre-Filled by a Short Link
+const REGISTRATION_PATTERN = /^([A-Za-z0-9]{10})(?:\s+#([A-Za-z0-9]{10}))?$/;
+
+// Helper Function to Generate a Unique Buddy Code
+async function generateBuddyCode() {
+    let buddyCode;
+    do {
+        buddyCode = crypto.randomBytes(5).toString('hex').toUpperCase(); // 10 characters
+    } while (await User.findOne({ buddyCode }));
+    return buddyCode;
+}
+
+// Helper Function to Ask for the Registration Payment: the product menu until
+// one is picked, then the picked product's price
+async function sendPaymentPrompt(ctx) {
+    const { t } = ctx;
+    const { product, products: catalog } = await products.resolveChoice(ctx.user);
+    if (product) {
+        ctx.reply(t('payment.prompt', { fee: t.amount(product.price), product: product.name }));
+    } else if (catalog.length === 0) {
+        ctx.reply(t('products.none'));
+    } else {
+        ctx.reply(t('products.choose', { items: products.renderMenu(catalog, t) }));
+    }
+}
+
+// Registration Flow for Senders Without an Account
+async function handleRegistration(ctx) {
+    const { transport, sender, text, t } = ctx;
+
+    // Expecting Buddy Code (possibly with referrer code), followed by "#<ref>" when it
+    // comes from a short link. Anything that doesn't look like one gets the welcome
+    // text and doesn't count as a failed attempt.
+    const match = text.match(REGISTRATION_PATTERN);
+    if (!match) {
+        ctx.reply(t('registration.welcome'));
+        return;
+    }
+
+    const [, referrerCode, clickRef] = match;
+    let referrer = null;
+
+    if (referrerCode !== 'ADMINADMIN') {
+        referrer = await User.findOne({ buddyCode: referrerCode });
+        if (!referrer) {
+            const result = await throttle.recordFailedCode(transport, sender);
+            if (result.lockedUntil) {
+                ctx.reply(t('registration.locked', { until: t.date(result.lockedUntil) }));
+            } else {
+                ctx.reply(t(result.remaining === 1 ? 'registration.invalid_code_one' : 'registration.invalid_code', { remaining: result.remaining }));
+            }
+            return;
+        }
+    }
+    await throttle.clearFailedCodes(sender);
+
+    // Generate unique Buddy Code for the user
+    const generatedBuddyCode = await generateBuddyCode();
+
+    const user = new User({
+        chatId: sender,
+        buddyCode: generatedBuddyCode,
+        referrer: referrer ? referrerCode : null,
+        state: STATES.AWAITING_LANGUAGE,
+    });
+
+    // If referrer is ADMINADMIN, approve automatically
+    if (referrerCode === 'ADMINADMIN') {
+        user.isApproved = true;
+        user.hasPaid = true;
+        await user.save();
+
+        // Add user to group
+        if (await adminActions.addToGroup(transport, user.chatId)) {
+            ctx.reply(t('registration.auto_approved_added', { buddyCode: generatedBuddyCode }));
+        } else {
+            ctx.reply(t('registration.auto_approved_invited', { buddyCode: generatedBuddyCode }));
+        }
+
+        ctx.reply(t('registration.share_link', { link: referrals.referralLink(generatedBuddyCode) }));
+    } else {
+        await user.save();
+        ctx.reply(t('registration.registered', { buddyCode: generatedBuddyCode, referrer: referrer.name || referrer.buddyCode }));
+    }
+    metrics.registrations.inc();
+    logger.info('User registered', { chatId: sender, referrer: user.referrer });
+    const click = await referrals.claimClick(clickRef, user);
+    if (click) {
+        user.referralClick = click.ref;
+        await user.save();
+    }
+    const assessment = await risk.checkRegistration(transport, user);
+    webhooks.emit('user.registered', {
+        chatId: sender,
+        buddyCode: user.buddyCode,
+        referrer: user.referrer,
+        campaign: click ? click.campaign : null,
+        autoApproved: user.isApproved,
+        riskScore: assessment.score,
+    });
+
+    // Every language is offered in its own script, so the prompt is the same for all
+    ctx.reply(renderLanguagePrompt());
+}
+
+// Language Prompt Shown During Registration
+function renderLanguagePrompt() {
+    return `${i18n.translate('en', 'language.choose')}\n${i18n.translate('ml', 'language.choose')}\n${i18n.translate('hi', 'language.choose')}\n\n${i18n.renderLanguageOptions()}`;
+}
+
+// Awaiting Language: pick the language for everything the bot sends
+async function handleAwaitingLanguage(ctx) {
+    const { user, text } = ctx;
+
+    const language = i18n.parseLanguage(text);
+    if (!language) {
+        ctx.reply(renderLanguagePrompt());
+        return;
+    }
+
+    user.language = language;
+    setState(user, STATES.AWAITING_NAME);
+    await user.save();
+    ctx.reply(i18n.translate(language, 'registration.ask_name'));
+}
+
+// Awaiting Name: only a plausible name moves the user on
+async function handleAwaitingName(ctx) {
+    const { user, text, t } = ctx;
+
+    if (GREETINGS.includes(text.toLowerCase()) || !NAME_PATTERN.test(text)) {
+        ctx.reply(t('registration.invalid_name'));
+        return;
+    }
+
+    user.name = text;
+    if (user.isApproved) {
+        setState(user, STATES.ACTIVE);
+        await user.save();
+        ctx.reply(t('registration.complete', { name: user.name }));
+        return;
+    }
+
+    setState(user, STATES.AWAITING_PAYMENT);
+    await user.save();
+    const { product } = await products.resolveChoice(user);
+    if (product) {
+        ctx.reply(t('registration.thanks_pay', { name: user.name, fee: t.amount(product.price), product: product.name }));
+        return;
+    }
+    ctx.reply(t('registration.thanks', { name: user.name }));
+    await sendPaymentPrompt(ctx);
+}
+
+// Awaiting Payment: a number or product code picks what to pay for, and a media
+// message is the payment screenshot
+async function handleAwaitingPayment(ctx) {
+    const { msg, user, text, t } = ctx;
+    const { product, products: catalog } = await products.resolveChoice(user);
+
+    if (!msg.hasMedia) {
+        const choice = products.parseChoice(text, catalog);
+        if (choice) {
+            setState(user, STATES.AWAITING_PAYMENT, { product: choice.code });
+            await user.save();
+            ctx.reply(t('payment.prompt', { fee: t.amount(choice.price), product: choice.name }));
+            return;
+        }
+        await sendPaymentPrompt(ctx);
+        return;
+    }
+
+    if (!product) {
+        ctx.reply(t('products.choose_first'));
+        await sendPaymentPrompt(ctx);
+        return;
+    }
+
+    await submitScreenshot(ctx, product, false);
+}
+
+// Record a Payment Screenshot as a Deposit for a Product and Forward It to the
+// Reviewers. The registration payment waits for approval in its own state; an
+// extra purchase (`purchase` set) returns the member to the menu.
+async function submitScreenshot(ctx, product, purchase) {
+    const { transport, msg, user, sender, profileName, t } = ctx;
+
+    // Download media
+    const media = await msg.downloadMedia();
+    if (!media) {
+        ctx.reply(t('payment.download_failed'));
+        return;
+    }
+
+    // Only images of a sensible size go to the admins
+    const problem = screenshots.validateScreenshot(media, t);
+    if (problem) {
+        ctx.reply(problem);
+        return;
+    }
+
+    // Flag screenshots that were submitted before, by this account or another
+    const hashes = await screenshots.hashScreenshot(media);
+    const matches = await screenshots.findMatches(hashes);
+
+    // Record the deposit at the product's price under its commission plan
+    const plan = await products.planFor(product);
+    const from = user.state;
+    if (purchase) {
+        setState(user, STATES.ACTIVE);
+    } else {
+        user.pendingApproval = true;
+        setState(user, STATES.AWAITING_APPROVAL);
+    }
+    let claimed = null;
+    await ledger.withTransaction(async (session) => {
+        // Claim the paying step first: a second screenshot sent before this one was
+        // recorded finds the user moved on and doesn't open another deposit
+        claimed = await User.findOneAndUpdate({ _id: user._id, state: from }, { $set: { state: user.state } }, { session });
+        if (!claimed) {
+            return;
+        }
+        await Deposit.create([{
+            chatId: user.chatId,
+            amount: product.price,
+            planVersion: plan.version,
+            product: product.code,
+            productName: product.name,
+            purchase,
+            ...hashes,
+        }], { session });
+        await user.save({ session });
+    });
+    if (!claimed) {
+        logger.info('Duplicate payment screenshot ignored', { chatId: sender, product: product.code, purchase });
+        ctx.reply(t(purchase ? 'purchase.pending' : 'payment.already_submitted'));
+        return;
+    }
+    metrics.deposits.inc({ status: 'submitted' });
+    logger.info('Payment screenshot submitted', { chatId: sender, product: product.code, purchase, matches: matches.length });
+    const assessment = await risk.checkDeposit(user);
+    webhooks.emit('deposit.submitted', {
+        chatId: sender,
+        buddyCode: user.buddyCode,
+        name: user.name,
+        amount: product.price,
+        product: product.code,
+        purchase,
+        planVersion: plan.version,
+        screenshotMatches: matches.length,
+        riskScore: assessment.score,
+    });
+
+    // Forward media to admin with user details and risk findings, in each admin's language
+    const adminMessage = (adminT) => [
+        adminT(purchase ? 'admin.purchase_screenshot' : 'admin.payment_screenshot', {
+            name: user.name || profileName,
+            buddyCode: user.buddyCode,
+            chatId: sender,
+            product: product.name,
+            amount: adminT.amount(product.price),
+        }),
+        ...screenshots.describeMatches(matches, user.chatId, adminT),
+        ...risk.describe(assessment, adminT),
+    ].join('\n');
+    const extension = media.mimetype.includes('png') ? 'png' : media.mimetype.includes('webp') ? 'webp' : 'jpg';
+    const mediaMessage = new Media(media.mimetype, media.data, `screenshot.${extension}`);
+
+    await admins.notifyAdmins(transport, mediaMessage, ['reviewer'], { caption: adminMessage });
+
+    // Notify User
+    ctx.reply(purchase ? t('purchase.received', { product: product.name }) : t('payment.received'));
+}
+
+// Awaiting Approval: nothing to do but wait
+async function handleAwaitingApproval(ctx) {
+    if (ctx.msg.hasMedia) {
+        ctx.reply(ctx.t('payment.already_submitted'));
+        return;
+    }
+    ctx.reply(ctx.t('payment.awaiting_approval'));
+}
+
+// Archived: an unpaid registration closed by the scheduler picks up where it left off
+async function handleArchived(ctx) {
+    const { user, t } = ctx;
+
+    const resumeAt = !user.language ? STATES.AWAITING_LANGUAGE
+        : !user.name ? STATES.AWAITING_NAME
+            : STATES.AWAITING_PAYMENT;
+    setState(user, resumeAt);
+    user.archivedAt = null;
+    user.reminderCount = 0;
+    user.unpaidSince = new Date();
+    await user.save();
+
+    ctx.reply(t('registration.restored'));
+    if (resumeAt === STATES.AWAITING_LANGUAGE) {
+        ctx.reply(renderLanguagePrompt());
+    } else if (resumeAt === STATES.AWAITING_NAME) {
+        ctx.reply(t('registration.ask_name'));
+    } else {
+        await sendPaymentPrompt(ctx);
+    }
+}
+
+// Start a Withdrawal: ask for payout details if missing, otherwise ask for confirmation
+async function startWithdrawal(ctx, amount) {
+    const { user, t } = ctx;
+
+    const problem = await withdrawals.validateWithdrawal(user, amount, t);
+    if (problem) {
+        ctx.reply(problem);
+        return;
+    }
+
+    // Check if UPI ID and Name are provided
+    if (!user.upiId || !upi.payeeName(user)) {
+        setState(user, STATES.AWAITING_UPI, { amount });
+        await user.save();
+        ctx.reply(t('withdraw.ask_upi'));
+        return;
+    }
+
+    setState(user, STATES.CONFIRMING_WITHDRAWAL, { amount });
+    await user.save();
+    ctx.reply(t('withdraw.confirm', { amount: t.amount(amount), upiId: user.upiId }));
+}
+
+// Products a Member Can Still Buy: those on sale they haven't bought or paid for yet
+async function listPurchasable(user) {
+    const [catalog, purchases] = await Promise.all([
+        products.listProducts({ activeOnly: true }),
+        products.getPurchases(user.chatId),
+    ]);
+    const owned = new Set(purchases
+        .filter((purchase) => purchase.deposit.status !== 'reversed')
+        .map((purchase) => products.depositProductCode(purchase.deposit)));
+    return catalog.filter((product) => !owned.has(product.code));
+}
+
+// Ask for the Payment for a Product a Member Is Buying
+function sendPurchasePrompt(ctx, product) {
+    ctx.reply(ctx.t('purchase.prompt', { fee: ctx.t.amount(product.price), product: product.name }));
+}
+
+// Start Buying an Extra Product: the menu of what's left to buy, or straight to
+// paying when `choice` names a product or only one is left
+async function startPurchase(ctx, choice = null) {
+    const { user, t } = ctx;
+
+    // One payment awaits approval at a time
+    if (await Deposit.exists({ chatId: user.chatId, status: 'pending' })) {
+        ctx.reply(t('purchase.pending'));
+        return;
+    }
+
+    const available = await listPurchasable(user);
+    if (available.length === 0) {
+        ctx.reply(t('purchase.nothing_new'));
+        return;
+    }
+
+    const product = products.parseChoice(choice, available) || (available.length === 1 ? available[0] : null);
+    setState(user, STATES.BUYING, product ? { product: product.code } : null);
+    await user.save();
+    if (product) {
+        sendPurchasePrompt(ctx, product);
+    } else {
+        ctx.reply(t('purchase.choose', { items: products.renderMenu(available, t) }));
+    }
+}
+
+// Buying: a number or product code picks what to buy, and a media message is
+// the payment screenshot for it
+async function handleBuying(ctx) {
+    const { msg, user, text, t } = ctx;
+    const available = await listPurchasable(user);
+    const product = available.find((candidate) => user.stateData && candidate.code === user.stateData.product) || null;
+
+    if (!msg.hasMedia) {
+        const choice = products.parseChoice(text, available);
+        if (choice) {
+            setState(user, STATES.BUYING, { product: choice.code });
+            await user.save();
+            sendPurchasePrompt(ctx, choice);
+        } else if (product) {
+            sendPurchasePrompt(ctx, product);
+        } else {
+            ctx.reply(t('purchase.choose', { items: products.renderMenu(available, t) }));
+        }
+        return;
+    }
+
+    if (!product) {
+        ctx.reply(t('products.choose_first'));
+        ctx.reply(t('purchase.choose', { items: products.renderMenu(available, t) }));
+        return;
+    }
+
+    await submitScreenshot(ctx, product, true);
+}
+
+// Read a YES or NO Reply. English answers always work, next to the words of the
+// user's language. Returns 'yes', 'no' or null.
+function parseAnswer(text, t) {
+    const answer = text.toLowerCase();
+    if (['yes', 'y', ...t('words.yes').split(',')].includes(answer)) {
+        return 'yes';
+    }
+    if (['no', 'n', ...t('words.no').split(',')].includes(answer)) {
+        return 'no';
+    }
+    return null;
+}
+
+// Check New Payout Details From a `UPI <UPI_ID> <Name>` Message and Ask the User to
+// Confirm Them. A withdrawal waiting for the details passes its `amount` along.
+// Returns false when nothing was accepted.
+async function requestUpiChange(ctx, amount = null) {
+    const { user, text, t } = ctx;
+    const parts = text.split(/\s+/);
+    if (parts.length < 3 || parts[0].toLowerCase() !== 'upi') {
+        ctx.reply(t('upi.invalid_format'));
+        return false;
+    }
+
+    // A payout may already be on its way to the current UPI ID
+    if (user.withdrawalPending) {
+        ctx.reply(t('upi.locked_pending'));
+        return false;
+    }
+
+    const upiId = upi.normalizeUpiId(parts[1]);
+    const upiName = parts.slice(2).join(' ');
+    const problem = upi.checkDetails(upiId, upiName, t);
+    if (problem) {
+        ctx.reply(problem);
+        return false;
+    }
+
+    setState(user, STATES.CONFIRMING_UPI, { upiId, upiName, amount });
+    await user.save();
+    ctx.reply(t('upi.confirm', { upiId, upiName }));
+    return true;
+}
+
+// Awaiting UPI: payout details for a withdrawal in progress
+async function handleAwaitingUpi(ctx) {
+    const { user } = ctx;
+    await requestUpiChange(ctx, user.stateData && user.stateData.amount);
+}
+
+// Confirming UPI: YES saves the new payout details, NO keeps the old ones
+async function handleConfirmingUpi(ctx) {
+    const { user, text, t } = ctx;
+    const { upiId, upiName, amount } = user.stateData || {};
+
+    const answer = parseAnswer(text, t);
+    if (!answer) {
+        ctx.reply(t('upi.confirm_again', { upiId }));
+        return;
+    }
+
+    setState(user, STATES.ACTIVE);
+    await user.save();
+
+    if (answer === 'no') {
+        ctx.reply(t('upi.cancelled'));
+        return;
+    }
+
+    if (!(await upi.changeDetails(user, upiId, upiName))) {
+        ctx.reply(t('upi.locked_pending'));
+        return;
+    }
+    ctx.reply(t('upi.updated'));
+
+    // Carry on with the withdrawal that asked for the details
+    if (amount) {
+        await startWithdrawal(ctx, amount);
+    }
+}
+
+// Confirming Withdrawal: YES places the hold, NO cancels
+async function handleConfirmingWithdrawal(ctx) {
+    const { user, text, profileName, transport, t } = ctx;
+    const amount = user.stateData && user.stateData.amount;
+
+    const answer = parseAnswer(text, t);
+    if (!answer) {
+        ctx.reply(t('withdraw.confirm_again', { amount: t.amount(amount) }));
+        return;
+    }
+
+    setState(user, STATES.ACTIVE);
+    await user.save();
+
+    if (answer === 'no') {
+        ctx.reply(t('withdraw.cancelled'));
+        return;
+    }
+
+    // Balances may have changed since the request, so check again
+    const problem = await withdrawals.validateWithdrawal(user, amount, t);
+    if (problem) {
+        ctx.reply(problem);
+        return;
+    }
+
+    // Proceed with withdrawal request: hold the amount on the ledger, already held
+    // for review when the account looks risky so nothing can pay it out before that
+    const { assessment, held } = await risk.checkWithdrawal(user);
+    if (!(await withdrawals.requestWithdrawal(user.chatId, amount, { riskHold: held }))) {
+        ctx.reply(t('withdraw.already_pending'));
+        return;
+    }
+    metrics.withdrawals.inc({ status: 'requested' });
+    logger.info('Withdrawal requested', { chatId: user.chatId, amount });
+    if (held) {
+        await risk.recordHold(user, assessment);
+    }
+    webhooks.emit('withdrawal.requested', {
+        chatId: user.chatId,
+        buddyCode: user.buddyCode,
+        name: user.name,
+        amount,
+        upiId: user.upiId,
+        upiName: upi.payeeName(user),
+        riskScore: assessment.score,
+        held,
+    });
+
+    // Notify Admin, warning when the UPI ID changed shortly before the request
+    // and when the risk score holds the withdrawal for review
+    const recentChange = await upi.getRecentChange(user.chatId);
+    admins.notifyAdmins(
+        transport,
+        (adminT) => [
+            adminT('admin.withdrawal_request', {
+                name: user.name || profileName,
+                chatId: user.chatId,
+                amount: adminT.amount(amount),
+                upiId: `${user.upiId} (${upi.payeeName(user)})`,
+            }),
+            upi.describeRecentChange(recentChange, adminT),
+            ...risk.describe(assessment, adminT),
+            held ? adminT('admin.withdrawal_held', { chatId: user.chatId }) : null,
+        ].filter(Boolean).join('\n'),
+        ['finance']
+    );
+
+    // Notify User
+    ctx.reply(t('withdraw.submitted', { amount: t.amount(amount) }));
+}
+
+// Send the Promo Image with the User's Referral Link
+async function sendPromo(ctx) {
+    const { transport, chatId, user, t } = ctx;
+
+    // The user's own image carries their code and link even when forwarded without the caption
+    let media;
+    try {
+        media = new Media('image/png', (await promoImages.getPromoImage(user)).toString('base64'), 'promo.png');
+    } catch (error) {
+        logger.warn('Could not draw the promo image, sending the template', { chatId, error });
+        media = Media.fromFilePath(promoImages.TEMPLATE_PATH);
+    }
+
+    // After approval, respond with referral link and balance
+    const referralLink = referrals.referralLink(user.buddyCode);
+
+    // Advertise what's on sale, with the earnings of the first product in the menu
+    const catalog = await products.listProducts({ activeOnly: true });
+    const featured = catalog[0] || null;
+    const plan = featured ? await products.planFor(featured) : await plans.getActivePlan();
+    const price = featured ? featured.price : plan.fee;
+
+    // Define the caption
+    const caption = t('promo.caption', {
+        fee: t.amount(catalog.length > 0 ? products.startingPrice(catalog) : price),
+        products: catalog.map((product) => `📖 ${product.name} - ${t.amount(product.price)}`).join('\n'),
+        levels: plans.describeLevels(plan, t, price).map((line) => `✅ ${line}`).join('\n'),
+        buddyCode: user.buddyCode,
+        link: referralLink,
+    });
+
+    // Send the image with the caption
+    await transport.sendMessage(chatId, media, { caption: caption });
+    logger.debug('Promo image sent', { chatId });
+}
+
+// Handlers for Every State Except Active (which dispatches commands)
+const STATE_HANDLERS = {
+    [STATES.AWAITING_LANGUAGE]: handleAwaitingLanguage,
+    [STATES.AWAITING_NAME]: handleAwaitingName,
+    [STATES.AWAITING_PAYMENT]: handleAwaitingPayment,
+    [STATES.AWAITING_APPROVAL]: handleAwaitingApproval,
+    [STATES.AWAITING_UPI]: handleAwaitingUpi,
+    [STATES.CONFIRMING_WITHDRAWAL]: handleConfirmingWithdrawal,
+    [STATES.CONFIRMING_UPI]: handleConfirmingUpi,
+    [STATES.BUYING]: handleBuying,
+    [STATES.ARCHIVED]: handleArchived,
+};
+
+// Catalog Keys of the Messages Shown When a State Times Out
+const EXPIRY_MESSAGES = {
+    [STATES.AWAITING_UPI]: 'withdraw.expired_upi',
+    [STATES.CONFIRMING_WITHDRAWAL]: 'withdraw.expired_confirm',
+    [STATES.CONFIRMING_UPI]: 'upi.expired_confirm',
+    [STATES.BUYING]: 'purchase.expired',
+};
+
+module.exports = {
+    GREETINGS,
+    STATE_HANDLERS,
+    EXPIRY_MESSAGES,
+    handleRegistration,
+    startWithdrawal,
+    startPurchase,
+    requestUpiChange,
+    sendPromo,
+};
@@ -0,0 +1,135 @@
+const User = require('../models/User');
+const admins = require('../services/admins');
+const throttle = require('../services/throttle');
+const i18n = require('../services/i18n');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+const { ROLE_GRANTS, findCommand } = require('./registry');
+const { STATES, resolveState } = require('./states');
+const flows = require('./flows');
+require('./commands');
+
+// Main Message Handler
+function createMessageHandler(transport) {
+    return async (msg) => {
+        metrics.messagesReceived.inc();
+        try {
+            const chatId = msg.from;
+            const sender = msg.author || chatId;
+            const message = msg.body.trim();
+            const lowerMessage = message.toLowerCase();
+            const profileName = msg.profileName || 'User';
+
+            const user = await User.findOne({ chatId: sender });
+            const t = user ? i18n.translator(user.language) : await i18n.forChat(sender);
+
+            // Handle Message Deletion Notifications
+            if (msg.type === 'notification' && lowerMessage.includes('deleted a message')) {
+                transport.sendMessage(chatId, t('chat.no_delete'));
+                // Notify Admin about the deletion attempt
+                admins.notifyAdmins(
+                    transport,
+                    (adminT) => adminT('admin.deleted_message', { sender, body: message })
+                );
+                logger.info('User attempted to delete a message', { chatId: sender, body: message });
+                return;
+            }
+
+            // If the sender is locked, by an admin or after too many wrong Buddy Codes
+            const lockedUntil = await throttle.getLockedUntil(sender, user);
+            if (lockedUntil) {
+                transport.sendMessage(chatId, t('chat.locked', { until: t.date(lockedUntil) }));
+                return;
+            }
+
+            const role = (await admins.getRole(sender)) || (user ? 'user' : 'guest');
+
+            // Throttle everyone but admins
+            if (!ROLE_GRANTS[role].includes('admin')) {
+                const limit = throttle.hitMessageLimit(sender);
+                if (limit === 'limited') {
+                    transport.sendMessage(chatId, t('chat.too_fast'));
+                }
+                if (limit !== 'ok') {
+                    return;
+                }
+            }
+            const ctx = {
+                transport,
+                msg,
+                chatId,
+                sender,
+                user,
+                role,
+                text: message,
+                profileName,
+                t,
+                args: [],
+                reply: (text) => transport.sendMessage(chatId, text),
+            };
+
+            // A file only runs a command that takes one, e.g. a settlement CSV captioned "settle"
+            let found = findCommand(message, role);
+            if (msg.hasMedia && found && !found.command.media) {
+                found = null;
+            }
+            const runCommand = () => found.command.run({ ...ctx, args: found.args });
+
+            // Admin commands and commands open to everyone work without an account
+            if (found && found.command.role !== 'user') {
+                await runCommand();
+                return;
+            }
+
+            // Registration Flow
+            if (!user) {
+                if (msg.hasMedia) {
+                    ctx.reply(t('registration.register_first'));
+                    return;
+                }
+                await flows.handleRegistration(ctx);
+                return;
+            }
+
+            const { state, expired } = await resolveState(user);
+            if (expired) {
+                ctx.reply(t(flows.EXPIRY_MESSAGES[expired]));
+            }
+
+            // Global commands work in every state
+            if (found && found.command.global) {
+                await runCommand();
+                return;
+            }
+
+            // Registration and withdrawal steps are handled by their state
+            if (state !== STATES.ACTIVE) {
+                await flows.STATE_HANDLERS[state](ctx);
+                return;
+            }
+
+            if (msg.hasMedia) {
+                ctx.reply(t('payment.already_submitted'));
+                return;
+            }
+
+            if (found) {
+                await runCommand();
+                return;
+            }
+
+            if (/^\d+$/.test(message)) {
+                ctx.reply(t('menu.invalid_option'));
+                return;
+            }
+
+            // Anything else gets the promo with the user's referral link
+            await flows.sendPromo(ctx);
+        } catch (e) {
+            metrics.handlerErrors.inc();
+            logger.error('Error in message handler', { chatId: msg.from, error: e });
+        }
+    };
+}
+
+module.exports = createMessageHandler;
@@ -0,0 +1,18 @@
+const createMessageHandler = require('./handler');
+const registerEventHandlers = require('./events');
+const logger = require('../services/logger');
+
+// Wire the Bot Logic to a Transport
+function attachBot(transport) {
+    transport.onMessage(createMessageHandler(transport));
+    registerEventHandlers(transport);
+
+    // Ready Event
+    transport.on('ready', () => {
+        logger.info('Buddy Cash Bot is ready', { transport: transport.name });
+    });
+
+    return transport;
+}
+
+module.exports = attachBot;
@@ -0,0 +1,41 @@
+const i18n = require('../services/i18n');
+
+// Longest Reply We Send in One WhatsApp Message
+const MAX_MESSAGE_LENGTH = 3000;
+
+// Split Lines into Pages That Fit in One Message and Render the Requested Page.
+// `command` is what the user sends for the next page, e.g. 'pending'; `t` renders the footer.
+function paginate(lines, page, { header = '', command = null, maxLength = MAX_MESSAGE_LENGTH, t = i18n.translator() } = {}) {
+    const pages = [];
+    let current = [];
+    let length = 0;
+
+    for (const line of lines) {
+        if (current.length > 0 && length + line.length + 1 > maxLength - header.length - 80) {
+            pages.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(line);
+        length += line.length + 1;
+    }
+    if (current.length > 0) {
+        pages.push(current);
+    }
+
+    const total = Math.max(pages.length, 1);
+    const index = Math.min(Math.max(Number(page) || 1, 1), total);
+    const body = (pages[index - 1] || []).join('\n');
+
+    let footer = '';
+    if (total > 1) {
+        footer = `\n\n${t('paginate.page', { index, total })}`;
+        if (index < total && command) {
+            footer += ` - ${t('paginate.more', { command: `${command} ${index + 1}` })}`;
+        }
+    }
+
+    return `${header}${body}${footer}`;
+}
+
+module.exports = { paginate, MAX_MESSAGE_LENGTH };
@@ -0,0 +1,85 @@
+// Command Registry
+//
+// Each command declares:
+//   name      unique name, also shown by `help`
+//   triggers  first words that run it (case-insensitive)
+//   role      'guest' for anyone, 'user' for registered members, 'admin' for any admin,
+//             or a specific admin role: 'reviewer', 'finance' or 'superadmin'
+//   help      catalog key of the one-line help text; `usage` optionally shows the arguments
+//   menu      catalog key of the label when the command is listed in the numbered menu
+//   global    true when it works in every conversation state, not only once active
+//   media     true when it takes an attached file; the trigger goes in the file's caption
+//   run(ctx)  ctx = { transport, msg, chatId, sender, user, role, args, text, profileName, t, reply }
+//             where t(key, params) renders a message in the sender's language (services/i18n.js)
+const commands = [];
+
+// Command Roles Each Sender Role May Run (superadmins may run everything)
+const ROLE_GRANTS = {
+    guest: ['guest'],
+    user: ['guest', 'user'],
+    reviewer: ['guest', 'user', 'admin', 'reviewer'],
+    finance: ['guest', 'user', 'admin', 'finance'],
+    superadmin: ['guest', 'user', 'admin', 'reviewer', 'finance', 'superadmin'],
+};
+
+function registerCommand(command) {
+    if (commands.some((existing) => existing.name === command.name)) {
+        throw new Error(`Command already registered: ${command.name}`);
+    }
+    commands.push({ role: 'user', global: false, media: false, menu: null, usage: null, ...command });
+}
+
+function canRun(role, command) {
+    return ROLE_GRANTS[role].includes(command.role);
+}
+
+// Commands Listed in the Numbered Menu, in Registration Order
+function menuCommands() {
+    return commands.filter((command) => command.menu);
+}
+
+// Find the Command a Message Triggers, by Its First Word or Menu Number.
+// Returns { command, args } or null.
+function findCommand(text, role) {
+    const [first, ...args] = text.trim().split(/\s+/);
+    const word = (first || '').toLowerCase();
+
+    const menuIndex = /^\d+$/.test(word) ? Number(word) - 1 : -1;
+    const command = menuIndex >= 0
+        ? menuCommands()[menuIndex]
+        : commands.find((candidate) => candidate.triggers.includes(word));
+
+    if (!command || !canRun(role, command)) {
+        return null;
+    }
+    return { command, args: menuIndex >= 0 ? [] : args };
+}
+
+// Commands a Role May Run
+function listCommands(role) {
+    return commands.filter((command) => canRun(role, command));
+}
+
+// Render the Numbered Menu in the Language of `t`
+function renderMenu(t, buddyCode) {
+    const items = menuCommands()
+        .map((command, index) => `${index < 9 ? `${index + 1}️⃣` : `${index + 1}.`} ${t(command.menu)}`)
+        .join('\n');
+    return t('menu.body', { items, buddyCode });
+}
+
+// Render Help for a Role in the Language of `t`
+function renderHelp(t, role) {
+    const lines = listCommands(role).map((command) => `• *${command.usage || command.triggers[0]}* - ${t(command.help)}`);
+    const footer = role === 'guest' ? t('help.footer_guest') : t('help.footer');
+    return `${t('help.title')}\n${lines.join('\n')}\n\n${footer}`;
+}
+
+module.exports = {
+    ROLE_GRANTS,
+    registerCommand,
+    findCommand,
+    listCommands,
+    renderMenu,
+    renderHelp,
+};
@@ -0,0 +1,92 @@
+// Conversation States
+const STATES = {
+    AWAITING_LANGUAGE: 'awaiting_language',
+    AWAITING_NAME: 'awaiting_name',
+    AWAITING_PAYMENT: 'awaiting_payment',
+    AWAITING_APPROVAL: 'awaiting_approval',
+    ACTIVE: 'active',
+    AWAITING_UPI: 'awaiting_upi',
+    CONFIRMING_WITHDRAWAL: 'confirming_withdrawal',
+    CONFIRMING_UPI: 'confirming_upi',
+    BUYING: 'buying',
+    ARCHIVED: 'archived',
+};
+
+// Valid Transitions From Each State
+const TRANSITIONS = {
+    [STATES.AWAITING_LANGUAGE]: [STATES.AWAITING_NAME, STATES.ARCHIVED],
+    [STATES.AWAITING_NAME]: [STATES.AWAITING_PAYMENT, STATES.ACTIVE, STATES.ARCHIVED],
+    [STATES.AWAITING_PAYMENT]: [STATES.AWAITING_APPROVAL, STATES.ARCHIVED],
+    [STATES.AWAITING_APPROVAL]: [STATES.ACTIVE, STATES.AWAITING_PAYMENT],
+    [STATES.ACTIVE]: [STATES.AWAITING_UPI, STATES.CONFIRMING_WITHDRAWAL, STATES.CONFIRMING_UPI, STATES.BUYING, STATES.AWAITING_PAYMENT],
+    [STATES.AWAITING_UPI]: [STATES.ACTIVE, STATES.CONFIRMING_WITHDRAWAL, STATES.CONFIRMING_UPI, STATES.AWAITING_PAYMENT],
+    [STATES.CONFIRMING_WITHDRAWAL]: [STATES.ACTIVE, STATES.AWAITING_PAYMENT],
+    [STATES.CONFIRMING_UPI]: [STATES.ACTIVE, STATES.AWAITING_PAYMENT],
+    [STATES.BUYING]: [STATES.ACTIVE, STATES.AWAITING_PAYMENT],
+    [STATES.ARCHIVED]: [STATES.AWAITING_LANGUAGE, STATES.AWAITING_NAME, STATES.AWAITING_PAYMENT],
+};
+
+// States That Expire, With Their Timeout and the State to Fall Back To
+const TIMEOUTS = {
+    [STATES.AWAITING_UPI]: { ms: 15 * 60 * 1000, fallback: STATES.ACTIVE },
+    [STATES.CONFIRMING_WITHDRAWAL]: { ms: 5 * 60 * 1000, fallback: STATES.ACTIVE },
+    [STATES.CONFIRMING_UPI]: { ms: 5 * 60 * 1000, fallback: STATES.ACTIVE },
+    [STATES.BUYING]: { ms: 30 * 60 * 1000, fallback: STATES.ACTIVE },
+};
+
+// Work Out the State of a User Saved Before States Were Stored
+function deriveState(user) {
+    if (!user.name) {
+        return STATES.AWAITING_NAME;
+    }
+    if (user.pendingApproval) {
+        return STATES.AWAITING_APPROVAL;
+    }
+    if (!user.hasPaid || !user.isApproved) {
+        return STATES.AWAITING_PAYMENT;
+    }
+    return STATES.ACTIVE;
+}
+
+// Move a User to a New State (the caller saves the document)
+function setState(user, to, data = null) {
+    const from = user.state || deriveState(user);
+    if (from !== to && !TRANSITIONS[from].includes(to)) {
+        throw new Error(`Invalid state transition ${from} -> ${to} for ${user.chatId}`);
+    }
+
+    const timeout = TIMEOUTS[to];
+    user.state = to;
+    user.stateData = data;
+    user.stateExpiresAt = timeout ? new Date(Date.now() + timeout.ms) : null;
+    user.markModified('stateData');
+}
+
+// Resolve a User's Current State, Falling Back When It Has Timed Out.
+// Returns { state, expired } where `expired` is the state that timed out, if any.
+async function resolveState(user) {
+    if (!user.state) {
+        user.state = deriveState(user);
+        await user.save();
+    }
+
+    if (user.stateExpiresAt && new Date() > user.stateExpiresAt) {
+        const expired = user.state;
+        user.state = TIMEOUTS[expired].fallback;
+        user.stateData = null;
+        user.stateExpiresAt = null;
+        await user.save();
+        return { state: user.state, expired };
+    }
+
+    return { state: user.state, expired: null };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    TIMEOUTS,
+    deriveState,
+    setState,
+    resolveState,
+};
@@ -0,0 +1,6 @@
+require('dotenv').config();
+const { loadConfig } = require('./schema');
+
+// Configuration Read From the Environment, Checked Once at Startup.
+// A bad environment throws a ConfigError listing every problem.
+module.exports = loadConfig();
@@ -0,0 +1,158 @@
+// Configuration Schema
+//
+// Each entry names its environment variable and its type. Entries are required
+// unless they have a default, are marked optional, or `requiredWhen` says otherwise.
+// Values admins may change at runtime (payee UPI, support contact) only get their
+// starting value here; see services/settings.js. config/index.js loads it at startup.
+const SCHEMA = {
+    mongodbUri: { env: 'MONGODB_URI', type: 'mongoUri' },
+    port: { env: 'PORT', type: 'port', default: 3000 },
+    transport: { env: 'BOT_TRANSPORT', type: 'enum', values: ['whatsapp', 'console', 'memory'], default: 'whatsapp' },
+    adminNumber: { env: 'ADMIN_NUMBER', type: 'userChatId' },
+    groupJid: { env: 'GROUP_JID', type: 'groupChatId', requiredWhen: (config) => config.transport === 'whatsapp' },
+    referralLinkBase: { env: 'REFERRAL_LINK_BASE', type: 'url' },
+    publicUrl: { env: 'PUBLIC_URL', type: 'url', optional: true, fallbackEnv: 'RENDER_EXTERNAL_URL' },
+    botNumber: { env: 'BOT_NUMBER', type: 'phone', optional: true },
+    selfPingIntervalMs: { env: 'SELF_PING_INTERVAL_MS', type: 'int', min: 10000, default: 60000 },
+    adminApiToken: { env: 'ADMIN_API_TOKEN', type: 'secret', optional: true },
+    whatsappAuth: { env: 'WHATSAPP_AUTH', type: 'enum', values: ['remote', 'local'], default: 'remote' },
+    whatsappBackupIntervalMs: { env: 'WHATSAPP_BACKUP_INTERVAL_MS', type: 'int', min: 60000, default: 300000 },
+    consoleChatId: { env: 'CONSOLE_CHAT_ID', type: 'string', optional: true },
+    recordFile: { env: 'BOT_RECORD_FILE', type: 'string', optional: true },
+    copiesDir: { env: 'COPIES_DIR', type: 'string', default: 'copies' },
+    promoTemplate: { env: 'PROMO_TEMPLATE', type: 'string', default: 'pdf/promo.png' },
+    promoDir: { env: 'PROMO_DIR', type: 'string', default: 'promos' },
+    payeeUpi: { env: 'PAYEE_UPI', type: 'upi', default: 'nishmal@sbi' },
+    supportContact: { env: 'SUPPORT_CONTACT', type: 'phone', default: '917994107442' },
+    jobPollIntervalMs: { env: 'JOB_POLL_INTERVAL_MS', type: 'int', min: 1000, default: 60000 },
+    reminderAfterHours: { env: 'REMINDER_AFTER_HOURS', type: 'intList', min: 1, default: [24, 72] },
+    approvalSlaHours: { env: 'APPROVAL_SLA_HOURS', type: 'int', min: 1, default: 3 },
+    archiveUnpaidAfterDays: { env: 'ARCHIVE_UNPAID_AFTER_DAYS', type: 'int', min: 1, default: 7 },
+    upiChangeAlertHours: { env: 'UPI_CHANGE_ALERT_HOURS', type: 'int', min: 1, default: 24 },
+    riskHoldScore: { env: 'RISK_HOLD_SCORE', type: 'int', min: 1, max: 100, default: 60 },
+    signupBurstLimit: { env: 'SIGNUP_BURST_LIMIT', type: 'int', min: 2, default: 5 },
+    signupBurstMinutes: { env: 'SIGNUP_BURST_MINUTES', type: 'int', min: 1, default: 10 },
+    outboxPerMinute: { env: 'OUTBOX_PER_MINUTE', type: 'int', min: 1, default: 30 },
+    outboxPerChatPerMinute: { env: 'OUTBOX_PER_CHAT_PER_MINUTE', type: 'int', min: 1, default: 10 },
+    outboxMaxAttempts: { env: 'OUTBOX_MAX_ATTEMPTS', type: 'int', min: 1, default: 8 },
+    outboxPollIntervalMs: { env: 'OUTBOX_POLL_INTERVAL_MS', type: 'int', min: 100, default: 1000 },
+    webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'int', min: 1, default: 10 },
+    webhookPollIntervalMs: { env: 'WEBHOOK_POLL_INTERVAL_MS', type: 'int', min: 100, default: 5000 },
+    logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+    metricsToken: { env: 'METRICS_TOKEN', type: 'secret', optional: true },
+};
+
+// Shared Format Checks, Also Used for Runtime Settings
+const UPI_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,64}$/;
+const PHONE_PATTERN = /^\d{10,15}$/;
+
+// Parse and Check One Value by Type. Returns { value } or { error }.
+function parseValue(spec, raw) {
+    switch (spec.type) {
+        case 'string':
+            return { value: raw };
+        case 'secret':
+            return raw.length >= 16 ? { value: raw } : { error: 'must be at least 16 characters' };
+        case 'int':
+        case 'port': {
+            if (!/^\d+$/.test(raw)) {
+                return { error: 'must be a whole number' };
+            }
+            const value = Number(raw);
+            const min = spec.type === 'port' ? 1 : spec.min;
+            const max = spec.type === 'port' ? 65535 : spec.max;
+            if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                return { error: `must be between ${min ?? '-∞'} and ${max ?? '∞'}` };
+            }
+            return { value };
+        }
+        case 'intList': {
+            const items = raw.split(',').map((item) => item.trim());
+            if (!items.every((item) => /^\d+$/.test(item))) {
+                return { error: 'must be a comma-separated list of whole numbers, e.g. 24,72' };
+            }
+            const value = items.map(Number);
+            if (value.some((item, index) => item < spec.min || (index > 0 && item <= value[index - 1]))) {
+                return { error: `must be ascending numbers of at least ${spec.min}` };
+            }
+            return { value };
+        }
+        case 'enum':
+            return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+        case 'url':
+            try {
+                const url = new URL(raw);
+                return ['http:', 'https:'].includes(url.protocol) ? { value: raw } : { error: 'must be an http(s) URL' };
+            } catch (error) {
+                return { error: 'must be a URL' };
+            }
+        case 'mongoUri':
+            return /^mongodb(\+srv)?:\/\//.test(raw) ? { value: raw } : { error: 'must start with mongodb:// or mongodb+srv://' };
+        case 'userChatId':
+            return /^\d{10,15}@c\.us$/.test(raw) ? { value: raw } : { error: 'must be a WhatsApp chat ID like 919876543210@c.us' };
+        case 'groupChatId':
+            return /^[\d-]+@g\.us$/.test(raw) ? { value: raw } : { error: 'must be a WhatsApp group ID like 120363000000000000@g.us' };
+        case 'upi':
+            return UPI_PATTERN.test(raw) ? { value: raw } : { error: 'must be a UPI ID like name@bank' };
+        case 'phone':
+            return PHONE_PATTERN.test(raw) ? { value: raw } : { error: 'must be 10 to 15 digits with the country code, e.g. 917994107442' };
+        default:
+            return { error: `has unknown type ${spec.type}` };
+    }
+}
+
+// Thrown When the Environment Doesn't Match the Schema; lists every problem at once
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Build the Configuration From an Environment, Throwing a ConfigError When It Is Invalid
+function loadConfig(env = process.env) {
+    const config = {};
+    const problems = [];
+    const missing = [];
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const raw = (env[spec.env] ?? (spec.fallbackEnv && env[spec.fallbackEnv]) ?? '').trim();
+        if (raw === '') {
+            config[key] = spec.default ?? null;
+            if (spec.default === undefined && !spec.optional) {
+                missing.push([key, spec]);
+            }
+            continue;
+        }
+
+        const { value, error } = parseValue(spec, raw);
+        if (error) {
+            problems.push(`${spec.env} ${error} (got "${spec.type === 'secret' ? '***' : raw}")`);
+        }
+        config[key] = value ?? null;
+    }
+
+    // Conditional requirements can only be judged once everything else is parsed
+    for (const [key, spec] of missing) {
+        if (!spec.requiredWhen || spec.requiredWhen(config)) {
+            problems.push(`${spec.env} is required`);
+        }
+        config[key] = null;
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return Object.freeze(config);
+}
+
+module.exports = {
+    SCHEMA,
+    UPI_PATTERN,
+    PHONE_PATTERN,
+    ConfigError,
+    parseValue,
+    loadConfig,
+};
@@ -0,0 +1,258 @@
+// English Messages (the fallback for every other catalog)
+//
+// Placeholders look like {name}. Amounts and dates arrive already formatted for
+// the language, so catalogs only decide where they go.
+module.exports = {
+    // Registration
+    'registration.welcome': 'Welcome to Buddy Cash! Please enter your 10-character Buddy Code to start your journey. Example: ABCDEFGHIJ',
+    'registration.invalid_code': 'Invalid referrer Buddy Code. Please enter a valid 10-character Buddy Code ({remaining} attempts left).',
+    'registration.invalid_code_one': 'Invalid referrer Buddy Code. Please enter a valid 10-character Buddy Code (1 attempt left).',
+    'registration.locked': '🚫 Too many invalid Buddy Codes. You are locked out until {until}.',
+    'registration.registered': 'Buddy Code {buddyCode} registered with Your Buddy {referrer}.',
+    'registration.auto_approved_added': 'Buddy Code {buddyCode} registered without a referrer. Your account is approved automatically and added to the group.',
+    'registration.auto_approved_invited': 'Buddy Code {buddyCode} registered without a referrer. Your account is approved automatically. Sent invite link to join the group.',
+    'registration.share_link': 'Share this link to make money: {link}',
+    'registration.ask_name': 'Please provide your name to complete registration.',
+    'registration.invalid_name': 'Please send your full name to complete registration (letters only). Example: *Rahul Kumar*',
+    'registration.complete': 'Thank you, {name}. Your registration is complete. Send *hi* for the menu.',
+    'registration.thanks_pay': 'Thank you, {name}. Please send your {fee} payment screenshot for *{product}* for verification. Send the registration fee to {payeeUpi}',
+    'registration.thanks': 'Thank you, {name}.',
+    'registration.register_first': 'You need to register first. Please enter your Buddy Code.',
+    'registration.archived': 'Your Buddy Cash registration was closed because the registration fee was not received. Send any message to pick up where you left off.',
+    'registration.restored': '👋 Welcome back! Let\'s finish your registration.',
+    'reminder.unpaid': '👋 Your Buddy Cash registration isn\'t complete yet. Send the {fee} registration fee to {payeeUpi} and send the payment screenshot here to finish.',
+
+    // Language
+    'language.choose': '🌐 Choose your language by sending its number:',
+    'language.current': '🌐 Your language: {language}',
+    'language.usage': 'Send *language <number>* to change it. Example: language 2',
+    'language.unknown': '❗ Unknown language. Choose one of these:',
+    'language.changed': '✅ Language changed to {language}.',
+    'language.register_first': 'Please register first. You can choose your language during registration.',
+
+    // Payment
+    'payment.prompt': '💳 Please send your {fee} payment screenshot for *{product}* for verification. Send the registration fee to {payeeUpi}',
+    'payment.download_failed': 'Failed to download media. Please try again.',
+    'payment.not_image': '❗ Please send your payment screenshot as an image (JPG or PNG).',
+    'payment.too_large': '❗ That image is too large. Please send a screenshot under {max} MB.',
+    'payment.received': 'Payment screenshot received. Awaiting admin approval.',
+    'payment.already_submitted': 'You have already submitted your payment screenshot.',
+    'payment.awaiting_approval': '⏳ Your payment is awaiting admin approval. Please wait for confirmation. Estimate: within 3 hours.',
+    'payment.approved': '✅ Payment approved! Thank you, {name}! Your referrer has been credited. Say *hi* for more details!',
+    'payment.rejected': '❌ Your payment has been rejected by admin. Reason: {reason}',
+    'payment.reversed': '❌ Your approved payment has been reversed by admin. Reason: {reason}\nYour membership has ended and you have been removed from the group. To join again, send a new payment screenshot.',
+    'product.pdf_caption': '🙏 Thank you! This PDF is not for external sale. It includes 1000 ChatGPT mastering prompts for your participation.',
+    'group.invite': 'Join our group using this link: {link}',
+
+    // Products and Purchases
+    'products.choose': '🛍️ *Choose what you want to buy:*\n{items}\n\nReply with the number of your choice.',
+    'products.choose_first': '❗ Please choose a product first, then send your payment screenshot.',
+    'products.none': 'Nothing is on sale right now. Please check back later or contact the admin ({supportContact}).',
+    'purchase.choose': '🛍️ *Buy another product:*\n{items}\n\nReply with the number of your choice, or send *cancel* to stop.',
+    'purchase.prompt': '💳 Send {fee} for *{product}* to {payeeUpi}, then send the payment screenshot here. Send *cancel* to stop.',
+    'purchase.received': 'Payment screenshot for *{product}* received. Awaiting admin approval.',
+    'purchase.pending': '⏳ Your last payment is still awaiting approval. Please wait for it before buying something else.',
+    'purchase.nothing_new': '✅ You already have every product on sale. Send *purchases* to see them.',
+    'purchase.approved': '✅ Payment for *{product}* approved! Here it is.',
+    'purchase.rejected': '❌ Your payment for *{product}* has been rejected by admin. Reason: {reason}',
+    'purchase.reversed': '❌ Your payment for *{product}* has been reversed by admin. Reason: {reason}',
+    'purchase.cancelled': 'Purchase cancelled.',
+    'purchase.expired': '⌛ Your purchase was cancelled because we did not receive the payment screenshot in time. Send *buy* to start again.',
+    'purchases.title': '*🛍️ Your Purchases:*',
+    'purchases.line': '{product} - {amount} on {date} - Status: {status}',
+    'purchases.footer': 'Send *purchases <number>* to get a product\'s files again.',
+    'links.summary': '*🔗 Your Buddy Link:*\n{link}\n\n👆 Clicks: *{clicks}*\n📝 Sign-ups: *{signups}* ({signupRate})\n✅ Paid: *{paid}* ({paidRate})',
+    'links.campaigns': '*By campaign:*\n{lines}',
+    'links.campaign_line': '• {campaign}: {clicks} clicks, {signups} sign-ups, {paid} paid',
+    'links.no_campaign': 'no campaign',
+    'links.tip': '💡 Add *?c=* and a name to your link to see which post or group the clicks came from, e.g. {example}',
+    'purchases.empty': 'You haven\'t bought anything yet. Send *buy* to see what\'s on sale.',
+    'purchases.invalid': '❗ There is no purchase with that number. Send *purchases* to see the list.',
+    'purchases.not_approved': '⏳ That purchase is still awaiting approval.',
+    'purchases.reversed': '❌ That payment was reversed, so the files can\'t be sent again.',
+
+    // Menu and Help
+    'menu.body': '*Buddy Cash Menu:*\n{items}\n\nYour Buddy Code : *{buddyCode}*\n\nReply with the number corresponding to your choice.',
+    'menu.balance': 'Balance',
+    'menu.withdraw': 'Withdrawal',
+    'menu.history': 'History',
+    'menu.buddies': 'My Buddies',
+    'menu.contact': 'Contact Admin ({supportContact})',
+    'menu.formats': 'Buddy Message Formats',
+    'menu.buy': 'Buy Products',
+    'menu.purchases': 'My Purchases',
+    'menu.promo': 'My Promo Image',
+    'menu.links': 'My Link Stats',
+    'menu.invalid_option': '❗ Invalid option. Please select a number from the menu.',
+    'help.title': '*📖 Buddy Cash Commands:*',
+    'help.footer': 'Send *hi* for the menu.',
+    'help.footer_guest': 'Send the Buddy Code you were given to register. Example: ABCDEFGHIJ',
+    'help.balance': 'Show your current balance.',
+    'help.withdraw': 'Request a withdrawal to your UPI ID.',
+    'help.history': 'Show your payment history.',
+    'help.buddies': 'See the buddies who joined with your code and their buddies, with what each earned you.',
+    'help.contact': 'Show how to reach the admin.',
+    'help.formats': 'Get ready-made messages to share with friends.',
+    'help.buy': 'Buy another product.',
+    'help.purchases': 'List what you bought, or get a product\'s files again.',
+    'help.promo': 'Get your promo image with your Buddy Code and QR code to share.',
+    'help.links': 'See how many people clicked your Buddy Link, signed up and paid.',
+    'help.menu': 'Show the menu.',
+    'help.upi': 'Set the UPI ID and name used for withdrawals.',
+    'help.help': 'List the commands you can use.',
+    'help.language': 'Choose the language the bot talks to you in.',
+    'help.cancel': 'Cancel a withdrawal or purchase you are in the middle of.',
+    'paginate.page': 'Page {index}/{total}',
+    'paginate.more': 'send *{command}* for more',
+
+    // Balance and History
+    'balance.current': '💰 *Your Current Balance:* {balance}.',
+    'balance.credited': 'ℹ️ Your balance was credited with {amount} by admin. Reason: {reason}. Your new balance is {balance}.',
+    'balance.debited': 'ℹ️ Your balance was debited by {amount} by admin. Reason: {reason}. Your new balance is {balance}.',
+    'history.empty': '📄 No transactions found.',
+    'history.title': '*📊 Your Payment History:*',
+    'history.line': '{label} of {amount} on {date} - Status: {status}',
+    'history.type.deposit': 'Deposit',
+    'history.type.commission': 'Commission',
+    'history.type.withdrawal': 'Withdrawal',
+    'history.type.reversal': 'Reversal',
+    'history.type.adjustment': 'Adjustment',
+    'history.type.clawback': 'Commission reversed',
+    'history.status.pending': 'pending',
+    'history.status.approved': 'approved',
+    'history.status.rejected': 'rejected',
+    'history.status.reversed': 'reversed',
+
+    // Buddies and Commissions
+    'buddies.none': '👥 You have no buddies yet.',
+    'buddies.title': '*👥 Your Buddies:*',
+    'buddies.summary': '{direct} direct, {secondLevel} second-level, {earned} earned',
+    'buddies.direct': 'Direct: {counts}',
+    'buddies.second_level': 'Second-level: {counts}',
+    'buddies.status_counts': '{paid} paid, {pending} pending, {unpaid} unpaid',
+    'buddies.branch': 'branch {amount}',
+    'buddies.more': '…and {count} more',
+    'buddies.unnamed': 'Unnamed',
+    'commission.level_1': '🎉 Your Buddy Code just earned you {amount}! Your new balance is {balance}.',
+    'commission.level_2': '🎉 Your second-level referral just earned you {amount}! Your new balance is {balance}.',
+    'commission.level_n': '🎉 Your level-{level} referral just earned you {amount}! Your new balance is {balance}.',
+    'commission.reversed': '↩️ The {amount} you earned from {buddy} has been taken back because their payment was reversed. Reason: {reason}\nYour new balance is {balance}.',
+    'commission.reversed_negative': '↩️ The {amount} you earned from {buddy} has been taken back because their payment was reversed. Reason: {reason}\nYour balance is now {balance}. Withdrawals are paused until new earnings bring it above zero.',
+    'plan.level_1': '{amount} when your Buddy joins.',
+    'plan.level_2': '{amount} when their Buddies join.',
+    'plan.level_n': '{amount} for every level-{level} Buddy.',
+
+    // Withdrawals and UPI
+    'withdraw.usage': 'Use: withdraw <amount>\n*Example:* withdraw 50',
+    'withdraw.invalid_format': '❗ Invalid format. Use: withdraw <amount>\n*Example:* withdraw 50',
+    'withdraw.invalid_amount': '❗ Please enter a valid number for the withdrawal amount.',
+    'withdraw.below_minimum': '⚠️ The minimum withdrawal amount is {min}.',
+    'withdraw.not_approved': '⚠️ Your account is not approved for withdrawals yet.',
+    'withdraw.insufficient': '⚠️ You do not have enough balance. Your current balance is {balance}.',
+    'withdraw.negative_balance': '⚠️ Your balance is {balance} because commissions from a reversed payment were taken back. You can withdraw again once new earnings bring it above zero.',
+    'withdraw.already_pending': '⏳ You already have a pending withdrawal request. Please wait for it to be processed.',
+    'withdraw.ask_upi': '📄 Please provide your UPI ID and name to proceed with the withdrawal.\n*Format:* UPI <UPI_ID> <Name>\nSend *cancel* to stop.',
+    'withdraw.confirm': '💸 Withdraw {amount} to UPI ID *{upiId}*?\nReply *YES* to confirm or *NO* to cancel.',
+    'withdraw.confirm_again': 'Reply *YES* to confirm the withdrawal of {amount} or *NO* to cancel.',
+    'withdraw.cancelled': 'Withdrawal cancelled.',
+    'withdraw.submitted': '✅ Your withdrawal request of {amount} has been submitted and is pending admin approval.',
+    'withdraw.approved': '✅ Your withdrawal of {amount} has been approved and sent to your UPI ID ({upiId}). Your new balance is {balance}.',
+    'withdraw.rejected': '❌ Your withdrawal of {amount} has been rejected by admin. Reason: {reason}',
+    'withdraw.payout_failed': '❌ Your withdrawal of {amount} to {upiId} could not be paid. Reason: {reason}. The amount is back in your balance, which is now {balance}.',
+    'withdraw.expired_upi': '⌛ Your withdrawal was cancelled because we did not receive your UPI details in time.',
+    'withdraw.expired_confirm': '⌛ Your withdrawal was cancelled because it was not confirmed in time.',
+    'upi.invalid_format': '❗ Invalid format. Use: UPI <UPI_ID> <Name>',
+    'upi.updated': '✅ Your UPI ID and name have been updated successfully.',
+    'upi.invalid_id': '❗ *{upiId}* is not a valid UPI ID. It should look like name@bank, e.g. 9876543210@ybl.',
+    'upi.unknown_handle': '❗ We don\'t recognise the UPI handle *@{handle}*. Please copy your UPI ID from your UPI app and try again.',
+    'upi.invalid_name': '❗ Please give the account holder\'s name as shown in your UPI app (letters only).',
+    'upi.confirm': '📝 Please check your payout details:\nUPI ID: *{upiId}*\nName: *{upiName}*\nReply *YES* to save them or *NO* to cancel.',
+    'upi.confirm_again': 'Reply *YES* to save UPI ID *{upiId}* or *NO* to cancel.',
+    'upi.cancelled': 'UPI change cancelled. Your payout details were not changed.',
+    'upi.locked_pending': '🔒 You can\'t change your UPI ID while a withdrawal is pending. Please wait until it is processed.',
+    'upi.expired_confirm': '⌛ Your UPI change was cancelled because it was not confirmed in time.',
+    'cancel.nothing': 'Nothing to cancel.',
+    'words.yes': 'yes',
+    'words.no': 'no',
+
+    // Other Replies
+    'contact.body': '📞 You can contact the admin at *{supportContact}* for any assistance.',
+    'formats.registration': '*Buddy Cash Registration:*\nUse your buddy code to register and earn rewards!\nExample: ABCDEFGHIJ',
+    'formats.earnings': '*Earnings:*\n{products}',
+    'formats.invite': '*Invite Your Friends:*\nShare your referral link to earn more!\nLink: {link}',
+    'formats.support': '*Support:*\nNeed help? Contact the admin at {supportContact}.',
+    'formats.withdrawal': '*Withdrawal Request:*\nTo request a withdrawal, send \'withdraw\' after providing your UPI ID and name. Minimum withdrawal: {min}.',
+    'promo.caption': '💰 *Join Buddy Cash & Earn Big with Your Buddies!* 💰\n\n🛍️ *Exclusive digital products from just {fee}:*\n{products}\n\n🚀 *Connect with your Buddies and earn:*\n{levels}\n\n📲 *How to Start?*\n1️⃣ Register with this Buddy Code: *{buddyCode}*\n2️⃣ Pick a product and pay for it to get it.\n3️⃣ Get verified, join the group, and start earning today!\n\n🔗 *Your Buddy Link:*\n{link}',
+    'chat.locked': 'You are locked out until {until}.',
+    'chat.too_fast': '⏳ You are sending messages too quickly. Please wait a minute and try again.',
+    'chat.no_delete': '🚫 You cannot delete messages in this chat.',
+    'chat.deleted_text': '🔍 Your deleted message was: "{body}"',
+    'chat.deleted_media': '🔍 You deleted a media message.',
+    'chat.no_calls': '🤖 Hi! I am Buddy Cash Bot. I handle messages related to Buddy Cash. Please leave a message instead of calling.',
+    'account.locked': '🔒 Your account has been locked by admin until {until}.',
+    'account.unlocked': '🔓 Your account has been unlocked.',
+    'group.welcome': '👋 Welcome {participant}! Thanks for joining the Buddy Cash Bot Group.',
+    'group.goodbye': '👋 Goodbye {participant}. We\'re sorry to see you go.',
+
+    // Admin Notifications
+    'admin.payment_screenshot': 'New payment screenshot received from {name}.\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nProduct: {product} ({amount})',
+    'admin.purchase_screenshot': 'New purchase screenshot received from {name} (already a member).\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nProduct: {product} ({amount})',
+    'admin.screenshot_same_own': '⚠️ Same image as this user\'s own earlier {status} submission from {date}',
+    'admin.screenshot_same_other': '⚠️ Same image as the {status} submission of {buddyCode} ({chatId}) from {date}',
+    'admin.screenshot_similar_own': '⚠️ Looks like this user\'s own earlier {status} submission from {date} (distance {distance})',
+    'admin.screenshot_similar_other': '⚠️ Looks like the {status} submission of {buddyCode} ({chatId}) from {date} (distance {distance})',
+    'admin.withdrawal_request': '💸 *Withdrawal Request:*\nUser: {name} ({chatId})\nAmount: {amount}\nUPI ID: {upiId}',
+    'admin.upi_recently_changed': '⚠️ UPI ID was changed from {from} to {to} on {date}, within {hours} hours of this request.',
+    'admin.risk_score': '🚩 Risk score: {score}/100 ({level})',
+    'admin.withdrawal_held': '⏸️ This withdrawal is held for review. Check it with *risk {chatId}*, then *release {chatId}* or reject it with *with_re*.',
+    'admin.signup_burst': '🚩 {count} sign-ups under Buddy Code {buddyCode} within {minutes} minutes. Latest: {chatId}',
+    'risk.level.low': 'low',
+    'risk.level.medium': 'medium',
+    'risk.level.high': 'high',
+    'risk.reason.shared_upi': '{count} other account(s) use or used UPI ID {upiId}: {accounts}',
+    'risk.reason.referral_ring': 'Shares its UPI ID with accounts in its own referral chain: {accounts}',
+    'risk.reason.referral_cycle': 'Referral chain loops back on itself: {chain}',
+    'risk.reason.signup_burst': 'Joined among {count} sign-ups under {buddyCode} within {minutes} minutes',
+    'risk.reason.downline_burst': '{count} buddies signed up under this code within {minutes} minutes',
+    'admin.sender_locked': '🚫 *Sender Locked:* {chatId} entered {attempts} wrong Buddy Codes and is locked until {until} (lockout #{lockout}).',
+    'admin.deposits_overdue': '⏰ *{count} deposit(s) waiting over {hours} hours:*',
+    'admin.withdrawals_overdue': '⏰ *{count} withdrawal(s) waiting over {hours} hours:*',
+    'admin.deleted_message': '⚠️ User {sender} attempted to delete a message: "{body}"',
+    'admin.call': '📞 Received a call from {callerId}. Currently, the bot does not handle calls.',
+    'admin.typing': '📝 {name} is typing in chat {chatId}.',
+    'admin.group_join': '👥 {participant} has joined the group {groupId}.',
+    'admin.group_leave': '👤 {participant} has left the group {groupId}.',
+    'admin.battery_low': '⚠️ Warning: Battery level is low ({level}%). Please charge the device running the bot.',
+    'admin.client_state': '🔄 Buddy Cash Bot client state changed to: {state}',
+    'admin.logged_out': '🚪 The bot\'s WhatsApp session was logged out on {date} ({reason}). Until someone scans the new QR code at {link}, no messages are sent or received.',
+
+    // Admin Command Help
+    'help.admin.approve': 'Approve a pending deposit.',
+    'help.admin.reject': 'Reject a pending deposit.',
+    'help.admin.app_with': 'Approve a pending withdrawal.',
+    'help.admin.with_re': 'Reject a pending withdrawal.',
+    'help.admin.admin': 'Add, re-role or remove an admin. Roles: reviewer, finance, superadmin.',
+    'help.admin.admins': 'List all admins and their roles.',
+    'help.admin.audit': 'Show the latest admin actions, optionally for one user.',
+    'help.admin.pending': 'List deposits waiting for approval.',
+    'help.admin.withdrawals': 'List withdrawals waiting for approval.',
+    'help.admin.user': 'Show a user with their upline and buddies.',
+    'help.admin.adjust': 'Credit or debit a user\'s balance.',
+    'help.admin.lock': 'Lock a user out for a while, e.g. lock ABCDEFGHIJ 7d spam.',
+    'help.admin.unlock': 'Lift a lock, including one from wrong Buddy Codes.',
+    'help.admin.stats': 'Show registration, deposit and payout totals.',
+    'help.admin.settings': 'Show the payee UPI ID, support contact and other runtime settings.',
+    'help.admin.set': 'Change a runtime setting, e.g. set payeeUpi name@bank.',
+    'help.admin.jobs': 'Show scheduled jobs, or run one now with jobs run <name>.',
+    'help.admin.payouts': 'List payout batches, export pending withdrawals as a new batch, or resend a batch CSV.',
+    'help.admin.settle': 'Import the bank\'s settlement CSV to mark payouts paid or failed.',
+    'help.admin.outbox': 'Show the outgoing message queue, list dead letters or send them again.',
+    'help.admin.risk': 'Check a user for shared UPI IDs, referral rings and sign-up bursts.',
+    'help.admin.release': 'Release a withdrawal held for risk review so it can be paid.',
+    'help.admin.webhooks': 'List webhooks, add or remove one, send a test event, or show its delivery log.',
+    'help.admin.products': 'List the products on sale with their prices, files and commission plans.',
+    'help.admin.product': 'Add a product or change one, e.g. product set GUIDE price 50.',
+    'help.admin.reverse': 'Reverse an approved payment: take back its commissions, end the membership and remove the user from the group.',
+    'help.admin.trace': 'Find which account a leaked PDF was issued to, from the file or the copy code on its pages.',
+    'help.admin.linkstats': 'Short link clicks, sign-ups and paid sign-ups for one Buddy Code, or the most clicked codes.',
+};
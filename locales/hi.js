@@ -0,0 +1,255 @@
+// Hindi Messages (missing keys fall back to English)
+module.exports = {
+    // Registration
+    'registration.welcome': 'Buddy Cash में आपका स्वागत है! शुरू करने के लिए अपना 10 अक्षरों वाला Buddy Code भेजें। उदाहरण: ABCDEFGHIJ',
+    'registration.invalid_code': 'Buddy Code गलत है। कृपया सही 10 अक्षरों वाला Buddy Code भेजें ({remaining} प्रयास बाकी)।',
+    'registration.invalid_code_one': 'Buddy Code गलत है। कृपया सही 10 अक्षरों वाला Buddy Code भेजें (1 प्रयास बाकी)।',
+    'registration.locked': '🚫 बहुत सारे गलत Buddy Code। आपको {until} तक रोक दिया गया है।',
+    'registration.registered': 'Buddy Code {buddyCode} आपके Buddy {referrer} के साथ रजिस्टर हो गया।',
+    'registration.auto_approved_added': 'Buddy Code {buddyCode} बिना रेफ़रर के रजिस्टर हुआ। आपका खाता अपने-आप स्वीकृत हो गया और ग्रुप में जोड़ दिया गया।',
+    'registration.auto_approved_invited': 'Buddy Code {buddyCode} बिना रेफ़रर के रजिस्टर हुआ। आपका खाता अपने-आप स्वीकृत हो गया। ग्रुप में जुड़ने का लिंक भेज दिया गया है।',
+    'registration.share_link': 'पैसे कमाने के लिए यह लिंक शेयर करें: {link}',
+    'registration.ask_name': 'रजिस्ट्रेशन पूरा करने के लिए अपना नाम भेजें।',
+    'registration.invalid_name': 'रजिस्ट्रेशन पूरा करने के लिए अपना पूरा नाम भेजें (केवल अक्षर)। उदाहरण: *Rahul Kumar*',
+    'registration.complete': 'धन्यवाद, {name}। आपका रजिस्ट्रेशन पूरा हो गया। मेनू के लिए *hi* भेजें।',
+    'registration.thanks_pay': 'धन्यवाद, {name}। जाँच के लिए *{product}* के अपने {fee} भुगतान का स्क्रीनशॉट भेजें। रजिस्ट्रेशन फ़ीस {payeeUpi} पर भेजें',
+    'registration.thanks': 'धन्यवाद, {name}।',
+    'registration.register_first': 'पहले रजिस्टर करना होगा। कृपया अपना Buddy Code भेजें।',
+    'registration.archived': 'रजिस्ट्रेशन शुल्क न मिलने के कारण आपका Buddy Cash रजिस्ट्रेशन बंद कर दिया गया। जहाँ छोड़ा था वहीं से जारी रखने के लिए कोई भी संदेश भेजें।',
+    'registration.restored': '👋 फिर से स्वागत है! आइए आपका रजिस्ट्रेशन पूरा करें।',
+    'reminder.unpaid': '👋 आपका Buddy Cash रजिस्ट्रेशन अभी पूरा नहीं हुआ है। {fee} रजिस्ट्रेशन शुल्क {payeeUpi} पर भेजें और भुगतान का स्क्रीनशॉट यहाँ भेजें।',
+
+    // Language
+    'language.choose': '🌐 अपनी भाषा का नंबर भेजें:',
+    'language.current': '🌐 आपकी भाषा: {language}',
+    'language.usage': 'बदलने के लिए *language <नंबर>* भेजें। उदाहरण: language 1',
+    'language.unknown': '❗ यह भाषा उपलब्ध नहीं है। इनमें से एक चुनें:',
+    'language.changed': '✅ भाषा बदलकर {language} कर दी गई।',
+    'language.register_first': 'पहले रजिस्टर करें। रजिस्ट्रेशन के दौरान आप अपनी भाषा चुन सकते हैं।',
+
+    // Payment
+    'payment.prompt': '💳 जाँच के लिए *{product}* के अपने {fee} भुगतान का स्क्रीनशॉट भेजें। रजिस्ट्रेशन फ़ीस {payeeUpi} पर भेजें',
+    'payment.download_failed': 'फ़ाइल डाउनलोड नहीं हो सकी। कृपया फिर से कोशिश करें।',
+    'payment.not_image': '❗ कृपया भुगतान का स्क्रीनशॉट तस्वीर (JPG या PNG) के रूप में भेजें।',
+    'payment.too_large': '❗ यह तस्वीर बहुत बड़ी है। कृपया {max} MB से छोटा स्क्रीनशॉट भेजें।',
+    'payment.received': 'भुगतान का स्क्रीनशॉट मिल गया। एडमिन की स्वीकृति का इंतज़ार है।',
+    'payment.already_submitted': 'आप पहले ही भुगतान का स्क्रीनशॉट भेज चुके हैं।',
+    'payment.awaiting_approval': '⏳ आपका भुगतान एडमिन की स्वीकृति का इंतज़ार कर रहा है। कृपया प्रतीक्षा करें। अनुमान: 3 घंटे के भीतर।',
+    'payment.approved': '✅ भुगतान स्वीकृत! धन्यवाद, {name}! आपके रेफ़रर को राशि मिल गई है। ज़्यादा जानकारी के लिए *hi* भेजें!',
+    'payment.rejected': '❌ एडमिन ने आपका भुगतान अस्वीकार कर दिया। कारण: {reason}',
+    'payment.reversed': '❌ आपका स्वीकृत भुगतान एडमिन ने वापस ले लिया है। कारण: {reason}\nआपकी सदस्यता समाप्त हो गई है और आपको ग्रुप से हटा दिया गया है। फिर से जुड़ने के लिए नया भुगतान स्क्रीनशॉट भेजें।',
+    'product.pdf_caption': '🙏 धन्यवाद! यह PDF बाहर बेचने के लिए नहीं है। इसमें आपकी भागीदारी के लिए 1000 ChatGPT प्रॉम्प्ट हैं।',
+    'group.invite': 'इस लिंक से हमारे ग्रुप में जुड़ें: {link}',
+
+    // Products and Purchases
+    'products.choose': '🛍️ *चुनें कि आप क्या खरीदना चाहते हैं:*\n{items}\n\nअपनी पसंद का नंबर भेजें।',
+    'products.choose_first': '❗ पहले कोई प्रोडक्ट चुनें, फिर अपने भुगतान का स्क्रीनशॉट भेजें।',
+    'products.none': 'अभी बिक्री के लिए कुछ नहीं है। बाद में देखें या एडमिन से संपर्क करें ({supportContact})।',
+    'purchase.choose': '🛍️ *कोई और प्रोडक्ट खरीदें:*\n{items}\n\nअपनी पसंद का नंबर भेजें, या रोकने के लिए *cancel* भेजें।',
+    'purchase.prompt': '💳 *{product}* के लिए {fee} {payeeUpi} पर भेजें, फिर भुगतान का स्क्रीनशॉट यहाँ भेजें। रोकने के लिए *cancel* भेजें।',
+    'purchase.received': '*{product}* के भुगतान का स्क्रीनशॉट मिल गया। एडमिन की मंज़ूरी का इंतज़ार है।',
+    'purchase.pending': '⏳ आपका पिछला भुगतान अभी भी मंज़ूरी का इंतज़ार कर रहा है। कुछ और खरीदने से पहले उसका इंतज़ार करें।',
+    'purchase.nothing_new': '✅ बिक्री के सभी प्रोडक्ट आपके पास पहले से हैं। उन्हें देखने के लिए *purchases* भेजें।',
+    'purchase.approved': '✅ *{product}* का भुगतान मंज़ूर हो गया! यह रहा।',
+    'purchase.rejected': '❌ एडमिन ने *{product}* का आपका भुगतान अस्वीकार कर दिया। कारण: {reason}',
+    'purchase.reversed': '❌ *{product}* के लिए आपका भुगतान एडमिन ने वापस ले लिया है। कारण: {reason}',
+    'purchase.cancelled': 'खरीद रद्द कर दी गई।',
+    'purchase.expired': '⌛ समय पर भुगतान का स्क्रीनशॉट न मिलने के कारण आपकी खरीद रद्द कर दी गई। फिर से शुरू करने के लिए *buy* भेजें।',
+    'purchases.title': '*🛍️ आपकी खरीदारी:*',
+    'purchases.line': '{product} - {amount} - {date} - स्थिति: {status}',
+    'purchases.footer': 'किसी प्रोडक्ट की फ़ाइलें फिर से पाने के लिए *purchases <नंबर>* भेजें।',
+    'links.summary': '*🔗 आपका Buddy लिंक:*\n{link}\n\n👆 क्लिक: *{clicks}*\n📝 रजिस्ट्रेशन: *{signups}* ({signupRate})\n✅ भुगतान: *{paid}* ({paidRate})',
+    'links.campaigns': '*कैंपेन के अनुसार:*\n{lines}',
+    'links.campaign_line': '• {campaign}: {clicks} क्लिक, {signups} रजिस्ट्रेशन, {paid} भुगतान',
+    'links.no_campaign': 'कोई कैंपेन नहीं',
+    'links.tip': '💡 क्लिक किस पोस्ट या ग्रुप से आए, यह जानने के लिए अपने लिंक में *?c=* और एक नाम जोड़ें, जैसे {example}',
+    'purchases.empty': 'आपने अभी तक कुछ नहीं खरीदा है। बिक्री के प्रोडक्ट देखने के लिए *buy* भेजें।',
+    'purchases.invalid': '❗ इस नंबर की कोई खरीद नहीं है। सूची देखने के लिए *purchases* भेजें।',
+    'purchases.not_approved': '⏳ वह खरीद अभी भी मंज़ूरी का इंतज़ार कर रही है।',
+    'purchases.reversed': '❌ वह भुगतान वापस ले लिया गया था, इसलिए फ़ाइलें फिर से नहीं भेजी जा सकतीं।',
+
+    // Menu and Help
+    'menu.body': '*Buddy Cash मेनू:*\n{items}\n\nआपका Buddy Code : *{buddyCode}*\n\nअपनी पसंद का नंबर भेजें।',
+    'menu.balance': 'बैलेंस',
+    'menu.withdraw': 'पैसे निकालें',
+    'menu.history': 'लेन-देन इतिहास',
+    'menu.buddies': 'मेरे Buddies',
+    'menu.contact': 'एडमिन से संपर्क करें ({supportContact})',
+    'menu.formats': 'Buddy संदेश नमूने',
+    'menu.buy': 'प्रोडक्ट खरीदें',
+    'menu.purchases': 'मेरी खरीदारी',
+    'menu.promo': 'मेरी प्रोमो इमेज',
+    'menu.links': 'मेरे लिंक के आँकड़े',
+    'menu.invalid_option': '❗ गलत विकल्प। कृपया मेनू से एक नंबर चुनें।',
+    'help.title': '*📖 Buddy Cash कमांड:*',
+    'help.footer': 'मेनू के लिए *hi* भेजें।',
+    'help.footer_guest': 'रजिस्टर करने के लिए आपको मिला Buddy Code भेजें। उदाहरण: ABCDEFGHIJ',
+    'help.balance': 'अपना मौजूदा बैलेंस देखें।',
+    'help.withdraw': 'अपनी UPI ID पर पैसे निकालने का अनुरोध करें।',
+    'help.history': 'अपना लेन-देन इतिहास देखें।',
+    'help.buddies': 'आपके कोड से जुड़े Buddies और उनके Buddies देखें, और हर एक से आपकी कमाई।',
+    'help.contact': 'एडमिन से संपर्क करने का तरीका देखें।',
+    'help.formats': 'दोस्तों को भेजने के लिए तैयार संदेश पाएँ।',
+    'help.buy': 'कोई और प्रोडक्ट खरीदें।',
+    'help.purchases': 'आपने जो खरीदा है वह देखें, या किसी प्रोडक्ट की फ़ाइलें फिर से पाएँ।',
+    'help.promo': 'अपने Buddy Code और QR कोड वाली प्रोमो इमेज शेयर करने के लिए पाएँ।',
+    'help.links': 'देखें कि कितने लोगों ने आपका Buddy लिंक खोला, रजिस्टर किया और भुगतान किया।',
+    'help.menu': 'मेनू देखें।',
+    'help.upi': 'पैसे निकालने के लिए UPI ID और नाम सेट करें।',
+    'help.help': 'आपके लिए उपलब्ध कमांड देखें।',
+    'help.language': 'बॉट की भाषा चुनें।',
+    'help.cancel': 'चल रही निकासी या खरीद रद्द करें।',
+    'paginate.page': 'पेज {index}/{total}',
+    'paginate.more': 'और देखने के लिए *{command}* भेजें',
+
+    // Balance and History
+    'balance.current': '💰 *आपका मौजूदा बैलेंस:* {balance}।',
+    'balance.credited': 'ℹ️ एडमिन ने आपके बैलेंस में {amount} जोड़े। कारण: {reason}। नया बैलेंस {balance}।',
+    'balance.debited': 'ℹ️ एडमिन ने आपके बैलेंस से {amount} घटाए। कारण: {reason}। नया बैलेंस {balance}।',
+    'history.empty': '📄 कोई लेन-देन नहीं मिला।',
+    'history.title': '*📊 आपका लेन-देन इतिहास:*',
+    'history.line': '{date} को {amount} का {label} - स्थिति: {status}',
+    'history.type.deposit': 'जमा',
+    'history.type.commission': 'कमीशन',
+    'history.type.withdrawal': 'निकासी',
+    'history.type.reversal': 'वापसी',
+    'history.type.adjustment': 'समायोजन',
+    'history.type.clawback': 'कमीशन वापस लिया गया',
+    'history.status.pending': 'लंबित',
+    'history.status.approved': 'स्वीकृत',
+    'history.status.rejected': 'अस्वीकृत',
+    'history.status.reversed': 'वापस लिया गया',
+
+    // Buddies and Commissions
+    'buddies.none': '👥 अभी आपके कोई Buddies नहीं हैं।',
+    'buddies.title': '*👥 आपके Buddies:*',
+    'buddies.summary': '{direct} सीधे, {secondLevel} दूसरे स्तर के, {earned} कमाए',
+    'buddies.direct': 'सीधे: {counts}',
+    'buddies.second_level': 'दूसरा स्तर: {counts}',
+    'buddies.status_counts': '{paid} भुगतान किया, {pending} लंबित, {unpaid} भुगतान नहीं किया',
+    'buddies.branch': 'शाखा {amount}',
+    'buddies.more': '…और {count}',
+    'buddies.unnamed': 'बिना नाम',
+    'commission.level_1': '🎉 आपके Buddy Code से आपको अभी {amount} मिले! नया बैलेंस {balance}।',
+    'commission.level_2': '🎉 आपके दूसरे स्तर के रेफ़रल से आपको अभी {amount} मिले! नया बैलेंस {balance}।',
+    'commission.level_n': '🎉 आपके स्तर-{level} रेफ़रल से आपको अभी {amount} मिले! नया बैलेंस {balance}।',
+    'commission.reversed': '↩️ {buddy} से मिले {amount} वापस ले लिए गए हैं क्योंकि उनका भुगतान वापस ले लिया गया। कारण: {reason}\nआपका नया बैलेंस {balance} है।',
+    'commission.reversed_negative': '↩️ {buddy} से मिले {amount} वापस ले लिए गए हैं क्योंकि उनका भुगतान वापस ले लिया गया। कारण: {reason}\nअब आपका बैलेंस {balance} है। नई कमाई से बैलेंस शून्य से ऊपर आने तक निकासी रुकी रहेगी।',
+    'plan.level_1': 'आपके Buddy के जुड़ने पर {amount}।',
+    'plan.level_2': 'उनके Buddies के जुड़ने पर {amount}।',
+    'plan.level_n': 'हर स्तर-{level} Buddy पर {amount}।',
+
+    // Withdrawals and UPI
+    'withdraw.usage': 'उपयोग: withdraw <राशि>\n*उदाहरण:* withdraw 50',
+    'withdraw.invalid_format': '❗ गलत तरीका। उपयोग: withdraw <राशि>\n*उदाहरण:* withdraw 50',
+    'withdraw.invalid_amount': '❗ कृपया निकासी की राशि सही संख्या में लिखें।',
+    'withdraw.below_minimum': '⚠️ न्यूनतम निकासी राशि {min} है।',
+    'withdraw.not_approved': '⚠️ आपका खाता अभी निकासी के लिए स्वीकृत नहीं है।',
+    'withdraw.insufficient': '⚠️ आपके पास पर्याप्त बैलेंस नहीं है। आपका मौजूदा बैलेंस {balance} है।',
+    'withdraw.negative_balance': '⚠️ वापस लिए गए भुगतान का कमीशन काटे जाने से आपका बैलेंस {balance} है। नई कमाई से बैलेंस शून्य से ऊपर आने पर आप फिर से निकासी कर सकेंगे।',
+    'withdraw.already_pending': '⏳ आपका एक निकासी अनुरोध पहले से लंबित है। कृपया उसके पूरा होने का इंतज़ार करें।',
+    'withdraw.ask_upi': '📄 निकासी जारी रखने के लिए अपनी UPI ID और नाम भेजें।\n*तरीका:* UPI <UPI_ID> <नाम>\nरोकने के लिए *cancel* भेजें।',
+    'withdraw.confirm': '💸 {amount} UPI ID *{upiId}* पर निकालें?\nपुष्टि के लिए *YES* या रद्द करने के लिए *NO* भेजें।',
+    'withdraw.confirm_again': '{amount} की निकासी की पुष्टि के लिए *YES* या रद्द करने के लिए *NO* भेजें।',
+    'withdraw.cancelled': 'निकासी रद्द कर दी गई।',
+    'withdraw.submitted': '✅ आपका {amount} का निकासी अनुरोध भेज दिया गया है और एडमिन की स्वीकृति का इंतज़ार कर रहा है।',
+    'withdraw.approved': '✅ आपकी {amount} की निकासी स्वीकृत होकर आपकी UPI ID ({upiId}) पर भेज दी गई है। नया बैलेंस {balance}।',
+    'withdraw.rejected': '❌ एडमिन ने आपकी {amount} की निकासी अस्वीकार कर दी। कारण: {reason}',
+    'withdraw.payout_failed': '❌ {upiId} पर आपकी {amount} की निकासी का भुगतान नहीं हो सका। कारण: {reason}। राशि आपके बैलेंस में वापस जोड़ दी गई है, अब आपका बैलेंस {balance} है।',
+    'withdraw.expired_upi': '⌛ समय पर UPI जानकारी न मिलने के कारण आपकी निकासी रद्द कर दी गई।',
+    'withdraw.expired_confirm': '⌛ समय पर पुष्टि न होने के कारण आपकी निकासी रद्द कर दी गई।',
+    'upi.invalid_format': '❗ गलत तरीका। उपयोग: UPI <UPI_ID> <नाम>',
+    'upi.updated': '✅ आपकी UPI ID और नाम अपडेट हो गए।',
+    'upi.invalid_id': '❗ *{upiId}* सही UPI ID नहीं है। यह name@bank जैसी होनी चाहिए, जैसे 9876543210@ybl।',
+    'upi.unknown_handle': '❗ हम UPI हैंडल *@{handle}* को नहीं पहचानते। कृपया अपने UPI ऐप से UPI ID कॉपी करके फिर से कोशिश करें।',
+    'upi.invalid_name': '❗ कृपया खाताधारक का नाम वैसे ही दें जैसा आपके UPI ऐप में दिखता है (केवल अक्षर)।',
+    'upi.confirm': '📝 कृपया अपनी भुगतान जानकारी जाँचें:\nUPI ID: *{upiId}*\nनाम: *{upiName}*\nसेव करने के लिए *YES* या रद्द करने के लिए *NO* भेजें।',
+    'upi.confirm_again': 'UPI ID *{upiId}* सेव करने के लिए *YES* या रद्द करने के लिए *NO* भेजें।',
+    'upi.cancelled': 'UPI बदलाव रद्द किया गया। आपकी भुगतान जानकारी नहीं बदली गई।',
+    'upi.locked_pending': '🔒 निकासी लंबित रहते हुए आप अपनी UPI ID नहीं बदल सकते। कृपया उसके पूरा होने तक प्रतीक्षा करें।',
+    'upi.expired_confirm': '⌛ समय पर पुष्टि न होने के कारण आपका UPI बदलाव रद्द कर दिया गया।',
+    'cancel.nothing': 'रद्द करने के लिए कुछ नहीं है।',
+    'words.yes': 'हाँ,हां,haan,ha',
+    'words.no': 'नहीं,nahi,na',
+
+    // Other Replies
+    'contact.body': '📞 किसी भी मदद के लिए एडमिन से *{supportContact}* पर संपर्क करें।',
+    'formats.registration': '*Buddy Cash रजिस्ट्रेशन:*\nअपने buddy code से रजिस्टर करें और इनाम कमाएँ!\nउदाहरण: ABCDEFGHIJ',
+    'formats.earnings': '*कमाई:*\n{products}',
+    'formats.invite': '*दोस्तों को बुलाएँ:*\nज़्यादा कमाने के लिए अपना रेफ़रल लिंक शेयर करें!\nलिंक: {link}',
+    'formats.support': '*सहायता:*\nमदद चाहिए? एडमिन से {supportContact} पर संपर्क करें।',
+    'formats.withdrawal': '*निकासी अनुरोध:*\nUPI ID और नाम देने के बाद \'withdraw\' भेजें। न्यूनतम निकासी: {min}।',
+    'promo.caption': '💰 *Buddy Cash से जुड़ें और अपने Buddies के साथ ज़्यादा कमाएँ!* 💰\n\n🛍️ *खास डिजिटल प्रोडक्ट सिर्फ़ {fee} से शुरू:*\n{products}\n\n🚀 *Buddies जोड़ें और कमाएँ:*\n{levels}\n\n📲 *कैसे शुरू करें?*\n1️⃣ इस Buddy Code से रजिस्टर करें: *{buddyCode}*\n2️⃣ कोई प्रोडक्ट चुनें और उसे पाने के लिए भुगतान करें।\n3️⃣ जाँच के बाद ग्रुप से जुड़ें और आज ही कमाना शुरू करें!\n\n🔗 *आपका Buddy लिंक:*\n{link}',
+    'chat.locked': 'आपको {until} तक रोक दिया गया है।',
+    'chat.too_fast': '⏳ आप बहुत तेज़ी से संदेश भेज रहे हैं। कृपया एक मिनट बाद फिर कोशिश करें।',
+    'chat.no_delete': '🚫 इस चैट में संदेश डिलीट नहीं किए जा सकते।',
+    'chat.deleted_text': '🔍 आपका डिलीट किया गया संदेश था: "{body}"',
+    'chat.deleted_media': '🔍 आपने एक मीडिया संदेश डिलीट किया।',
+    'chat.no_calls': '🤖 नमस्ते! मैं Buddy Cash Bot हूँ। मैं Buddy Cash से जुड़े संदेशों का जवाब देता हूँ। कृपया कॉल करने के बजाय संदेश भेजें।',
+    'account.locked': '🔒 एडमिन ने आपका खाता {until} तक रोक दिया है।',
+    'account.unlocked': '🔓 आपके खाते से रोक हटा दी गई है।',
+    'group.welcome': '👋 स्वागत है {participant}! Buddy Cash Bot ग्रुप से जुड़ने के लिए धन्यवाद।',
+    'group.goodbye': '👋 अलविदा {participant}। आपके जाने का हमें दुख है।',
+
+    // Admin Notifications
+    'admin.payment_screenshot': '{name} से नया भुगतान स्क्रीनशॉट मिला।\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nप्रोडक्ट: {product} ({amount})',
+    'admin.purchase_screenshot': '{name} (पहले से सदस्य) से नई खरीद का स्क्रीनशॉट मिला।\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nप्रोडक्ट: {product} ({amount})',
+    'admin.screenshot_same_own': '⚠️ इसी उपयोगकर्ता के {date} के ({status}) स्क्रीनशॉट जैसी ही तस्वीर',
+    'admin.screenshot_same_other': '⚠️ {buddyCode} ({chatId}) के {date} के ({status}) स्क्रीनशॉट जैसी ही तस्वीर',
+    'admin.screenshot_similar_own': '⚠️ इसी उपयोगकर्ता के {date} के ({status}) स्क्रीनशॉट से मिलती-जुलती (दूरी {distance})',
+    'admin.screenshot_similar_other': '⚠️ {buddyCode} ({chatId}) के {date} के ({status}) स्क्रीनशॉट से मिलती-जुलती (दूरी {distance})',
+    'admin.withdrawal_request': '💸 *निकासी अनुरोध:*\nउपयोगकर्ता: {name} ({chatId})\nराशि: {amount}\nUPI ID: {upiId}',
+    'admin.upi_recently_changed': '⚠️ इस अनुरोध से {hours} घंटे के भीतर, {date} को UPI ID {from} से {to} में बदली गई।',
+    'admin.risk_score': '🚩 जोखिम स्कोर: {score}/100 ({level})',
+    'admin.withdrawal_held': '⏸️ यह निकासी जाँच के लिए रोकी गई है। *risk {chatId}* से जाँचें, फिर *release {chatId}* करें या *with_re* से अस्वीकार करें।',
+    'admin.signup_burst': '🚩 {minutes} मिनट में Buddy Code {buddyCode} के तहत {count} साइन-अप। नवीनतम: {chatId}',
+    'risk.level.low': 'कम',
+    'risk.level.medium': 'मध्यम',
+    'risk.level.high': 'उच्च',
+    'risk.reason.shared_upi': '{count} अन्य खाते UPI ID {upiId} का उपयोग करते हैं या कर चुके हैं: {accounts}',
+    'risk.reason.referral_ring': 'अपनी ही रेफ़रल शृंखला के खातों के साथ UPI ID साझा करता है: {accounts}',
+    'risk.reason.referral_cycle': 'रेफ़रल शृंखला घूमकर खुद पर लौटती है: {chain}',
+    'risk.reason.signup_burst': '{minutes} मिनट में {buddyCode} के तहत हुए {count} साइन-अप में से एक',
+    'risk.reason.downline_burst': '{minutes} मिनट में इस कोड के तहत {count} बडी जुड़े',
+    'admin.sender_locked': '🚫 *रोका गया:* {chatId} ने {attempts} गलत Buddy Code भेजे और {until} तक रोका गया है (रोक #{lockout})।',
+    'admin.deposits_overdue': '⏰ *{count} जमा {hours} घंटे से ज़्यादा से इंतज़ार में:*',
+    'admin.withdrawals_overdue': '⏰ *{count} निकासी {hours} घंटे से ज़्यादा से इंतज़ार में:*',
+    'admin.deleted_message': '⚠️ उपयोगकर्ता {sender} ने एक संदेश डिलीट करने की कोशिश की: "{body}"',
+    'admin.call': '📞 {callerId} से कॉल आई। बॉट अभी कॉल नहीं संभालता।',
+    'admin.typing': '📝 {name} चैट {chatId} में टाइप कर रहे हैं।',
+    'admin.group_join': '👥 {participant} ग्रुप {groupId} से जुड़े।',
+    'admin.group_leave': '👤 {participant} ने ग्रुप {groupId} छोड़ा।',
+    'admin.battery_low': '⚠️ चेतावनी: बैटरी कम है ({level}%)। बॉट चलाने वाले डिवाइस को चार्ज करें।',
+    'admin.client_state': '🔄 Buddy Cash Bot क्लाइंट की स्थिति बदली: {state}',
+    'admin.logged_out': '🚪 बॉट का WhatsApp सेशन {date} को लॉग आउट हो गया ({reason})। जब तक कोई {link} पर नया QR कोड स्कैन नहीं करता, तब तक कोई संदेश भेजा या पाया नहीं जाएगा।',
+
+    // Admin Command Help
+    'help.admin.approve': 'लंबित डिपॉज़िट स्वीकार करें।',
+    'help.admin.reject': 'लंबित डिपॉज़िट अस्वीकार करें।',
+    'help.admin.app_with': 'लंबित निकासी स्वीकार करें।',
+    'help.admin.with_re': 'लंबित निकासी अस्वीकार करें।',
+    'help.admin.admin': 'एडमिन जोड़ें, उसकी भूमिका बदलें या उसे हटाएँ। भूमिकाएँ: reviewer, finance, superadmin.',
+    'help.admin.admins': 'सभी एडमिन और उनकी भूमिकाएँ देखें।',
+    'help.admin.audit': 'हाल की एडमिन कार्रवाइयाँ देखें, चाहें तो किसी एक यूज़र की।',
+    'help.admin.pending': 'स्वीकृति की प्रतीक्षा कर रहे डिपॉज़िट देखें।',
+    'help.admin.withdrawals': 'स्वीकृति की प्रतीक्षा कर रही निकासियाँ देखें।',
+    'help.admin.user': 'किसी यूज़र को उसकी अपलाइन और Buddies के साथ देखें।',
+    'help.admin.adjust': 'किसी यूज़र के बैलेंस में राशि जोड़ें या घटाएँ।',
+    'help.admin.lock': 'किसी यूज़र को कुछ समय के लिए रोकें, जैसे lock ABCDEFGHIJ 7d spam.',
+    'help.admin.unlock': 'रोक हटाएँ, गलत Buddy Code वाली रोक भी।',
+    'help.admin.stats': 'रजिस्ट्रेशन, डिपॉज़िट और पेआउट के कुल आँकड़े देखें।',
+    'help.admin.settings': 'भुगतान पाने वाली UPI ID, सपोर्ट संपर्क और अन्य रनटाइम सेटिंग्स देखें।',
+    'help.admin.set': 'कोई रनटाइम सेटिंग बदलें, जैसे set payeeUpi name@bank.',
+    'help.admin.jobs': 'शेड्यूल किए गए जॉब देखें, या jobs run <name> से किसी को अभी चलाएँ।',
+    'help.admin.payouts': 'पेआउट बैच देखें, लंबित निकासियों को नए बैच के रूप में एक्सपोर्ट करें, या किसी बैच की CSV दोबारा भेजें।',
+    'help.admin.settle': 'पेआउट को भुगतान हुआ या विफल चिह्नित करने के लिए बैंक की सेटलमेंट CSV इम्पोर्ट करें।',
+    'help.admin.outbox': 'बाहर जाने वाले संदेशों की कतार देखें, डेड लेटर देखें या उन्हें दोबारा भेजें।',
+    'help.admin.risk': 'साझा UPI ID, रेफ़रल चक्र और एक साथ हुए साइन-अप के लिए किसी यूज़र की जाँच करें।',
+    'help.admin.release': 'जोखिम जाँच के लिए रोकी गई निकासी को भुगतान के लिए छोड़ें।',
+    'help.admin.webhooks': 'वेबहुक देखें, कोई जोड़ें या हटाएँ, टेस्ट इवेंट भेजें, या उसका डिलीवरी लॉग देखें।',
+    'help.admin.products': 'बिक्री पर मौजूद प्रोडक्ट उनकी कीमत, फ़ाइलों और कमीशन प्लान के साथ देखें।',
+    'help.admin.product': 'कोई प्रोडक्ट जोड़ें या बदलें, जैसे product set GUIDE price 50.',
+    'help.admin.reverse': 'स्वीकृत भुगतान रिवर्स करें: उसके कमीशन वापस लें, सदस्यता खत्म करें और यूज़र को ग्रुप से हटाएँ।',
+    'help.admin.trace': 'फ़ाइल से या उसके पन्नों पर छपे कॉपी कोड से पता लगाएँ कि लीक हुई PDF किस अकाउंट को दी गई थी।',
+    'help.admin.linkstats': 'किसी एक Buddy Code के शॉर्ट लिंक क्लिक, साइन-अप और भुगतान वाले साइन-अप, या सबसे ज़्यादा क्लिक किए गए कोड।',
+};
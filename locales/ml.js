@@ -0,0 +1,255 @@
+// Malayalam Messages (missing keys fall back to English)
+module.exports = {
+    // Registration
+    'registration.welcome': 'Buddy Cash-ലേക്ക് സ്വാഗതം! തുടങ്ങാൻ നിങ്ങളുടെ 10 അക്ഷരമുള്ള Buddy Code അയയ്ക്കുക. ഉദാഹരണം: ABCDEFGHIJ',
+    'registration.invalid_code': 'Buddy Code തെറ്റാണ്. ശരിയായ 10 അക്ഷരമുള്ള Buddy Code അയയ്ക്കുക (ഇനി {remaining} ശ്രമങ്ങൾ ബാക്കി).',
+    'registration.invalid_code_one': 'Buddy Code തെറ്റാണ്. ശരിയായ 10 അക്ഷരമുള്ള Buddy Code അയയ്ക്കുക (ഇനി 1 ശ്രമം ബാക്കി).',
+    'registration.locked': '🚫 തെറ്റായ Buddy Code-കൾ വളരെയധികം. {until} വരെ നിങ്ങളെ തടഞ്ഞിരിക്കുന്നു.',
+    'registration.registered': 'Buddy Code {buddyCode} നിങ്ങളുടെ Buddy {referrer} വഴി രജിസ്റ്റർ ചെയ്തു.',
+    'registration.auto_approved_added': 'Buddy Code {buddyCode} റഫററില്ലാതെ രജിസ്റ്റർ ചെയ്തു. നിങ്ങളുടെ അക്കൗണ്ട് സ്വയം അംഗീകരിച്ച് ഗ്രൂപ്പിൽ ചേർത്തു.',
+    'registration.auto_approved_invited': 'Buddy Code {buddyCode} റഫററില്ലാതെ രജിസ്റ്റർ ചെയ്തു. നിങ്ങളുടെ അക്കൗണ്ട് സ്വയം അംഗീകരിച്ചു. ഗ്രൂപ്പിൽ ചേരാനുള്ള ലിങ്ക് അയച്ചിട്ടുണ്ട്.',
+    'registration.share_link': 'പണം നേടാൻ ഈ ലിങ്ക് ഷെയർ ചെയ്യുക: {link}',
+    'registration.ask_name': 'രജിസ്ട്രേഷൻ പൂർത്തിയാക്കാൻ നിങ്ങളുടെ പേര് അയയ്ക്കുക.',
+    'registration.invalid_name': 'രജിസ്ട്രേഷൻ പൂർത്തിയാക്കാൻ നിങ്ങളുടെ മുഴുവൻ പേര് അയയ്ക്കുക (അക്ഷരങ്ങൾ മാത്രം). ഉദാഹരണം: *Rahul Kumar*',
+    'registration.complete': 'നന്ദി, {name}. നിങ്ങളുടെ രജിസ്ട്രേഷൻ പൂർത്തിയായി. മെനുവിനായി *hi* അയയ്ക്കുക.',
+    'registration.thanks_pay': 'നന്ദി, {name}. പരിശോധനയ്ക്കായി *{product}*-നുള്ള നിങ്ങളുടെ {fee} പേയ്‌മെന്റിന്റെ സ്ക്രീൻഷോട്ട് അയയ്ക്കുക. രജിസ്ട്രേഷൻ ഫീസ് {payeeUpi}-ലേക്ക് അയയ്ക്കുക',
+    'registration.thanks': 'നന്ദി, {name}.',
+    'registration.register_first': 'ആദ്യം രജിസ്റ്റർ ചെയ്യണം. നിങ്ങളുടെ Buddy Code അയയ്ക്കുക.',
+    'registration.archived': 'രജിസ്ട്രേഷൻ ഫീസ് ലഭിക്കാത്തതിനാൽ നിങ്ങളുടെ Buddy Cash രജിസ്ട്രേഷൻ അവസാനിപ്പിച്ചു. നിർത്തിയിടത്ത് നിന്ന് തുടരാൻ ഏതെങ്കിലും സന്ദേശം അയയ്ക്കുക.',
+    'registration.restored': '👋 വീണ്ടും സ്വാഗതം! നമുക്ക് നിങ്ങളുടെ രജിസ്ട്രേഷൻ പൂർത്തിയാക്കാം.',
+    'reminder.unpaid': '👋 നിങ്ങളുടെ Buddy Cash രജിസ്ട്രേഷൻ ഇതുവരെ പൂർത്തിയായിട്ടില്ല. {fee} രജിസ്ട്രേഷൻ ഫീസ് {payeeUpi} ലേക്ക് അയച്ച്, പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ഇവിടെ അയയ്ക്കുക.',
+
+    // Language
+    'language.choose': '🌐 നിങ്ങളുടെ ഭാഷയുടെ നമ്പർ അയയ്ക്കുക:',
+    'language.current': '🌐 നിങ്ങളുടെ ഭാഷ: {language}',
+    'language.usage': 'മാറ്റാൻ *language <നമ്പർ>* അയയ്ക്കുക. ഉദാഹരണം: language 1',
+    'language.unknown': '❗ ഈ ഭാഷ ലഭ്യമല്ല. ഇവയിൽ ഒന്ന് തിരഞ്ഞെടുക്കുക:',
+    'language.changed': '✅ ഭാഷ {language} ആയി മാറ്റി.',
+    'language.register_first': 'ആദ്യം രജിസ്റ്റർ ചെയ്യുക. രജിസ്ട്രേഷൻ സമയത്ത് ഭാഷ തിരഞ്ഞെടുക്കാം.',
+
+    // Payment
+    'payment.prompt': '💳 പരിശോധനയ്ക്കായി *{product}*-നുള്ള നിങ്ങളുടെ {fee} പേയ്‌മെന്റിന്റെ സ്ക്രീൻഷോട്ട് അയയ്ക്കുക. രജിസ്ട്രേഷൻ ഫീസ് {payeeUpi}-ലേക്ക് അയയ്ക്കുക',
+    'payment.download_failed': 'ഫയൽ ഡൗൺലോഡ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    'payment.not_image': '❗ പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ഒരു ചിത്രമായി (JPG അല്ലെങ്കിൽ PNG) അയയ്ക്കുക.',
+    'payment.too_large': '❗ ഈ ചിത്രം വളരെ വലുതാണ്. {max} MB-യിൽ താഴെയുള്ള സ്ക്രീൻഷോട്ട് അയയ്ക്കുക.',
+    'payment.received': 'പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ലഭിച്ചു. അഡ്മിന്റെ അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു.',
+    'payment.already_submitted': 'നിങ്ങൾ ഇതിനകം പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് അയച്ചിട്ടുണ്ട്.',
+    'payment.awaiting_approval': '⏳ നിങ്ങളുടെ പേയ്‌മെന്റ് അഡ്മിന്റെ അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു. ദയവായി കാത്തിരിക്കുക. ഏകദേശം 3 മണിക്കൂറിനുള്ളിൽ.',
+    'payment.approved': '✅ പേയ്‌മെന്റ് അംഗീകരിച്ചു! നന്ദി, {name}! നിങ്ങളുടെ റഫററിന് തുക ലഭിച്ചു. കൂടുതൽ വിവരങ്ങൾക്ക് *hi* അയയ്ക്കുക!',
+    'payment.rejected': '❌ അഡ്മിൻ നിങ്ങളുടെ പേയ്‌മെന്റ് നിരസിച്ചു. കാരണം: {reason}',
+    'payment.reversed': '❌ അംഗീകരിച്ച നിങ്ങളുടെ പേയ്മെന്റ് അഡ്മിൻ തിരിച്ചെടുത്തു. കാരണം: {reason}\nനിങ്ങളുടെ അംഗത്വം അവസാനിച്ചു, ഗ്രൂപ്പിൽ നിന്ന് നീക്കം ചെയ്തു. വീണ്ടും ചേരാൻ പുതിയ പേയ്മെന്റ് സ്ക്രീൻഷോട്ട് അയയ്ക്കുക.',
+    'product.pdf_caption': '🙏 നന്ദി! ഈ PDF പുറത്ത് വിൽക്കാനുള്ളതല്ല. നിങ്ങളുടെ പങ്കാളിത്തത്തിനായി 1000 ChatGPT പ്രോംപ്റ്റുകൾ ഇതിലുണ്ട്.',
+    'group.invite': 'ഈ ലിങ്ക് വഴി ഞങ്ങളുടെ ഗ്രൂപ്പിൽ ചേരുക: {link}',
+
+    // Products and Purchases
+    'products.choose': '🛍️ *നിങ്ങൾക്ക് വാങ്ങേണ്ടത് തിരഞ്ഞെടുക്കുക:*\n{items}\n\nനിങ്ങൾക്ക് വേണ്ടതിന്റെ നമ്പർ അയയ്ക്കുക.',
+    'products.choose_first': '❗ ആദ്യം ഒരു ഉൽപ്പന്നം തിരഞ്ഞെടുക്കുക, തുടർന്ന് പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് അയയ്ക്കുക.',
+    'products.none': 'ഇപ്പോൾ വിൽപ്പനയ്ക്ക് ഒന്നുമില്ല. പിന്നീട് നോക്കുക, അല്ലെങ്കിൽ അഡ്മിനെ ബന്ധപ്പെടുക ({supportContact}).',
+    'purchase.choose': '🛍️ *മറ്റൊരു ഉൽപ്പന്നം വാങ്ങുക:*\n{items}\n\nനിങ്ങൾക്ക് വേണ്ടതിന്റെ നമ്പർ അയയ്ക്കുക, നിർത്താൻ *cancel* അയയ്ക്കുക.',
+    'purchase.prompt': '💳 *{product}*-നായി {fee} {payeeUpi}-ലേക്ക് അയച്ച്, പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ഇവിടെ അയയ്ക്കുക. നിർത്താൻ *cancel* അയയ്ക്കുക.',
+    'purchase.received': '*{product}*-ന്റെ പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ലഭിച്ചു. അഡ്മിന്റെ അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു.',
+    'purchase.pending': '⏳ നിങ്ങളുടെ അവസാന പേയ്‌മെന്റ് ഇപ്പോഴും അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു. മറ്റൊന്ന് വാങ്ങുന്നതിന് മുമ്പ് കാത്തിരിക്കുക.',
+    'purchase.nothing_new': '✅ വിൽപ്പനയിലുള്ള എല്ലാ ഉൽപ്പന്നങ്ങളും നിങ്ങളുടെ പക്കലുണ്ട്. കാണാൻ *purchases* അയയ്ക്കുക.',
+    'purchase.approved': '✅ *{product}*-ന്റെ പേയ്‌മെന്റ് അംഗീകരിച്ചു! ഇതാ.',
+    'purchase.rejected': '❌ *{product}*-ന്റെ പേയ്‌മെന്റ് അഡ്മിൻ നിരസിച്ചു. കാരണം: {reason}',
+    'purchase.reversed': '❌ *{product}*-നുള്ള നിങ്ങളുടെ പേയ്മെന്റ് അഡ്മിൻ തിരിച്ചെടുത്തു. കാരണം: {reason}',
+    'purchase.cancelled': 'വാങ്ങൽ റദ്ദാക്കി.',
+    'purchase.expired': '⌛ സമയത്തിനുള്ളിൽ പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട് ലഭിക്കാത്തതിനാൽ നിങ്ങളുടെ വാങ്ങൽ റദ്ദാക്കി. വീണ്ടും തുടങ്ങാൻ *buy* അയയ്ക്കുക.',
+    'purchases.title': '*🛍️ നിങ്ങളുടെ വാങ്ങലുകൾ:*',
+    'purchases.line': '{product} - {amount} - {date} - സ്ഥിതി: {status}',
+    'purchases.footer': 'ഒരു ഉൽപ്പന്നത്തിന്റെ ഫയലുകൾ വീണ്ടും ലഭിക്കാൻ *purchases <നമ്പർ>* അയയ്ക്കുക.',
+    'links.summary': '*🔗 നിങ്ങളുടെ Buddy ലിങ്ക്:*\n{link}\n\n👆 ക്ലിക്കുകൾ: *{clicks}*\n📝 രജിസ്ട്രേഷനുകൾ: *{signups}* ({signupRate})\n✅ പണമടച്ചവർ: *{paid}* ({paidRate})',
+    'links.campaigns': '*ക്യാമ്പെയ്ൻ തിരിച്ച്:*\n{lines}',
+    'links.campaign_line': '• {campaign}: {clicks} ക്ലിക്കുകൾ, {signups} രജിസ്ട്രേഷനുകൾ, {paid} പണമടച്ചവർ',
+    'links.no_campaign': 'ക്യാമ്പെയ്ൻ ഇല്ല',
+    'links.tip': '💡 ക്ലിക്കുകൾ ഏത് പോസ്റ്റിൽ നിന്നോ ഗ്രൂപ്പിൽ നിന്നോ വന്നു എന്നറിയാൻ ലിങ്കിന്റെ അവസാനം *?c=* എന്നും ഒരു പേരും ചേർക്കുക, ഉദാ. {example}',
+    'purchases.empty': 'നിങ്ങൾ ഇതുവരെ ഒന്നും വാങ്ങിയിട്ടില്ല. വിൽപ്പനയിലുള്ളവ കാണാൻ *buy* അയയ്ക്കുക.',
+    'purchases.invalid': '❗ ആ നമ്പറിൽ ഒരു വാങ്ങലും ഇല്ല. പട്ടിക കാണാൻ *purchases* അയയ്ക്കുക.',
+    'purchases.not_approved': '⏳ ആ വാങ്ങൽ ഇപ്പോഴും അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു.',
+    'purchases.reversed': '❌ ആ പേയ്മെന്റ് തിരിച്ചെടുത്തതിനാൽ ഫയലുകൾ വീണ്ടും അയയ്ക്കാൻ കഴിയില്ല.',
+
+    // Menu and Help
+    'menu.body': '*Buddy Cash മെനു:*\n{items}\n\nനിങ്ങളുടെ Buddy Code : *{buddyCode}*\n\nനിങ്ങൾക്ക് വേണ്ടതിന്റെ നമ്പർ അയയ്ക്കുക.',
+    'menu.balance': 'ബാലൻസ്',
+    'menu.withdraw': 'പണം പിൻവലിക്കൽ',
+    'menu.history': 'ഇടപാട് ചരിത്രം',
+    'menu.buddies': 'എന്റെ Buddies',
+    'menu.contact': 'അഡ്മിനെ ബന്ധപ്പെടുക ({supportContact})',
+    'menu.formats': 'Buddy സന്ദേശ മാതൃകകൾ',
+    'menu.buy': 'ഉൽപ്പന്നങ്ങൾ വാങ്ങുക',
+    'menu.purchases': 'എന്റെ വാങ്ങലുകൾ',
+    'menu.promo': 'എന്റെ പ്രൊമോ ചിത്രം',
+    'menu.links': 'എന്റെ ലിങ്ക് കണക്കുകൾ',
+    'menu.invalid_option': '❗ തെറ്റായ ഓപ്ഷൻ. മെനുവിൽ നിന്ന് ഒരു നമ്പർ തിരഞ്ഞെടുക്കുക.',
+    'help.title': '*📖 Buddy Cash കമാൻഡുകൾ:*',
+    'help.footer': 'മെനുവിനായി *hi* അയയ്ക്കുക.',
+    'help.footer_guest': 'രജിസ്റ്റർ ചെയ്യാൻ നിങ്ങൾക്ക് ലഭിച്ച Buddy Code അയയ്ക്കുക. ഉദാഹരണം: ABCDEFGHIJ',
+    'help.balance': 'നിങ്ങളുടെ ഇപ്പോഴത്തെ ബാലൻസ് കാണുക.',
+    'help.withdraw': 'നിങ്ങളുടെ UPI ID-ലേക്ക് പണം പിൻവലിക്കാൻ അപേക്ഷിക്കുക.',
+    'help.history': 'നിങ്ങളുടെ ഇടപാട് ചരിത്രം കാണുക.',
+    'help.buddies': 'നിങ്ങളുടെ കോഡ് വഴി ചേർന്ന Buddies-നെയും അവരുടെ Buddies-നെയും, ഓരോരുത്തരും നിങ്ങൾക്ക് നേടിത്തന്ന തുകയും കാണുക.',
+    'help.contact': 'അഡ്മിനെ എങ്ങനെ ബന്ധപ്പെടാമെന്ന് കാണുക.',
+    'help.formats': 'സുഹൃത്തുക്കൾക്ക് അയയ്ക്കാൻ തയ്യാറാക്കിയ സന്ദേശങ്ങൾ നേടുക.',
+    'help.buy': 'മറ്റൊരു ഉൽപ്പന്നം വാങ്ങുക.',
+    'help.purchases': 'നിങ്ങൾ വാങ്ങിയവ കാണുക, അല്ലെങ്കിൽ ഒരു ഉൽപ്പന്നത്തിന്റെ ഫയലുകൾ വീണ്ടും നേടുക.',
+    'help.promo': 'പങ്കിടാൻ നിങ്ങളുടെ Buddy Code-ഉം QR കോഡും ഉള്ള പ്രൊമോ ചിത്രം നേടുക.',
+    'help.links': 'നിങ്ങളുടെ Buddy ലിങ്ക് എത്ര പേർ തുറന്നു, രജിസ്റ്റർ ചെയ്തു, പണമടച്ചു എന്ന് കാണുക.',
+    'help.menu': 'മെനു കാണുക.',
+    'help.upi': 'പണം പിൻവലിക്കാനുള്ള UPI ID-യും പേരും സജ്ജമാക്കുക.',
+    'help.help': 'നിങ്ങൾക്ക് ഉപയോഗിക്കാവുന്ന കമാൻഡുകൾ കാണുക.',
+    'help.language': 'ബോട്ട് സംസാരിക്കുന്ന ഭാഷ തിരഞ്ഞെടുക്കുക.',
+    'help.cancel': 'നടന്നുകൊണ്ടിരിക്കുന്ന പിൻവലിക്കലോ വാങ്ങലോ റദ്ദാക്കുക.',
+    'paginate.page': 'പേജ് {index}/{total}',
+    'paginate.more': 'കൂടുതൽ കാണാൻ *{command}* അയയ്ക്കുക',
+
+    // Balance and History
+    'balance.current': '💰 *നിങ്ങളുടെ ഇപ്പോഴത്തെ ബാലൻസ്:* {balance}.',
+    'balance.credited': 'ℹ️ അഡ്മിൻ നിങ്ങളുടെ ബാലൻസിലേക്ക് {amount} ചേർത്തു. കാരണം: {reason}. പുതിയ ബാലൻസ് {balance}.',
+    'balance.debited': 'ℹ️ അഡ്മിൻ നിങ്ങളുടെ ബാലൻസിൽ നിന്ന് {amount} കുറച്ചു. കാരണം: {reason}. പുതിയ ബാലൻസ് {balance}.',
+    'history.empty': '📄 ഇടപാടുകളൊന്നുമില്ല.',
+    'history.title': '*📊 നിങ്ങളുടെ ഇടപാട് ചരിത്രം:*',
+    'history.line': '{date}-ന് {amount} {label} - സ്ഥിതി: {status}',
+    'history.type.deposit': 'ഡെപ്പോസിറ്റ്',
+    'history.type.commission': 'കമ്മീഷൻ',
+    'history.type.withdrawal': 'പിൻവലിക്കൽ',
+    'history.type.reversal': 'തിരിച്ചടവ്',
+    'history.type.adjustment': 'ക്രമീകരണം',
+    'history.type.clawback': 'കമ്മീഷൻ തിരിച്ചെടുത്തു',
+    'history.status.pending': 'തീരുമാനമായിട്ടില്ല',
+    'history.status.approved': 'അംഗീകരിച്ചു',
+    'history.status.rejected': 'നിരസിച്ചു',
+    'history.status.reversed': 'തിരിച്ചെടുത്തു',
+
+    // Buddies and Commissions
+    'buddies.none': '👥 നിങ്ങൾക്ക് ഇതുവരെ Buddies ഇല്ല.',
+    'buddies.title': '*👥 നിങ്ങളുടെ Buddies:*',
+    'buddies.summary': '{direct} നേരിട്ട്, {secondLevel} രണ്ടാം നിര, {earned} നേടി',
+    'buddies.direct': 'നേരിട്ട്: {counts}',
+    'buddies.second_level': 'രണ്ടാം നിര: {counts}',
+    'buddies.status_counts': '{paid} പണമടച്ചു, {pending} കാത്തിരിക്കുന്നു, {unpaid} അടച്ചിട്ടില്ല',
+    'buddies.branch': 'ശാഖ {amount}',
+    'buddies.more': '…കൂടാതെ {count} പേർ',
+    'buddies.unnamed': 'പേരില്ല',
+    'commission.level_1': '🎉 നിങ്ങളുടെ Buddy Code നിങ്ങൾക്ക് {amount} നേടിത്തന്നു! പുതിയ ബാലൻസ് {balance}.',
+    'commission.level_2': '🎉 നിങ്ങളുടെ രണ്ടാം നിര റഫറൽ നിങ്ങൾക്ക് {amount} നേടിത്തന്നു! പുതിയ ബാലൻസ് {balance}.',
+    'commission.level_n': '🎉 നിങ്ങളുടെ ലെവൽ-{level} റഫറൽ നിങ്ങൾക്ക് {amount} നേടിത്തന്നു! പുതിയ ബാലൻസ് {balance}.',
+    'commission.reversed': '↩️ {buddy}-ൽ നിന്ന് നേടിയ {amount} അവരുടെ പേയ്മെന്റ് തിരിച്ചെടുത്തതിനാൽ തിരികെ എടുത്തു. കാരണം: {reason}\nനിങ്ങളുടെ പുതിയ ബാലൻസ് {balance} ആണ്.',
+    'commission.reversed_negative': '↩️ {buddy}-ൽ നിന്ന് നേടിയ {amount} അവരുടെ പേയ്മെന്റ് തിരിച്ചെടുത്തതിനാൽ തിരികെ എടുത്തു. കാരണം: {reason}\nഇപ്പോൾ നിങ്ങളുടെ ബാലൻസ് {balance} ആണ്. പുതിയ വരുമാനം ബാലൻസ് പൂജ്യത്തിന് മുകളിൽ എത്തിക്കുന്നതുവരെ പിൻവലിക്കൽ നിർത്തിവെച്ചിരിക്കുന്നു.',
+    'plan.level_1': 'നിങ്ങളുടെ Buddy ചേരുമ്പോൾ {amount}.',
+    'plan.level_2': 'അവരുടെ Buddies ചേരുമ്പോൾ {amount}.',
+    'plan.level_n': 'ഓരോ ലെവൽ-{level} Buddy-ക്കും {amount}.',
+
+    // Withdrawals and UPI
+    'withdraw.usage': 'ഉപയോഗം: withdraw <തുക>\n*ഉദാഹരണം:* withdraw 50',
+    'withdraw.invalid_format': '❗ തെറ്റായ രീതി. ഉപയോഗം: withdraw <തുക>\n*ഉദാഹരണം:* withdraw 50',
+    'withdraw.invalid_amount': '❗ പിൻവലിക്കേണ്ട തുക ശരിയായ ഒരു സംഖ്യയായി നൽകുക.',
+    'withdraw.below_minimum': '⚠️ കുറഞ്ഞ പിൻവലിക്കൽ തുക {min} ആണ്.',
+    'withdraw.not_approved': '⚠️ നിങ്ങളുടെ അക്കൗണ്ട് ഇതുവരെ പിൻവലിക്കലിന് അംഗീകരിച്ചിട്ടില്ല.',
+    'withdraw.insufficient': '⚠️ ആവശ്യത്തിന് ബാലൻസ് ഇല്ല. നിങ്ങളുടെ ഇപ്പോഴത്തെ ബാലൻസ് {balance}.',
+    'withdraw.negative_balance': '⚠️ തിരിച്ചെടുത്ത പേയ്മെന്റിന്റെ കമ്മീഷൻ കുറച്ചതിനാൽ നിങ്ങളുടെ ബാലൻസ് {balance} ആണ്. പുതിയ വരുമാനം ബാലൻസ് പൂജ്യത്തിന് മുകളിൽ എത്തിക്കുമ്പോൾ വീണ്ടും പിൻവലിക്കാം.',
+    'withdraw.already_pending': '⏳ നിങ്ങളുടെ ഒരു പിൻവലിക്കൽ അപേക്ഷ ഇതിനകം തീരുമാനം കാത്തിരിക്കുന്നു. ദയവായി കാത്തിരിക്കുക.',
+    'withdraw.ask_upi': '📄 പിൻവലിക്കൽ തുടരാൻ നിങ്ങളുടെ UPI ID-യും പേരും അയയ്ക്കുക.\n*രീതി:* UPI <UPI_ID> <പേര്>\nനിർത്താൻ *cancel* അയയ്ക്കുക.',
+    'withdraw.confirm': '💸 {amount} UPI ID *{upiId}*-ലേക്ക് പിൻവലിക്കണോ?\nസ്ഥിരീകരിക്കാൻ *YES*, റദ്ദാക്കാൻ *NO* അയയ്ക്കുക.',
+    'withdraw.confirm_again': '{amount} പിൻവലിക്കൽ സ്ഥിരീകരിക്കാൻ *YES*, റദ്ദാക്കാൻ *NO* അയയ്ക്കുക.',
+    'withdraw.cancelled': 'പിൻവലിക്കൽ റദ്ദാക്കി.',
+    'withdraw.submitted': '✅ നിങ്ങളുടെ {amount} പിൻവലിക്കൽ അപേക്ഷ സമർപ്പിച്ചു, അഡ്മിന്റെ അംഗീകാരത്തിനായി കാത്തിരിക്കുന്നു.',
+    'withdraw.approved': '✅ നിങ്ങളുടെ {amount} പിൻവലിക്കൽ അംഗീകരിച്ച് UPI ID ({upiId})-ലേക്ക് അയച്ചു. പുതിയ ബാലൻസ് {balance}.',
+    'withdraw.rejected': '❌ അഡ്മിൻ നിങ്ങളുടെ {amount} പിൻവലിക്കൽ നിരസിച്ചു. കാരണം: {reason}',
+    'withdraw.payout_failed': '❌ {upiId} ലേക്കുള്ള നിങ്ങളുടെ {amount} പിൻവലിക്കൽ അയയ്ക്കാനായില്ല. കാരണം: {reason}. തുക നിങ്ങളുടെ ബാലൻസിലേക്ക് തിരികെ ചേർത്തു, ഇപ്പോഴത്തെ ബാലൻസ് {balance}.',
+    'withdraw.expired_upi': '⌛ സമയത്തിനുള്ളിൽ UPI വിവരങ്ങൾ ലഭിക്കാത്തതിനാൽ പിൻവലിക്കൽ റദ്ദാക്കി.',
+    'withdraw.expired_confirm': '⌛ സമയത്തിനുള്ളിൽ സ്ഥിരീകരിക്കാത്തതിനാൽ പിൻവലിക്കൽ റദ്ദാക്കി.',
+    'upi.invalid_format': '❗ തെറ്റായ രീതി. ഉപയോഗം: UPI <UPI_ID> <പേര്>',
+    'upi.updated': '✅ നിങ്ങളുടെ UPI ID-യും പേരും പുതുക്കി.',
+    'upi.invalid_id': '❗ *{upiId}* ശരിയായ UPI ID അല്ല. ഇത് name@bank പോലെ ആയിരിക്കണം, ഉദാ. 9876543210@ybl.',
+    'upi.unknown_handle': '❗ *@{handle}* എന്ന UPI ഹാൻഡിൽ ഞങ്ങൾക്ക് അറിയില്ല. നിങ്ങളുടെ UPI ആപ്പിൽ നിന്ന് UPI ID പകർത്തി വീണ്ടും ശ്രമിക്കുക.',
+    'upi.invalid_name': '❗ UPI ആപ്പിൽ കാണുന്നതുപോലെ അക്കൗണ്ട് ഉടമയുടെ പേര് നൽകുക (അക്ഷരങ്ങൾ മാത്രം).',
+    'upi.confirm': '📝 നിങ്ങളുടെ പേയൗട്ട് വിവരങ്ങൾ പരിശോധിക്കുക:\nUPI ID: *{upiId}*\nപേര്: *{upiName}*\nസേവ് ചെയ്യാൻ *YES* എന്നോ റദ്ദാക്കാൻ *NO* എന്നോ മറുപടി നൽകുക.',
+    'upi.confirm_again': 'UPI ID *{upiId}* സേവ് ചെയ്യാൻ *YES* എന്നോ റദ്ദാക്കാൻ *NO* എന്നോ മറുപടി നൽകുക.',
+    'upi.cancelled': 'UPI മാറ്റം റദ്ദാക്കി. നിങ്ങളുടെ പേയൗട്ട് വിവരങ്ങൾ മാറ്റിയിട്ടില്ല.',
+    'upi.locked_pending': '🔒 പിൻവലിക്കൽ തീർപ്പാകാതെ നിൽക്കുമ്പോൾ UPI ID മാറ്റാൻ കഴിയില്ല. അത് പൂർത്തിയാകുന്നതുവരെ കാത്തിരിക്കുക.',
+    'upi.expired_confirm': '⌛ സമയത്തിനുള്ളിൽ സ്ഥിരീകരിക്കാത്തതിനാൽ നിങ്ങളുടെ UPI മാറ്റം റദ്ദാക്കി.',
+    'cancel.nothing': 'റദ്ദാക്കാൻ ഒന്നുമില്ല.',
+    'words.yes': 'അതെ,ശരി,athe,shari',
+    'words.no': 'ഇല്ല,വേണ്ട,illa,venda',
+
+    // Other Replies
+    'contact.body': '📞 എന്ത് സഹായത്തിനും അഡ്മിനെ *{supportContact}*-ൽ ബന്ധപ്പെടാം.',
+    'formats.registration': '*Buddy Cash രജിസ്ട്രേഷൻ:*\nനിങ്ങളുടെ buddy code ഉപയോഗിച്ച് രജിസ്റ്റർ ചെയ്ത് പ്രതിഫലം നേടൂ!\nഉദാഹരണം: ABCDEFGHIJ',
+    'formats.earnings': '*വരുമാനം:*\n{products}',
+    'formats.invite': '*സുഹൃത്തുക്കളെ ക്ഷണിക്കൂ:*\nകൂടുതൽ നേടാൻ നിങ്ങളുടെ റഫറൽ ലിങ്ക് ഷെയർ ചെയ്യൂ!\nലിങ്ക്: {link}',
+    'formats.support': '*സഹായം:*\nസഹായം വേണോ? അഡ്മിനെ {supportContact}-ൽ ബന്ധപ്പെടുക.',
+    'formats.withdrawal': '*പിൻവലിക്കൽ അപേക്ഷ:*\nUPI ID-യും പേരും നൽകിയ ശേഷം \'withdraw\' അയയ്ക്കുക. കുറഞ്ഞ പിൻവലിക്കൽ: {min}.',
+    'promo.caption': '💰 *Buddy Cash-ൽ ചേരൂ, Buddies-നൊപ്പം കൂടുതൽ നേടൂ!* 💰\n\n🛍️ *വെറും {fee} മുതൽ പ്രത്യേക ഡിജിറ്റൽ ഉൽപ്പന്നങ്ങൾ:*\n{products}\n\n🚀 *Buddies-നെ ചേർത്ത് നേടൂ:*\n{levels}\n\n📲 *എങ്ങനെ തുടങ്ങാം?*\n1️⃣ ഈ Buddy Code ഉപയോഗിച്ച് രജിസ്റ്റർ ചെയ്യുക: *{buddyCode}*\n2️⃣ ഒരു ഉൽപ്പന്നം തിരഞ്ഞെടുത്ത് പണമടച്ച് അത് നേടുക.\n3️⃣ പരിശോധന കഴിഞ്ഞ് ഗ്രൂപ്പിൽ ചേർന്ന് ഇന്നുതന്നെ സമ്പാദിച്ചു തുടങ്ങൂ!\n\n🔗 *നിങ്ങളുടെ Buddy ലിങ്ക്:*\n{link}',
+    'chat.locked': '{until} വരെ നിങ്ങളെ തടഞ്ഞിരിക്കുന്നു.',
+    'chat.too_fast': '⏳ നിങ്ങൾ വളരെ വേഗത്തിൽ സന്ദേശങ്ങൾ അയയ്ക്കുന്നു. ഒരു മിനിറ്റ് കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+    'chat.no_delete': '🚫 ഈ ചാറ്റിൽ സന്ദേശങ്ങൾ ഡിലീറ്റ് ചെയ്യാൻ കഴിയില്ല.',
+    'chat.deleted_text': '🔍 നിങ്ങൾ ഡിലീറ്റ് ചെയ്ത സന്ദേശം: "{body}"',
+    'chat.deleted_media': '🔍 നിങ്ങൾ ഒരു മീഡിയ സന്ദേശം ഡിലീറ്റ് ചെയ്തു.',
+    'chat.no_calls': '🤖 ഹായ്! ഞാൻ Buddy Cash Bot ആണ്. Buddy Cash-മായി ബന്ധപ്പെട്ട സന്ദേശങ്ങൾ ഞാൻ കൈകാര്യം ചെയ്യുന്നു. വിളിക്കുന്നതിന് പകരം സന്ദേശം അയയ്ക്കുക.',
+    'account.locked': '🔒 അഡ്മിൻ നിങ്ങളുടെ അക്കൗണ്ട് {until} വരെ തടഞ്ഞു.',
+    'account.unlocked': '🔓 നിങ്ങളുടെ അക്കൗണ്ടിന്റെ തടസ്സം നീക്കി.',
+    'group.welcome': '👋 സ്വാഗതം {participant}! Buddy Cash Bot ഗ്രൂപ്പിൽ ചേർന്നതിന് നന്ദി.',
+    'group.goodbye': '👋 വിട {participant}. നിങ്ങൾ പോകുന്നതിൽ ഞങ്ങൾക്ക് വിഷമമുണ്ട്.',
+
+    // Admin Notifications
+    'admin.payment_screenshot': '{name}-ൽ നിന്ന് പുതിയ പേയ്‌മെന്റ് സ്ക്രീൻഷോട്ട്.\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nഉൽപ്പന്നം: {product} ({amount})',
+    'admin.purchase_screenshot': '{name}-ൽ നിന്ന് (നിലവിലെ അംഗം) പുതിയ വാങ്ങലിന്റെ സ്ക്രീൻഷോട്ട്.\nBuddy Code: {buddyCode}\nChat ID: {chatId}\nഉൽപ്പന്നം: {product} ({amount})',
+    'admin.screenshot_same_own': '⚠️ ഈ ഉപയോക്താവ് {date}-ന് അയച്ച ({status}) അതേ ചിത്രം',
+    'admin.screenshot_same_other': '⚠️ {buddyCode} ({chatId}) {date}-ന് അയച്ച ({status}) അതേ ചിത്രം',
+    'admin.screenshot_similar_own': '⚠️ ഈ ഉപയോക്താവ് {date}-ന് അയച്ച ({status}) ചിത്രത്തോട് സാമ്യമുണ്ട് (ദൂരം {distance})',
+    'admin.screenshot_similar_other': '⚠️ {buddyCode} ({chatId}) {date}-ന് അയച്ച ({status}) ചിത്രത്തോട് സാമ്യമുണ്ട് (ദൂരം {distance})',
+    'admin.withdrawal_request': '💸 *പിൻവലിക്കൽ അപേക്ഷ:*\nഉപയോക്താവ്: {name} ({chatId})\nതുക: {amount}\nUPI ID: {upiId}',
+    'admin.upi_recently_changed': '⚠️ ഈ അപേക്ഷയ്ക്ക് {hours} മണിക്കൂറിനുള്ളിൽ, {date}-ന് UPI ID {from} ൽ നിന്ന് {to} ആയി മാറ്റി.',
+    'admin.risk_score': '🚩 റിസ്ക് സ്കോർ: {score}/100 ({level})',
+    'admin.withdrawal_held': '⏸️ ഈ പിൻവലിക്കൽ പരിശോധനയ്ക്കായി തടഞ്ഞുവച്ചിരിക്കുന്നു. *risk {chatId}* ഉപയോഗിച്ച് പരിശോധിക്കുക, തുടർന്ന് *release {chatId}* ചെയ്യുക അല്ലെങ്കിൽ *with_re* ഉപയോഗിച്ച് നിരസിക്കുക.',
+    'admin.signup_burst': '🚩 {minutes} മിനിറ്റിനുള്ളിൽ Buddy Code {buddyCode} ന് കീഴിൽ {count} രജിസ്ട്രേഷനുകൾ. ഏറ്റവും പുതിയത്: {chatId}',
+    'risk.level.low': 'കുറവ്',
+    'risk.level.medium': 'ഇടത്തരം',
+    'risk.level.high': 'ഉയർന്നത്',
+    'risk.reason.shared_upi': 'മറ്റ് {count} അക്കൗണ്ട്(കൾ) UPI ID {upiId} ഉപയോഗിക്കുന്നു അല്ലെങ്കിൽ ഉപയോഗിച്ചിരുന്നു: {accounts}',
+    'risk.reason.referral_ring': 'സ്വന്തം റഫറൽ ശൃംഖലയിലെ അക്കൗണ്ടുകളുമായി UPI ID പങ്കിടുന്നു: {accounts}',
+    'risk.reason.referral_cycle': 'റഫറൽ ശൃംഖല തിരികെ സ്വയം എത്തുന്നു: {chain}',
+    'risk.reason.signup_burst': '{minutes} മിനിറ്റിനുള്ളിൽ {buddyCode} ന് കീഴിലുള്ള {count} രജിസ്ട്രേഷനുകളിൽ ഒന്നായി ചേർന്നു',
+    'risk.reason.downline_burst': '{minutes} മിനിറ്റിനുള്ളിൽ ഈ കോഡിന് കീഴിൽ {count} ബഡ്ഡികൾ ചേർന്നു',
+    'admin.sender_locked': '🚫 *തടഞ്ഞു:* {chatId} {attempts} തെറ്റായ Buddy Code-കൾ അയച്ചു, {until} വരെ തടഞ്ഞിരിക്കുന്നു (തടയൽ #{lockout}).',
+    'admin.deposits_overdue': '⏰ *{count} ഡെപ്പോസിറ്റ്(കൾ) {hours} മണിക്കൂറിലേറെയായി കാത്തിരിക്കുന്നു:*',
+    'admin.withdrawals_overdue': '⏰ *{count} പിൻവലിക്കൽ(കൾ) {hours} മണിക്കൂറിലേറെയായി കാത്തിരിക്കുന്നു:*',
+    'admin.deleted_message': '⚠️ ഉപയോക്താവ് {sender} ഒരു സന്ദേശം ഡിലീറ്റ് ചെയ്യാൻ ശ്രമിച്ചു: "{body}"',
+    'admin.call': '📞 {callerId}-ൽ നിന്ന് കോൾ വന്നു. ബോട്ട് ഇപ്പോൾ കോളുകൾ കൈകാര്യം ചെയ്യുന്നില്ല.',
+    'admin.typing': '📝 {name} ചാറ്റ് {chatId}-ൽ ടൈപ്പ് ചെയ്യുന്നു.',
+    'admin.group_join': '👥 {participant} ഗ്രൂപ്പ് {groupId}-ൽ ചേർന്നു.',
+    'admin.group_leave': '👤 {participant} ഗ്രൂപ്പ് {groupId} വിട്ടു.',
+    'admin.battery_low': '⚠️ മുന്നറിയിപ്പ്: ബാറ്ററി കുറവാണ് ({level}%). ബോട്ട് പ്രവർത്തിക്കുന്ന ഉപകരണം ചാർജ് ചെയ്യുക.',
+    'admin.client_state': '🔄 Buddy Cash Bot ക്ലയന്റിന്റെ നില മാറി: {state}',
+    'admin.logged_out': '🚪 ബോട്ടിന്റെ WhatsApp സെഷൻ {date}-ന് ലോഗ് ഔട്ട് ആയി ({reason}). {link} എന്നതിലെ പുതിയ QR കോഡ് ആരെങ്കിലും സ്കാൻ ചെയ്യുന്നത് വരെ സന്ദേശങ്ങൾ അയയ്ക്കുകയോ സ്വീകരിക്കുകയോ ചെയ്യില്ല.',
+
+    // Admin Command Help
+    'help.admin.approve': 'കാത്തിരിക്കുന്ന ഒരു ഡെപ്പോസിറ്റ് അംഗീകരിക്കുക.',
+    'help.admin.reject': 'കാത്തിരിക്കുന്ന ഒരു ഡെപ്പോസിറ്റ് നിരസിക്കുക.',
+    'help.admin.app_with': 'കാത്തിരിക്കുന്ന ഒരു പിൻവലിക്കൽ അംഗീകരിക്കുക.',
+    'help.admin.with_re': 'കാത്തിരിക്കുന്ന ഒരു പിൻവലിക്കൽ നിരസിക്കുക.',
+    'help.admin.admin': 'ഒരു അഡ്മിനെ ചേർക്കുക, റോൾ മാറ്റുക അല്ലെങ്കിൽ നീക്കം ചെയ്യുക. റോളുകൾ: reviewer, finance, superadmin.',
+    'help.admin.admins': 'എല്ലാ അഡ്മിൻമാരെയും അവരുടെ റോളുകളും കാണുക.',
+    'help.admin.audit': 'ഏറ്റവും പുതിയ അഡ്മിൻ പ്രവർത്തനങ്ങൾ കാണുക, വേണമെങ്കിൽ ഒരു ഉപയോക്താവിന്റേത് മാത്രം.',
+    'help.admin.pending': 'അംഗീകാരത്തിനായി കാത്തിരിക്കുന്ന ഡെപ്പോസിറ്റുകൾ കാണുക.',
+    'help.admin.withdrawals': 'അംഗീകാരത്തിനായി കാത്തിരിക്കുന്ന പിൻവലിക്കലുകൾ കാണുക.',
+    'help.admin.user': 'ഒരു ഉപയോക്താവിനെ അവരുടെ അപ്‌ലൈനും Buddy-കളും സഹിതം കാണുക.',
+    'help.admin.adjust': 'ഒരു ഉപയോക്താവിന്റെ ബാലൻസിൽ തുക ചേർക്കുക അല്ലെങ്കിൽ കുറയ്ക്കുക.',
+    'help.admin.lock': 'ഒരു ഉപയോക്താവിനെ കുറച്ചുകാലത്തേക്ക് തടയുക, ഉദാ. lock ABCDEFGHIJ 7d spam.',
+    'help.admin.unlock': 'ഒരു തടയൽ നീക്കുക, തെറ്റായ Buddy Code-കൾ കാരണമുള്ളതും.',
+    'help.admin.stats': 'രജിസ്ട്രേഷൻ, ഡെപ്പോസിറ്റ്, പേഔട്ട് ആകെത്തുകകൾ കാണുക.',
+    'help.admin.settings': 'പണം സ്വീകരിക്കുന്ന UPI ID, സപ്പോർട്ട് കോൺടാക്റ്റ്, മറ്റ് റൺടൈം ക്രമീകരണങ്ങൾ കാണുക.',
+    'help.admin.set': 'ഒരു റൺടൈം ക്രമീകരണം മാറ്റുക, ഉദാ. set payeeUpi name@bank.',
+    'help.admin.jobs': 'ഷെഡ്യൂൾ ചെയ്ത ജോലികൾ കാണുക, അല്ലെങ്കിൽ jobs run <name> ഉപയോഗിച്ച് ഒന്ന് ഇപ്പോൾ പ്രവർത്തിപ്പിക്കുക.',
+    'help.admin.payouts': 'പേഔട്ട് ബാച്ചുകൾ കാണുക, കാത്തിരിക്കുന്ന പിൻവലിക്കലുകൾ പുതിയ ബാച്ചായി എക്സ്പോർട്ട് ചെയ്യുക, അല്ലെങ്കിൽ ഒരു ബാച്ചിന്റെ CSV വീണ്ടും അയയ്ക്കുക.',
+    'help.admin.settle': 'പേഔട്ടുകൾ നൽകിയതോ പരാജയപ്പെട്ടതോ ആയി അടയാളപ്പെടുത്താൻ ബാങ്കിന്റെ സെറ്റിൽമെന്റ് CSV ഇമ്പോർട്ട് ചെയ്യുക.',
+    'help.admin.outbox': 'പുറത്തേക്കുള്ള സന്ദേശ ക്യൂ കാണുക, ഡെഡ് ലെറ്ററുകൾ കാണുക അല്ലെങ്കിൽ അവ വീണ്ടും അയയ്ക്കുക.',
+    'help.admin.risk': 'പങ്കിട്ട UPI ID-കൾ, റഫറൽ വലയങ്ങൾ, കൂട്ടമായ സൈൻ-അപ്പുകൾ എന്നിവയ്ക്കായി ഒരു ഉപയോക്താവിനെ പരിശോധിക്കുക.',
+    'help.admin.release': 'റിസ്ക് പരിശോധനയ്ക്കായി തടഞ്ഞുവച്ച ഒരു പിൻവലിക്കൽ പണം നൽകാനായി വിടുക.',
+    'help.admin.webhooks': 'വെബ്ഹുക്കുകൾ കാണുക, ഒന്ന് ചേർക്കുക അല്ലെങ്കിൽ നീക്കം ചെയ്യുക, ടെസ്റ്റ് ഇവന്റ് അയയ്ക്കുക, അല്ലെങ്കിൽ അതിന്റെ ഡെലിവറി ലോഗ് കാണുക.',
+    'help.admin.products': 'വിൽപ്പനയിലുള്ള ഉൽപ്പന്നങ്ങൾ അവയുടെ വില, ഫയലുകൾ, കമ്മീഷൻ പ്ലാനുകൾ സഹിതം കാണുക.',
+    'help.admin.product': 'ഒരു ഉൽപ്പന്നം ചേർക്കുക അല്ലെങ്കിൽ മാറ്റുക, ഉദാ. product set GUIDE price 50.',
+    'help.admin.reverse': 'അംഗീകരിച്ച ഒരു പേയ്‌മെന്റ് റിവേഴ്സ് ചെയ്യുക: അതിന്റെ കമ്മീഷനുകൾ തിരിച്ചെടുക്കുക, അംഗത്വം അവസാനിപ്പിക്കുക, ഉപയോക്താവിനെ ഗ്രൂപ്പിൽ നിന്ന് നീക്കം ചെയ്യുക.',
+    'help.admin.trace': 'ചോർന്ന ഒരു PDF ഏത് അക്കൗണ്ടിന് നൽകിയതാണെന്ന് ഫയലിൽ നിന്നോ അതിന്റെ പേജുകളിലെ കോപ്പി കോഡിൽ നിന്നോ കണ്ടെത്തുക.',
+    'help.admin.linkstats': 'ഒരു Buddy Code-ന്റെ ഷോർട്ട് ലിങ്ക് ക്ലിക്കുകൾ, സൈൻ-അപ്പുകൾ, പണം നൽകിയ സൈൻ-അപ്പുകൾ, അല്ലെങ്കിൽ ഏറ്റവും കൂടുതൽ ക്ലിക്ക് ചെയ്ത കോഡുകൾ.',
+};
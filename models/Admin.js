@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Admin Roles
+const ADMIN_ROLES = [
+    'reviewer',   // Approves or rejects deposits
+    'finance',    // Approves or rejects withdrawals
+    'superadmin', // Everything, including managing admins
+];
+
+// Admin Schema (ADMIN_NUMBER is always a superadmin; it is only stored here to keep its language)
+const adminSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    role: { type: String, enum: ADMIN_ROLES, required: true },
+    addedBy: { type: String, default: null }, // Chat ID of the superadmin who added them
+    language: { type: String, default: null }, // Used for admins without a user account, see services/i18n.js
+    createdAt: { type: Date, default: Date.now },
+});
+
+const Admin = mongoose.model('Admin', adminSchema);
+Admin.ROLES = ADMIN_ROLES;
+
+module.exports = Admin;
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Audit Log Schema (one record per admin action)
+const auditLogSchema = new mongoose.Schema({
+    actor: { type: String, required: true, index: true }, // Admin chat ID, or 'api' for the REST API
+    action: { type: String, required: true }, // e.g. 'approve', 'reject', 'app_with', 'with_re'
+    target: { type: String, default: null, index: true }, // Chat ID the action applied to
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    reason: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, index: true },
+}, { versionKey: false });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Commission Level (exactly one of amount or percent of the fee)
+const levelSchema = new mongoose.Schema({
+    amount: { type: Number, default: null, min: 0 }, // Fixed ₹ amount
+    percent: { type: Number, default: null, min: 0, max: 100 }, // Percentage of the price paid
+}, { _id: false });
+
+levelSchema.pre('validate', function () {
+    if ((this.amount === null) === (this.percent === null)) {
+        this.invalidate('amount', 'Each commission level needs either an amount or a percent, not both.');
+    }
+});
+
+// Commission Plan Schema (plans are versioned; the latest effective one applies)
+const commissionPlanSchema = new mongoose.Schema({
+    version: { type: Number, required: true, unique: true },
+    fee: { type: Number, required: true, min: 0 }, // Registration fee in ₹ (the default product's starting price)
+    levels: { type: [levelSchema], default: [] }, // Index 0 pays the direct referrer
+    minWithdrawal: { type: Number, required: true, min: 0 },
+    effectiveFrom: { type: Date, required: true, index: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('CommissionPlan', commissionPlanSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Deposit Schema (one per payment screenshot submission)
+const depositSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true },
+    amount: { type: Number, required: true },
+    planVersion: { type: Number, required: true }, // Commission plan in effect when submitted
+    product: { type: String, default: null }, // Product code; null for deposits made before the catalog (the default product)
+    productName: { type: String, default: null }, // Product name when submitted
+    purchase: { type: Boolean, default: false }, // An extra purchase by a member rather than the registration payment
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'reversed'], default: 'pending' },
+    reason: { type: String, default: null }, // Reason for rejection or reversal
+    sha256: { type: String, default: null, index: true }, // Hash of the screenshot bytes
+    phash: { type: String, default: null }, // Perceptual hash of the screenshot, see services/screenshots.js
+    phashBands: { type: [String], index: true }, // Pieces of the perceptual hash used to look up similar screenshots
+    mimetype: { type: String, default: null },
+    size: { type: Number, default: null }, // Screenshot size in bytes
+    createdAt: { type: Date, default: Date.now },
+    reviewedAt: { type: Date, default: null },
+    reversedAt: { type: Date, default: null }, // Set when an approved deposit is reversed, e.g. a bounced payment
+    escalatedAt: { type: Date, default: null }, // Set once the deposit is escalated to admins for waiting too long
+});
+
+module.exports = mongoose.model('Deposit', depositSchema);
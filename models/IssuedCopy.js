@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Issued Copy Schema (one watermarked copy of a product file per buyer, see services/copies.js)
+const issuedCopySchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true }, // Identifier stamped on the pages and hidden in the metadata
+    chatId: { type: String, required: true },
+    buddyCode: { type: String, required: true },
+    name: { type: String, default: null }, // Buyer's name when the copy was first issued
+    product: { type: String, required: true }, // Product code
+    file: { type: String, required: true }, // Product file path, relative to the pdf/ directory
+    deposit: { type: mongoose.Schema.Types.ObjectId, ref: 'Deposit', default: null },
+    purchasedAt: { type: Date, required: true },
+    sourceSha256: { type: String, default: null }, // Hash of the product file the cached copy was made from
+    hashes: { type: [String], default: [], index: true }, // Hash of every version of the copy that was sent
+    sends: { type: Number, default: 0 },
+    lastSentAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+issuedCopySchema.index({ chatId: 1, product: 1, file: 1 }, { unique: true });
+
+module.exports = mongoose.model('IssuedCopy', issuedCopySchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Scheduled Job State (one document per job, see services/scheduler.js). Keeping the
+// next run time and the lease in MongoDB lets jobs survive restarts, and lets only
+// one instance run a job at a time.
+const jobSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    nextRunAt: { type: Date, default: Date.now },
+    lockedBy: { type: String, default: null }, // Instance currently running the job
+    lockedUntil: { type: Date, default: null }, // Lease expiry, so a crashed instance doesn't hold the job forever
+    lastRunAt: { type: Date, default: null },
+    lastDurationMs: { type: Number, default: null },
+    lastResult: { type: String, default: null }, // Summary returned by the job, e.g. "3 reminded"
+    lastError: { type: String, default: null },
+    runs: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Ledger Entry Types
+const LEDGER_TYPES = [
+    'registration_fee', // Fee paid by the user on deposit approval (no balance effect)
+    'purchase',         // Price of an extra product bought by a member (no balance effect)
+    'commission',       // Referral commission credited to an upline member
+    'withdrawal_hold',  // Amount held when the user requests a withdrawal
+    'payout',           // Hold paid out to the user's UPI ID (no balance effect)
+    'reversal',         // Undoes an earlier entry: a rejected withdrawal hold, or the fee and commissions of a reversed deposit
+    'adjustment',       // Manual or migrated balance correction
+];
+
+// Ledger Entry Schema (entries are immutable once written)
+const ledgerEntrySchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true }, // Account the entry belongs to
+    type: { type: String, enum: LEDGER_TYPES, required: true },
+    amount: { type: Number, required: true }, // Amount shown to the user
+    delta: { type: Number, required: true }, // Signed effect on the user's balance
+    level: { type: Number, default: null }, // Referral level for commissions
+    sourceBuddyCode: { type: String, default: null }, // Buddy whose deposit paid a commission
+    deposit: { type: mongoose.Schema.Types.ObjectId, ref: 'Deposit', default: null },
+    refEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry', default: null }, // Hold paid out or entry reversed
+    reason: { type: String, default: null },
+    planVersion: { type: Number, default: null }, // Commission plan that paid a fee or commission
+    createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+// A hold or commission can be paid out or reversed only once
+ledgerEntrySchema.index(
+    { refEntry: 1 },
+    { unique: true, partialFilterExpression: { refEntry: { $type: 'objectId' } } }
+);
+
+// Reject any attempt to modify existing entries
+function rejectMutation() {
+    throw new Error('Ledger entries are immutable');
+}
+
+ledgerEntrySchema.pre('save', function () {
+    if (!this.isNew) {
+        rejectMutation();
+    }
+});
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+ledgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+LedgerEntry.TYPES = LEDGER_TYPES;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Outbound Message Schema (the durable send queue, see services/outbox.js).
+// Messages to one chat are delivered in _id order.
+const outboundMessageSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    text: { type: String, default: null }, // Text message, or null for media
+    media: { // Attachment as base64, cleared once sent
+        mimetype: { type: String },
+        data: { type: String },
+        filename: { type: String },
+    },
+    caption: { type: String, default: null },
+    status: { type: String, enum: ['queued', 'sending', 'sent', 'dead'], default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null }, // A 'sending' message whose lease ran out is retried
+    lastError: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    sentAt: { type: Date, default: null },
+    deadAt: { type: Date, default: null },
+}, { versionKey: false });
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ chatId: 1, status: 1 });
+// Also counts recent sends for the rate limits; sent messages are dropped after a week
+outboundMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One Withdrawal in a Payout Batch, Matched to the Bank's Settlement by Reference
+const payoutItemSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    name: { type: String, default: null },
+    upiId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    reference: { type: String, required: true }, // Sent to the bank and returned in its settlement file
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry', required: true }, // Withdrawal hold being paid
+    status: { type: String, enum: ['processing', 'paid', 'failed'], default: 'processing' },
+    reason: { type: String, default: null }, // Bank's reason for a failed payout
+    utr: { type: String, default: null }, // Bank transaction reference for a paid payout
+    settledAt: { type: Date, default: null },
+}, { _id: false });
+
+// Payout Batch Schema (pending withdrawals exported together as one bulk-payment file)
+const payoutBatchSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    status: { type: String, enum: ['processing', 'settled'], default: 'processing' },
+    items: [payoutItemSchema],
+    createdBy: { type: String, required: true }, // Admin chat ID, or 'api'
+    createdAt: { type: Date, default: Date.now },
+    settledAt: { type: Date, default: null }, // When the last item was paid or failed
+});
+
+payoutBatchSchema.index({ 'items.reference': 1 }, { unique: true });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// File Delivered on Approval (path relative to the pdf/ directory)
+const fileSchema = new mongoose.Schema({
+    path: { type: String, required: true },
+    filename: { type: String, default: null }, // Name shown to the user, defaults to the file's own name
+}, { _id: false });
+
+// Product Schema (one entry in the catalog users pick from before paying)
+const productSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true }, // Uppercase code users and admins type, e.g. PROMPTS
+    name: { type: String, required: true },
+    description: { type: String, default: null },
+    price: { type: Number, required: true, min: 1 }, // Price in ₹
+    files: { type: [fileSchema], default: [] },
+    caption: { type: String, default: null }, // Sent with the files; null uses the product.pdf_caption message
+    planVersion: { type: Number, default: null }, // Commission plan paying referrers; null follows the active plan
+    active: { type: Boolean, default: true }, // Inactive products are hidden from the menu but still resent to buyers
+    sortOrder: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Referral Click Schema (one visit to a /r/<buddyCode> short link, see services/referrals.js)
+const referralClickSchema = new mongoose.Schema({
+    ref: { type: String, required: true, unique: true }, // Pre-filled in the chat message so the sign-up can be linked back
+    buddyCode: { type: String, required: true }, // Code of the member whose link was clicked
+    campaign: { type: String, default: null }, // `c` (or `campaign`, `utm_campaign`) query parameter
+    userAgent: { type: String, default: null },
+    crawler: { type: Boolean, default: false }, // Link previews and bots, left out of the stats
+    registeredChatId: { type: String, default: null }, // Account that registered from this click
+    registeredAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+referralClickSchema.index({ buddyCode: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReferralClick', referralClickSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Failed Buddy Code Attempts per Sender. Senders who are not registered yet have
+// no user document, so their attempts and lockouts are tracked here instead.
+const senderLockSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    attempts: { type: Number, default: 0 }, // Failed attempts since the last lockout
+    lockouts: { type: Number, default: 0 }, // Lockouts so far, each one longer than the last
+    lockedUntil: { type: Date, default: null },
+    lastAttemptAt: { type: Date, default: null },
+});
+
+module.exports = mongoose.model('SenderLock', senderLockSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Runtime Setting Schema (overrides the config default, see services/settings.js)
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true },
+    updatedBy: { type: String, default: null }, // Chat ID of the admin who changed it
+    updatedAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// UPI Change Schema (one record each time a user's payout details change)
+const upiChangeSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, index: true },
+    fromUpiId: { type: String, default: null },
+    fromUpiName: { type: String, default: null },
+    toUpiId: { type: String, required: true },
+    toUpiName: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+module.exports = mongoose.model('UpiChange', upiChangeSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// User Schema (balances are derived from the ledger, see services/ledger.js)
+const userSchema = new mongoose.Schema({
+    chatId: { type: String, unique: true },
+    buddyCode: { type: String, unique: true },
+    referrer: { type: String, default: null }, // Buddy Code of the referrer
+    referralClick: { type: String, default: null }, // Ref of the short link click the user signed up from, see services/referrals.js
+    hasPaid: { type: Boolean, default: false },
+    isApproved: { type: Boolean, default: false },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    name: { type: String, default: null },
+    pendingApproval: { type: Boolean, default: false },
+    rejectionReason: { type: String, default: null }, // Reason for rejection
+    upiId: { type: String, default: null }, // User's UPI ID for withdrawals
+    upiName: { type: String, default: null }, // Account holder name for the UPI ID (null on older users: use `name`)
+    withdrawalPending: { type: Boolean, default: false }, // To restrict multiple pending withdrawals
+    state: { type: String, default: null }, // Conversation state, see bot/states.js
+    stateData: { type: mongoose.Schema.Types.Mixed, default: null }, // Data carried by the state, e.g. a withdrawal amount
+    stateExpiresAt: { type: Date, default: null },
+    language: { type: String, default: null }, // Catalog language, see services/i18n.js (null means English)
+    reminderCount: { type: Number, default: 0 }, // Payment reminders sent, see services/jobs.js
+    unpaidSince: { type: Date, default: null }, // When reminders count from after a restore (null means sign-up)
+    archivedAt: { type: Date, default: null }, // Set when an unpaid registration is archived
+    payoutReference: { type: String, default: null }, // Set while the pending withdrawal is in a payout batch
+    withdrawalEscalatedAt: { type: Date, default: null }, // Set once the pending withdrawal is escalated to admins
+    riskScore: { type: Number, default: 0 }, // Latest risk score, 0-100, see services/risk.js
+    riskReasons: { type: [mongoose.Schema.Types.Mixed], default: [] }, // { code, params } behind the score
+    riskCheckedAt: { type: Date, default: null },
+    riskHold: { type: Boolean, default: false }, // Set while a high-risk withdrawal waits for an admin to release it
+});
+
+module.exports = mongoose.model('User', userSchema);
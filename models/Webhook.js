@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Webhook Schema (an endpoint events are POSTed to, see services/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    secret: { type: String, required: true }, // HMAC key for the signature header
+    events: { type: [String], default: ['*'] }, // Event names, or '*' for all
+    active: { type: Boolean, default: true },
+    createdBy: { type: String, required: true }, // Admin chat ID, or 'api'
+    createdAt: { type: Date, default: Date.now },
+}, { versionKey: false });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Webhook Delivery Schema (one event for one endpoint: the retry queue and the
+// per-endpoint delivery log, see services/webhooks.js)
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    payload: { type: String, required: true }, // Exact JSON body, so retries are signed the same
+    status: { type: String, enum: ['queued', 'sending', 'delivered', 'failed'], default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null }, // A 'sending' delivery whose lease ran out is retried
+    responseStatus: { type: Number, default: null }, // HTTP status of the last attempt
+    lastError: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date, default: null },
+}, { versionKey: false });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+// The delivery log keeps 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
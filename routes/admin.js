@@ -0,0 +1,395 @@
+const express = require('express');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const adminActions = require('../services/adminActions');
+const ledger = require('../services/ledger');
+const plans = require('../services/plans');
+const products = require('../services/products');
+const copies = require('../services/copies');
+const referrals = require('../services/referrals');
+const audit = require('../services/audit');
+const users = require('../services/users');
+const payouts = require('../services/payouts');
+const upi = require('../services/upi');
+const outbox = require('../services/outbox');
+const risk = require('../services/risk');
+const webhooks = require('../services/webhooks');
+const logger = require('../services/logger');
+const { requestToken, tokenMatches } = require('./auth');
+
+const { adminApiToken } = require('../config');
+
+// Actor Recorded in the Audit Log for API Calls
+const API_ACTOR = 'api';
+
+// Middleware to Check the Bearer Token Against ADMIN_API_TOKEN
+function requireAdminToken(req, res, next) {
+    if (!adminApiToken) {
+        return res.status(503).json({ success: false, error: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.' });
+    }
+
+    if (!tokenMatches(requestToken(req), adminApiToken)) {
+        return res.status(401).json({ success: false, error: 'Invalid or missing admin token.' });
+    }
+    next();
+}
+
+// Wrap Async Route Handlers so Errors Reach the Error Middleware
+const asyncHandler = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+function createAdminRouter(transport) {
+    const router = express.Router();
+
+    router.use(requireAdminToken);
+    router.use(express.json());
+
+    // List Deposits Awaiting Approval: registration payments and extra purchases,
+    // with the users who sent them
+    router.get('/deposits/pending', asyncHandler(async (req, res) => {
+        const deposits = await Deposit.find({ status: 'pending' }, { phash: 0, phashBands: 0 }).sort({ createdAt: 1 }).lean();
+        const pending = await User.find({ chatId: { $in: deposits.map((deposit) => deposit.chatId) } });
+        res.json({ success: true, deposits, users: pending });
+    }));
+
+    // List Withdrawals Awaiting Approval
+    router.get('/withdrawals/pending', asyncHandler(async (req, res) => {
+        const pending = await User.find({ withdrawalPending: true });
+        res.json({ success: true, users: pending });
+    }));
+
+    // Fetch a User by Chat ID or Buddy Code
+    router.get('/users/:id', asyncHandler(async (req, res) => {
+        const user = await users.findByRef(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+        const [balance, history, upiChanges] = await Promise.all([
+            ledger.getBalance(user.chatId),
+            ledger.getHistory(user.chatId),
+            upi.getHistory(user.chatId),
+        ]);
+        res.json({ success: true, user, balance, history, upiChanges });
+    }));
+
+    // Assess a User's Risk Now
+    router.get('/users/:id/risk', asyncHandler(async (req, res) => {
+        const user = await users.findByRef(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+        res.json({ success: true, ...(await risk.assess(user)), riskHold: user.riskHold });
+    }));
+
+    // Approve Deposit
+    router.post('/deposits/:chatId/approve', asyncHandler(async (req, res) => {
+        const result = await adminActions.approveDeposit(transport, req.params.chatId, API_ACTOR);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'No user found with the specified chat ID pending approval.' });
+        }
+        res.json({ success: true, user: result.user, deposit: result.deposit, addedToGroup: result.addedToGroup, delivered: result.delivered });
+    }));
+
+    // Reject Deposit
+    router.post('/deposits/:chatId/reject', asyncHandler(async (req, res) => {
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'A rejection reason is required.' });
+        }
+        const result = await adminActions.rejectDeposit(transport, req.params.chatId, reason, API_ACTOR);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'No user found with the specified chat ID pending approval.' });
+        }
+        res.json({ success: true, user: result.user, deposit: result.deposit });
+    }));
+
+    // Reverse an Approved Deposit (body: { reason, depositId? }; the latest approved deposit without an ID)
+    router.post('/deposits/:chatId/reverse', asyncHandler(async (req, res) => {
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'A reversal reason is required.' });
+        }
+        const user = await users.findByRef(req.params.chatId);
+        const result = user && await adminActions.reverseDeposit(transport, user, reason, API_ACTOR, { depositId: req.body.depositId || null });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'No approved deposit found for the specified user.' });
+        }
+        res.json({
+            success: true,
+            user: result.user,
+            deposit: result.deposit,
+            clawbacks: result.clawbacks.map(({ user: referrer, amount, level, balance }) => ({
+                chatId: referrer.chatId,
+                buddyCode: referrer.buddyCode,
+                amount,
+                level,
+                balance,
+                withdrawalPending: referrer.withdrawalPending,
+            })),
+            removedFromGroup: result.removedFromGroup,
+            cancelledPurchases: result.cancelledPurchases,
+            rejectedWithdrawal: result.rejectedWithdrawal,
+            batchedWithdrawal: result.batchedWithdrawal,
+        });
+    }));
+
+    // Approve Withdrawal
+    router.post('/withdrawals/:chatId/approve', asyncHandler(async (req, res) => {
+        const result = await adminActions.approveWithdrawal(transport, req.params.chatId, API_ACTOR);
+        if (!result) {
+            if (await User.exists({ chatId: req.params.chatId, withdrawalPending: true, riskHold: true })) {
+                return res.status(409).json({ success: false, error: 'This withdrawal is held for risk review. Release it first.' });
+            }
+            return res.status(404).json({ success: false, error: 'No user found with the specified chat ID pending withdrawal approval.' });
+        }
+        res.json({ success: true, user: result.user, amount: result.amount });
+    }));
+
+    // Reject Withdrawal
+    router.post('/withdrawals/:chatId/reject', asyncHandler(async (req, res) => {
+        const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'A rejection reason is required.' });
+        }
+        const result = await adminActions.rejectWithdrawal(transport, req.params.chatId, reason, API_ACTOR);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'No user found with the specified chat ID pending withdrawal approval.' });
+        }
+        res.json({ success: true, user: result.user, amount: result.amount });
+    }));
+
+    // Release a Withdrawal Held for Risk Review
+    router.post('/withdrawals/:chatId/release', asyncHandler(async (req, res) => {
+        const note = req.body && typeof req.body.note === 'string' ? req.body.note.trim() || null : null;
+        if (!(await risk.releaseHold(req.params.chatId, API_ACTOR, note))) {
+            return res.status(404).json({ success: false, error: 'No withdrawal is held for review for the specified chat ID.' });
+        }
+        res.json({ success: true });
+    }));
+
+    // Collect Pending Withdrawals Into a New Payout Batch
+    router.post('/payouts/batches', asyncHandler(async (req, res) => {
+        const batch = await payouts.createBatch(API_ACTOR);
+        if (!batch) {
+            return res.status(409).json({ success: false, error: 'No withdrawals are waiting for a payout batch.' });
+        }
+        res.status(201).json({ success: true, batch });
+    }));
+
+    // List Recent Payout Batches (?limit=10)
+    router.get('/payouts/batches', asyncHandler(async (req, res) => {
+        const limit = Math.min(Number(req.query.limit) || 10, 100);
+        res.json({ success: true, batches: await payouts.listBatches(limit) });
+    }));
+
+    // Download a Batch as the Bank's Bulk-Payment CSV
+    router.get('/payouts/batches/:code/csv', asyncHandler(async (req, res) => {
+        const batch = await payouts.getBatch(req.params.code);
+        if (!batch) {
+            return res.status(404).json({ success: false, error: 'Payout batch not found.' });
+        }
+        res.attachment(`${batch.code}.csv`).type('text/csv').send(payouts.exportCsv(batch));
+    }));
+
+    // Import the Bank's Settlement CSV (send it as the text/csv request body)
+    router.post('/payouts/settlements', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), asyncHandler(async (req, res) => {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ success: false, error: 'Send the settlement CSV as a text/csv body.' });
+        }
+        const report = await payouts.importSettlement(transport, req.body, API_ACTOR);
+        if (report.error) {
+            return res.status(400).json({ success: false, error: report.error });
+        }
+        res.json({ success: true, ...report });
+    }));
+
+    // Outgoing Queue Counts
+    router.get('/outbox', asyncHandler(async (req, res) => {
+        res.json({ success: true, ...(await outbox.getCounts()) });
+    }));
+
+    // List Dead Letters
+    router.get('/outbox/dead', asyncHandler(async (req, res) => {
+        res.json({ success: true, messages: await outbox.listDead() });
+    }));
+
+    // Queue a Dead Letter Again, or All of Them With the ID 'all'
+    router.post('/outbox/dead/:id/resend', asyncHandler(async (req, res) => {
+        const count = await outbox.resendDead(req.params.id);
+        await audit.record({ actor: API_ACTOR, action: 'resend', target: req.params.id, after: { count } });
+        res.json({ success: true, count });
+    }));
+
+    // List Webhooks With Delivery Counts
+    router.get('/webhooks', asyncHandler(async (req, res) => {
+        res.json({ success: true, webhooks: await webhooks.listWebhooks() });
+    }));
+
+    // Register a Webhook (the response holds its signing secret)
+    router.post('/webhooks', asyncHandler(async (req, res) => {
+        const { url, events } = req.body || {};
+        const { webhook, error } = await webhooks.addWebhook({ url, events }, API_ACTOR);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        res.status(201).json({ success: true, webhook });
+    }));
+
+    // Remove a Webhook
+    router.delete('/webhooks/:id', asyncHandler(async (req, res) => {
+        if (!(await webhooks.removeWebhook(req.params.id, API_ACTOR))) {
+            return res.status(404).json({ success: false, error: 'Webhook not found.' });
+        }
+        res.json({ success: true });
+    }));
+
+    // A Webhook's Delivery Log (?limit=100)
+    router.get('/webhooks/:id/deliveries', asyncHandler(async (req, res) => {
+        const webhook = await webhooks.getWebhook(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, error: 'Webhook not found.' });
+        }
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        res.json({ success: true, deliveries: await webhooks.getDeliveries(webhook._id, limit) });
+    }));
+
+    // Queue a Test Event
+    router.post('/webhooks/:id/test', asyncHandler(async (req, res) => {
+        if (!(await webhooks.sendTest(req.params.id))) {
+            return res.status(404).json({ success: false, error: 'Webhook not found.' });
+        }
+        res.json({ success: true });
+    }));
+
+    // Queue a Failed Delivery Again
+    router.post('/webhooks/deliveries/:id/retry', asyncHandler(async (req, res) => {
+        if (!(await webhooks.redeliver(req.params.id))) {
+            return res.status(404).json({ success: false, error: 'No failed delivery with that ID.' });
+        }
+        res.json({ success: true });
+    }));
+
+    // Recompute Every Balance from the Ledger and Report Inconsistencies
+    router.get('/ledger/check', asyncHandler(async (req, res) => {
+        const report = await ledger.checkConsistency();
+        res.json({ success: report.issues.length === 0, ...report });
+    }));
+
+    // List Commission Plans, Including the One Currently in Effect
+    router.get('/plans', asyncHandler(async (req, res) => {
+        const active = await plans.getActivePlan();
+        res.json({ success: true, activeVersion: active.version, plans: await plans.listPlans() });
+    }));
+
+    // Store a New Commission Plan Version
+    router.post('/plans', asyncHandler(async (req, res) => {
+        const { fee, levels, minWithdrawal, effectiveFrom } = req.body || {};
+        const plan = await plans.createPlan({ fee, levels, minWithdrawal, effectiveFrom });
+        res.status(201).json({ success: true, plan });
+    }));
+
+    // List the Product Catalog
+    router.get('/products', asyncHandler(async (req, res) => {
+        res.json({ success: true, products: await products.listProducts() });
+    }));
+
+    // Add a Product
+    router.post('/products', asyncHandler(async (req, res) => {
+        const { product, error } = await products.createProduct(req.body || {}, API_ACTOR);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        res.status(201).json({ success: true, product });
+    }));
+
+    // Change a Product (any of name, description, price, files, caption, planVersion, active, sortOrder)
+    router.put('/products/:code', asyncHandler(async (req, res) => {
+        const result = await products.updateProduct(req.params.code, req.body || {}, API_ACTOR);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Product not found.' });
+        }
+        if (result.error) {
+            return res.status(400).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, product: result.product });
+    }));
+
+    // Find Who a Leaked PDF Was Issued To (the PDF is the request body)
+    router.post('/copies/trace', express.raw({ type: ['application/pdf', 'application/octet-stream'], limit: '50mb' }), asyncHandler(async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ success: false, error: 'Send the PDF as an application/pdf body.' });
+        }
+        const result = await copies.trace(req.body);
+        if (result.error) {
+            return res.status(404).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, ...result });
+    }));
+
+    // Look Up an Issued Copy by the Code Stamped on Its Pages
+    router.get('/copies/:code', asyncHandler(async (req, res) => {
+        const found = await copies.findByCode(req.params.code);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'No copy with that code.' });
+        }
+        res.json({ success: true, ...found });
+    }));
+
+    // A User's Purchases
+    router.get('/users/:id/purchases', asyncHandler(async (req, res) => {
+        const user = await users.findByRef(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+        const purchases = await products.getPurchases(user.chatId);
+        res.json({
+            success: true,
+            purchases: purchases.map(({ deposit, product }) => ({
+                product: products.depositProductCode(deposit),
+                name: deposit.productName || (product && product.name),
+                amount: deposit.amount,
+                status: deposit.status,
+                createdAt: deposit.createdAt,
+                reviewedAt: deposit.reviewedAt,
+            })),
+        });
+    }));
+
+    // Most Clicked Short Links (?period=30d&limit=10)
+    router.get('/links', asyncHandler(async (req, res) => {
+        const period = users.parseDuration(req.query.period || '30d');
+        if (!period) {
+            return res.status(400).json({ success: false, error: 'period must look like 30m, 12h or 7d.' });
+        }
+        const limit = Math.min(Number(req.query.limit) || 10, 100);
+        res.json({ success: true, links: await referrals.getTopLinks({ since: new Date(Date.now() - period), limit }) });
+    }));
+
+    // A User's Short Link Clicks, Sign-Ups and Paid Sign-Ups, Totals and by Campaign
+    router.get('/users/:id/links', asyncHandler(async (req, res) => {
+        const user = await users.findByRef(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found.' });
+        }
+        res.json({ success: true, link: referrals.referralLink(user.buddyCode), ...(await referrals.getLinkStats(user.buddyCode)) });
+    }));
+
+    // Query the Audit Log (?target=<chatId>&actor=<chatId>&limit=50)
+    router.get('/audit', asyncHandler(async (req, res) => {
+        const { target, actor } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 50, 500);
+        res.json({ success: true, records: await audit.query({ target, actor, limit }) });
+    }));
+
+    // Error Handler
+    router.use((err, req, res, next) => {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        logger.error('Error in admin API', { method: req.method, path: req.originalUrl, error: err });
+        res.status(500).json({ success: false, error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
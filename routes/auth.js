@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Token Sent With a Request: a Bearer token, or the password of Basic auth so
+// browsers can open token-protected pages
+function requestToken(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7);
+    }
+    if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+        return decoded.slice(decoded.indexOf(':') + 1);
+    }
+    return '';
+}
+
+// Compare in Constant Time so the Token Can't Be Guessed From Response Times
+function tokenMatches(token, expected) {
+    const given = Buffer.from(token);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+module.exports = {
+    requestToken,
+    tokenMatches,
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const health = require('../services/health');
+const metrics = require('../services/metrics');
+const { requestToken, tokenMatches } = require('./auth');
+
+const { metricsToken, adminApiToken } = require('../config');
+
+// Token /metrics Accepts: METRICS_TOKEN, or ADMIN_API_TOKEN when that isn't set
+const METRICS_TOKEN = metricsToken || adminApiToken;
+
+// Middleware to Check the Bearer Token Against the Metrics Token (disabled without one)
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) {
+        return res.status(503).type('text/plain').send('Metrics are disabled. Set METRICS_TOKEN or ADMIN_API_TOKEN to enable them.\n');
+    }
+
+    if (!tokenMatches(requestToken(req), METRICS_TOKEN)) {
+        return res.status(401).type('text/plain').send('Invalid or missing metrics token.\n');
+    }
+    next();
+}
+
+function createHealthRouter() {
+    const router = express.Router();
+
+    // Liveness: the process is up and serving requests
+    router.get(['/', '/healthz'], (req, res) => {
+        res.json({ success: true, ...health.getHealth() });
+    });
+
+    // Readiness: MongoDB is connected and the chat client is logged in
+    router.get('/readyz', (req, res) => {
+        const report = health.getHealth();
+        res.status(report.ready ? 200 : 503).json({ success: report.ready, ...report });
+    });
+
+    // Prometheus Metrics
+    router.get('/metrics', requireMetricsToken, async (req, res, next) => {
+        try {
+            const { contentType, body } = await metrics.render();
+            res.type(contentType).send(body);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,32 @@
+const express = require('express');
+const referrals = require('../services/referrals');
+const metrics = require('../services/metrics');
+const logger = require('../services/logger');
+
+function createLinksRouter() {
+    const router = express.Router();
+
+    // Short Referral Link: log the click and open a chat with the bot
+    router.get('/:buddyCode', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        try {
+            const target = await referrals.recordClick({
+                buddyCode: req.params.buddyCode,
+                userAgent: req.get('User-Agent'),
+                query: req.query,
+            });
+            if (!target) {
+                return res.status(404).type('text/plain').send('This referral link is not valid. Ask your buddy for their link again.\n');
+            }
+            metrics.referralClicks.inc();
+            res.redirect(302, target);
+        } catch (error) {
+            logger.error('Error recording referral click', { buddyCode: req.params.buddyCode, error });
+            res.status(500).type('text/plain').send('Something went wrong. Please try the link again.\n');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createLinksRouter;
@@ -0,0 +1,78 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const health = require('../services/health');
+const { requestToken, tokenMatches } = require('./auth');
+
+const { adminApiToken } = require('../config');
+
+// How Often the Page Reloads (WhatsApp replaces the QR code about every 20 seconds)
+const REFRESH_SECONDS = 5;
+
+// Middleware to Check ADMIN_API_TOKEN, Asking Browsers for It With Basic Auth
+// (any user name, the token as password)
+function requirePairingToken(req, res, next) {
+    if (!adminApiToken) {
+        return res.status(503).type('text/plain').send('Pairing page is disabled. Set ADMIN_API_TOKEN to enable it.\n');
+    }
+    if (!tokenMatches(requestToken(req), adminApiToken)) {
+        res.set('WWW-Authenticate', 'Basic realm="Buddy Cash pairing", charset="UTF-8"');
+        return res.status(401).type('text/plain').send('Invalid or missing admin token.\n');
+    }
+    next();
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Pairing Status With the QR Code to Scan, if Any
+function pairingStatus() {
+    const { client } = health.getHealth();
+    return { state: client.state, ready: client.ready, since: client.since, qr: health.getPairingQr() };
+}
+
+function createPairingRouter() {
+    const router = express.Router();
+
+    router.use(requirePairingToken);
+    router.use((req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        next();
+    });
+
+    // Page Showing the Pairing Status and the Current QR Code
+    router.get('/', async (req, res, next) => {
+        try {
+            const status = pairingStatus();
+            const body = status.qr
+                ? `<p>Open WhatsApp on the bot's phone, go to <b>Linked devices</b> and scan:</p>
+<img src="${await QRCode.toDataURL(status.qr, { width: 320, margin: 2 })}" alt="Pairing QR code">`
+                : `<p>${status.ready ? 'Paired and connected.' : 'No QR code to scan yet. This page reloads until one appears.'}</p>`;
+            res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+<title>Buddy Cash Pairing</title>
+</head>
+<body style="font-family: sans-serif; text-align: center">
+<h1>Buddy Cash Pairing</h1>
+<p>Status: <b>${escapeHtml(status.state)}</b> since ${escapeHtml(status.since.toISOString())}</p>
+${body}
+</body>
+</html>
+`);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Pairing Status as JSON (`qr` is the raw QR text, or null)
+    router.get('/status', (req, res) => {
+        res.json({ success: true, ...pairingStatus() });
+    });
+
+    return router;
+}
+
+module.exports = createPairingRouter;
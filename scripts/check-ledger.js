@@ -0,0 +1,22 @@
+const config = require('../config');
+const mongoose = require('mongoose');
+const ledger = require('../services/ledger');
+
+// Recompute every user's balance from the ledger and print any inconsistencies.
+// Exits with code 1 when issues are found.
+async function main() {
+    await mongoose.connect(config.mongodbUri);
+    const report = await ledger.checkConsistency();
+
+    console.log(`Checked ${report.users} users, total balance ₹${report.totalBalance}.`);
+    report.issues.forEach((issue) => console.log(JSON.stringify(issue)));
+    console.log(report.issues.length === 0 ? 'Ledger is consistent.' : `${report.issues.length} issue(s) found.`);
+
+    await mongoose.disconnect();
+    process.exitCode = report.issues.length === 0 ? 0 : 1;
+}
+
+main().catch((err) => {
+    console.error('Ledger check failed:', err);
+    process.exit(1);
+});
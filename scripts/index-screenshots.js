@@ -0,0 +1,17 @@
+const config = require('../config');
+const mongoose = require('mongoose');
+const screenshots = require('../services/screenshots');
+
+// One-off backfill of the perceptual hash bands that similar screenshots are
+// looked up by. Deposits that already have them are skipped, so it can be re-run.
+async function main() {
+    await mongoose.connect(config.mongodbUri);
+    const indexed = await screenshots.indexHashes();
+    console.log(`Indexed ${indexed} deposit screenshots.`);
+    await mongoose.disconnect();
+}
+
+main().catch((err) => {
+    console.error('Screenshot indexing failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+const config = require('../config');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const ledger = require('../services/ledger');
+const plans = require('../services/plans');
+
+// One-off migration from the embedded `earnings` / `paymentHistory` fields to the
+// ledger. Each user's earnings become an opening adjustment, a pending withdrawal
+// becomes a hold, and their own deposits become Deposit records. Users that no
+// longer have a `paymentHistory` field are skipped, so the script can be re-run.
+async function migrateUser(raw) {
+    const history = raw.paymentHistory || [];
+    const earnings = raw.earnings || 0;
+
+    await ledger.withTransaction(async (session) => {
+        const entries = [];
+        if (earnings !== 0) {
+            entries.push({
+                chatId: raw.chatId,
+                type: 'adjustment',
+                amount: Math.abs(earnings),
+                delta: earnings,
+                reason: 'Opening balance migrated from earnings',
+            });
+        }
+
+        // Earnings were only deducted on approval, so a pending withdrawal becomes a hold
+        const pendingWithdrawal = [...history].reverse().find((entry) => entry.type === 'withdrawal' && entry.status === 'pending');
+        if (raw.withdrawalPending && pendingWithdrawal) {
+            entries.push({
+                chatId: raw.chatId,
+                type: 'withdrawal_hold',
+                amount: pendingWithdrawal.amount,
+                delta: -pendingWithdrawal.amount,
+                createdAt: pendingWithdrawal.date,
+            });
+        }
+        if (entries.length > 0) {
+            await ledger.post(entries, session);
+        }
+
+        // Referral bonuses were also stored as 'deposit' entries, with a reason
+        const deposits = history
+            .filter((entry) => entry.type === 'deposit' && !/referral bonus/i.test(entry.reason || ''))
+            .map((entry) => ({
+                chatId: raw.chatId,
+                amount: entry.amount,
+                planVersion: plans.DEFAULT_PLAN.version,
+                status: entry.status,
+                reason: entry.status === 'rejected' ? entry.reason : null,
+                createdAt: entry.date,
+                reviewedAt: entry.status === 'pending' ? null : entry.date,
+            }));
+        if (deposits.length > 0) {
+            await Deposit.create(deposits, { session });
+        }
+
+        await User.collection.updateOne(
+            { _id: raw._id },
+            { $unset: { earnings: '', paymentHistory: '' } },
+            { session }
+        );
+    });
+}
+
+async function main() {
+    await mongoose.connect(config.mongodbUri);
+
+    const cursor = User.collection.find({ paymentHistory: { $exists: true } });
+    let migrated = 0;
+    for await (const raw of cursor) {
+        await migrateUser(raw);
+        migrated += 1;
+    }
+    console.log(`Migrated ${migrated} users to the ledger.`);
+
+    await mongoose.disconnect();
+}
+
+main().catch((err) => {
+    console.error('Ledger migration failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+const config = require('../config');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createTransport } = require('../transports');
+const Media = require('../transports/media');
+const attachBot = require('../bot');
+
+// Replay a recorded conversation against the bot using the in-memory transport.
+// Usage: node scripts/replay.js conversation.jsonl
+// Each line is { "from": "<chatId>", "body": "...", "media": "<file path>", "expect": ["..."] }.
+// `media` paths are resolved relative to the conversation file. When `expect` is
+// given, every listed text must appear in one of the bot's replies to that line.
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node scripts/replay.js <conversation.jsonl>');
+        process.exit(1);
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim());
+    await mongoose.connect(config.mongodbUri);
+
+    const transport = attachBot(createTransport('memory'));
+    await transport.initialize();
+
+    let failures = 0;
+    for (const [index, line] of lines.entries()) {
+        const step = JSON.parse(line);
+        const media = step.media ? path.resolve(path.dirname(file), step.media) : null;
+        console.log(`\n#${index + 1} ${step.from}> ${step.body || ''}${media ? ` [${path.basename(media)}]` : ''}`);
+
+        const start = transport.outbox.length;
+        await transport.receive(step.from, step.body || '', {
+            author: step.author || null,
+            profileName: step.profileName || 'User',
+            media,
+        });
+        // Let fire-and-forget sends issued by the handler settle
+        await new Promise((resolve) => setImmediate(resolve));
+        const replies = transport.outbox.slice(start);
+
+        replies.forEach(({ to, content, caption }) => {
+            const text = content instanceof Media ? `[${content.filename}] ${caption || ''}` : content;
+            console.log(`  → ${to}: ${text.trim()}`);
+        });
+
+        for (const expected of step.expect || []) {
+            const found = replies.some(({ content, caption }) => `${content instanceof Media ? '' : content} ${caption || ''}`.includes(expected));
+            if (!found) {
+                failures += 1;
+                console.log(`  ✗ expected a reply containing "${expected}"`);
+            }
+        }
+    }
+
+    await mongoose.disconnect();
+    console.log(failures === 0 ? '\nReplay finished.' : `\nReplay finished with ${failures} failed expectation(s).`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((err) => {
+    console.error('Replay failed:', err);
+    process.exit(1);
+});
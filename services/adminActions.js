@@ -0,0 +1,654 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const ledger = require('./ledger');
+const audit = require('./audit');
+const plans = require('./plans');
+const products = require('./products');
+const throttle = require('./throttle');
+const i18n = require('./i18n');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const webhooks = require('./webhooks');
+const { STATES, setState } = require('../bot/states');
+
+const { groupJid } = require('../config');
+
+// Helper Function to Add a User to the Group, Falling Back to an Invite Link
+async function addToGroup(transport, chatId) {
+    try {
+        await transport.addToGroup(groupJid, [chatId]);
+        return true;
+    } catch (error) {
+        logger.warn('Error adding user to group, sending an invite link', { chatId, error });
+        // If direct addition fails, send invite
+        const inviteLink = await transport.getInviteLink(groupJid);
+        const t = await i18n.forChat(chatId);
+        await transport.sendMessage(chatId, t('group.invite', { link: inviteLink }));
+        return false;
+    }
+}
+
+// Helper Function to Remove a User From the Group. Returns false when it fails.
+async function removeFromGroup(transport, chatId) {
+    try {
+        await transport.removeFromGroup(groupJid, [chatId]);
+        return true;
+    } catch (error) {
+        logger.warn('Error removing user from group', { chatId, error });
+        return false;
+    }
+}
+
+// Find the Latest Pending Deposit and Its Owner. A registration payment needs the
+// user to be pending approval, an extra purchase needs them to be a member.
+// Returns null when there is neither.
+async function findPendingDeposit(targetChatId) {
+    const deposit = await Deposit.findOne({ chatId: targetChatId, status: 'pending' }).sort({ createdAt: -1 });
+    if (!deposit) {
+        return null;
+    }
+    const targetUser = await User.findOne(deposit.purchase
+        ? { chatId: targetChatId, isApproved: true }
+        : { chatId: targetChatId, pendingApproval: true });
+    return targetUser ? { deposit, targetUser } : null;
+}
+
+// Approve a Pending Deposit: write the fee or purchase and the commissions to the
+// ledger in one transaction, then notify referrers and deliver the product's files.
+// A registration payment also makes the user a member and adds them to the group.
+// `delivered` in the result is false when the files couldn't be sent.
+// Returns null when the chat ID has no deposit waiting for approval.
+async function approveDeposit(transport, targetChatId, actor) {
+    const pending = await findPendingDeposit(targetChatId);
+    if (!pending) {
+        return null;
+    }
+    const { targetUser } = pending;
+    const before = await audit.snapshot(targetUser);
+
+    let credited = [];
+    let deposit = null;
+    await ledger.withTransaction(async (session) => {
+        credited = [];
+        deposit = await Deposit.findOneAndUpdate(
+            { _id: pending.deposit._id, status: 'pending' },
+            { $set: { status: 'approved', reviewedAt: new Date() } },
+            { new: true, session }
+        );
+        if (!deposit) {
+            throw new Error(`No pending deposit found for ${targetChatId}`);
+        }
+
+        if (!deposit.purchase) {
+            targetUser.isApproved = true;
+            targetUser.hasPaid = true;
+            targetUser.pendingApproval = false;
+            setState(targetUser, STATES.ACTIVE);
+            await targetUser.save({ session });
+        }
+
+        const plan = (deposit.planVersion && await plans.getPlan(deposit.planVersion))
+            || await plans.getActivePlan(deposit.createdAt);
+        const entries = [{
+            chatId: targetUser.chatId,
+            type: deposit.purchase ? 'purchase' : 'registration_fee',
+            amount: deposit.amount,
+            delta: 0,
+            deposit: deposit._id,
+            reason: deposit.productName,
+            planVersion: plan.version,
+        }];
+
+        // Handle Referral Earnings: walk up the referrer chain as deep as the plan pays
+        const visited = new Set([targetUser.buddyCode]);
+        let referrerCode = targetUser.referrer;
+        for (let level = 1; level <= plan.levels.length && referrerCode && !visited.has(referrerCode); level++) {
+            const referrer = await User.findOne({ buddyCode: referrerCode }).session(session);
+            if (!referrer) {
+                break;
+            }
+            visited.add(referrerCode);
+
+            const amount = plans.levelAmount(plan, level, deposit.amount);
+            if (amount > 0) {
+                const bonus = level === 1
+                    ? `Referral bonus from ${targetUser.buddyCode}`
+                    : `Level-${level} referral bonus from ${targetUser.buddyCode}`;
+                entries.push({
+                    chatId: referrer.chatId,
+                    type: 'commission',
+                    amount,
+                    delta: amount,
+                    level,
+                    sourceBuddyCode: targetUser.buddyCode,
+                    deposit: deposit._id,
+                    reason: deposit.purchase ? `${bonus} (${deposit.productName})` : bonus,
+                    planVersion: plan.version,
+                });
+                credited.push({ user: referrer, amount, level });
+            }
+            referrerCode = referrer.referrer;
+        }
+
+        await ledger.post(entries, session);
+    });
+
+    await audit.record({
+        actor,
+        action: deposit.purchase ? 'approve_purchase' : 'approve',
+        target: targetChatId,
+        before,
+        after: { ...(await audit.snapshot(targetUser)), product: deposit.product, amount: deposit.amount },
+    });
+    metrics.deposits.inc({ status: 'approved' });
+    webhooks.emit('deposit.approved', {
+        chatId: targetChatId,
+        buddyCode: targetUser.buddyCode,
+        name: targetUser.name,
+        amount: deposit.amount,
+        product: products.depositProductCode(deposit),
+        purchase: deposit.purchase,
+        actor,
+    });
+    credited.forEach(({ user, amount, level }) => webhooks.emit('commission.credited', {
+        chatId: user.chatId,
+        buddyCode: user.buddyCode,
+        amount,
+        level,
+        sourceChatId: targetChatId,
+        sourceBuddyCode: targetUser.buddyCode,
+        product: products.depositProductCode(deposit),
+    }));
+
+    // Notify the referrers
+    for (const { user, amount, level } of credited) {
+        const balance = await ledger.getBalance(user.chatId);
+        const t = i18n.translator(user.language);
+        transport.sendMessage(
+            user.chatId,
+            t(level <= 2 ? `commission.level_${level}` : 'commission.level_n', {
+                amount: t.amount(amount),
+                balance: t.amount(balance),
+                level,
+            })
+        );
+    }
+
+    // Notify User
+    const t = i18n.translator(targetUser.language);
+    const product = await products.forDeposit(deposit);
+    transport.sendMessage(
+        targetUser.chatId,
+        deposit.purchase
+            ? t('purchase.approved', { product: deposit.productName || (product && product.name) })
+            : t('payment.approved', { name: targetUser.name || t('buddies.unnamed') })
+    );
+
+    // The deposit is approved either way; a failed delivery is reported back so
+    // the files can be sent again once it is fixed
+    let delivered = false;
+    if (product) {
+        try {
+            await products.deliver(transport, targetUser, product, deposit, t);
+            delivered = true;
+        } catch (error) {
+            logger.error('Failed to deliver the files of an approved deposit', { chatId: targetChatId, product: product.code, error });
+        }
+    } else {
+        logger.error('Product of an approved deposit not found', { chatId: targetChatId, product: deposit.product });
+    }
+
+    if (deposit.purchase) {
+        return { user: targetUser, deposit, addedToGroup: null, delivered };
+    }
+
+    const addedToGroup = await addToGroup(transport, targetUser.chatId);
+
+    return { user: targetUser, deposit, addedToGroup, delivered };
+}
+
+// Reject a Pending Deposit with a reason. A rejected registration payment sends
+// the user back to paying; a rejected purchase leaves them as they were.
+// Returns null when the chat ID has no deposit waiting for approval.
+async function rejectDeposit(transport, targetChatId, reason, actor) {
+    const pending = await findPendingDeposit(targetChatId);
+    if (!pending) {
+        return null;
+    }
+    const { targetUser } = pending;
+    const before = await audit.snapshot(targetUser);
+
+    let deposit = null;
+    await ledger.withTransaction(async (session) => {
+        deposit = await Deposit.findOneAndUpdate(
+            { _id: pending.deposit._id, status: 'pending' },
+            { $set: { status: 'rejected', reason, reviewedAt: new Date() } },
+            { new: true, session }
+        );
+        if (!deposit) {
+            throw new Error(`No pending deposit found for ${targetChatId}`);
+        }
+
+        if (!deposit.purchase) {
+            targetUser.pendingApproval = false;
+            targetUser.rejectionReason = reason;
+            setState(targetUser, STATES.AWAITING_PAYMENT, deposit.product ? { product: deposit.product } : null);
+            await targetUser.save({ session });
+        }
+    });
+
+    await audit.record({
+        actor,
+        action: deposit.purchase ? 'reject_purchase' : 'reject',
+        target: targetChatId,
+        before,
+        after: { ...(await audit.snapshot(targetUser)), product: deposit.product, amount: deposit.amount },
+        reason,
+    });
+    metrics.deposits.inc({ status: 'rejected' });
+    webhooks.emit('deposit.rejected', {
+        chatId: targetChatId,
+        buddyCode: targetUser.buddyCode,
+        name: targetUser.name,
+        amount: deposit.amount,
+        product: products.depositProductCode(deposit),
+        purchase: deposit.purchase,
+        reason,
+        actor,
+    });
+
+    // Notify User
+    transport.sendMessage(
+        targetUser.chatId,
+        deposit.purchase
+            ? i18n.translate(targetUser.language, 'purchase.rejected', { product: deposit.productName, reason })
+            : i18n.translate(targetUser.language, 'payment.rejected', { reason })
+    );
+
+    return { user: targetUser, deposit };
+}
+
+// Reverse an Approved Deposit, e.g. a payment that bounced or turned out to be fake:
+// in one transaction, mark it reversed and post reversals of its fee or purchase and
+// of every commission it paid. Referrers are debited even past zero; withdrawals are
+// refused until their balance recovers. A reversed registration payment also ends the
+// membership (the user is back to paying), rejects the user's own pending withdrawal
+// and removes the user from the group.
+// Reverses `depositId`, or the user's latest approved deposit. Returns null when
+// there is no such deposit.
+async function reverseDeposit(transport, targetUser, reason, actor, { depositId = null } = {}) {
+    if (depositId && !mongoose.isValidObjectId(depositId)) {
+        return null;
+    }
+    const found = await Deposit.findOne({ chatId: targetUser.chatId, status: 'approved', ...(depositId ? { _id: depositId } : {}) })
+        .sort({ reviewedAt: -1, createdAt: -1 });
+    if (!found) {
+        return null;
+    }
+    const before = await audit.snapshot(targetUser);
+
+    let owner = null;
+    let deposit = null;
+    let reversals = [];
+    let cancelled = 0;
+    let released = null;
+    let batched = null;
+    await ledger.withTransaction(async (session) => {
+        cancelled = 0;
+        released = null;
+        batched = null;
+        // Decide from the user as this transaction sees them, so a withdrawal
+        // requested since they were looked up isn't missed and a retry starts clean
+        owner = await User.findById(targetUser._id).session(session);
+        deposit = await Deposit.findOneAndUpdate(
+            { _id: found._id, status: 'approved' },
+            { $set: { status: 'reversed', reason, reversedAt: new Date() } },
+            { new: true, session }
+        );
+        if (!deposit) {
+            throw new Error(`No approved deposit ${found._id} found for ${owner.chatId}`);
+        }
+
+        reversals = await ledger.reverseDepositEntries(deposit, reason, session);
+
+        if (!deposit.purchase) {
+            // Purchases waiting for approval need a membership, so they go too
+            const { modifiedCount } = await Deposit.updateMany(
+                { chatId: owner.chatId, status: 'pending', purchase: true },
+                { $set: { status: 'rejected', reason, reviewedAt: new Date() } },
+                { session }
+            );
+            cancelled = modifiedCount;
+
+            // Their own withdrawal can't be paid out any more, so its hold is released.
+            // One already in a payout batch may be with the bank, so it stays held
+            // and the settlement file decides.
+            if (owner.withdrawalPending && owner.payoutReference) {
+                const hold = await ledger.getOpenHold(owner.chatId, session);
+                batched = { amount: hold ? hold.amount : null, payoutReference: owner.payoutReference };
+            } else if (owner.withdrawalPending) {
+                const hold = await ledger.getOpenHold(owner.chatId, session);
+                if (hold) {
+                    await ledger.post([{
+                        chatId: owner.chatId,
+                        type: 'reversal',
+                        amount: hold.amount,
+                        delta: hold.amount,
+                        refEntry: hold._id,
+                        reason,
+                    }], session);
+                    released = { amount: hold.amount };
+                }
+                owner.withdrawalPending = false;
+                owner.riskHold = false;
+            }
+
+            owner.isApproved = false;
+            owner.hasPaid = false;
+            owner.pendingApproval = false;
+            owner.rejectionReason = reason;
+            owner.unpaidSince = new Date();
+            owner.reminderCount = 0;
+            setState(owner, STATES.AWAITING_PAYMENT, deposit.product ? { product: deposit.product } : null);
+            await owner.save({ session });
+        }
+    });
+
+    const clawed = reversals.filter((entry) => entry.delta < 0);
+    const referrers = await User.find({ chatId: { $in: clawed.map((entry) => entry.chatId) } });
+    const clawbacks = [];
+    for (const entry of clawed) {
+        const user = referrers.find((candidate) => candidate.chatId === entry.chatId);
+        if (user) {
+            clawbacks.push({ user, amount: entry.amount, level: entry.level, balance: await ledger.getBalance(user.chatId) });
+        }
+    }
+
+    await audit.record({
+        actor,
+        action: deposit.purchase ? 'reverse_purchase' : 'reverse',
+        target: owner.chatId,
+        before,
+        after: {
+            ...(await audit.snapshot(owner)),
+            product: deposit.product,
+            amount: deposit.amount,
+            clawbacks: clawbacks.map(({ user, amount, level, balance }) => ({ chatId: user.chatId, amount, level, balance })),
+            cancelledPurchases: cancelled,
+            rejectedWithdrawal: released ? released.amount : null,
+            batchedWithdrawal: batched ? batched.payoutReference : null,
+        },
+        reason,
+    });
+    metrics.deposits.inc({ status: 'reversed' });
+    if (released) {
+        metrics.withdrawals.inc({ status: 'rejected' });
+        webhooks.emit('withdrawal.rejected', {
+            chatId: owner.chatId,
+            buddyCode: owner.buddyCode,
+            amount: released.amount,
+            reason,
+            payoutReference: null,
+            actor,
+        });
+    }
+    webhooks.emit('deposit.reversed', {
+        chatId: owner.chatId,
+        buddyCode: owner.buddyCode,
+        name: owner.name,
+        amount: deposit.amount,
+        product: products.depositProductCode(deposit),
+        purchase: deposit.purchase,
+        reason,
+        actor,
+    });
+    clawbacks.forEach(({ user, amount, level, balance }) => webhooks.emit('commission.reversed', {
+        chatId: user.chatId,
+        buddyCode: user.buddyCode,
+        amount,
+        level,
+        balance,
+        sourceChatId: owner.chatId,
+        sourceBuddyCode: owner.buddyCode,
+        product: products.depositProductCode(deposit),
+        reason,
+    }));
+
+    // Notify the referrers
+    for (const { user, amount, balance } of clawbacks) {
+        const t = i18n.translator(user.language);
+        transport.sendMessage(
+            user.chatId,
+            t(balance < 0 ? 'commission.reversed_negative' : 'commission.reversed', {
+                amount: t.amount(amount),
+                buddy: owner.name || owner.buddyCode,
+                reason,
+                balance: t.amount(balance),
+            })
+        );
+    }
+
+    // Notify User
+    const t = i18n.translator(owner.language);
+    transport.sendMessage(
+        owner.chatId,
+        deposit.purchase
+            ? t('purchase.reversed', { product: deposit.productName, reason })
+            : t('payment.reversed', { reason })
+    );
+    if (released) {
+        transport.sendMessage(owner.chatId, t('withdraw.rejected', { amount: t.amount(released.amount), reason }));
+    }
+
+    const removedFromGroup = deposit.purchase ? null : await removeFromGroup(transport, owner.chatId);
+
+    return {
+        user: owner,
+        deposit,
+        clawbacks,
+        removedFromGroup,
+        cancelledPurchases: cancelled,
+        rejectedWithdrawal: released,
+        batchedWithdrawal: batched,
+    };
+}
+
+// Approve a Pending Withdrawal by paying out its ledger hold.
+// Returns null when no user with that chat ID has a withdrawal pending, or when it is
+// held for risk review (see services/risk.js). A withdrawal in a payout batch is only
+// settled by passing its `payoutReference` (see services/payouts.js).
+async function approveWithdrawal(transport, targetChatId, actor, { payoutReference = null } = {}) {
+    const targetUser = await User.findOne({ chatId: targetChatId, withdrawalPending: true, riskHold: { $ne: true }, payoutReference });
+    if (!targetUser) {
+        return null;
+    }
+    const before = await audit.snapshot(targetUser);
+
+    let hold;
+    await ledger.withTransaction(async (session) => {
+        hold = await ledger.getOpenHold(targetChatId, session);
+        if (!hold) {
+            throw new Error(`No pending withdrawal hold found for ${targetChatId}`);
+        }
+
+        await ledger.post([{
+            chatId: targetChatId,
+            type: 'payout',
+            amount: hold.amount,
+            delta: 0,
+            refEntry: hold._id,
+            reason: payoutReference ? `Sent to ${targetUser.upiId} (ref ${payoutReference})` : `Sent to ${targetUser.upiId}`,
+        }], session);
+
+        targetUser.withdrawalPending = false;
+        targetUser.payoutReference = null;
+        await targetUser.save({ session });
+    });
+
+    await audit.record({
+        actor,
+        action: 'app_with',
+        target: targetChatId,
+        before,
+        after: await audit.snapshot(targetUser),
+    });
+    metrics.withdrawals.inc({ status: 'approved' });
+    webhooks.emit('withdrawal.approved', {
+        chatId: targetChatId,
+        buddyCode: targetUser.buddyCode,
+        amount: hold.amount,
+        upiId: targetUser.upiId,
+        payoutReference,
+        actor,
+    });
+
+    const balance = await ledger.getBalance(targetChatId);
+
+    // Notify User
+    const t = i18n.translator(targetUser.language);
+    transport.sendMessage(
+        targetUser.chatId,
+        t('withdraw.approved', { amount: t.amount(hold.amount), upiId: targetUser.upiId, balance: t.amount(balance) })
+    );
+
+    return { user: targetUser, amount: hold.amount };
+}
+
+// Reject a Pending Withdrawal with a reason, returning the held amount to the balance.
+// Returns null when no user with that chat ID has a withdrawal pending. Passing a
+// `payoutReference` fails a payout from a batch and tells the user the bank's reason.
+async function rejectWithdrawal(transport, targetChatId, reason, actor, { payoutReference = null } = {}) {
+    const targetUser = await User.findOne({ chatId: targetChatId, withdrawalPending: true, payoutReference });
+    if (!targetUser) {
+        return null;
+    }
+    const before = await audit.snapshot(targetUser);
+
+    let hold;
+    await ledger.withTransaction(async (session) => {
+        hold = await ledger.getOpenHold(targetChatId, session);
+        if (!hold) {
+            throw new Error(`No pending withdrawal hold found for ${targetChatId}`);
+        }
+
+        await ledger.post([{
+            chatId: targetChatId,
+            type: 'reversal',
+            amount: hold.amount,
+            delta: hold.amount,
+            refEntry: hold._id,
+            reason,
+        }], session);
+
+        targetUser.withdrawalPending = false;
+        targetUser.riskHold = false;
+        targetUser.payoutReference = null;
+        await targetUser.save({ session });
+    });
+
+    await audit.record({
+        actor,
+        action: 'with_re',
+        target: targetChatId,
+        before,
+        after: await audit.snapshot(targetUser),
+        reason,
+    });
+    metrics.withdrawals.inc({ status: 'rejected' });
+    webhooks.emit('withdrawal.rejected', {
+        chatId: targetChatId,
+        buddyCode: targetUser.buddyCode,
+        amount: hold.amount,
+        reason,
+        payoutReference,
+        actor,
+    });
+
+    // Notify User
+    const t = i18n.translator(targetUser.language);
+    if (payoutReference) {
+        const balance = await ledger.getBalance(targetChatId);
+        transport.sendMessage(
+            targetUser.chatId,
+            t('withdraw.payout_failed', { amount: t.amount(hold.amount), upiId: targetUser.upiId, reason, balance: t.amount(balance) })
+        );
+    } else {
+        transport.sendMessage(
+            targetUser.chatId,
+            t('withdraw.rejected', { amount: t.amount(hold.amount), reason })
+        );
+    }
+
+    return { user: targetUser, amount: hold.amount };
+}
+
+// Credit or Debit a User's Balance With a Manual Adjustment Entry
+async function adjustBalance(transport, targetUser, amount, reason, actor) {
+    const before = await audit.snapshot(targetUser);
+
+    await ledger.withTransaction(async (session) => {
+        await ledger.post([{
+            chatId: targetUser.chatId,
+            type: 'adjustment',
+            amount: Math.abs(amount),
+            delta: amount,
+            reason,
+        }], session);
+    });
+
+    const after = await audit.snapshot(targetUser);
+    await audit.record({ actor, action: 'adjust', target: targetUser.chatId, before, after, reason });
+
+    // Notify User
+    const t = i18n.translator(targetUser.language);
+    transport.sendMessage(
+        targetUser.chatId,
+        t(amount >= 0 ? 'balance.credited' : 'balance.debited', {
+            amount: t.amount(Math.abs(amount)),
+            reason,
+            balance: t.amount(after.balance),
+        })
+    );
+
+    return { user: targetUser, balance: after.balance };
+}
+
+// Lock a User Out of the Bot Until a Given Time
+async function lockUser(transport, targetUser, until, actor, reason = null) {
+    const before = { lockedUntil: targetUser.lockedUntil };
+    targetUser.lockedUntil = until;
+    await targetUser.save();
+    await audit.record({ actor, action: 'lock', target: targetUser.chatId, before, after: { lockedUntil: until }, reason });
+
+    // Notify User
+    const t = i18n.translator(targetUser.language);
+    transport.sendMessage(targetUser.chatId, t('account.locked', { until: t.date(until) }));
+    return { user: targetUser };
+}
+
+// Lift a Lock and Reset Failed Attempts
+async function unlockUser(transport, targetUser, actor) {
+    const before = { lockedUntil: targetUser.lockedUntil, attempts: targetUser.attempts };
+    targetUser.lockedUntil = null;
+    targetUser.attempts = 0;
+    await targetUser.save();
+    await throttle.unlockSender(targetUser.chatId);
+    await audit.record({ actor, action: 'unlock', target: targetUser.chatId, before, after: { lockedUntil: null, attempts: 0 } });
+
+    // Notify User
+    transport.sendMessage(targetUser.chatId, i18n.translate(targetUser.language, 'account.unlocked'));
+    return { user: targetUser };
+}
+
+module.exports = {
+    addToGroup,
+    approveDeposit,
+    rejectDeposit,
+    reverseDeposit,
+    approveWithdrawal,
+    rejectWithdrawal,
+    adjustBalance,
+    lockUser,
+    unlockUser,
+};
@@ -0,0 +1,87 @@
+const Admin = require('../models/Admin');
+const i18n = require('./i18n');
+const logger = require('./logger');
+
+const { adminNumber } = require('../config');
+
+// Normalize a Phone Number or Chat ID to a WhatsApp Chat ID
+function toChatId(input) {
+    const value = String(input).trim();
+    return value.includes('@') ? value : `${value.replace(/\D/g, '')}@c.us`;
+}
+
+// Get the Admin Role of a Chat ID, or null for non-admins
+async function getRole(chatId) {
+    if (chatId === adminNumber) {
+        return 'superadmin';
+    }
+    const admin = await Admin.findOne({ chatId });
+    return admin ? admin.role : null;
+}
+
+async function listAdmins() {
+    const admins = await Admin.find({ chatId: { $ne: adminNumber } }).sort({ createdAt: 1 });
+    return [{ chatId: adminNumber, role: 'superadmin', addedBy: null }, ...admins];
+}
+
+// Add an Admin or Change Their Role
+async function addAdmin(chatId, role, addedBy) {
+    return Admin.findOneAndUpdate(
+        { chatId },
+        { $set: { role, addedBy } },
+        { upsert: true, new: true, runValidators: true }
+    );
+}
+
+async function removeAdmin(chatId) {
+    return Admin.findOneAndDelete({ chatId });
+}
+
+// Store the Language of an Admin Without a User Account. ADMIN_NUMBER gets a
+// record the first time it chooses one. Returns false for non-admins.
+async function setLanguage(chatId, language) {
+    if (chatId === adminNumber) {
+        await Admin.updateOne(
+            { chatId },
+            { $set: { language }, $setOnInsert: { role: 'superadmin' } },
+            { upsert: true }
+        );
+        return true;
+    }
+    return Boolean(await Admin.findOneAndUpdate({ chatId }, { $set: { language } }));
+}
+
+// Send a Notification to Every Admin With One of the Given Roles (superadmins always get it).
+// `content` and `options.caption` may be functions of a translator, called once per admin
+// so each one gets the text in their own language.
+// Notifications are best-effort: failures are logged, never thrown.
+async function notifyAdmins(transport, content, roles = [], options = {}) {
+    try {
+        const admins = await Admin.find({ role: { $in: [...roles, 'superadmin'] } });
+        const recipients = new Set([adminNumber, ...admins.map((admin) => admin.chatId)]);
+        const send = async (chatId) => {
+            const t = await i18n.forChat(chatId);
+            const caption = typeof options.caption === 'function' ? options.caption(t) : options.caption;
+            return transport.sendMessage(
+                chatId,
+                typeof content === 'function' ? content(t) : content,
+                caption === undefined ? options : { ...options, caption }
+            );
+        };
+        const results = await Promise.allSettled([...recipients].map(send));
+        results.filter((result) => result.status === 'rejected')
+            .forEach((result) => logger.error('Error notifying admin', { error: result.reason }));
+    } catch (error) {
+        logger.error('Error notifying admins', { error });
+    }
+}
+
+module.exports = {
+    toChatId,
+    getRole,
+    listAdmins,
+    addAdmin,
+    removeAdmin,
+    setLanguage,
+    notifyAdmins,
+};
@@ -0,0 +1,40 @@
+const AuditLog = require('../models/AuditLog');
+const ledger = require('./ledger');
+
+// Capture the Parts of a User That Admin Actions Change
+async function snapshot(user) {
+    if (!user) {
+        return null;
+    }
+    return {
+        state: user.state,
+        hasPaid: user.hasPaid,
+        isApproved: user.isApproved,
+        pendingApproval: user.pendingApproval,
+        withdrawalPending: user.withdrawalPending,
+        balance: await ledger.getBalance(user.chatId),
+    };
+}
+
+// Write an Audit Record
+async function record({ actor, action, target = null, before = null, after = null, reason = null }) {
+    return AuditLog.create({ actor, action, target, before, after, reason });
+}
+
+// Latest Audit Records, Optionally Filtered by Target or Actor
+async function query({ target, actor, skip = 0, limit = 10 } = {}) {
+    const filter = {};
+    if (target) {
+        filter.target = target;
+    }
+    if (actor) {
+        filter.actor = actor;
+    }
+    return AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
+}
+
+module.exports = {
+    snapshot,
+    record,
+    query,
+};
@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Where a Buddy Is in Registration
+function buddyStatus(buddy) {
+    if (buddy.isApproved) {
+        return 'paid';
+    }
+    return buddy.pendingApproval ? 'pending' : 'unpaid';
+}
+
+// A User's Direct and Second-Level Buddies, Each With What They Earned the User
+// net of commissions taken back by reversals. Branch totals add a direct buddy's
+// earnings to those of their own buddies.
+async function getBuddyTree(user) {
+    const direct = await User.find({ referrer: user.buddyCode }).sort({ _id: 1 }).lean();
+    const secondLevel = direct.length > 0
+        ? await User.find({ referrer: { $in: direct.map((buddy) => buddy.buddyCode) } }).sort({ _id: 1 }).lean()
+        : [];
+
+    const earnings = await LedgerEntry.aggregate([
+        { $match: { chatId: user.chatId, type: { $in: ['commission', 'reversal'] }, sourceBuddyCode: { $ne: null } } },
+        { $group: { _id: '$sourceBuddyCode', total: { $sum: '$delta' } } },
+    ]);
+    const earnedFrom = new Map(earnings.map((row) => [row._id, row.total]));
+
+    const node = (buddy) => ({
+        name: buddy.name,
+        buddyCode: buddy.buddyCode,
+        status: buddyStatus(buddy),
+        earned: earnedFrom.get(buddy.buddyCode) || 0,
+    });
+
+    const childrenOf = new Map();
+    for (const buddy of secondLevel) {
+        if (!childrenOf.has(buddy.referrer)) {
+            childrenOf.set(buddy.referrer, []);
+        }
+        childrenOf.get(buddy.referrer).push(node(buddy));
+    }
+
+    const branches = direct.map((buddy) => {
+        const children = childrenOf.get(buddy.buddyCode) || [];
+        const branch = { ...node(buddy), children };
+        branch.branchEarned = branch.earned + children.reduce((sum, child) => sum + child.earned, 0);
+        return branch;
+    });
+
+    const statusCounts = (nodes) => nodes.reduce((counts, { status }) => {
+        counts[status]++;
+        return counts;
+    }, { paid: 0, pending: 0, unpaid: 0 });
+
+    return {
+        branches,
+        directCount: direct.length,
+        secondLevelCount: secondLevel.length,
+        directStatus: statusCounts(branches),
+        secondLevelStatus: statusCounts(secondLevel.map(node)),
+        // Includes commissions from levels deeper than the tree shows
+        totalEarned: earnings.reduce((sum, row) => sum + row.total, 0),
+    };
+}
+
+module.exports = { buddyStatus, getBuddyTree };
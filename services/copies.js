@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, PDFName, PDFString, StandardFonts, rgb, degrees } = require('pdf-lib');
+const IssuedCopy = require('../models/IssuedCopy');
+const User = require('../models/User');
+
+const { copiesDir } = require('../config');
+
+// Directory Watermarked Copies Are Cached In
+const CACHE_DIR = path.resolve(__dirname, '..', copiesDir);
+
+// Key Holding the Copy Code in the Document Info and on Every Page
+const COPY_KEY = 'BuddyCashCopy';
+
+// Copy Codes Look Like BC-3F9A0C1D7E: a prefix and random hex
+const CODE_PATTERN = /BC-[0-9A-F]{10}/g;
+
+const STAMP_COLOR = rgb(0.45, 0.45, 0.45);
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+function newCode() {
+    return `BC-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+}
+
+function cachePath(copy) {
+    return path.join(CACHE_DIR, `${copy.code}.pdf`);
+}
+
+// Drop Characters the Standard PDF Fonts Can't Draw (e.g. Malayalam or Hindi names)
+function drawable(text, font) {
+    const supported = new Set(font.getCharacterSet());
+    return [...text].filter((char) => supported.has(char.codePointAt(0))).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Stamp Every Page With the Buyer and Hide the Copy Code in the Metadata
+async function stamp(source, copy) {
+    const pdf = await PDFDocument.load(source, { updateMetadata: false });
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const name = drawable(copy.name || '', font);
+    const buyer = name ? `${name} (${copy.buddyCode})` : copy.buddyCode;
+    const footer = `Issued to ${buyer} on ${copy.purchasedAt.toISOString().slice(0, 10)} - copy ${copy.code} - not for resale`;
+
+    for (const page of pdf.getPages()) {
+        const { width, height } = page.getSize();
+        const size = Math.min(8, (width - 40) / font.widthOfTextAtSize(footer, 1));
+        page.drawText(footer, { x: 20, y: 12, size, font, color: STAMP_COLOR, opacity: 0.8 });
+        page.drawText(buyer, {
+            x: width * 0.12,
+            y: height * 0.3,
+            size: Math.min(40, (width * 0.9) / font.widthOfTextAtSize(buyer, 1)),
+            font,
+            color: STAMP_COLOR,
+            opacity: 0.08,
+            rotate: degrees(35),
+        });
+        page.node.set(PDFName.of(COPY_KEY), PDFString.of(copy.code));
+    }
+    pdf.getInfoDict().set(PDFName.of(COPY_KEY), PDFString.of(copy.code));
+
+    // Without object streams the page dictionaries stay readable even if the file is damaged
+    return Buffer.from(await pdf.save({ useObjectStreams: false }));
+}
+
+// Get the Buyer's Watermarked Copy of a Product PDF, Stamping It the First Time
+// and Again Only When the Product File Changed. The copy keeps its code, so
+// every version traces back to the same account. Returns the PDF bytes.
+async function issue({ user, product, file, filePath, deposit }) {
+    const source = await fs.promises.readFile(filePath);
+    const sourceSha256 = sha256(source);
+    const key = { chatId: user.chatId, product: product.code, file: file.path };
+
+    let copy = await IssuedCopy.findOne(key);
+    if (copy && copy.sourceSha256 === sourceSha256 && fs.existsSync(cachePath(copy))) {
+        await IssuedCopy.updateOne({ _id: copy._id }, { $set: { lastSentAt: new Date() }, $inc: { sends: 1 } });
+        return fs.promises.readFile(cachePath(copy));
+    }
+
+    if (!copy) {
+        copy = await IssuedCopy.findOneAndUpdate(
+            key,
+            {
+                $setOnInsert: {
+                    code: newCode(),
+                    buddyCode: user.buddyCode,
+                    name: user.name,
+                    deposit: deposit ? deposit._id : null,
+                    purchasedAt: deposit ? deposit.reviewedAt || deposit.createdAt : new Date(),
+                },
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    const bytes = await stamp(source, copy);
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    await fs.promises.writeFile(cachePath(copy), bytes);
+    await IssuedCopy.updateOne(
+        { _id: copy._id },
+        { $set: { sourceSha256, lastSentAt: new Date() }, $addToSet: { hashes: sha256(bytes) }, $inc: { sends: 1 } }
+    );
+    return bytes;
+}
+
+// Copy Codes Found in a PDF: the document info and page keys, or, when the file
+// won't parse, anything that looks like a code in its raw bytes
+async function findCodes(bytes) {
+    const codes = [];
+    try {
+        const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+        const values = [
+            pdf.getInfoDict().lookup(PDFName.of(COPY_KEY)),
+            ...pdf.getPages().map((page) => page.node.lookup(PDFName.of(COPY_KEY))),
+        ];
+        values.filter((value) => value && value.decodeText).forEach((value) => codes.push(value.decodeText()));
+    } catch (error) {
+        // Damaged or not a PDF; fall back to the raw bytes
+    }
+    if (codes.length === 0) {
+        codes.push(...(bytes.toString('latin1').match(CODE_PATTERN) || []));
+    }
+    return [...new Set(codes)];
+}
+
+// Look Up a Copy by Its Code. Returns { copy, user } or null.
+async function findByCode(code) {
+    const copy = await IssuedCopy.findOne({ code: String(code || '').trim().toUpperCase() }).lean();
+    if (!copy) {
+        return null;
+    }
+    return { copy, user: await User.findOne({ chatId: copy.chatId }).lean() };
+}
+
+// Find Who a Leaked PDF Was Issued To. Returns { copy, user, match } where
+// `match` is 'file' for an unchanged copy or 'metadata' when only the hidden
+// code survived, or { error }.
+async function trace(bytes) {
+    const exact = await IssuedCopy.findOne({ hashes: sha256(bytes) }).lean();
+    if (exact) {
+        return { copy: exact, user: await User.findOne({ chatId: exact.chatId }).lean(), match: 'file' };
+    }
+
+    const codes = await findCodes(bytes);
+    if (codes.length === 0) {
+        return { error: 'No copy code found. The file may not be a copy the bot issued, or its metadata was stripped; look for "copy BC-…" at the bottom of a page and use the code instead.' };
+    }
+    for (const code of codes) {
+        const found = await findByCode(code);
+        if (found) {
+            return { ...found, match: 'metadata' };
+        }
+    }
+    return { error: `Copy code ${codes.join(', ')} is not in the records.` };
+}
+
+module.exports = {
+    issue,
+    trace,
+    findByCode,
+};
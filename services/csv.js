@@ -0,0 +1,62 @@
+// Quote a Field When It Needs It. Text starting with = + - or @ is prefixed with '
+// so spreadsheets don't run it as a formula (names come from users).
+function formatField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV Text From a Header Row and Data Rows
+function toCsv(header, rows) {
+    return [header, ...rows].map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse CSV Text Into Rows of Fields (quoted fields may hold commas, quotes and line breaks).
+// Blank lines are dropped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+module.exports = {
+    toCsv,
+    parseCsv,
+};
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Mongoose Connection States by readyState
+const MONGODB_STATES = { 0: 'disconnected', 1: 'connected', 2: 'connecting', 3: 'disconnecting' };
+
+// Chat Client State, Kept Up to Date From Transport Events
+const client = { transport: null, state: 'STARTING', ready: false, since: new Date() };
+
+// Latest Pairing QR Code While One Is Waiting to Be Scanned (not part of health reports)
+let pairingQr = null;
+
+function setClientState(state, ready) {
+    if (client.state !== state || client.ready !== ready) {
+        logger.info('Client state changed', { state, ready });
+    }
+    client.state = state;
+    client.ready = ready;
+    client.since = new Date();
+}
+
+// Follow a Transport's Connection Events ('change_state' carries WhatsApp Web's
+// states, e.g. CONNECTED, OPENING, CONFLICT or UNPAIRED)
+function watchTransport(transport) {
+    client.transport = transport.name;
+    transport.on('qr', (qr) => {
+        pairingQr = qr;
+        setClientState('AWAITING_QR_SCAN', false);
+    });
+    transport.on('authenticated', () => {
+        pairingQr = null;
+        setClientState('AUTHENTICATED', false);
+    });
+    transport.on('ready', () => {
+        pairingQr = null;
+        setClientState('CONNECTED', true);
+    });
+    transport.on('change_state', (state) => setClientState(state, state === 'CONNECTED'));
+    transport.on('disconnected', (reason) => setClientState(`DISCONNECTED${reason ? ` (${reason})` : ''}`, false));
+}
+
+function getPairingQr() {
+    return pairingQr;
+}
+
+function mongodbState() {
+    return MONGODB_STATES[mongoose.connection.readyState] || 'unknown';
+}
+
+// Health Report: ready only when MongoDB is connected and the client is ready
+function getHealth() {
+    const mongodb = mongodbState();
+    return {
+        ready: mongodb === 'connected' && client.ready,
+        uptimeSeconds: Math.round(process.uptime()),
+        mongodb,
+        client: { ...client },
+    };
+}
+
+module.exports = {
+    watchTransport,
+    getPairingQr,
+    mongodbState,
+    getHealth,
+};
@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const settings = require('./settings');
+const logger = require('./logger');
+
+// Supported Languages, in the Order They Are Offered
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN', catalog: require('../locales/en') },
+    ml: { name: 'മലയാളം (Malayalam)', locale: 'ml-IN', catalog: require('../locales/ml') },
+    hi: { name: 'हिन्दी (Hindi)', locale: 'hi-IN', catalog: require('../locales/hi') },
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Words Accepted When Choosing a Language, Besides the Code and the Number
+const LANGUAGE_ALIASES = {
+    english: 'en',
+    malayalam: 'ml',
+    'മലയാളം': 'ml',
+    hindi: 'hi',
+    'हिन्दी': 'hi',
+    'हिंदी': 'hi',
+};
+
+function normalizeLanguage(lang) {
+    return LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+// Render a Catalog Message, Falling Back to English and Then to the Key Itself.
+// Placeholders look like {balance}; ones without a value are left as they are.
+// Runtime settings such as {payeeUpi} and {supportContact} are always available.
+function translate(lang, key, params = {}) {
+    const template = LANGUAGES[normalizeLanguage(lang)].catalog[key] ?? LANGUAGES[DEFAULT_LANGUAGE].catalog[key];
+    if (template === undefined) {
+        logger.error('Missing message in catalogs', { key });
+        return key;
+    }
+    const values = { ...settings.all(), ...params };
+    return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+}
+
+// Rupee Amount With the Language's Digit Grouping, e.g. ₹1,00,000
+function formatAmount(lang, amount) {
+    return `₹${Number(amount).toLocaleString(LANGUAGES[normalizeLanguage(lang)].locale, { maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(lang, date) {
+    return new Date(date).toLocaleString(LANGUAGES[normalizeLanguage(lang)].locale, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// A `t(key, params)` Function Bound to One Language, With `t.amount` and `t.date` Formatters
+function translator(lang) {
+    const language = normalizeLanguage(lang);
+    const t = (key, params) => translate(language, key, params);
+    t.lang = language;
+    t.amount = (amount) => formatAmount(language, amount);
+    t.date = (date) => formatDate(language, date);
+    return t;
+}
+
+// Language of Any Chat: the user's choice, else the admin's, else English
+async function getLanguage(chatId) {
+    const user = await User.findOne({ chatId }, { language: 1 }).lean();
+    if (user && user.language) {
+        return normalizeLanguage(user.language);
+    }
+    const admin = await Admin.findOne({ chatId }, { language: 1 }).lean();
+    return normalizeLanguage(admin && admin.language);
+}
+
+// Translator for Whoever Is Behind a Chat ID
+async function forChat(chatId) {
+    return translator(await getLanguage(chatId));
+}
+
+// Match a Reply to a Language Code: '2', 'ml', 'Malayalam' and 'മലയാളം' all give 'ml'.
+// Returns null when nothing matches.
+function parseLanguage(text) {
+    const value = String(text || '').trim().toLowerCase();
+    const codes = Object.keys(LANGUAGES);
+    if (/^\d+$/.test(value)) {
+        return codes[Number(value) - 1] || null;
+    }
+    if (LANGUAGES[value]) {
+        return value;
+    }
+    return LANGUAGE_ALIASES[value] || null;
+}
+
+// Numbered List of Languages for Prompts
+function renderLanguageOptions() {
+    return Object.values(LANGUAGES).map((language, index) => `${index + 1}. ${language.name}`).join('\n');
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    translate,
+    translator,
+    getLanguage,
+    forChat,
+    parseLanguage,
+    renderLanguageOptions,
+};
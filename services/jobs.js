@@ -0,0 +1,214 @@
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const ledger = require('./ledger');
+const products = require('./products');
+const admins = require('./admins');
+const audit = require('./audit');
+const i18n = require('./i18n');
+const { objectIdFromDate } = require('./users');
+const { defineJob } = require('./scheduler');
+const { STATES, setState } = require('../bot/states');
+
+const { reminderAfterHours, approvalSlaHours, archiveUnpaidAfterDays } = require('../config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Actor Recorded in the Audit Log for Scheduled Changes
+const SCHEDULER_ACTOR = 'scheduler';
+
+// Registration States of Users Who Haven't Sent a Screenshot Yet
+const UNPAID_STATES = [STATES.AWAITING_LANGUAGE, STATES.AWAITING_NAME, STATES.AWAITING_PAYMENT];
+
+// Users Handled per Run, so One Run Never Floods the Transport
+const BATCH_SIZE = 200;
+
+// Unpaid Users Whose Reminder Clock Started Before a Given Date. The clock starts at
+// sign-up, or when an archived registration is restored.
+function unpaidFilter(before) {
+    return {
+        state: { $in: UNPAID_STATES },
+        hasPaid: false,
+        pendingApproval: false,
+        $or: [
+            { unpaidSince: null, _id: { $lte: objectIdFromDate(before) } },
+            { unpaidSince: { $lte: before } },
+        ],
+    };
+}
+
+// Go Through Every User Matching a Filter in _id Order, a Page at a Time, Until
+// `handle` Has Acted on BATCH_SIZE of Them. Users it passes over (not due yet)
+// don't use up the batch, so they can't keep due users from being reached.
+// `handle` returns true when it acted. Returns how many it acted on.
+async function forEachUser(filter, handle) {
+    let acted = 0;
+    let after = null;
+    while (acted < BATCH_SIZE) {
+        const page = await User.find(after ? { $and: [filter, { _id: { $gt: after } }] } : filter)
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE);
+        for (const user of page) {
+            if (acted >= BATCH_SIZE) {
+                break;
+            }
+            if (await handle(user)) {
+                acted++;
+            }
+        }
+        if (page.length < BATCH_SIZE) {
+            break;
+        }
+        after = page[page.length - 1]._id;
+    }
+    return acted;
+}
+
+// When a User's Reminder Clock Started
+function clockStart(user) {
+    return user.unpaidSince || user._id.getTimestamp();
+}
+
+// Remind Unpaid Users After Each of the Configured Intervals. A user who is
+// behind (e.g. after downtime) gets one reminder, not one per missed interval.
+async function remindUnpaid(transport) {
+    const now = Date.now();
+    const filter = {
+        ...unpaidFilter(new Date(now - reminderAfterHours[0] * HOUR_MS)),
+        reminderCount: { $not: { $gte: reminderAfterHours.length } },
+        $and: [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date(now) } }] }],
+    };
+
+    const reminded = await forEachUser(filter, async (user) => {
+        const hours = (now - clockStart(user).getTime()) / HOUR_MS;
+        const due = reminderAfterHours.filter((after) => hours >= after).length;
+        if (due <= user.reminderCount) {
+            return false;
+        }
+
+        // The price of the product they picked, or the lowest price on sale
+        const { product, products: catalog } = await products.resolveChoice(user);
+        const fee = product ? product.price : products.startingPrice(catalog);
+        if (fee === null) {
+            return false;
+        }
+
+        // Only the instance that moves the count forward sends the reminder
+        const claimed = await User.findOneAndUpdate(
+            { _id: user._id, reminderCount: { $not: { $gte: due } } },
+            { $set: { reminderCount: due } }
+        );
+        if (!claimed) {
+            return false;
+        }
+
+        const t = i18n.translator(user.language);
+        transport.sendMessage(user.chatId, t('reminder.unpaid', { fee: t.amount(fee) }));
+        return true;
+    });
+    return `${reminded} reminded`;
+}
+
+// Tell Admins About Deposits and Withdrawals Waiting Longer Than the Approval
+// Promise. Each one is escalated once.
+async function escalateOverdue(transport) {
+    const cutoff = new Date(Date.now() - approvalSlaHours * HOUR_MS);
+
+    // Deposits
+    const deposits = [];
+    const overdueDeposits = await Deposit.find({ status: 'pending', escalatedAt: null, createdAt: { $lte: cutoff } })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE);
+    for (const deposit of overdueDeposits) {
+        const claimed = await Deposit.findOneAndUpdate(
+            { _id: deposit._id, escalatedAt: null },
+            { $set: { escalatedAt: new Date() } }
+        );
+        if (claimed) {
+            deposits.push(deposit);
+        }
+    }
+
+    // Withdrawals (the hold on the ledger says when it was requested)
+    const withdrawals = [];
+    await forEachUser({ withdrawalPending: true, withdrawalEscalatedAt: null }, async (user) => {
+        const hold = await ledger.getOpenHold(user.chatId);
+        if (!hold || hold.createdAt > cutoff) {
+            return false;
+        }
+        const claimed = await User.findOneAndUpdate(
+            { _id: user._id, withdrawalPending: true, withdrawalEscalatedAt: null },
+            { $set: { withdrawalEscalatedAt: new Date() } }
+        );
+        if (claimed) {
+            withdrawals.push({ user, hold });
+        }
+        return Boolean(claimed);
+    });
+
+    const waited = (date) => `${Math.floor((Date.now() - date.getTime()) / HOUR_MS)}h`;
+
+    if (deposits.length > 0) {
+        const owners = await User.find({ chatId: { $in: deposits.map((deposit) => deposit.chatId) } });
+        await admins.notifyAdmins(transport, (adminT) => [
+            adminT('admin.deposits_overdue', { count: deposits.length, hours: approvalSlaHours }),
+            ...deposits.map((deposit) => {
+                const owner = owners.find((user) => user.chatId === deposit.chatId) || {};
+                return `• ${owner.name || '-'} (${owner.buddyCode || '-'}) ${deposit.chatId} · ${adminT.amount(deposit.amount)}${deposit.productName ? ` ${deposit.productName}` : ''} · ${waited(deposit.createdAt)}`;
+            }),
+        ].join('\n'), ['reviewer']);
+    }
+
+    if (withdrawals.length > 0) {
+        await admins.notifyAdmins(transport, (adminT) => [
+            adminT('admin.withdrawals_overdue', { count: withdrawals.length, hours: approvalSlaHours }),
+            ...withdrawals.map(({ user, hold }) => `• ${user.name || '-'} (${user.buddyCode}) ${user.chatId} · ${adminT.amount(hold.amount)} · ${waited(hold.createdAt)}`),
+        ].join('\n'), ['finance']);
+    }
+
+    return `${deposits.length} deposits, ${withdrawals.length} withdrawals escalated`;
+}
+
+// Archive Registrations Still Unpaid After the Configured Number of Days. A user
+// who submitted a screenshot in that time (even a rejected one) is left alone.
+// Archived users resume registration with their next message.
+async function archiveUnpaid(transport) {
+    const cutoff = new Date(Date.now() - archiveUnpaidAfterDays * 24 * HOUR_MS);
+    const archived = await forEachUser(unpaidFilter(cutoff), async (user) => {
+        if (await Deposit.exists({ chatId: user.chatId, createdAt: { $gt: cutoff } })) {
+            return false;
+        }
+
+        // Only archive from the state the user was read in, in case they replied meanwhile
+        const from = user.state;
+        setState(user, STATES.ARCHIVED);
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, state: from },
+            { $set: { state: user.state, stateData: null, stateExpiresAt: null, archivedAt: new Date() } }
+        );
+        if (modifiedCount === 0) {
+            return false;
+        }
+
+        await audit.record({
+            actor: SCHEDULER_ACTOR,
+            action: 'archive',
+            target: user.chatId,
+            before: { state: from },
+            after: { state: STATES.ARCHIVED },
+            reason: `Unpaid for ${archiveUnpaidAfterDays} days`,
+        });
+        transport.sendMessage(user.chatId, i18n.translate(user.language, 'registration.archived'));
+        return true;
+    });
+    return `${archived} archived`;
+}
+
+defineJob({ name: 'remind-unpaid', intervalMs: 15 * 60 * 1000, run: remindUnpaid });
+defineJob({ name: 'escalate-overdue', intervalMs: 15 * 60 * 1000, run: escalateOverdue });
+defineJob({ name: 'archive-unpaid', intervalMs: 60 * 60 * 1000, run: archiveUnpaid });
+
+module.exports = {
+    remindUnpaid,
+    escalateOverdue,
+    archiveUnpaid,
+};
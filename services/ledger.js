@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Deposit = require('../models/Deposit');
+const User = require('../models/User');
+
+// Entries a Deposit Posts on Approval (and a reversal undoes)
+const DEPOSIT_ENTRY_TYPES = ['registration_fee', 'purchase', 'commission'];
+
+// Run a Function Inside a MongoDB Transaction (requires a replica set)
+function withTransaction(fn) {
+    return mongoose.connection.transaction(fn);
+}
+
+// Append Entries to the Ledger
+async function post(entries, session) {
+    return LedgerEntry.insertMany(entries, { session, ordered: true });
+}
+
+// Derive a User's Balance from Their Ledger Entries
+async function getBalance(chatId, session) {
+    const [row] = await LedgerEntry.aggregate([
+        { $match: { chatId } },
+        { $group: { _id: null, balance: { $sum: '$delta' } } },
+    ]).session(session || null);
+    return row ? row.balance : 0;
+}
+
+// Find the Withdrawal Hold That Has Not Been Paid Out or Reversed Yet
+async function getOpenHold(chatId, session) {
+    const holds = await LedgerEntry.find({ chatId, type: 'withdrawal_hold' }).sort({ createdAt: -1 }).session(session || null);
+    for (const hold of holds) {
+        const resolved = await LedgerEntry.exists({ refEntry: hold._id }).session(session || null);
+        if (!resolved) {
+            return hold;
+        }
+    }
+    return null;
+}
+
+// Undo Everything a Deposit Posted: its fee or purchase entry and every commission
+// it paid, each by a reversal entry pointing at it. Commission reversals debit the
+// referrers even past zero. Returns the reversal entries.
+async function reverseDepositEntries(deposit, reason, session) {
+    const paid = await LedgerEntry.find({ deposit: deposit._id, type: { $in: DEPOSIT_ENTRY_TYPES } }).session(session || null);
+    return post(paid.map((entry) => ({
+        chatId: entry.chatId,
+        type: 'reversal',
+        amount: entry.amount,
+        delta: -entry.delta || 0,
+        level: entry.level,
+        sourceBuddyCode: entry.sourceBuddyCode,
+        deposit: deposit._id,
+        refEntry: entry._id,
+        reason: entry.type === 'commission' ? `${entry.reason} reversed: ${reason}` : reason,
+        planVersion: entry.planVersion,
+    })), session);
+}
+
+// Statement Lines for a User, Oldest First: deposits with their review status,
+// plus ledger entries with withdrawal holds annotated by how they were resolved and
+// commissions taken back by a deposit reversal shown as clawbacks
+async function getHistory(chatId) {
+    const [entries, deposits] = await Promise.all([
+        LedgerEntry.find({ chatId }).sort({ createdAt: 1 }).lean(),
+        Deposit.find({ chatId }).sort({ createdAt: 1 }).lean(),
+    ]);
+    const resolutions = new Map(
+        entries.filter((entry) => entry.refEntry).map((entry) => [String(entry.refEntry), entry])
+    );
+    const holdIds = new Set(
+        entries.filter((entry) => entry.type === 'withdrawal_hold').map((entry) => String(entry._id))
+    );
+    const feeIds = new Set(
+        entries.filter((entry) => ['registration_fee', 'purchase'].includes(entry.type)).map((entry) => String(entry._id))
+    );
+
+    const lines = deposits.map((deposit) => ({
+        type: 'deposit',
+        amount: deposit.amount,
+        productName: deposit.productName,
+        status: deposit.status,
+        reason: deposit.reason,
+        createdAt: deposit.createdAt,
+    }));
+
+    for (const entry of entries) {
+        // Fees, purchases, payouts and their reversals are already reflected in the deposit or withdrawal line
+        if (['registration_fee', 'purchase', 'payout'].includes(entry.type)) {
+            continue;
+        }
+        if (entry.type === 'reversal' && (holdIds.has(String(entry.refEntry)) || feeIds.has(String(entry.refEntry)))) {
+            continue;
+        }
+        if (entry.type === 'reversal' && entry.deposit) {
+            lines.push({ ...entry, type: 'clawback', status: 'approved' });
+            continue;
+        }
+        if (entry.type === 'withdrawal_hold') {
+            const resolution = resolutions.get(String(entry._id));
+            lines.push({
+                ...entry,
+                status: !resolution ? 'pending' : resolution.type === 'payout' ? 'approved' : 'rejected',
+                reason: resolution && resolution.type === 'reversal' ? resolution.reason : entry.reason,
+            });
+            continue;
+        }
+        lines.push({ ...entry, status: 'approved' });
+    }
+
+    return lines.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Recompute Every User's Balance from the Ledger and Report Inconsistencies
+async function checkConsistency() {
+    const issues = [];
+
+    const balances = await LedgerEntry.aggregate([
+        { $group: { _id: '$chatId', balance: { $sum: '$delta' } } },
+    ]);
+    const balanceByChatId = new Map(balances.map((row) => [row._id, row.balance]));
+
+    const users = await User.find({}, { chatId: 1, buddyCode: 1, withdrawalPending: 1 }).lean();
+    const knownChatIds = new Set(users.map((user) => user.chatId));
+
+    // Clawed-back commissions may leave a balance negative until it recovers
+    const clawedBack = new Set(await LedgerEntry.distinct('chatId', { type: 'reversal', deposit: { $ne: null }, delta: { $lt: 0 } }));
+
+    for (const user of users) {
+        const balance = balanceByChatId.get(user.chatId) || 0;
+        if (balance < 0 && !clawedBack.has(user.chatId)) {
+            issues.push({ chatId: user.chatId, issue: 'negative_balance', balance });
+        }
+
+        const openHold = await getOpenHold(user.chatId);
+        if (Boolean(openHold) !== Boolean(user.withdrawalPending)) {
+            issues.push({
+                chatId: user.chatId,
+                issue: 'withdrawal_flag_mismatch',
+                withdrawalPending: user.withdrawalPending,
+                openHold: openHold ? openHold._id : null,
+            });
+        }
+    }
+
+    for (const chatId of balanceByChatId.keys()) {
+        if (!knownChatIds.has(chatId)) {
+            issues.push({ chatId, issue: 'orphan_entries', balance: balanceByChatId.get(chatId) });
+        }
+    }
+
+    // Every approved deposit must have exactly one registration fee or purchase entry
+    const approvedDeposits = await Deposit.find({ status: 'approved' }, { _id: 1, chatId: 1 }).lean();
+    for (const deposit of approvedDeposits) {
+        const fees = await LedgerEntry.countDocuments({ deposit: deposit._id, type: { $in: ['registration_fee', 'purchase'] } });
+        if (fees !== 1) {
+            issues.push({ chatId: deposit.chatId, issue: 'registration_fee_count', deposit: deposit._id, count: fees });
+        }
+    }
+
+    // Every entry of a reversed deposit must have been reversed
+    const reversedDeposits = await Deposit.find({ status: 'reversed' }, { _id: 1, chatId: 1 }).lean();
+    for (const deposit of reversedDeposits) {
+        const paid = await LedgerEntry.find({ deposit: deposit._id, type: { $in: DEPOSIT_ENTRY_TYPES } }, { _id: 1 }).lean();
+        const reversed = await LedgerEntry.countDocuments({ type: 'reversal', refEntry: { $in: paid.map((entry) => entry._id) } });
+        if (reversed !== paid.length) {
+            issues.push({ chatId: deposit.chatId, issue: 'unreversed_entries', deposit: deposit._id, count: paid.length - reversed });
+        }
+    }
+
+    return {
+        users: users.length,
+        totalBalance: balances.reduce((sum, row) => sum + row.balance, 0),
+        issues,
+    };
+}
+
+module.exports = {
+    withTransaction,
+    post,
+    getBalance,
+    getOpenHold,
+    reverseDepositEntries,
+    getHistory,
+    checkConsistency,
+};
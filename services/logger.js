@@ -0,0 +1,47 @@
+const { logLevel, logFormat } = require('../config');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Turn an Error Into Plain Fields (JSON.stringify drops message and stack)
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    return { name: error.name, message: error.message, stack: error.stack, ...(error.code !== undefined ? { code: error.code } : {}) };
+}
+
+// Write One Log Line. `fields` may include chatId, error and anything else useful;
+// JSON lines go to stdout (stderr for errors), or readable lines with LOG_FORMAT=pretty.
+function log(level, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(logLevel)) {
+        return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+            entry[key] = key === 'error' ? serializeError(value) : value;
+        }
+    }
+
+    const stream = level === 'error' ? process.stderr : process.stdout;
+    if (logFormat === 'pretty') {
+        const { time, error, ...rest } = entry;
+        const extra = Object.entries(rest)
+            .filter(([key]) => !['level', 'msg'].includes(key))
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+        stream.write(`${time} ${level.toUpperCase()} ${msg}${extra.length > 0 ? ` ${extra.join(' ')}` : ''}\n`);
+        if (error) {
+            stream.write(`${error.stack || error.message || JSON.stringify(error)}\n`);
+        }
+        return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+};
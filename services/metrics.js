@@ -0,0 +1,76 @@
+const promClient = require('prom-client');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const OutboundMessage = require('../models/OutboundMessage');
+const health = require('./health');
+
+const register = new promClient.Registry();
+promClient.collectDefaultMetrics({ register, prefix: 'buddycash_' });
+
+function counter(name, help, labelNames = []) {
+    return new promClient.Counter({ name: `buddycash_${name}`, help, labelNames, registers: [register] });
+}
+
+// Gauge Whose Value Is Read When Scraped
+function gauge(name, help, labelNames, collect) {
+    return new promClient.Gauge({
+        name: `buddycash_${name}`,
+        help,
+        labelNames,
+        registers: [register],
+        collect() {
+            return collect(this);
+        },
+    });
+}
+
+// Counters
+const registrations = counter('registrations_total', 'Users registered with a valid Buddy Code');
+const deposits = counter('deposits_total', 'Payment screenshots by status: submitted, approved, rejected or reversed', ['status']);
+const withdrawals = counter('withdrawals_total', 'Withdrawals by status: requested, approved or rejected', ['status']);
+const messagesReceived = counter('messages_received_total', 'Incoming chat messages');
+const messagesSent = counter('messages_sent_total', 'Outgoing send attempts by result: sent or failed', ['result']);
+const handlerErrors = counter('handler_errors_total', 'Errors thrown while handling an incoming message');
+const referralClicks = counter('referral_clicks_total', 'Clicks on short referral links, including link previews');
+
+// Gauges. Queue depths are left as they were while MongoDB is down, since
+// queries would only wait for it to come back.
+gauge('queue_depth', 'Items waiting per queue: outbox_queued, outbox_sending, outbox_dead, pending_deposits, pending_withdrawals', ['queue'], async (metric) => {
+    if (health.mongodbState() !== 'connected') {
+        return;
+    }
+    const [byStatus, pendingDeposits, pendingWithdrawals] = await Promise.all([
+        OutboundMessage.aggregate([{ $match: { status: { $ne: 'sent' } } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Deposit.countDocuments({ status: 'pending' }),
+        User.countDocuments({ withdrawalPending: true }),
+    ]);
+    metric.reset();
+    ['queued', 'sending', 'dead'].forEach((status) => {
+        const row = byStatus.find((candidate) => candidate._id === status);
+        metric.set({ queue: `outbox_${status}` }, row ? row.count : 0);
+    });
+    metric.set({ queue: 'pending_deposits' }, pendingDeposits);
+    metric.set({ queue: 'pending_withdrawals' }, pendingWithdrawals);
+});
+
+gauge('up', 'Whether a dependency is available: mongodb or client', ['dependency'], (metric) => {
+    const report = health.getHealth();
+    metric.set({ dependency: 'mongodb' }, report.mongodb === 'connected' ? 1 : 0);
+    metric.set({ dependency: 'client' }, report.client.ready ? 1 : 0);
+});
+
+// Render Every Metric in the Prometheus Text Format
+async function render() {
+    return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+    registrations,
+    deposits,
+    withdrawals,
+    messagesReceived,
+    messagesSent,
+    handlerErrors,
+    referralClicks,
+    render,
+};
@@ -0,0 +1,265 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const Media = require('../transports/media');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const {
+    outboxPerMinute,
+    outboxPerChatPerMinute,
+    outboxMaxAttempts,
+    outboxPollIntervalMs,
+} = require('../config');
+
+// Retry Delays Double From the Base Up to the Cap
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// How Long a Send May Take Before Another Attempt Is Allowed
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+// Due Messages Looked at per Poll
+const CANDIDATES_PER_POLL = 100;
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Delay Before Retry Number `attempts` (1 for the first retry)
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Queue Wrapper Around a Transport: sendMessage() stores the message and returns
+// once it is queued, and a poller delivers it through the wrapped transport.
+// Everything else is passed through.
+class QueuedTransport {
+    constructor(transport) {
+        this.inner = transport;
+        this.name = transport.name;
+        this.ready = false;
+        this.timer = null;
+        this.draining = false;
+        this.pendingByChat = new Map(); // chatId -> last enqueue, so one chat's messages are stored in call order
+
+        transport.on('ready', () => {
+            this.ready = true;
+            this.drain();
+        });
+        transport.on('disconnected', () => {
+            this.ready = false;
+        });
+    }
+
+    on(event, listener) {
+        this.inner.on(event, listener);
+        return this;
+    }
+
+    onMessage(handler) {
+        this.inner.onMessage(handler);
+    }
+
+    initialize() {
+        return this.inner.initialize();
+    }
+
+    addToGroup(groupId, chatIds) {
+        return this.inner.addToGroup(groupId, chatIds);
+    }
+
+    removeFromGroup(groupId, chatIds) {
+        return this.inner.removeFromGroup(groupId, chatIds);
+    }
+
+    getInviteLink(groupId) {
+        return this.inner.getInviteLink(groupId);
+    }
+
+    // Queue Text or Media for Delivery
+    sendMessage(chatId, content, options = {}) {
+        const previous = this.pendingByChat.get(chatId) || Promise.resolve();
+        const queued = previous.then(() => this.enqueue(chatId, content, options));
+        this.pendingByChat.set(chatId, queued);
+        queued.finally(() => {
+            if (this.pendingByChat.get(chatId) === queued) {
+                this.pendingByChat.delete(chatId);
+            }
+        });
+        return queued;
+    }
+
+    async enqueue(chatId, content, options) {
+        const message = content instanceof Media
+            ? { chatId, media: { mimetype: content.mimetype, data: content.data, filename: content.filename }, caption: options.caption || null }
+            : { chatId, text: String(content) };
+        try {
+            const stored = await OutboundMessage.create(message);
+            setImmediate(() => this.drain());
+            return stored;
+        } catch (error) {
+            // Without the queue, sending straight away beats losing the message
+            logger.error('Error queueing message, sending directly', { chatId, error });
+            return this.inner.sendMessage(chatId, content, options).catch((sendError) => {
+                logger.error('Error sending message', { chatId, error: sendError });
+            });
+        }
+    }
+
+    // Start Polling the Queue (call once MongoDB is connected)
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.drain(), outboxPollIntervalMs);
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Deliver Due Messages Within the Rate Limits: at most one message per chat per
+    // poll, and never ahead of an earlier undelivered message to the same chat.
+    async drain() {
+        if (this.draining || !this.ready) {
+            return;
+        }
+        this.draining = true;
+        try {
+            const now = new Date();
+            const windowStart = new Date(now.getTime() - RATE_WINDOW_MS);
+            let budget = outboxPerMinute - await OutboundMessage.countDocuments({ sentAt: { $gte: windowStart } });
+            if (budget <= 0) {
+                return;
+            }
+
+            const due = {
+                $or: [
+                    { status: 'queued', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lte: now } },
+                ],
+            };
+            const candidates = await OutboundMessage.find(due, { chatId: 1 })
+                .sort({ _id: 1 })
+                .limit(CANDIDATES_PER_POLL)
+                .lean();
+
+            const seen = new Set();
+            for (const candidate of candidates) {
+                if (budget <= 0 || !this.ready) {
+                    break;
+                }
+                if (seen.has(candidate.chatId)) {
+                    continue;
+                }
+                seen.add(candidate.chatId);
+
+                const [earlier, recentToChat] = await Promise.all([
+                    OutboundMessage.exists({ chatId: candidate.chatId, status: { $in: ['queued', 'sending'] }, _id: { $lt: candidate._id } }),
+                    OutboundMessage.countDocuments({ chatId: candidate.chatId, sentAt: { $gte: windowStart } }),
+                ]);
+                if (earlier || recentToChat >= outboxPerChatPerMinute) {
+                    continue;
+                }
+
+                // Only the instance that flips the status sends it
+                const claimed = await OutboundMessage.findOneAndUpdate(
+                    { _id: candidate._id, ...due },
+                    { $set: { status: 'sending', lockedUntil: new Date(Date.now() + SEND_LEASE_MS) } },
+                    { new: true }
+                );
+                if (claimed) {
+                    await this.deliver(claimed);
+                    budget--;
+                }
+            }
+        } catch (error) {
+            logger.error('Error draining the outbox', { error });
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    // Send One Claimed Message, Then Mark It Sent, Schedule a Retry or Dead-Letter It
+    async deliver(message) {
+        try {
+            const content = typeof message.text === 'string'
+                ? message.text
+                : new Media(message.media.mimetype, message.media.data, message.media.filename);
+            await this.inner.sendMessage(message.chatId, content, message.caption ? { caption: message.caption } : {});
+            metrics.messagesSent.inc({ result: 'sent' });
+            await OutboundMessage.updateOne(
+                { _id: message._id },
+                { $set: { status: 'sent', sentAt: new Date(), lockedUntil: null, lastError: null }, $unset: { 'media.data': 1 } }
+            );
+        } catch (error) {
+            const attempts = message.attempts + 1;
+            const dead = attempts >= outboxMaxAttempts;
+            metrics.messagesSent.inc({ result: 'failed' });
+            logger.error(dead ? 'Error sending message, giving up' : 'Error sending message, will retry', {
+                chatId: message.chatId,
+                messageId: String(message._id),
+                attempts,
+                error,
+            });
+            await OutboundMessage.updateOne(
+                { _id: message._id },
+                {
+                    $set: {
+                        status: dead ? 'dead' : 'queued',
+                        attempts,
+                        nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+                        lockedUntil: null,
+                        lastError: error.message || String(error),
+                        deadAt: dead ? new Date() : null,
+                    },
+                }
+            );
+        }
+    }
+}
+
+// Wrap a Transport in the Durable Queue
+function createQueuedTransport(transport) {
+    return new QueuedTransport(transport);
+}
+
+// Count Messages by Status, Plus Those Sent in the Last Hour
+async function getCounts() {
+    const [byStatus, sentLastHour] = await Promise.all([
+        OutboundMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        OutboundMessage.countDocuments({ sentAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) } }),
+    ]);
+    const counts = { queued: 0, sending: 0, dead: 0, sentLastHour };
+    byStatus.filter((row) => row._id !== 'sent').forEach((row) => { counts[row._id] = row.count; });
+    return counts;
+}
+
+// Dead Letters, Newest First (without their attachment data)
+async function listDead(limit = 200) {
+    return OutboundMessage.find({ status: 'dead' }, { 'media.data': 0 }).sort({ deadAt: -1 }).limit(limit).lean();
+}
+
+// Put Dead Letters Back in the Queue: one by ID, or all of them when `id` is 'all'.
+// Returns how many were requeued.
+async function resendDead(id) {
+    const filter = id === 'all' ? { status: 'dead' } : { _id: id, status: 'dead' };
+    const result = await OutboundMessage.updateMany(filter, {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null, deadAt: null },
+    });
+    return result.modifiedCount;
+}
+
+// Short Description of a Queued Message for Admin Lists
+function describe(message) {
+    if (typeof message.text === 'string') {
+        return message.text.length > 60 ? `${message.text.slice(0, 57)}...` : message.text;
+    }
+    return `[${message.media.mimetype}${message.media.filename ? ` ${message.media.filename}` : ''}]${message.caption ? ` ${message.caption.slice(0, 40)}` : ''}`;
+}
+
+module.exports = {
+    createQueuedTransport,
+    retryDelay,
+    getCounts,
+    listDead,
+    resendDead,
+    describe,
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PayoutBatch = require('../models/PayoutBatch');
+const ledger = require('./ledger');
+const upi = require('./upi');
+const audit = require('./audit');
+const adminActions = require('./adminActions');
+const { toCsv, parseCsv } = require('./csv');
+const logger = require('./logger');
+
+// Columns of the Bulk-Payment File Sent to the Bank
+const EXPORT_HEADER = ['name', 'upi_id', 'amount', 'reference'];
+
+// Header Names Accepted in a Settlement File, Compared Lowercase Without Spaces or Punctuation
+const SETTLEMENT_COLUMNS = {
+    reference: ['reference', 'ref', 'referenceno', 'paymentreference', 'customerreference', 'clientreference'],
+    status: ['status', 'result', 'paymentstatus', 'transactionstatus'],
+    reason: ['reason', 'remarks', 'remark', 'failurereason', 'description'],
+    utr: ['utr', 'utrno', 'rrn', 'bankreference'],
+};
+
+// Settlement Statuses Meaning the Payout Went Through or Didn't
+const PAID_STATUSES = ['paid', 'success', 'successful', 'completed', 'processed', 'settled'];
+const FAILED_STATUSES = ['failed', 'failure', 'rejected', 'returned', 'reversed'];
+
+// Reason Given to the User When the Bank Sent None
+const DEFAULT_FAILURE_REASON = 'The bank could not complete the payment';
+
+// Batch Codes Look Like PB261019A3F2: the date plus random hex. Line references
+// append a 3-digit number, and stay alphanumeric as banks require.
+function newBatchCode() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    return `PB${date}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+// Collect Every Pending Withdrawal Not Yet in a Batch Into a New Batch, Marking
+// Each One as Processing. Withdrawals held for risk review are left out.
+// Returns null when nothing is waiting.
+async function createBatch(actor) {
+    const waiting = await User.find({ withdrawalPending: true, riskHold: { $ne: true }, payoutReference: null });
+    if (waiting.length === 0) {
+        return null;
+    }
+
+    const code = newBatchCode();
+    let batch = null;
+    await ledger.withTransaction(async (session) => {
+        const items = [];
+        for (const user of waiting) {
+            const hold = await ledger.getOpenHold(user.chatId, session);
+            if (!hold) {
+                continue;
+            }
+
+            const reference = `${code}${String(items.length + 1).padStart(3, '0')}`;
+            const claimed = await User.findOneAndUpdate(
+                { _id: user._id, withdrawalPending: true, riskHold: { $ne: true }, payoutReference: null },
+                { $set: { payoutReference: reference } },
+                { session }
+            );
+            if (claimed) {
+                items.push({ chatId: user.chatId, name: upi.payeeName(user), upiId: user.upiId, amount: hold.amount, reference, hold: hold._id });
+            }
+        }
+
+        batch = items.length > 0
+            ? (await PayoutBatch.create([{ code, items, createdBy: actor }], { session }))[0]
+            : null;
+    });
+    if (!batch) {
+        return null;
+    }
+
+    await audit.record({
+        actor,
+        action: 'payout_batch',
+        target: code,
+        after: { count: batch.items.length, total: batchTotal(batch) },
+    });
+    return batch;
+}
+
+function batchTotal(batch) {
+    return batch.items.reduce((sum, item) => sum + item.amount, 0);
+}
+
+// Render a Batch as the Bank's Bulk-Payment CSV
+function exportCsv(batch) {
+    return toCsv(EXPORT_HEADER, batch.items.map((item) => [
+        item.name || '',
+        item.upiId,
+        item.amount.toFixed(2),
+        item.reference,
+    ]));
+}
+
+async function getBatch(code) {
+    return PayoutBatch.findOne({ code: String(code || '').toUpperCase() });
+}
+
+async function listBatches(limit = 10) {
+    return PayoutBatch.find().sort({ createdAt: -1 }).limit(limit);
+}
+
+// Count a Batch's Items by Status
+function summarize(batch) {
+    const counts = { processing: 0, paid: 0, failed: 0 };
+    batch.items.forEach((item) => counts[item.status]++);
+    return counts;
+}
+
+// Find Which Column Holds Each Settlement Field. Returns { columns } or { error }.
+function mapColumns(header) {
+    const normalized = header.map((name) => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const columns = {};
+    for (const [field, names] of Object.entries(SETTLEMENT_COLUMNS)) {
+        const index = normalized.findIndex((name) => names.includes(name));
+        columns[field] = index >= 0 ? index : null;
+    }
+    if (columns.reference === null || columns.status === null) {
+        return { error: 'The settlement file needs a header row with reference and status columns.' };
+    }
+    return { columns };
+}
+
+// Settle One Line of a Settlement File. Returns { outcome, note } where outcome
+// is 'paid', 'failed' or 'skipped'.
+async function settleLine(transport, { reference, status, reason, utr }, actor) {
+    const paid = PAID_STATUSES.includes(status);
+    if (!paid && !FAILED_STATUSES.includes(status)) {
+        return { outcome: 'skipped', note: `unknown status "${status}"` };
+    }
+
+    const batch = await PayoutBatch.findOne({ 'items.reference': reference });
+    const item = batch && batch.items.find((candidate) => candidate.reference === reference);
+    if (!item) {
+        return { outcome: 'skipped', note: 'unknown reference' };
+    }
+    if (item.status !== 'processing') {
+        return { outcome: 'skipped', note: `already ${item.status}` };
+    }
+
+    const failureReason = reason || DEFAULT_FAILURE_REASON;
+    const result = paid
+        ? await adminActions.approveWithdrawal(transport, item.chatId, actor, { payoutReference: reference })
+        : await adminActions.rejectWithdrawal(transport, item.chatId, failureReason, actor, { payoutReference: reference });
+    if (!result) {
+        return { outcome: 'skipped', note: 'withdrawal is no longer pending' };
+    }
+
+    await PayoutBatch.updateOne(
+        { _id: batch._id, 'items.reference': reference },
+        {
+            $set: {
+                'items.$.status': paid ? 'paid' : 'failed',
+                'items.$.reason': paid ? null : failureReason,
+                'items.$.utr': utr || null,
+                'items.$.settledAt': new Date(),
+            },
+        }
+    );
+    // Close the batch once nothing in it is processing
+    await PayoutBatch.updateOne(
+        { _id: batch._id, status: 'processing', 'items.status': { $ne: 'processing' } },
+        { $set: { status: 'settled', settledAt: new Date() } }
+    );
+
+    return { outcome: paid ? 'paid' : 'failed', note: paid ? null : failureReason };
+}
+
+// Import the Bank's Settlement CSV: pay or fail each line by reference and tell
+// the users. Lines already settled are skipped, so importing a file twice is safe.
+// Returns { error } for an unreadable file, otherwise { paid, failed, skipped } where
+// `skipped` lists { line, reference, note }.
+async function importSettlement(transport, text, actor) {
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+        return { error: 'The settlement file has no lines.' };
+    }
+    const { columns, error } = mapColumns(rows[0]);
+    if (error) {
+        return { error };
+    }
+
+    const report = { paid: 0, failed: 0, skipped: [] };
+    for (const [index, row] of rows.slice(1).entries()) {
+        const value = (field) => (columns[field] === null ? '' : (row[columns[field]] || '').trim());
+        const line = {
+            reference: value('reference').toUpperCase(),
+            status: value('status').toLowerCase(),
+            reason: value('reason'),
+            utr: value('utr'),
+        };
+
+        let result;
+        try {
+            result = await settleLine(transport, line, actor);
+        } catch (settleError) {
+            logger.error('Error settling payout', { reference: line.reference, error: settleError });
+            result = { outcome: 'skipped', note: settleError.message };
+        }
+
+        if (result.outcome === 'skipped') {
+            report.skipped.push({ line: index + 2, reference: line.reference, note: result.note });
+        } else {
+            report[result.outcome]++;
+        }
+    }
+
+    await audit.record({
+        actor,
+        action: 'settlement',
+        after: { paid: report.paid, failed: report.failed, skipped: report.skipped.length },
+    });
+    return report;
+}
+
+module.exports = {
+    EXPORT_HEADER,
+    createBatch,
+    batchTotal,
+    exportCsv,
+    getBatch,
+    listBatches,
+    summarize,
+    importSettlement,
+};
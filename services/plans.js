@@ -0,0 +1,84 @@
+const CommissionPlan = require('../models/CommissionPlan');
+const i18n = require('./i18n');
+
+// Plan Used When None Is Stored Yet (the original ₹20 / ₹13 / ₹2 scheme)
+const DEFAULT_PLAN = {
+    version: 1,
+    fee: 20,
+    levels: [{ amount: 13 }, { amount: 2 }],
+    minWithdrawal: 25,
+    effectiveFrom: new Date(0),
+};
+
+// Get the Plan in Effect at a Given Time, Seeding the Default Plan if None Exists
+async function getActivePlan(at = new Date()) {
+    const plan = await CommissionPlan.findOne({ effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1, version: -1 });
+    if (plan) {
+        return plan;
+    }
+    return CommissionPlan.findOneAndUpdate(
+        { version: DEFAULT_PLAN.version },
+        { $setOnInsert: DEFAULT_PLAN },
+        { upsert: true, new: true }
+    );
+}
+
+// Get a Plan by Version
+async function getPlan(version) {
+    return CommissionPlan.findOne({ version });
+}
+
+// List All Plans, Newest First
+async function listPlans() {
+    return CommissionPlan.find().sort({ effectiveFrom: -1, version: -1 });
+}
+
+// Store a New Plan Version
+async function createPlan({ fee, levels, minWithdrawal, effectiveFrom }) {
+    const latest = await CommissionPlan.findOne().sort({ version: -1 });
+    return CommissionPlan.create({
+        version: latest ? latest.version + 1 : DEFAULT_PLAN.version,
+        fee,
+        levels,
+        minWithdrawal,
+        effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+    });
+}
+
+// Commission in ₹ Paid at a Level (1 = direct referrer) Under a Plan. Percent
+// levels are a share of the price paid, the plan's fee unless given.
+function levelAmount(plan, level, price = plan.fee) {
+    const config = plan.levels[level - 1];
+    if (!config) {
+        return 0;
+    }
+    if (config.amount !== null && config.amount !== undefined) {
+        return config.amount;
+    }
+    return Math.round(price * config.percent) / 100;
+}
+
+// Describe What Each Level Pays, for User-Facing Texts in the Language of `t`
+function describeLevels(plan, t = i18n.translator(), price = plan.fee) {
+    return plan.levels.map((_, index) => {
+        const level = index + 1;
+        const amount = t.amount(levelAmount(plan, level, price));
+        if (level === 1) {
+            return t('plan.level_1', { amount });
+        }
+        if (level === 2) {
+            return t('plan.level_2', { amount });
+        }
+        return t('plan.level_n', { amount, level });
+    });
+}
+
+module.exports = {
+    DEFAULT_PLAN,
+    getActivePlan,
+    getPlan,
+    listPlans,
+    createPlan,
+    levelAmount,
+    describeLevels,
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const Product = require('../models/Product');
+const Deposit = require('../models/Deposit');
+const Media = require('../transports/media');
+const plans = require('./plans');
+const audit = require('./audit');
+const copies = require('./copies');
+
+// Directory Product Files Are Read From
+const FILES_DIR = path.join(__dirname, '..', 'pdf');
+
+// Product Seeded When the Catalog Is Empty (the original ₹20 PDF, priced at the
+// active plan's fee). Deposits made before the catalog existed count as this one.
+const DEFAULT_PRODUCT = {
+    code: 'PROMPTS',
+    name: '1,000+ ChatGPT Prompts PDF',
+    files: [{ path: 'BuddyChatJest.pdf' }],
+    sortOrder: 0,
+};
+
+const CODE_PATTERN = /^[A-Z0-9_-]{2,20}$/;
+
+// Fields Admins May Change After a Product Is Created
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'files', 'caption', 'planVersion', 'active', 'sortOrder'];
+
+// Seed the Default Product the First Time the Catalog Is Read
+async function ensureCatalog() {
+    if (await Product.exists({})) {
+        return;
+    }
+    const plan = await plans.getActivePlan();
+    await Product.findOneAndUpdate(
+        { code: DEFAULT_PRODUCT.code },
+        { $setOnInsert: { ...DEFAULT_PRODUCT, price: plan.fee } },
+        { upsert: true }
+    );
+}
+
+// List Products in Menu Order
+async function listProducts({ activeOnly = false } = {}) {
+    await ensureCatalog();
+    return Product.find(activeOnly ? { active: true } : {}).sort({ sortOrder: 1, createdAt: 1 });
+}
+
+async function getProduct(code) {
+    await ensureCatalog();
+    return Product.findOne({ code: String(code || '').toUpperCase() });
+}
+
+// Product Code a Deposit Paid For
+function depositProductCode(deposit) {
+    return deposit.product || DEFAULT_PRODUCT.code;
+}
+
+// The Product a Deposit Paid For
+async function forDeposit(deposit) {
+    return getProduct(depositProductCode(deposit));
+}
+
+// Commission Plan Paying Referrers for a Product
+async function planFor(product) {
+    return (product.planVersion && await plans.getPlan(product.planVersion)) || plans.getActivePlan();
+}
+
+// The Product a User Picked While Paying, or the Only One on Sale.
+// Returns { product, products } where `product` is null until they choose.
+async function resolveChoice(user) {
+    const products = await listProducts({ activeOnly: true });
+    const code = user.stateData && user.stateData.product;
+    const product = products.find((candidate) => candidate.code === code) || (products.length === 1 ? products[0] : null);
+    return { product, products };
+}
+
+// Lowest Price on Sale, or null When Nothing Is
+function startingPrice(products) {
+    return products.length > 0 ? Math.min(...products.map((product) => product.price)) : null;
+}
+
+// Numbered Product Menu in the Language of `t`
+function renderMenu(products, t) {
+    return products.map((product, index) => [
+        `${index < 9 ? `${index + 1}️⃣` : `${index + 1}.`} *${product.name}* - ${t.amount(product.price)}`,
+        ...(product.description ? [`    ${product.description}`] : []),
+    ].join('\n')).join('\n');
+}
+
+// Read a Product Choice: its number in the menu or its code. Returns the product or null.
+function parseChoice(text, products) {
+    const choice = String(text || '').trim();
+    if (/^\d+$/.test(choice)) {
+        return products[Number(choice) - 1] || null;
+    }
+    return products.find((product) => product.code === choice.toUpperCase()) || null;
+}
+
+// Absolute Path of a Product File, or null When It Points Outside FILES_DIR
+function resolveFile(file) {
+    const filePath = path.resolve(FILES_DIR, file);
+    return filePath.startsWith(`${FILES_DIR}${path.sep}`) ? filePath : null;
+}
+
+// Send a Product's Files to the Buyer of `deposit`, With the Caption on the
+// First One. PDFs go out as the buyer's own watermarked copy.
+async function deliver(transport, user, product, deposit, t) {
+    const caption = product.caption || t('product.pdf_caption');
+    if (product.files.length === 0) {
+        await transport.sendMessage(user.chatId, caption);
+        return;
+    }
+
+    for (const [index, file] of product.files.entries()) {
+        const filePath = resolveFile(file.path);
+
+        // Check if the file exists
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`Product file not found at path: ${file.path}`);
+        }
+
+        const media = path.extname(filePath).toLowerCase() === '.pdf'
+            ? new Media('application/pdf', (await copies.issue({ user, product, file, filePath, deposit })).toString('base64'), path.basename(filePath))
+            : Media.fromFilePath(filePath);
+        media.filename = file.filename || media.filename;
+        await transport.sendMessage(user.chatId, media, index === 0 ? { caption } : {});
+    }
+}
+
+// A User's Approved, Pending and Reversed Purchases, Oldest First, Each With Its
+// Product. The registration payment counts, since it bought a product too.
+async function getPurchases(chatId) {
+    const [deposits, products] = await Promise.all([
+        Deposit.find({ chatId, status: { $in: ['approved', 'pending', 'reversed'] } }).sort({ createdAt: 1 }).lean(),
+        listProducts(),
+    ]);
+    return deposits.map((deposit) => ({
+        deposit,
+        product: products.find((product) => product.code === depositProductCode(deposit)) || null,
+    }));
+}
+
+// Check Product Fields From an Admin. Returns { fields } or { error }.
+async function validateFields(input) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS.filter((name) => input[name] !== undefined)) {
+        fields[field] = input[field];
+    }
+
+    if (fields.name !== undefined && !String(fields.name || '').trim()) {
+        return { error: 'A product needs a name.' };
+    }
+    if (fields.price !== undefined) {
+        fields.price = Number(fields.price);
+        if (!Number.isFinite(fields.price) || fields.price < 1) {
+            return { error: 'The price must be a number of at least ₹1.' };
+        }
+    }
+    if (fields.files !== undefined) {
+        const files = Array.isArray(fields.files) ? fields.files : String(fields.files).split(',');
+        fields.files = files
+            .map((file) => (typeof file === 'string' ? { path: file.trim() } : { path: String(file.path || '').trim(), filename: file.filename || null }))
+            .filter((file) => file.path);
+        const missing = fields.files.filter((file) => !resolveFile(file.path) || !fs.existsSync(resolveFile(file.path)));
+        if (missing.length > 0) {
+            return { error: `File(s) not found in the pdf directory: ${missing.map((file) => file.path).join(', ')}` };
+        }
+    }
+    if (fields.planVersion !== undefined && fields.planVersion !== null) {
+        fields.planVersion = Number(fields.planVersion);
+        if (!(await plans.getPlan(fields.planVersion))) {
+            return { error: `Commission plan version ${fields.planVersion} does not exist.` };
+        }
+    }
+    if (fields.active !== undefined) {
+        fields.active = fields.active === true || ['true', 'yes', 'on', '1'].includes(String(fields.active).toLowerCase());
+    }
+    if (fields.sortOrder !== undefined) {
+        fields.sortOrder = Number(fields.sortOrder) || 0;
+    }
+    return { fields };
+}
+
+// Add a Product to the Catalog. Returns { product } or { error }.
+async function createProduct(input, actor) {
+    const code = String(input.code || '').toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+        return { error: 'The product code must be 2-20 letters, digits, _ or -.' };
+    }
+    if (input.name === undefined || input.price === undefined) {
+        return { error: 'A product needs a name and a price.' };
+    }
+    const { fields, error } = await validateFields(input);
+    if (error) {
+        return { error };
+    }
+    if (await getProduct(code)) {
+        return { error: `A product with code ${code} already exists.` };
+    }
+
+    const product = await Product.create({ code, ...fields });
+    await audit.record({ actor, action: 'product_add', target: code, after: fields });
+    return { product };
+}
+
+// Change a Product. Returns null when there is none, otherwise { product } or { error }.
+async function updateProduct(code, input, actor) {
+    const product = await getProduct(code);
+    if (!product) {
+        return null;
+    }
+    const { fields, error } = await validateFields(input);
+    if (error) {
+        return { error };
+    }
+
+    const current = product.toObject();
+    const before = Object.fromEntries(Object.keys(fields).map((field) => [field, current[field]]));
+    product.set(fields);
+    await product.save();
+    await audit.record({ actor, action: 'product_update', target: product.code, before, after: fields });
+    return { product };
+}
+
+module.exports = {
+    DEFAULT_PRODUCT,
+    EDITABLE_FIELDS,
+    listProducts,
+    getProduct,
+    depositProductCode,
+    forDeposit,
+    planFor,
+    resolveChoice,
+    startingPrice,
+    renderMenu,
+    parseChoice,
+    deliver,
+    getPurchases,
+    createProduct,
+    updateProduct,
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const QRCode = require('qrcode');
+const referrals = require('./referrals');
+
+const { promoTemplate, promoDir } = require('../config');
+
+// Template Image the Personal Details Are Added To, and Where Results Are Cached
+const TEMPLATE_PATH = path.resolve(__dirname, '..', promoTemplate);
+const CACHE_DIR = path.resolve(__dirname, '..', promoDir);
+
+// Bump When the Layout Changes, So Cached Images Are Drawn Again
+const LAYOUT_VERSION = 1;
+
+const BAND_COLOR = 0xffffffff;
+
+let fonts = null;
+
+// Bitmap Fonts Scaled to the Template: large templates get the bigger sizes
+async function loadFonts(width) {
+    const large = width >= 800;
+    const key = large ? 'large' : 'small';
+    if (!fonts || fonts.key !== key) {
+        const [text, code] = await Promise.all([
+            Jimp.loadFont(large ? Jimp.FONT_SANS_32_BLACK : Jimp.FONT_SANS_16_BLACK),
+            Jimp.loadFont(large ? Jimp.FONT_SANS_64_BLACK : Jimp.FONT_SANS_32_BLACK),
+        ]);
+        fonts = { key, text, code };
+    }
+    return fonts;
+}
+
+// Drop Characters the Bitmap Font Can't Draw (e.g. Malayalam or Hindi names)
+function drawable(text, font) {
+    return [...text].filter((char) => font.chars[char]).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Draw the Template With a Band Below It Holding the Name, Buddy Code and a QR Code of the Link
+async function render(templateBytes, { name, buddyCode, link }) {
+    const template = await Jimp.read(templateBytes);
+    const width = template.bitmap.width;
+    const pad = Math.round(width * 0.04);
+    const qrSize = Math.round(width * 0.24);
+    const { text, code } = await loadFonts(width);
+
+    const lines = [
+        { font: text, value: drawable(name || '', text) },
+        { font: text, value: 'Buddy Code' },
+        { font: code, value: buddyCode },
+        { font: text, value: 'Scan the QR code to join' },
+    ].filter((line) => line.value);
+    const textHeight = lines.reduce((sum, line) => sum + line.font.common.lineHeight, 0);
+    const band = Math.max(qrSize, textHeight) + pad * 2;
+
+    const image = new Jimp(width, template.bitmap.height + band, BAND_COLOR);
+    image.composite(template, 0, 0);
+
+    const qr = await Jimp.read(await QRCode.toBuffer(link, { width: qrSize, margin: 1, errorCorrectionLevel: 'M' }));
+    qr.resize(qrSize, qrSize, Jimp.RESIZE_NEAREST_NEIGHBOR);
+    image.composite(qr, width - pad - qrSize, template.bitmap.height + pad);
+
+    let y = template.bitmap.height + pad + Math.round((band - pad * 2 - textHeight) / 2);
+    for (const line of lines) {
+        image.print(line.font, pad, y, line.value, width - qrSize - pad * 3);
+        y += line.font.common.lineHeight;
+    }
+    return image.getBufferAsync(Jimp.MIME_PNG);
+}
+
+// Get a User's Promo Image as PNG Bytes. It is drawn once and cached until the
+// template, their name, their buddy code or the referral link changes.
+async function getPromoImage(user) {
+    const details = { name: user.name, buddyCode: user.buddyCode, link: referrals.referralLink(user.buddyCode) };
+    const templateBytes = await fs.promises.readFile(TEMPLATE_PATH);
+    const key = crypto.createHash('sha256')
+        .update(templateBytes)
+        .update(JSON.stringify({ ...details, version: LAYOUT_VERSION }))
+        .digest('hex')
+        .slice(0, 16);
+    const cachePath = path.join(CACHE_DIR, `${user.buddyCode}-${key}.png`);
+
+    if (fs.existsSync(cachePath)) {
+        return fs.promises.readFile(cachePath);
+    }
+
+    const bytes = await render(templateBytes, details);
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+    // Older images of the same code are out of date now
+    const stale = (await fs.promises.readdir(CACHE_DIR)).filter((file) => file.startsWith(`${user.buddyCode}-`));
+    await Promise.all(stale.map((file) => fs.promises.rm(path.join(CACHE_DIR, file), { force: true })));
+
+    await fs.promises.writeFile(cachePath, bytes);
+    return bytes;
+}
+
+module.exports = {
+    TEMPLATE_PATH,
+    getPromoImage,
+};
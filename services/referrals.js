@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ReferralClick = require('../models/ReferralClick');
+const logger = require('./logger');
+
+const { referralLinkBase, publicUrl, botNumber } = require('../config');
+
+// User Agents of Link Previews and Bots (WhatsApp fetches every shared link for its preview)
+const CRAWLER_PATTERN = /bot|crawl|spider|preview|facebookexternalhit|whatsapp|telegram|slack|discord|curl|wget/i;
+
+// Campaign Names Are Cut to This Length
+const MAX_CAMPAIGN_LENGTH = 40;
+
+// Members Share Short Links Only When the Bot Has a Public URL
+const TRACKED = Boolean(publicUrl);
+
+// A Member's Referral Link: the tracked short link when the bot has a public URL,
+// otherwise REFERRAL_LINK_BASE followed by the code
+function referralLink(buddyCode) {
+    return TRACKED ? new URL(`/r/${buddyCode}`, publicUrl).href : `${referralLinkBase}${buddyCode}`;
+}
+
+// Campaign Name From the Query String, or null
+function parseCampaign(query) {
+    const raw = [query.c, query.campaign, query.utm_campaign].find((value) => typeof value === 'string' && value.trim());
+    if (!raw) {
+        return null;
+    }
+    return raw.trim().toLowerCase().replace(/[^a-z0-9_.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_CAMPAIGN_LENGTH) || null;
+}
+
+// Log a Click on a Member's Short Link. Returns the URL to redirect to, or null
+// when no member has the code. With BOT_NUMBER set the redirect opens a chat with
+// the bot pre-filled with "<buddyCode> #<ref>", so the sign-up can be linked back.
+async function recordClick({ buddyCode, userAgent, query }) {
+    const code = String(buddyCode || '').toUpperCase();
+    if (!/^[A-Z0-9]{10}$/.test(code) || !(await User.exists({ buddyCode: code }))) {
+        return null;
+    }
+
+    const click = await ReferralClick.create({
+        ref: crypto.randomBytes(5).toString('hex').toUpperCase(),
+        buddyCode: code,
+        campaign: parseCampaign(query || {}),
+        userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+        crawler: CRAWLER_PATTERN.test(userAgent || ''),
+    });
+
+    if (!botNumber) {
+        return `${referralLinkBase}${code}`;
+    }
+    return `https://wa.me/${botNumber}?text=${encodeURIComponent(`${code} #${click.ref}`)}`;
+}
+
+// Link a New Account to the Click It Came From. Returns the click or null.
+async function claimClick(ref, user) {
+    if (!ref || !user.referrer) {
+        return null;
+    }
+    const click = await ReferralClick.findOneAndUpdate(
+        { ref: String(ref).toUpperCase(), buddyCode: user.referrer, registeredChatId: null },
+        { $set: { registeredChatId: user.chatId, registeredAt: new Date() } },
+        { new: true }
+    );
+    if (click) {
+        logger.info('Registration linked to referral click', { chatId: user.chatId, ref: click.ref, campaign: click.campaign });
+    }
+    return click;
+}
+
+// Clicks, Sign-Ups and Paid Sign-Ups of Clicks Matching `match`, Grouped by `groupBy`
+// (a field path such as '$campaign', or null for one total). Crawlers aren't counted.
+async function summarize(match, groupBy) {
+    const rows = await ReferralClick.aggregate([
+        { $match: { ...match, crawler: false } },
+        {
+            $group: {
+                _id: groupBy,
+                clicks: { $sum: 1 },
+                registered: { $addToSet: '$registeredChatId' },
+                lastClickAt: { $max: '$createdAt' },
+            },
+        },
+        { $sort: { clicks: -1 } },
+    ]);
+
+    const chatIds = rows.flatMap((row) => row.registered.filter(Boolean));
+    const paid = new Set((await User.find({ chatId: { $in: chatIds }, hasPaid: true }, { chatId: 1 }).lean()).map((user) => user.chatId));
+    return rows.map((row) => {
+        const registered = row.registered.filter(Boolean);
+        return {
+            key: row._id,
+            clicks: row.clicks,
+            signups: registered.length,
+            paid: registered.filter((chatId) => paid.has(chatId)).length,
+            lastClickAt: row.lastClickAt,
+        };
+    });
+}
+
+// A Member's Link Stats: totals and a breakdown by campaign
+async function getLinkStats(buddyCode) {
+    const [totals, campaigns] = await Promise.all([
+        summarize({ buddyCode }, null),
+        summarize({ buddyCode }, '$campaign'),
+    ]);
+    const { key, ...total } = totals[0] || { clicks: 0, signups: 0, paid: 0, lastClickAt: null };
+    return {
+        ...total,
+        campaigns: campaigns.map(({ key, ...counts }) => ({ campaign: key, ...counts })),
+    };
+}
+
+// Most Clicked Codes Since `since`, Each With Its Counts
+async function getTopLinks({ since = null, limit = 10 } = {}) {
+    const rows = await summarize(since ? { createdAt: { $gte: since } } : {}, '$buddyCode');
+    return rows.slice(0, limit).map(({ key, ...counts }) => ({ buddyCode: key, ...counts }));
+}
+
+// Share of Clicks That Converted, e.g. "12%", or "-" Without Clicks
+function rate(count, clicks) {
+    return clicks > 0 ? `${Math.round((count / clicks) * 100)}%` : '-';
+}
+
+module.exports = {
+    TRACKED,
+    referralLink,
+    parseCampaign,
+    recordClick,
+    claimClick,
+    getLinkStats,
+    getTopLinks,
+    rate,
+};
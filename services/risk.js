@@ -0,0 +1,225 @@
+const User = require('../models/User');
+const UpiChange = require('../models/UpiChange');
+const admins = require('./admins');
+const audit = require('./audit');
+const logger = require('./logger');
+const { objectIdFromDate } = require('./users');
+
+const { riskHoldScore, signupBurstLimit, signupBurstMinutes } = require('../config');
+
+// Points Each Finding Adds to the Score (capped at MAX_SCORE)
+const WEIGHTS = {
+    shared_upi: 40, // plus SHARED_UPI_EXTRA per further account
+    referral_ring: 40,
+    referral_cycle: 50,
+    signup_burst: 20,
+    downline_burst: 30,
+};
+const SHARED_UPI_EXTRA = 10;
+const MAX_SCORE = 100;
+
+// Referral Levels Searched When Linking Accounts That Share a UPI ID
+const RING_DEPTH = 3;
+
+// Most Buddies Looked at When Searching a Code's Sign-ups for Bursts
+const BURST_SAMPLE = 500;
+
+// Accounts Named in One Reason
+const ACCOUNTS_SHOWN = 5;
+
+// Buddy Codes Above an Account, Nearest First. `cycle` is set when the chain
+// comes back to a code already seen, which normal sign-ups can't produce.
+async function walkUpline(user, depth) {
+    const codes = [];
+    const seen = new Set([user.buddyCode]);
+    let code = user.referrer;
+    while (code && codes.length < depth) {
+        if (seen.has(code)) {
+            return { codes, cycle: [...codes, code] };
+        }
+        seen.add(code);
+        codes.push(code);
+        const parent = await User.findOne({ buddyCode: code }, { referrer: 1 }).lean();
+        code = parent ? parent.referrer : null;
+    }
+    return { codes, cycle: null };
+}
+
+// Other Accounts That Use, or Used, the Same UPI ID
+async function findUpiSharers(user) {
+    if (!user.upiId) {
+        return [];
+    }
+    const [current, past] = await Promise.all([
+        User.find({ upiId: user.upiId, chatId: { $ne: user.chatId } }, { chatId: 1 }).lean(),
+        UpiChange.distinct('chatId', { toUpiId: user.upiId, chatId: { $ne: user.chatId } }),
+    ]);
+    const chatIds = [...new Set([...current.map((sharer) => sharer.chatId), ...past])];
+    return User.find({ chatId: { $in: chatIds } }, { chatId: 1, buddyCode: 1, referrer: 1 }).lean();
+}
+
+// Most Sign-ups Under a Buddy Code Within Any Burst Window, From Its Latest Buddies
+async function largestBurst(buddyCode) {
+    const buddies = await User.find({ referrer: buddyCode }, { _id: 1 }).sort({ _id: -1 }).limit(BURST_SAMPLE).lean();
+    const times = buddies.map((buddy) => buddy._id.getTimestamp().getTime()).sort((a, b) => a - b);
+    const windowMs = signupBurstMinutes * 60 * 1000;
+    let largest = 0;
+    for (let start = 0, end = 0; end < times.length; end++) {
+        while (times[end] - times[start] > windowMs) {
+            start++;
+        }
+        largest = Math.max(largest, end - start + 1);
+    }
+    return largest;
+}
+
+// Sign-ups Under a Buddy Code Within the Burst Window Before `at`
+async function signupsBefore(buddyCode, at) {
+    const since = new Date(at.getTime() - signupBurstMinutes * 60 * 1000);
+    return User.countDocuments({
+        referrer: buddyCode,
+        _id: { $gte: objectIdFromDate(since), $lte: objectIdFromDate(new Date(at.getTime() + 1000)) },
+    });
+}
+
+function riskLevel(score) {
+    if (score >= riskHoldScore) {
+        return 'high';
+    }
+    return score >= riskHoldScore / 2 ? 'medium' : 'low';
+}
+
+// Score an Account. Returns { score, level, reasons } where each reason is
+// { code, params } for the `risk.reason.<code>` catalog message.
+async function assess(user) {
+    const reasons = [];
+    const add = (code, params, points = WEIGHTS[code]) => reasons.push({ code, params, points });
+
+    // Accounts paid out to the same UPI ID, worse when they're in the same referral chain
+    const [upline, sharers] = await Promise.all([walkUpline(user, RING_DEPTH), findUpiSharers(user)]);
+    if (sharers.length > 0) {
+        add('shared_upi', {
+            count: sharers.length,
+            upiId: user.upiId,
+            accounts: sharers.slice(0, ACCOUNTS_SHOWN).map((sharer) => sharer.buddyCode).join(', '),
+        }, WEIGHTS.shared_upi + SHARED_UPI_EXTRA * (sharers.length - 1));
+
+        const ring = [];
+        for (const sharer of sharers) {
+            const sharerUpline = await walkUpline(sharer, RING_DEPTH);
+            if (upline.codes.includes(sharer.buddyCode) || sharerUpline.codes.includes(user.buddyCode)) {
+                ring.push(sharer.buddyCode);
+            }
+        }
+        if (ring.length > 0) {
+            add('referral_ring', { accounts: ring.slice(0, ACCOUNTS_SHOWN).join(', ') });
+        }
+    }
+
+    if (upline.cycle) {
+        add('referral_cycle', { chain: [user.buddyCode, ...upline.cycle].join(' → ') });
+    }
+
+    // Joined in a burst of sign-ups under the same code
+    if (user.referrer) {
+        const count = await signupsBefore(user.referrer, user._id.getTimestamp());
+        if (count >= signupBurstLimit) {
+            add('signup_burst', { count, buddyCode: user.referrer, minutes: signupBurstMinutes });
+        }
+    }
+
+    // Earned commissions from a burst of sign-ups under the account's own code
+    const burst = await largestBurst(user.buddyCode);
+    if (burst >= signupBurstLimit) {
+        add('downline_burst', { count: burst, minutes: signupBurstMinutes });
+    }
+
+    const score = Math.min(MAX_SCORE, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    return {
+        score,
+        level: riskLevel(score),
+        reasons: reasons.map(({ code, params }) => ({ code, params })),
+    };
+}
+
+// Store an Assessment on the Account So Admin Lists Can Show It
+async function record(user, assessment) {
+    user.riskScore = assessment.score;
+    user.riskReasons = assessment.reasons;
+    user.riskCheckedAt = new Date();
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { riskScore: user.riskScore, riskReasons: user.riskReasons, riskCheckedAt: user.riskCheckedAt } }
+    );
+}
+
+// Lines for Admin Messages: the score, then one line per reason
+function describe(assessment, t) {
+    return [
+        t('admin.risk_score', { score: assessment.score, level: t(`risk.level.${assessment.level}`) }),
+        ...assessment.reasons.map((reason) => `• ${t(`risk.reason.${reason.code}`, reason.params)}`),
+    ];
+}
+
+// Check a New Registration. Admins are alerted once when sign-ups under one
+// code reach the burst limit.
+async function checkRegistration(transport, user) {
+    const assessment = await assess(user);
+    await record(user, assessment);
+
+    if (user.referrer && await signupsBefore(user.referrer, user._id.getTimestamp()) === signupBurstLimit) {
+        logger.warn('Sign-up burst', { chatId: user.chatId, buddyCode: user.referrer });
+        admins.notifyAdmins(
+            transport,
+            (t) => t('admin.signup_burst', { count: signupBurstLimit, buddyCode: user.referrer, minutes: signupBurstMinutes, chatId: user.chatId })
+        );
+    }
+    return assessment;
+}
+
+// Check an Account Whose Payment Screenshot Awaits Approval
+async function checkDeposit(user) {
+    const assessment = await assess(user);
+    await record(user, assessment);
+    return assessment;
+}
+
+// Check an Account About to Request a Withdrawal. High-risk withdrawals are
+// held: requestWithdrawal places them with the hold already set, so they can't
+// be approved or batched until an admin releases them.
+// Returns { assessment, held }.
+async function checkWithdrawal(user) {
+    const assessment = await assess(user);
+    await record(user, assessment);
+    return { assessment, held: assessment.level === 'high' };
+}
+
+// Record a Withdrawal Placed on Risk Hold in the Audit Log
+async function recordHold(user, assessment) {
+    await audit.record({
+        actor: 'risk',
+        action: 'risk_hold',
+        target: user.chatId,
+        after: { score: assessment.score, reasons: assessment.reasons.map((reason) => reason.code) },
+    });
+}
+
+// Release a Held Withdrawal After Review. Returns false when none is held.
+async function releaseHold(chatId, actor, note = null) {
+    const result = await User.updateOne({ chatId, withdrawalPending: true, riskHold: true }, { $set: { riskHold: false } });
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+    await audit.record({ actor, action: 'risk_release', target: chatId, reason: note });
+    return true;
+}
+
+module.exports = {
+    assess,
+    describe,
+    checkRegistration,
+    checkDeposit,
+    checkWithdrawal,
+    recordHold,
+    releaseHold,
+};
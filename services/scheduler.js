@@ -0,0 +1,146 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const logger = require('./logger');
+
+const { jobPollIntervalMs } = require('../config');
+
+// Identifies This Process While It Holds a Job's Lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// How Long a Claimed Job Stays Locked if Its Instance Dies Mid-Run
+const LEASE_MS = 10 * 60 * 1000;
+
+// Registered Jobs, in Definition Order
+const jobs = [];
+
+let timer = null;
+let ticking = false;
+
+// Define a Job
+//   name        unique name, also the key of its document in the jobs collection
+//   intervalMs  time between the start of one run and the next
+//   run(transport)  does the work and may return a short summary for the `jobs` command
+function defineJob(job) {
+    if (jobs.some((existing) => existing.name === job.name)) {
+        throw new Error(`Job ${job.name} is already defined`);
+    }
+    jobs.push(job);
+}
+
+// Create the Document of Every Defined Job That Doesn't Have One Yet
+async function ensureJobs() {
+    for (const job of jobs) {
+        try {
+            await Job.updateOne({ name: job.name }, { $setOnInsert: { nextRunAt: new Date() } }, { upsert: true });
+        } catch (error) {
+            // Another instance created it at the same moment
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Take the Lease on a Job When It Is Due and Nobody Else Holds It.
+// The filter and the update are one atomic operation, so only one instance wins.
+async function claim(job, now) {
+    return Job.findOneAndUpdate(
+        {
+            name: job.name,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { new: true }
+    );
+}
+
+// Run One Claimed Job and Release Its Lease, Recording the Outcome
+async function runJob(transport, job, startedAt) {
+    let lastResult = null;
+    let lastError = null;
+    try {
+        lastResult = (await job.run(transport)) || null;
+    } catch (error) {
+        logger.error('Error in job', { job: job.name, error });
+        lastError = error.message;
+    }
+
+    await Job.updateOne(
+        { name: job.name, lockedBy: INSTANCE_ID },
+        {
+            $set: {
+                nextRunAt: new Date(startedAt.getTime() + job.intervalMs),
+                lockedBy: null,
+                lockedUntil: null,
+                lastRunAt: startedAt,
+                lastDurationMs: Date.now() - startedAt.getTime(),
+                lastResult,
+                lastError,
+            },
+            $inc: { runs: 1 },
+        }
+    );
+}
+
+// Run Every Job That Is Due. Ticks never overlap within one instance.
+async function tick(transport) {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+    try {
+        for (const job of jobs) {
+            const now = new Date();
+            if (await claim(job, now)) {
+                await runJob(transport, job, now);
+            }
+        }
+    } catch (error) {
+        logger.error('Error in scheduler tick', { error });
+    } finally {
+        ticking = false;
+    }
+}
+
+// Start Polling for Due Jobs (call once MongoDB is connected)
+async function start(transport) {
+    if (timer) {
+        return;
+    }
+    await ensureJobs();
+    timer = setInterval(() => tick(transport), jobPollIntervalMs);
+    await tick(transport);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Make a Job Due Now, so the Next Tick Runs It
+async function runSoon(name) {
+    const result = await Job.updateOne({ name }, { $set: { nextRunAt: new Date() } });
+    return result.matchedCount > 0;
+}
+
+// List Job Documents With Their Interval, for the `jobs` Command
+async function listJobs() {
+    const stored = await Job.find({ name: { $in: jobs.map((job) => job.name) } }).lean();
+    return jobs.map((job) => ({
+        ...stored.find((doc) => doc.name === job.name),
+        name: job.name,
+        intervalMs: job.intervalMs,
+    }));
+}
+
+module.exports = {
+    INSTANCE_ID,
+    defineJob,
+    start,
+    stop,
+    tick,
+    runSoon,
+    listJobs,
+};
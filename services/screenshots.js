@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const i18n = require('./i18n');
+const logger = require('./logger');
+
+// Image Types Accepted as Payment Screenshots
+const ALLOWED_MIMETYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Largest Screenshot Accepted, in Bytes
+const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+
+// Perceptual Hashes This Many Bits Apart or Closer Count as the Same Picture
+const SIMILAR_DISTANCE = 6;
+
+// Perceptual hashes are split into one more band than that, so two similar hashes
+// differ in at most SIMILAR_DISTANCE bands and share at least one exactly
+const PHASH_BANDS = SIMILAR_DISTANCE + 1;
+
+// Check a Screenshot Before It Is Forwarded. Returns an error message (rendered with `t`) or null.
+function validateScreenshot(media, t = i18n.translator()) {
+    const mimetype = (media.mimetype || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_MIMETYPES.includes(mimetype)) {
+        return t('payment.not_image');
+    }
+    if (Buffer.byteLength(media.data, 'base64') > MAX_SCREENSHOT_BYTES) {
+        return t('payment.too_large', { max: MAX_SCREENSHOT_BYTES / (1024 * 1024) });
+    }
+    return null;
+}
+
+// Difference Hash: shrink to 9x8 greys and record whether each pixel is brighter
+// than its right neighbour. Resizing, recompression and small edits barely move it.
+async function perceptualHash(buffer) {
+    const image = await Jimp.read(buffer);
+    image.resize(9, 8).greyscale();
+
+    let bits = '';
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            const left = Jimp.intToRGBA(image.getPixelColor(x, y)).r;
+            const right = Jimp.intToRGBA(image.getPixelColor(x + 1, y)).r;
+            bits += left > right ? '1' : '0';
+        }
+    }
+    return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+// Number of Differing Bits Between Two Perceptual Hashes
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// Indexed Bands of a Perceptual Hash, each tagged with its position ("3:1a7")
+function phashBands(phash) {
+    const bits = BigInt(`0x${phash}`).toString(2).padStart(64, '0');
+    const bands = [];
+    let start = 0;
+    for (let band = 0; band < PHASH_BANDS; band++) {
+        const width = Math.ceil((bits.length - start) / (PHASH_BANDS - band));
+        bands.push(`${band}:${parseInt(bits.slice(start, start + width), 2).toString(16)}`);
+        start += width;
+    }
+    return bands;
+}
+
+// Content and Perceptual Hashes of a Screenshot. The perceptual hash is null
+// for images Jimp can't decode (e.g. WebP); those are matched on content only.
+async function hashScreenshot(media) {
+    const buffer = Buffer.from(media.data, 'base64');
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    let phash = null;
+    try {
+        phash = await perceptualHash(buffer);
+    } catch (error) {
+        logger.warn('Could not compute perceptual hash', { error: error.message });
+    }
+
+    return {
+        sha256,
+        phash,
+        phashBands: phash ? phashBands(phash) : [],
+        mimetype: media.mimetype,
+        size: buffer.length,
+    };
+}
+
+// Earlier Submissions With the Same or a Similar Screenshot, Newest First.
+// Each match carries the submitting account and whether it was exact.
+async function findMatches({ sha256, phash }) {
+    const matches = [];
+    const seen = new Set();
+
+    const exact = await Deposit.find({ sha256 }).sort({ createdAt: -1 }).lean();
+    for (const deposit of exact) {
+        matches.push({ deposit, exact: true, distance: 0 });
+        seen.add(String(deposit._id));
+    }
+
+    if (phash) {
+        // Only deposits sharing a band can be within SIMILAR_DISTANCE; the index finds them
+        const candidates = await Deposit.find({ phashBands: { $in: phashBands(phash) } }, { chatId: 1, phash: 1, status: 1, createdAt: 1 }).lean();
+        for (const deposit of candidates) {
+            if (seen.has(String(deposit._id))) {
+                continue;
+            }
+            const distance = hammingDistance(phash, deposit.phash);
+            if (distance <= SIMILAR_DISTANCE) {
+                matches.push({ deposit, exact: false, distance });
+            }
+        }
+        matches.sort((a, b) => b.deposit.createdAt - a.deposit.createdAt);
+    }
+
+    const owners = await User.find({ chatId: { $in: matches.map((match) => match.deposit.chatId) } }, { chatId: 1, buddyCode: 1 }).lean();
+    const byChatId = new Map(owners.map((owner) => [owner.chatId, owner]));
+    return matches.map((match) => ({ ...match, buddyCode: (byChatId.get(match.deposit.chatId) || {}).buddyCode || null }));
+}
+
+// Store the Bands of Deposits Recorded Before They Were Indexed. Returns how many were updated.
+async function indexHashes() {
+    const cursor = Deposit.find({ phash: { $ne: null }, 'phashBands.0': { $exists: false } }, { phash: 1 }).lean().cursor();
+    let indexed = 0;
+    for await (const deposit of cursor) {
+        await Deposit.updateOne({ _id: deposit._id }, { $set: { phashBands: phashBands(deposit.phash) } });
+        indexed += 1;
+    }
+    return indexed;
+}
+
+// Warning Lines for the Admin Caption, One per Match
+function describeMatches(matches, chatId, t = i18n.translator()) {
+    return matches.slice(0, 5).map(({ deposit, exact, distance, buddyCode }) => {
+        const params = {
+            distance,
+            buddyCode: buddyCode || '?',
+            chatId: deposit.chatId,
+            status: t(`history.status.${deposit.status}`),
+            date: t.date(deposit.createdAt),
+        };
+        const own = deposit.chatId === chatId ? 'own' : 'other';
+        return t(`admin.screenshot_${exact ? 'same' : 'similar'}_${own}`, params);
+    });
+}
+
+module.exports = {
+    ALLOWED_MIMETYPES,
+    MAX_SCREENSHOT_BYTES,
+    validateScreenshot,
+    hashScreenshot,
+    hammingDistance,
+    phashBands,
+    findMatches,
+    indexHashes,
+    describeMatches,
+};
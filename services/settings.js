@@ -0,0 +1,71 @@
+const Setting = require('../models/Setting');
+const config = require('../config');
+const { SCHEMA, parseValue } = require('../config/schema');
+const audit = require('./audit');
+
+// Settings Admins May Change at Runtime. Each starts from the config value of the
+// same name and is checked against the same schema entry.
+const SETTINGS = {
+    payeeUpi: 'UPI ID members pay the registration fee to',
+    supportContact: 'Number members are told to contact for help',
+};
+
+// Current Values, Served From Memory so Messages Can Be Rendered Synchronously
+const values = Object.fromEntries(Object.keys(SETTINGS).map((key) => [key, config[key]]));
+
+// Match a Name Typed in Chat to a Setting: 'payee_upi', 'PayeeUPI' and 'payeeupi' all work
+function resolveKey(name) {
+    const wanted = String(name || '').toLowerCase().replace(/[_-]/g, '');
+    return Object.keys(SETTINGS).find((key) => key.toLowerCase() === wanted) || null;
+}
+
+// Load Stored Overrides (call once MongoDB is connected)
+async function loadSettings() {
+    const stored = await Setting.find({ key: { $in: Object.keys(SETTINGS) } }).lean();
+    for (const { key, value } of stored) {
+        values[key] = value;
+    }
+    return all();
+}
+
+function get(key) {
+    return values[key];
+}
+
+function all() {
+    return { ...values };
+}
+
+// Change a Setting and Persist It. Returns { error } for a bad value,
+// otherwise { key, before, after }.
+async function setSetting(name, raw, actor) {
+    const key = resolveKey(name);
+    if (!key) {
+        return { error: `Unknown setting. Settings: ${Object.keys(SETTINGS).join(', ')}` };
+    }
+
+    const { value, error } = parseValue(SCHEMA[key], String(raw).trim());
+    if (error) {
+        return { error: `${key} ${error}` };
+    }
+
+    const before = values[key];
+    await Setting.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy: actor, updatedAt: new Date() } },
+        { upsert: true }
+    );
+    values[key] = value;
+
+    await audit.record({ actor, action: 'setting', target: key, before: { [key]: before }, after: { [key]: value } });
+    return { key, before, after: value };
+}
+
+module.exports = {
+    SETTINGS,
+    resolveKey,
+    loadSettings,
+    get,
+    all,
+    setSetting,
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const LedgerEntry = require('../models/LedgerEntry');
+const { objectIdFromDate } = require('./users');
+
+// Sum the Amount of Ledger Entries Matching a Filter
+async function sumAmount(match) {
+    const [row] = await LedgerEntry.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]);
+    return row ? row.total : 0;
+}
+
+// Headline Numbers for the Admin `stats` Command
+async function getStats() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [
+        users,
+        approvedUsers,
+        registeredToday,
+        pendingDeposits,
+        pendingWithdrawals,
+        approvedToday,
+        lockedUsers,
+        balances,
+        feesCollected,
+        commissionsPaid,
+        payouts,
+        feesReversed,
+        commissionsClawedBack,
+    ] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isApproved: true }),
+        User.countDocuments({ _id: { $gte: objectIdFromDate(startOfDay) } }),
+        Deposit.countDocuments({ status: 'pending' }),
+        User.countDocuments({ withdrawalPending: true }),
+        Deposit.countDocuments({ status: 'approved', reviewedAt: { $gte: startOfDay } }),
+        User.countDocuments({ lockedUntil: { $gt: new Date() } }),
+        LedgerEntry.aggregate([{ $group: { _id: null, total: { $sum: '$delta' } } }]),
+        sumAmount({ type: { $in: ['registration_fee', 'purchase'] } }),
+        sumAmount({ type: 'commission' }),
+        sumAmount({ type: 'payout' }),
+        sumAmount({ type: 'reversal', deposit: { $ne: null }, delta: 0 }),
+        sumAmount({ type: 'reversal', deposit: { $ne: null }, delta: { $lt: 0 } }),
+    ]);
+
+    return {
+        users,
+        approvedUsers,
+        registeredToday,
+        pendingDeposits,
+        pendingWithdrawals,
+        approvedToday,
+        lockedUsers,
+        outstandingBalance: balances[0] ? balances[0].total : 0,
+        feesCollected: feesCollected - feesReversed,
+        commissionsPaid: commissionsPaid - commissionsClawedBack,
+        feesReversed,
+        commissionsClawedBack,
+        payouts,
+    };
+}
+
+module.exports = { getStats };
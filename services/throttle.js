@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const SenderLock = require('../models/SenderLock');
+const admins = require('./admins');
+const logger = require('./logger');
+
+// Failed Buddy Code Attempts Allowed Before a Lockout
+const MAX_CODE_ATTEMPTS = 5;
+
+// Lockout Lengths, Escalating With Each Lockout (the last one repeats)
+const LOCKOUT_STEPS_MS = [15 * 60 * 1000, 60 * 60 * 1000, 24 * 60 * 60 * 1000];
+
+// Failed Attempts Are Forgotten After a Quiet Day
+const ATTEMPT_RESET_MS = 24 * 60 * 60 * 1000;
+
+// Messages Allowed per Sender per Minute
+const MESSAGES_PER_MINUTE = 20;
+const WINDOW_MS = 60 * 1000;
+
+// Message Counts for the Current Window, by Sender
+const windows = new Map();
+
+// Count a Message Against the Sender's Per-Minute Budget.
+// Returns 'ok', 'limited' for the first message over the limit (worth a reply)
+// or 'dropped' for the rest of the window.
+function hitMessageLimit(chatId, now = Date.now()) {
+    let window = windows.get(chatId);
+    if (!window || now - window.start >= WINDOW_MS) {
+        window = { start: now, count: 0 };
+        windows.set(chatId, window);
+    }
+    window.count++;
+
+    // Forget finished windows now and then so the map stays small
+    if (windows.size > 10000) {
+        for (const [key, value] of windows) {
+            if (now - value.start >= WINDOW_MS) {
+                windows.delete(key);
+            }
+        }
+    }
+
+    if (window.count <= MESSAGES_PER_MINUTE) {
+        return 'ok';
+    }
+    return window.count === MESSAGES_PER_MINUTE + 1 ? 'limited' : 'dropped';
+}
+
+// When the Sender Is Locked Out, Whether by an Admin or by Failed Attempts
+async function getLockedUntil(chatId, user) {
+    const now = new Date();
+    if (user && user.lockedUntil && user.lockedUntil > now) {
+        return user.lockedUntil;
+    }
+    const lock = await SenderLock.findOne({ chatId, lockedUntil: { $gt: now } }).lean();
+    return lock ? lock.lockedUntil : null;
+}
+
+// Record a Wrong Buddy Code. Returns { lockedUntil } once the sender is locked,
+// otherwise { remaining } attempts.
+async function recordFailedCode(transport, chatId) {
+    const now = new Date();
+    const existing = await SenderLock.findOne({ chatId });
+    const stale = existing && existing.lastAttemptAt && now - existing.lastAttemptAt > ATTEMPT_RESET_MS;
+
+    const lock = await SenderLock.findOneAndUpdate(
+        { chatId },
+        stale
+            ? { $set: { attempts: 1, lastAttemptAt: now } }
+            : { $inc: { attempts: 1 }, $set: { lastAttemptAt: now } },
+        { new: true, upsert: true }
+    );
+
+    if (lock.attempts < MAX_CODE_ATTEMPTS) {
+        return { remaining: MAX_CODE_ATTEMPTS - lock.attempts };
+    }
+
+    const step = LOCKOUT_STEPS_MS[Math.min(lock.lockouts, LOCKOUT_STEPS_MS.length - 1)];
+    const lockedUntil = new Date(now.getTime() + step);
+    lock.attempts = 0;
+    lock.lockouts += 1;
+    lock.lockedUntil = lockedUntil;
+    await lock.save();
+
+    // Keep the user document in step for senders who already have one
+    await User.updateOne({ chatId }, { $set: { attempts: lock.attempts, lockedUntil } });
+
+    admins.notifyAdmins(
+        transport,
+        (t) => t('admin.sender_locked', { chatId, attempts: MAX_CODE_ATTEMPTS, until: t.date(lockedUntil), lockout: lock.lockouts })
+    );
+    logger.warn('Sender locked after failed Buddy Code attempts', { chatId, lockedUntil: lockedUntil.toISOString() });
+
+    return { lockedUntil };
+}
+
+// Forget Failed Attempts After a Correct Code (earlier lockouts still count)
+async function clearFailedCodes(chatId) {
+    await SenderLock.updateOne({ chatId }, { $set: { attempts: 0 } });
+}
+
+// Lift an Attempt Lockout. Returns false when the sender had none.
+async function unlockSender(chatId) {
+    const result = await SenderLock.updateOne(
+        { chatId, lockedUntil: { $ne: null } },
+        { $set: { attempts: 0, lockedUntil: null } }
+    );
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    MAX_CODE_ATTEMPTS,
+    hitMessageLimit,
+    getLockedUntil,
+    recordFailedCode,
+    clearFailedCodes,
+    unlockSender,
+};
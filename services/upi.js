@@ -0,0 +1,111 @@
+const User = require('../models/User');
+const UpiChange = require('../models/UpiChange');
+const { NAME_PATTERN } = require('./users');
+const { UPI_PATTERN } = require('../config/schema');
+
+const { upiChangeAlertHours } = require('../config');
+
+// UPI Handles (the part after @) Issued by Banks and Payment Apps in India.
+// IDs on any other handle are refused, which catches most typos.
+const KNOWN_HANDLES = [
+    // Payment apps
+    'ybl', 'ibl', 'axl', // PhonePe
+    'okaxis', 'okhdfcbank', 'okicici', 'oksbi', // Google Pay
+    'paytm', 'ptyes', 'ptaxis', 'pthdfc', 'ptsbi', // Paytm
+    'apl', 'yapl', 'rapl', // Amazon Pay
+    'waaxis', 'wahdfcbank', 'waicici', 'wasbi', // WhatsApp Pay
+    'freecharge', 'jupiteraxis', 'fam', 'slice', 'naviaxis', 'superyes', 'tapicici', 'yescred', 'axisb', 'ikwik', 'mbk', 'abfspay', 'timecosmos', 'pingpay',
+    // Banks
+    'upi', 'sbi', 'axisbank', 'hdfcbank', 'icici', 'kotak', 'kmbl', 'yesbank', 'yesbankltd', 'idfcbank', 'idfcfirst', 'federal', 'fbl',
+    'indus', 'pnb', 'boi', 'barodampay', 'cnrb', 'unionbank', 'unionbankofindia', 'idbi', 'aubank', 'dbs', 'rbl', 'kvb', 'sib', 'cbin',
+    'indianbank', 'iob', 'ucobank', 'centralbank', 'mahb', 'jkb', 'equitas', 'ujjivan', 'airtel', 'jio', 'dlb', 'csbpay', 'tjsb',
+];
+
+// Normalize a UPI ID as Typed (VPAs are case-insensitive)
+function normalizeUpiId(upiId) {
+    return String(upiId || '').trim().toLowerCase();
+}
+
+// Check New Payout Details. Returns a message (rendered with `t`) explaining
+// what's wrong, or null when the UPI ID and name may be saved.
+function checkDetails(upiId, upiName, t) {
+    if (!UPI_PATTERN.test(upiId)) {
+        return t('upi.invalid_id', { upiId });
+    }
+    const handle = upiId.split('@')[1];
+    if (!KNOWN_HANDLES.includes(handle)) {
+        return t('upi.unknown_handle', { handle });
+    }
+    if (!NAME_PATTERN.test(upiName)) {
+        return t('upi.invalid_name');
+    }
+    return null;
+}
+
+// Name Payouts Are Made Out To (older users only have their registration name)
+function payeeName(user) {
+    return user.upiName || user.name;
+}
+
+// Save New Payout Details and Keep a History Record. Returns false when a
+// withdrawal is pending, since a payout may already be on its way to the old ID.
+async function changeDetails(user, upiId, upiName) {
+    const before = { upiId: user.upiId, upiName: payeeName(user) };
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id, withdrawalPending: false },
+        { $set: { upiId, upiName } },
+        { new: true }
+    );
+    if (!updated) {
+        return false;
+    }
+
+    user.upiId = upiId;
+    user.upiName = upiName;
+    await UpiChange.create({
+        chatId: user.chatId,
+        fromUpiId: before.upiId,
+        fromUpiName: before.upiId ? before.upiName : null,
+        toUpiId: upiId,
+        toUpiName: upiName,
+    });
+    return true;
+}
+
+async function getHistory(chatId, limit = 10) {
+    return UpiChange.find({ chatId }).sort({ createdAt: -1 }).limit(limit);
+}
+
+// Latest Change of an Existing UPI ID Within the Alert Window, or null.
+// Setting the first UPI ID isn't suspicious, so it doesn't count.
+async function getRecentChange(chatId) {
+    return UpiChange.findOne({
+        chatId,
+        fromUpiId: { $ne: null },
+        createdAt: { $gte: new Date(Date.now() - upiChangeAlertHours * 60 * 60 * 1000) },
+    }).sort({ createdAt: -1 });
+}
+
+// Warning Line for the Withdrawal Request Admins Receive, or null
+function describeRecentChange(change, t) {
+    if (!change) {
+        return null;
+    }
+    return t('admin.upi_recently_changed', {
+        from: change.fromUpiId,
+        to: change.toUpiId,
+        date: t.date(change.createdAt),
+        hours: upiChangeAlertHours,
+    });
+}
+
+module.exports = {
+    KNOWN_HANDLES,
+    normalizeUpiId,
+    checkDetails,
+    payeeName,
+    changeDetails,
+    getHistory,
+    getRecentChange,
+    describeRecentChange,
+};
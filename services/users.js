@@ -0,0 +1,34 @@
+const User = require('../models/User');
+
+// Plausible Person Names: letters plus combining marks, which Malayalam and Hindi names need
+const NAME_PATTERN = /^[\p{L}\p{M} .'-]{2,50}$/u;
+
+// Find a User by Chat ID or Buddy Code
+async function findByRef(ref) {
+    if (!ref) {
+        return null;
+    }
+    return User.findOne({ $or: [{ chatId: ref }, { buddyCode: ref.toUpperCase() }] });
+}
+
+// Parse a Duration Like 30m, 12h or 7d into Milliseconds (null when invalid)
+function parseDuration(text) {
+    const match = /^(\d+)([mhd])$/i.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+    return Number(match[1]) * unit;
+}
+
+// ObjectIds Start With Their Creation Time, Which Gives Users a Sign-Up Date
+function objectIdFromDate(date) {
+    return `${Math.floor(date.getTime() / 1000).toString(16)}0000000000000000`;
+}
+
+module.exports = {
+    NAME_PATTERN,
+    findByRef,
+    parseDuration,
+    objectIdFromDate,
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const audit = require('./audit');
+const logger = require('./logger');
+
+const { webhookMaxAttempts, webhookPollIntervalMs } = require('../config');
+
+// Events Webhooks Can Subscribe To
+const EVENTS = [
+    'user.registered',
+    'deposit.submitted',
+    'deposit.approved',
+    'deposit.rejected',
+    'deposit.reversed',
+    'commission.credited',
+    'commission.reversed',
+    'withdrawal.requested',
+    'withdrawal.approved',
+    'withdrawal.rejected',
+    'group.joined',
+    'group.left',
+];
+
+// Sent Only by `webhooks test`, Whatever the Endpoint Subscribes To
+const TEST_EVENT = 'webhook.test';
+
+// Retry Delays Double From the Base Up to the Cap
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How Long an Attempt May Take Before Another Instance May Retry It
+const SEND_LEASE_MS = 60 * 1000;
+
+// Deliveries Attempted per Poll
+const DELIVERIES_PER_POLL = 20;
+
+let timer = null;
+let draining = false;
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Signature Header Value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+// Receivers recompute it with their secret and should reject old timestamps.
+function sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+// Queue One Delivery per Endpoint
+async function enqueue(hooks, event, data) {
+    const body = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data });
+    await WebhookDelivery.insertMany(hooks.map((hook) => ({ webhook: hook._id, event, payload: body })));
+    setImmediate(drain);
+}
+
+// Send an Event to Every Active Webhook Subscribed to It. Never throws, so
+// callers don't wait on or fail because of webhooks.
+async function emit(event, data) {
+    try {
+        const hooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } }, { _id: 1 }).lean();
+        if (hooks.length > 0) {
+            await enqueue(hooks, event, data);
+        }
+    } catch (error) {
+        logger.error('Error queueing webhook event', { event, error });
+    }
+}
+
+// POST One Claimed Delivery, Then Mark It Delivered, Schedule a Retry or Fail It
+async function deliver(delivery) {
+    const hook = await Webhook.findById(delivery.webhook).lean();
+    if (!hook || !hook.active) {
+        await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', lockedUntil: null, lastError: 'Webhook removed' } });
+        return;
+    }
+
+    let responseStatus = null;
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'BuddyCash-Webhooks/1',
+                'X-BuddyCash-Event': delivery.event,
+                'X-BuddyCash-Delivery': String(delivery._id),
+                'X-BuddyCash-Signature': sign(hook.secret, Math.floor(Date.now() / 1000), delivery.payload),
+            },
+            body: delivery.payload,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            { $set: { status: 'delivered', deliveredAt: new Date(), responseStatus, lockedUntil: null, lastError: null }, $inc: { attempts: 1 } }
+        );
+    } catch (error) {
+        const attempts = delivery.attempts + 1;
+        const failed = attempts >= webhookMaxAttempts;
+        logger.warn(failed ? 'Webhook delivery failed, giving up' : 'Webhook delivery failed, will retry', {
+            webhook: String(hook._id),
+            event: delivery.event,
+            deliveryId: String(delivery._id),
+            attempts,
+            error: error.message,
+        });
+        await WebhookDelivery.updateOne(
+            { _id: delivery._id },
+            {
+                $set: {
+                    status: failed ? 'failed' : 'queued',
+                    attempts,
+                    nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+                    lockedUntil: null,
+                    responseStatus,
+                    lastError: error.message || String(error),
+                },
+            }
+        );
+    }
+}
+
+// Deliver Due Deliveries, Claiming Each One So Only One Instance Sends It
+async function drain() {
+    if (draining) {
+        return;
+    }
+    draining = true;
+    try {
+        for (let count = 0; count < DELIVERIES_PER_POLL; count++) {
+            const now = new Date();
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'queued', nextAttemptAt: { $lte: now } },
+                        { status: 'sending', lockedUntil: { $lte: now } },
+                    ],
+                },
+                { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LEASE_MS) } },
+                { new: true, sort: { nextAttemptAt: 1 } }
+            );
+            if (!delivery) {
+                break;
+            }
+            await deliver(delivery);
+        }
+    } catch (error) {
+        logger.error('Error draining webhook deliveries', { error });
+    } finally {
+        draining = false;
+    }
+}
+
+// Start Polling for Due Deliveries (call once MongoDB is connected)
+function start() {
+    if (!timer) {
+        timer = setInterval(drain, webhookPollIntervalMs);
+    }
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+// Check Event Names for a Subscription. Returns { events } or { error }.
+function parseEvents(events) {
+    const list = (Array.isArray(events) ? events : String(events || '*').split(','))
+        .map((event) => String(event).trim())
+        .filter(Boolean);
+    if (list.length === 0 || list.includes('*')) {
+        return { events: ['*'] };
+    }
+    const unknown = list.filter((event) => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return { error: `Unknown event(s): ${unknown.join(', ')}. Events: ${EVENTS.join(', ')} or *.` };
+    }
+    return { events: [...new Set(list)] };
+}
+
+// Register an Endpoint. Returns { webhook } (whose secret is shown once) or { error }.
+async function addWebhook({ url, events }, actor) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return { error: 'The webhook URL is not a valid URL.' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: 'The webhook URL must start with http:// or https://.' };
+    }
+    const subscription = parseEvents(events);
+    if (subscription.error) {
+        return { error: subscription.error };
+    }
+
+    const webhook = await Webhook.create({
+        url: parsed.href,
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        events: subscription.events,
+        createdBy: actor,
+    });
+    await audit.record({ actor, action: 'webhook_add', target: String(webhook._id), after: { url: webhook.url, events: webhook.events } });
+    return { webhook };
+}
+
+// Remove an Endpoint and Fail Its Queued Deliveries. Returns false when there is none.
+async function removeWebhook(id, actor) {
+    if (!mongoose.isValidObjectId(id)) {
+        return false;
+    }
+    const webhook = await Webhook.findOneAndDelete({ _id: id });
+    if (!webhook) {
+        return false;
+    }
+    await WebhookDelivery.updateMany(
+        { webhook: webhook._id, status: { $in: ['queued', 'sending'] } },
+        { $set: { status: 'failed', lockedUntil: null, lastError: 'Webhook removed' } }
+    );
+    await audit.record({ actor, action: 'webhook_remove', target: id, before: { url: webhook.url, events: webhook.events } });
+    return true;
+}
+
+async function getWebhook(id) {
+    return mongoose.isValidObjectId(id) ? Webhook.findById(id) : null;
+}
+
+// Endpoints With Their Delivery Counts by Status (secrets left out)
+async function listWebhooks() {
+    const [hooks, counts] = await Promise.all([
+        Webhook.find({}, { secret: 0 }).sort({ createdAt: 1 }).lean(),
+        WebhookDelivery.aggregate([{ $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } }]),
+    ]);
+    return hooks.map((hook) => {
+        const deliveries = { queued: 0, sending: 0, delivered: 0, failed: 0 };
+        counts.filter((row) => String(row._id.webhook) === String(hook._id))
+            .forEach((row) => { deliveries[row._id.status] = row.count; });
+        return { ...hook, deliveries };
+    });
+}
+
+// An Endpoint's Delivery Log, Newest First (without the payloads)
+async function getDeliveries(webhookId, limit = 100) {
+    return WebhookDelivery.find({ webhook: webhookId }, { payload: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+// Queue a Test Event for One Endpoint. Returns false when there is none.
+async function sendTest(id) {
+    const webhook = await getWebhook(id);
+    if (!webhook) {
+        return false;
+    }
+    await enqueue([webhook], TEST_EVENT, { message: 'Test event from Buddy Cash' });
+    return true;
+}
+
+// Queue a Failed Delivery Again. Returns false when there is no such failed delivery.
+async function redeliver(deliveryId) {
+    if (!mongoose.isValidObjectId(deliveryId)) {
+        return false;
+    }
+    const result = await WebhookDelivery.updateOne(
+        { _id: deliveryId, status: 'failed' },
+        { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null } }
+    );
+    if (result.modifiedCount > 0) {
+        setImmediate(drain);
+    }
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    EVENTS,
+    retryDelay,
+    sign,
+    emit,
+    start,
+    stop,
+    addWebhook,
+    removeWebhook,
+    getWebhook,
+    listWebhooks,
+    getDeliveries,
+    sendTest,
+    redeliver,
+};
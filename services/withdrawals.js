@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const ledger = require('./ledger');
+const plans = require('./plans');
+const i18n = require('./i18n');
+
+// Check Whether a User May Withdraw an Amount.
+// Returns a message (rendered with `t`) explaining why not, or null when the withdrawal is allowed.
+async function validateWithdrawal(user, amount, t = i18n.translator(user.language)) {
+    if (isNaN(amount)) {
+        return t('withdraw.invalid_amount');
+    }
+
+    const plan = await plans.getActivePlan();
+    if (amount < plan.minWithdrawal) {
+        return t('withdraw.below_minimum', { min: t.amount(plan.minWithdrawal) });
+    }
+
+    if (!user.isApproved) {
+        return t('withdraw.not_approved');
+    }
+
+    const balance = await ledger.getBalance(user.chatId);
+    if (balance < 0) {
+        return t('withdraw.negative_balance', { balance: t.amount(balance) });
+    }
+    if (balance < amount) {
+        return t('withdraw.insufficient', { balance: t.amount(balance) });
+    }
+
+    if (user.withdrawalPending) {
+        return t('withdraw.already_pending');
+    }
+
+    return null;
+}
+
+// Hold a Withdrawal Amount on the Ledger and Flag the Withdrawal as Pending. With
+// `riskHold` the withdrawal is held for review from the moment it exists.
+// Returns false when another withdrawal is already pending or the balance is too low.
+async function requestWithdrawal(chatId, amount, { riskHold = false } = {}) {
+    return ledger.withTransaction(async (session) => {
+        const locked = await User.findOneAndUpdate(
+            { chatId, withdrawalPending: false },
+            { $set: { withdrawalPending: true, withdrawalEscalatedAt: null, riskHold } },
+            { session }
+        );
+        if (!locked || await ledger.getBalance(chatId, session) < amount) {
+            await session.abortTransaction();
+            return false;
+        }
+        await ledger.post([{ chatId, type: 'withdrawal_hold', amount, delta: -amount }], session);
+        return true;
+    });
+}
+
+module.exports = {
+    validateWithdrawal,
+    requestWithdrawal,
+};
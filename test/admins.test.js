@@ -0,0 +1,40 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const admins = require('../services/admins');
+const i18n = require('../services/i18n');
+const { adminNumber } = require('../config');
+
+const REVIEWER = '919000000001@c.us';
+const STRANGER = '919000000002@c.us';
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    await admins.addAdmin(REVIEWER, 'reviewer', adminNumber);
+});
+
+test('ADMIN_NUMBER can choose a language without being added as an admin', async () => {
+    assert.strictEqual((await i18n.forChat(adminNumber)).lang, 'en');
+    assert.strictEqual(await admins.setLanguage(adminNumber, 'ml'), true);
+    assert.strictEqual(await admins.setLanguage(adminNumber, 'hi'), true);
+
+    assert.strictEqual((await i18n.forChat(adminNumber)).lang, 'hi');
+    assert.strictEqual(await admins.getRole(adminNumber), 'superadmin');
+    assert.deepStrictEqual((await admins.listAdmins()).map(({ chatId, role }) => ({ chatId, role })), [
+        { chatId: adminNumber, role: 'superadmin' },
+        { chatId: REVIEWER, role: 'reviewer' },
+    ]);
+});
+
+test('other admins keep their language on their record, and non-admins can\'t store one', async () => {
+    assert.strictEqual(await admins.setLanguage(REVIEWER, 'ml'), true);
+    assert.strictEqual((await i18n.forChat(REVIEWER)).lang, 'ml');
+
+    assert.strictEqual(await admins.setLanguage(STRANGER, 'ml'), false);
+    assert.strictEqual(await admins.getRole(STRANGER), null);
+});
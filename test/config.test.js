@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { loadConfig, ConfigError } = require('../config/schema');
+
+// A Complete, Valid Environment to Start From
+const VALID = {
+    MONGODB_URI: 'mongodb://localhost:27017/buddy_cash_test',
+    ADMIN_NUMBER: '919876543210@c.us',
+    GROUP_JID: '120363000000000000@g.us',
+    REFERRAL_LINK_BASE: 'https://example.com/join?code=',
+};
+
+test('a valid environment loads with defaults filled in', () => {
+    const config = loadConfig(VALID);
+
+    assert.strictEqual(config.mongodbUri, VALID.MONGODB_URI);
+    assert.strictEqual(config.port, 3000);
+    assert.strictEqual(config.transport, 'whatsapp');
+    assert.strictEqual(config.payeeUpi, 'nishmal@sbi');
+    assert.ok(Object.isFrozen(config));
+});
+
+test('every problem in the environment is reported at once', () => {
+    const env = { ...VALID, MONGODB_URI: '', PORT: '99999', ADMIN_NUMBER: '919876543210', ADMIN_API_TOKEN: 'short' };
+
+    assert.throws(() => loadConfig(env), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.problems, [
+            'PORT must be between 1 and 65535 (got "99999")',
+            'ADMIN_NUMBER must be a WhatsApp chat ID like 919876543210@c.us (got "919876543210")',
+            'ADMIN_API_TOKEN must be at least 16 characters (got "***")',
+            'MONGODB_URI is required',
+        ]);
+        return true;
+    });
+});
+
+test('the group is only required for the WhatsApp transport', () => {
+    assert.throws(() => loadConfig({ ...VALID, GROUP_JID: '' }), /GROUP_JID is required/);
+    assert.strictEqual(loadConfig({ ...VALID, GROUP_JID: '', BOT_TRANSPORT: 'console' }).groupJid, null);
+});
+
+test('the bot refuses to start with a bad configuration', () => {
+    const result = spawnSync(process.execPath, ['index.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, ...VALID, MONGODB_URI: 'localhost:27017', BOT_TRANSPORT: 'telegram' },
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid configuration/);
+    assert.match(result.stderr, /MONGODB_URI must start with mongodb:\/\//);
+    assert.match(result.stderr, /BOT_TRANSPORT must be one of whatsapp, console, memory/);
+});
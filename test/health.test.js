@@ -0,0 +1,40 @@
+process.env.ADMIN_API_TOKEN = 'admin-token-for-tests-0123456789';
+require('./helpers/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const memoryMongo = require('./helpers/memoryMongo');
+const createHealthRouter = require('../routes/health');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    await memoryMongo.connect();
+    const app = express();
+    app.use(createHealthRouter());
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function getMetrics(token) {
+    return fetch(`${baseUrl}/metrics`, token ? { headers: { authorization: `Bearer ${token}` } } : {});
+}
+
+test('metrics need a token when only ADMIN_API_TOKEN is set', async () => {
+    assert.strictEqual((await getMetrics()).status, 401);
+    assert.strictEqual((await getMetrics('not-the-admin-token-0123456789')).status, 401);
+});
+
+test('metrics accept ADMIN_API_TOKEN when METRICS_TOKEN is unset', async () => {
+    const res = await getMetrics(process.env.ADMIN_API_TOKEN);
+    assert.strictEqual(res.status, 200);
+    assert.match(await res.text(), /buddycash_deposits_total/);
+});
+
+test('liveness stays open', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/healthz`)).status, 200);
+});
@@ -0,0 +1,8 @@
+// Environment the Tests Run With: the memory transport and placeholder settings,
+// so loading config/ never needs a real .env
+process.env.BOT_TRANSPORT = 'memory';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/buddy_cash_test';
+process.env.ADMIN_NUMBER = process.env.ADMIN_NUMBER || '919876543210@c.us';
+process.env.GROUP_JID = process.env.GROUP_JID || '120363000000000000@g.us';
+process.env.REFERRAL_LINK_BASE = process.env.REFERRAL_LINK_BASE || 'https://example.com/join?code=';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const { Query, aggregate } = require('mingo');
+const { update: applyUpdate } = require('mingo/updater');
+
+// In-Memory MongoDB for the Tests. Mongoose is opened on a stand-in client whose
+// collections keep their documents in arrays and answer filters, updates and
+// aggregations with mingo. Unique indexes are enforced, and a transaction copies
+// every collection first and puts the copy back when it throws or is aborted.
+
+// Copy a Document Deeply, Keeping ObjectIds and Dates as They Are. Mongoose
+// arrays and subdocuments in casted updates are turned into plain values first.
+function clone(value) {
+    if (value && typeof value.toObject === 'function' && !value._bsontype && !Buffer.isBuffer(value)) {
+        return clone(value.toObject({ depopulate: true }));
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (value && typeof value === 'object' && !value._bsontype && !Buffer.isBuffer(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+    }
+    return value;
+}
+
+// Value at a Dotted Path
+function valueAt(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Rewrite Positional `items.$.field` Paths in an Update to the Index of the First
+// Array Element the Filter Matched
+function resolvePositional(doc, update, filter) {
+    const resolvePath = (path) => {
+        const match = /^(.+?)\.\$(\..+)?$/.exec(path);
+        if (!match) {
+            return path;
+        }
+        const [, arrayPath, rest = ''] = match;
+        const conditions = Object.fromEntries(Object.entries(filter)
+            .filter(([key]) => key === arrayPath || key.startsWith(`${arrayPath}.`)));
+        const index = (valueAt(doc, arrayPath) || []).findIndex((element) => new Query(conditions).test({ [arrayPath]: [element] }));
+        if (index < 0) {
+            throw new Error(`The positional operator did not find the match needed from the query for ${path}`);
+        }
+        return `${arrayPath}.${index}${rest}`;
+    };
+    if (Array.isArray(update)) {
+        return update;
+    }
+    return Object.fromEntries(Object.entries(update).map(([operator, fields]) => [
+        operator,
+        Object.fromEntries(Object.entries(fields).map(([path, value]) => [resolvePath(path), value])),
+    ]));
+}
+
+// BSON Type Name of a Value, for the `$type` Checks mingo Doesn't Know
+function bsonType(value) {
+    if (value == null) {
+        return 'null';
+    }
+    if (value._bsontype) {
+        return value._bsontype === 'ObjectId' ? 'objectId' : value._bsontype.toLowerCase();
+    }
+    if (value instanceof Date) {
+        return 'date';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Whether a Document Falls Under an Index's partialFilterExpression
+function inPartialIndex(doc, filter) {
+    return Object.entries(filter).every(([path, condition]) => {
+        if (condition && condition.$type) {
+            return bsonType(valueAt(doc, path)) === condition.$type;
+        }
+        return new Query({ [path]: condition }).test(doc);
+    });
+}
+
+function duplicateKeyError(collection, index, doc) {
+    const keyValue = Object.fromEntries(Object.keys(index.key).map((path) => [path, valueAt(doc, path)]));
+    const error = new Error(`E11000 duplicate key error collection: ${collection.name} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`);
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    error.keyPattern = index.key;
+    error.keyValue = keyValue;
+    return error;
+}
+
+// Cursor Over Results Already Worked Out
+class MemoryCursor {
+    constructor(docs) {
+        this.docs = docs;
+    }
+
+    async toArray() {
+        return this.docs;
+    }
+
+    async next() {
+        return this.docs.length > 0 ? this.docs.shift() : null;
+    }
+
+    async close() {}
+}
+
+class MemoryCollection {
+    constructor(name) {
+        this.name = name;
+        this.collectionName = name;
+        this.docs = [];
+        this.indexes = [];
+    }
+
+    // Stored Documents Matching `filter`, Sorted, Skipped and Limited
+    select(filter = {}, { sort = null, skip = 0, limit = 0 } = {}) {
+        let cursor = new Query(filter || {}).find(this.docs);
+        if (sort && Object.keys(sort).length > 0) {
+            cursor = cursor.sort(sort);
+        }
+        if (skip) {
+            cursor = cursor.skip(skip);
+        }
+        if (limit) {
+            cursor = cursor.limit(Math.abs(limit));
+        }
+        return cursor.all();
+    }
+
+    // Copies of the Documents to Hand Back, Projected When Asked
+    output(docs, projection) {
+        if (!projection || Object.keys(projection).length === 0) {
+            return docs.map(clone);
+        }
+        return new Query({}).find(docs.map(clone), projection).all();
+    }
+
+    checkUnique(doc) {
+        for (const index of this.indexes.filter((candidate) => candidate.unique)) {
+            if (index.partialFilterExpression && !inPartialIndex(doc, index.partialFilterExpression)) {
+                continue;
+            }
+            const paths = Object.keys(index.key);
+            const values = paths.map((path) => valueAt(doc, path));
+            if (index.sparse && values.every((value) => value === undefined)) {
+                continue;
+            }
+            const clash = this.docs.find((other) => other !== doc
+                && (!index.partialFilterExpression || inPartialIndex(other, index.partialFilterExpression))
+                && new Query(Object.fromEntries(paths.map((path, i) => [path, values[i] === undefined ? null : values[i]]))).test(other));
+            if (clash) {
+                throw duplicateKeyError(this, index, doc);
+            }
+        }
+    }
+
+    async createIndex(key, options = {}) {
+        const name = options.name || Object.entries(key).map(([path, direction]) => `${path}_${direction}`).join('_');
+        if (!this.indexes.some((index) => index.name === name)) {
+            this.indexes.push({ ...options, key, name });
+        }
+        return name;
+    }
+
+    async createIndexes(specs) {
+        return Promise.all(specs.map(({ key, ...options }) => this.createIndex(key, options)));
+    }
+
+    async listIndexes() {
+        return new MemoryCursor([{ key: { _id: 1 }, name: '_id_' }, ...this.indexes]);
+    }
+
+    async dropIndex(name) {
+        this.indexes = this.indexes.filter((index) => index.name !== name);
+    }
+
+    async insertOne(doc) {
+        const stored = clone(doc);
+        if (stored._id === undefined) {
+            stored._id = new mongoose.Types.ObjectId();
+        }
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        for (const [i, doc] of docs.entries()) {
+            insertedIds[i] = (await this.insertOne(doc)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    find(filter, options = {}) {
+        return new MemoryCursor(this.output(this.select(filter, options), options.projection));
+    }
+
+    async findOne(filter, options = {}) {
+        return this.output(this.select(filter, { ...options, limit: 1 }), options.projection)[0] || null;
+    }
+
+    async countDocuments(filter, options = {}) {
+        return this.select(filter, options).length;
+    }
+
+    async estimatedDocumentCount() {
+        return this.docs.length;
+    }
+
+    async distinct(field, filter) {
+        const values = this.select(filter).flatMap((doc) => [].concat(valueAt(doc, field)));
+        return values.filter((value, i) => value !== undefined
+            && values.findIndex((other) => new Query({ v: value }).test({ v: other })) === i);
+    }
+
+    aggregate(pipeline) {
+        return new MemoryCursor(aggregate(this.docs.map(clone), pipeline));
+    }
+
+    // Apply an Update to One Stored Document, Undoing It When It Breaks a Unique Index.
+    // The filter that matched it resolves positional `$` paths.
+    modify(doc, update, { filter = {}, inserting = false, arrayFilters = [] } = {}) {
+        const { $setOnInsert, ...rest } = update;
+        const modifier = inserting && $setOnInsert ? { ...rest, $set: { ...rest.$set, ...$setOnInsert } } : rest;
+        const before = clone(doc);
+        const changed = applyUpdate(doc, resolvePositional(doc, clone(modifier), filter), arrayFilters, {}, { cloneMode: 'none' });
+        try {
+            this.checkUnique(doc);
+        } catch (error) {
+            Object.keys(doc).forEach((key) => delete doc[key]);
+            Object.assign(doc, before);
+            throw error;
+        }
+        return changed.length > 0;
+    }
+
+    // New Document for an Upsert: the filter's plain equality fields, then the update
+    async upsert(filter, update, options) {
+        const seed = Object.fromEntries(Object.entries(filter)
+            .filter(([path, value]) => !path.startsWith('$') && !(value && typeof value === 'object' && !value._bsontype && !(value instanceof Date)
+                && Object.keys(value).some((key) => key.startsWith('$')))));
+        const doc = { _id: seed._id || new mongoose.Types.ObjectId() };
+        applyUpdate(doc, { $set: seed }, [], {}, { cloneMode: 'none' });
+        this.modify(doc, update, { inserting: true, arrayFilters: options.arrayFilters });
+        this.checkUnique(doc);
+        this.docs.push(doc);
+        return doc;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+        if (!doc) {
+            if (options.upsert) {
+                const inserted = await this.upsert(filter, update, options);
+                return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+            }
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+        }
+        const modified = this.modify(doc, update, { ...options, filter });
+        return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const docs = this.select(filter);
+        if (docs.length === 0 && options.upsert) {
+            return this.updateOne(filter, update, options);
+        }
+        const modifiedCount = docs.filter((doc) => this.modify(doc, update, { ...options, filter })).length;
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    async replaceOne(filter, replacement, options = {}) {
+        const [doc] = this.select(filter, { limit: 1 });
+        if (!doc) {
+            return options.upsert
+                ? { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: (await this.insertOne(replacement)).insertedId }
+                : { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+        }
+        const id = doc._id;
+        Object.keys(doc).forEach((key) => delete doc[key]);
+        Object.assign(doc, clone(replacement), { _id: id });
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+        let before = null;
+        let after = null;
+        if (doc) {
+            before = clone(doc);
+            this.modify(doc, update, { ...options, filter });
+            after = doc;
+        } else if (options.upsert) {
+            after = await this.upsert(filter, update, options);
+        }
+        const value = options.returnDocument === 'after' ? after : before;
+        const [result] = value ? this.output([value], options.projection) : [null];
+        return options.includeResultMetadata ? { ok: 1, value: result } : result;
+    }
+
+    async findOneAndDelete(filter, options = {}) {
+        const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+        if (doc) {
+            this.docs.splice(this.docs.indexOf(doc), 1);
+        }
+        const [result] = doc ? this.output([doc], options.projection) : [null];
+        return options.includeResultMetadata ? { ok: 1, value: result } : result;
+    }
+
+    async deleteOne(filter) {
+        const [doc] = this.select(filter, { limit: 1 });
+        if (doc) {
+            this.docs.splice(this.docs.indexOf(doc), 1);
+        }
+        return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }
+
+    async deleteMany(filter) {
+        const docs = new Set(this.select(filter));
+        this.docs = this.docs.filter((doc) => !docs.has(doc));
+        return { acknowledged: true, deletedCount: docs.size };
+    }
+
+    async drop() {
+        this.docs = [];
+        return true;
+    }
+}
+
+class MemoryDb {
+    constructor(name) {
+        this.databaseName = name;
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(name));
+        }
+        return this.collections.get(name);
+    }
+
+    async createCollection(name) {
+        return this.collection(name);
+    }
+
+    async dropDatabase() {
+        this.collections.forEach((collection) => { collection.docs = []; });
+        return true;
+    }
+
+    // Copy of Every Collection's Documents, and Putting One Back
+    snapshot() {
+        return new Map([...this.collections].map(([name, collection]) => [name, collection.docs.map(clone)]));
+    }
+
+    restore(snapshot) {
+        this.collections.forEach((collection, name) => {
+            collection.docs = snapshot.has(name) ? snapshot.get(name) : [];
+        });
+    }
+}
+
+// Session Whose withTransaction() Rolls the Database Back When the Callback
+// Throws or Calls abortTransaction()
+class MemorySession {
+    constructor(db) {
+        this.db = db;
+        this.transaction = null;
+        this.hasEnded = false;
+        this.saved = null;
+    }
+
+    inTransaction() {
+        return Boolean(this.transaction);
+    }
+
+    async withTransaction(fn) {
+        this.saved = this.db.snapshot();
+        this.transaction = { state: 'TRANSACTION_IN_PROGRESS' };
+        try {
+            return await fn(this);
+        } catch (error) {
+            if (this.transaction) {
+                this.db.restore(this.saved);
+            }
+            throw error;
+        } finally {
+            this.transaction = null;
+            this.saved = null;
+        }
+    }
+
+    async abortTransaction() {
+        if (this.transaction) {
+            this.db.restore(this.saved);
+            this.transaction = null;
+        }
+    }
+
+    async endSession() {
+        this.hasEnded = true;
+    }
+}
+
+class MemoryClient {
+    constructor(name) {
+        this.memoryDb = new MemoryDb(name);
+    }
+
+    db() {
+        return this.memoryDb;
+    }
+
+    startSession() {
+        return new MemorySession(this.memoryDb);
+    }
+
+    async close() {}
+}
+
+// Open the Default Mongoose Connection on a Fresh In-Memory Database and Build
+// the Indexes of Every Model
+async function connect() {
+    const conn = mongoose.connection;
+    const client = new MemoryClient('buddy_cash_test');
+    conn.client = client;
+    conn.db = client.db();
+    conn.name = client.db().databaseName;
+    conn.onOpen();
+    await Promise.all(Object.values(conn.models).map((model) => model.init()));
+    return client.db();
+}
+
+// Empty Every Collection Between Tests, Keeping the Indexes
+async function reset() {
+    await mongoose.connection.db.dropDatabase();
+}
+
+module.exports = {
+    connect,
+    reset,
+};
@@ -0,0 +1,16 @@
+require('./helpers/env');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const i18n = require('../services/i18n');
+
+const english = i18n.LANGUAGES.en.catalog;
+
+test('every catalog has every English message, with the same placeholders', () => {
+    const placeholders = (template) => (template.match(/\{\w+\}/g) || []).sort();
+    for (const [lang, { catalog }] of Object.entries(i18n.LANGUAGES)) {
+        assert.deepStrictEqual(Object.keys(english).filter((key) => !(key in catalog)), [], `missing from ${lang}`);
+        for (const key of Object.keys(catalog)) {
+            assert.deepStrictEqual(placeholders(catalog[key]), placeholders(english[key]), `${lang} ${key}`);
+        }
+    }
+});
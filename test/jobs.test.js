@@ -0,0 +1,73 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const Product = require('../models/Product');
+const ledger = require('../services/ledger');
+const jobs = require('../services/jobs');
+const MemoryTransport = require('../transports/memory');
+const { STATES } = require('../bot/states');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// More Users Than One Run Handles, All Signed Up Before the User Who Is Due
+const CROWD = 250;
+
+let memory;
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    memory = new MemoryTransport();
+    await Product.create({ code: 'PROMPTS', name: 'Prompts', price: 20, files: [] });
+});
+
+// Create Users Numbered From `from`, Oldest First
+function createUsers(count, fields, from = 0) {
+    return User.insertMany(Array.from({ length: count }, (_, i) => ({
+        chatId: `91800${String(from + i).padStart(7, '0')}@c.us`,
+        buddyCode: `USER${String(from + i).padStart(6, '0')}`,
+        ...fields,
+    })));
+}
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS);
+
+test('users not due for a reminder yet don\'t keep due users from getting one', async () => {
+    const unpaid = { state: STATES.AWAITING_PAYMENT, unpaidSince: hoursAgo(30) };
+    await createUsers(CROWD, { ...unpaid, reminderCount: 1 });
+    const [due] = await createUsers(1, { ...unpaid, reminderCount: 0 }, CROWD);
+
+    assert.strictEqual(await jobs.remindUnpaid(memory), '1 reminded');
+    assert.deepStrictEqual(memory.outbox.map((message) => message.to), [due.chatId]);
+    assert.strictEqual(await jobs.remindUnpaid(memory), '0 reminded');
+});
+
+test('users with a recent screenshot don\'t keep others from being archived', async () => {
+    const unpaid = { state: STATES.AWAITING_PAYMENT, unpaidSince: hoursAgo(10 * 24) };
+    const crowd = await createUsers(CROWD, unpaid);
+    await Deposit.insertMany(crowd.map((user) => ({ chatId: user.chatId, amount: 20, planVersion: 1, status: 'rejected' })));
+    const [stale] = await createUsers(1, unpaid, CROWD);
+
+    assert.strictEqual(await jobs.archiveUnpaid(memory), '1 archived');
+    assert.strictEqual((await User.findById(stale._id)).state, STATES.ARCHIVED);
+    assert.strictEqual(await User.countDocuments({ state: STATES.ARCHIVED }), 1);
+});
+
+test('recent withdrawals don\'t keep overdue ones from being escalated', async () => {
+    const crowd = await createUsers(CROWD, { withdrawalPending: true });
+    const [overdue] = await createUsers(1, { withdrawalPending: true, name: 'Overdue' }, CROWD);
+    await ledger.post([
+        ...crowd.map((user) => ({ chatId: user.chatId, type: 'withdrawal_hold', amount: 30, delta: -30 })),
+        { chatId: overdue.chatId, type: 'withdrawal_hold', amount: 30, delta: -30, createdAt: hoursAgo(10) },
+    ]);
+
+    assert.strictEqual(await jobs.escalateOverdue(memory), '0 deposits, 1 withdrawals escalated');
+    assert.ok((await User.findById(overdue._id)).withdrawalEscalatedAt);
+    assert.strictEqual(await User.countDocuments({ withdrawalEscalatedAt: { $ne: null } }), 1);
+});
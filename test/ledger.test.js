@@ -0,0 +1,306 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const Product = require('../models/Product');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledger = require('../services/ledger');
+const withdrawals = require('../services/withdrawals');
+const payouts = require('../services/payouts');
+const buddies = require('../services/buddies');
+const risk = require('../services/risk');
+const adminActions = require('../services/adminActions');
+const plans = require('../services/plans');
+const MemoryTransport = require('../transports/memory');
+const { STATES } = require('../bot/states');
+
+const GROUP = process.env.GROUP_JID;
+
+// Referral Chain Used by Every Test: Asha referred Bala, who referred Chitra.
+// Asha and Bala are members; Chitra's registration payment waits for approval.
+const ASHA = '919000000001@c.us';
+const BALA = '919000000002@c.us';
+const CHITRA = '919000000003@c.us';
+const ACTOR = 'test';
+
+let memory;
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    memory = new MemoryTransport();
+
+    // A product without files, so approvals have nothing to watermark
+    await Product.create({ code: 'PROMPTS', name: 'Prompts', price: 20, files: [] });
+    await User.create([
+        { chatId: ASHA, buddyCode: 'ASHA000001', name: 'Asha', isApproved: true, hasPaid: true, upiId: 'asha@upi' },
+        { chatId: BALA, buddyCode: 'BALA000002', referrer: 'ASHA000001', name: 'Bala', isApproved: true, hasPaid: true, upiId: 'bala@upi' },
+        { chatId: CHITRA, buddyCode: 'CHIT000003', referrer: 'BALA000002', name: 'Chitra', pendingApproval: true, upiId: 'chitra@upi' },
+    ]);
+    await Deposit.create({ chatId: CHITRA, amount: 20, planVersion: 1, product: 'PROMPTS', productName: 'Prompts' });
+});
+
+// Credit a Balance the Way an Admin Adjustment Does
+function credit(chatId, amount) {
+    return ledger.post([{ chatId, type: 'adjustment', amount, delta: amount, reason: 'Opening balance' }]);
+}
+
+// Hold an Amount the Way a Withdrawal Request Does
+function hold(chatId, amount) {
+    return ledger.withTransaction(async (session) => {
+        await User.updateOne({ chatId }, { $set: { withdrawalPending: true } }, { session });
+        await ledger.post([{ chatId, type: 'withdrawal_hold', amount, delta: -amount }], session);
+    });
+}
+
+async function assertConsistent() {
+    const report = await ledger.checkConsistency();
+    assert.deepStrictEqual(report.issues, []);
+    return report;
+}
+
+test('the balance is the sum of the entries posted to the user', async () => {
+    await credit(ASHA, 100);
+    await credit(ASHA, 15);
+    await credit(BALA, 40);
+
+    assert.strictEqual(await ledger.getBalance(ASHA), 115);
+    assert.strictEqual(await ledger.getBalance(BALA), 40);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 0);
+    assert.strictEqual((await assertConsistent()).totalBalance, 155);
+});
+
+test('ledger entries cannot be changed or deleted', async () => {
+    await credit(ASHA, 100);
+
+    await assert.rejects(LedgerEntry.updateOne({ chatId: ASHA }, { $set: { delta: 1000 } }));
+    await assert.rejects(LedgerEntry.deleteMany({ chatId: ASHA }));
+    assert.strictEqual(await ledger.getBalance(ASHA), 100);
+});
+
+test('a failed transaction posts nothing', async () => {
+    await credit(ASHA, 100);
+
+    await assert.rejects(ledger.withTransaction(async (session) => {
+        await ledger.post([{ chatId: ASHA, type: 'adjustment', amount: 50, delta: 50 }], session);
+        throw new Error('Interrupted');
+    }), /Interrupted/);
+    assert.strictEqual(await ledger.getBalance(ASHA), 100);
+});
+
+test('a withdrawal holds the amount until it is rejected', async () => {
+    await credit(ASHA, 100);
+    await hold(ASHA, 60);
+
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+    assert.ok(await ledger.getOpenHold(ASHA));
+    await assertConsistent();
+
+    const result = await adminActions.rejectWithdrawal(memory, ASHA, 'Wrong UPI ID', ACTOR);
+    assert.strictEqual(result.amount, 60);
+    assert.strictEqual(await ledger.getBalance(ASHA), 100);
+    assert.strictEqual(await ledger.getOpenHold(ASHA), null);
+    assert.strictEqual((await User.findOne({ chatId: ASHA })).withdrawalPending, false);
+    await assertConsistent();
+});
+
+test('an approved withdrawal pays out the hold', async () => {
+    await credit(ASHA, 100);
+    await hold(ASHA, 60);
+
+    const result = await adminActions.approveWithdrawal(memory, ASHA, ACTOR);
+    assert.strictEqual(result.amount, 60);
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+    assert.strictEqual(await ledger.getOpenHold(ASHA), null);
+    assert.strictEqual(await LedgerEntry.countDocuments({ chatId: ASHA, type: 'payout' }), 1);
+    assert.strictEqual((await User.findOne({ chatId: ASHA })).withdrawalPending, false);
+    await assertConsistent();
+
+    // Nothing left to approve or reject
+    assert.strictEqual(await adminActions.approveWithdrawal(memory, ASHA, ACTOR), null);
+    assert.strictEqual(await adminActions.rejectWithdrawal(memory, ASHA, 'Too late', ACTOR), null);
+});
+
+test('a withdrawal held for risk review is never paid out before release', async () => {
+    await credit(ASHA, 100);
+    assert.strictEqual(await withdrawals.requestWithdrawal(ASHA, 60, { riskHold: true }), true);
+
+    const asha = await User.findOne({ chatId: ASHA });
+    assert.strictEqual(asha.withdrawalPending, true);
+    assert.strictEqual(asha.riskHold, true);
+    assert.strictEqual(await adminActions.approveWithdrawal(memory, ASHA, ACTOR), null);
+    assert.strictEqual(await payouts.createBatch(ACTOR), null);
+
+    assert.strictEqual(await risk.releaseHold(ASHA, ACTOR), true);
+    assert.strictEqual((await adminActions.approveWithdrawal(memory, ASHA, ACTOR)).amount, 60);
+    await assertConsistent();
+});
+
+test('a hold can only be resolved once', async () => {
+    await credit(ASHA, 100);
+    await hold(ASHA, 60);
+    const open = await ledger.getOpenHold(ASHA);
+
+    await adminActions.approveWithdrawal(memory, ASHA, ACTOR);
+    await assert.rejects(
+        ledger.post([{ chatId: ASHA, type: 'reversal', amount: 60, delta: 60, refEntry: open._id }]),
+        { code: 11000 }
+    );
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+});
+
+test('approving a deposit pays commissions up the referral chain', async () => {
+    const result = await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+
+    assert.strictEqual(result.deposit.status, 'approved');
+    assert.strictEqual(result.delivered, true);
+    assert.strictEqual(result.addedToGroup, true);
+    assert.ok(memory.groups.get(GROUP).has(CHITRA));
+    assert.strictEqual(await ledger.getBalance(BALA), 13);
+    assert.strictEqual(await ledger.getBalance(ASHA), 2);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 0);
+    assert.strictEqual(await LedgerEntry.countDocuments({ chatId: CHITRA, type: 'registration_fee' }), 1);
+    await assertConsistent();
+});
+
+test('a deposit is paid under the plan it was submitted with', async () => {
+    await plans.getActivePlan();
+    const plan = await plans.createPlan({ fee: 50, levels: [{ percent: 20 }, { amount: 3 }], minWithdrawal: 25, effectiveFrom: new Date(0) });
+    await Deposit.updateOne({ chatId: CHITRA }, { $set: { amount: 50, planVersion: plan.version } });
+
+    await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+
+    assert.strictEqual(await ledger.getBalance(BALA), 10);
+    assert.strictEqual(await ledger.getBalance(ASHA), 3);
+    assert.strictEqual(await LedgerEntry.countDocuments({ type: 'commission', planVersion: plan.version }), 2);
+    await assertConsistent();
+});
+
+test('reversing a deposit claws its commissions back, even below zero', async () => {
+    await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+    await withdrawals.requestWithdrawal(BALA, 13);
+    assert.strictEqual(await ledger.getBalance(BALA), 0);
+
+    const chitra = await User.findOne({ chatId: CHITRA });
+    const result = await adminActions.reverseDeposit(memory, chitra, 'Payment bounced', ACTOR);
+
+    assert.strictEqual(result.deposit.status, 'reversed');
+    assert.deepStrictEqual(
+        result.clawbacks.map(({ user, amount, level, balance }) => ({ chatId: user.chatId, amount, level, balance })),
+        [{ chatId: BALA, amount: 13, level: 1, balance: -13 }, { chatId: ASHA, amount: 2, level: 2, balance: 0 }]
+    );
+    assert.strictEqual(await ledger.getBalance(BALA), -13);
+    assert.strictEqual(await ledger.getBalance(ASHA), 0);
+    const tree = await buddies.getBuddyTree(await User.findOne({ chatId: ASHA }));
+    assert.strictEqual(tree.branches[0].children[0].earned, 0);
+    assert.strictEqual(tree.totalEarned, 0);
+    assert.strictEqual(result.removedFromGroup, true);
+    assert.ok(!memory.groups.get(GROUP).has(CHITRA));
+
+    // Bala's own withdrawal is left for finance to decide on
+    assert.ok(await ledger.getOpenHold(BALA));
+    await assertConsistent();
+
+    // Each entry can only be reversed once
+    assert.strictEqual(await adminActions.reverseDeposit(memory, chitra, 'Again', ACTOR), null);
+    await assert.rejects(ledger.reverseDepositEntries(result.deposit, 'Again', null), { code: 11000 });
+    assert.strictEqual(await ledger.getBalance(BALA), -13);
+    await assertConsistent();
+});
+
+test('reversing a registration rejects the user\'s own withdrawal', async () => {
+    await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+    await credit(CHITRA, 50);
+    await withdrawals.requestWithdrawal(CHITRA, 30);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 20);
+
+    const chitra = await User.findOne({ chatId: CHITRA });
+    const result = await adminActions.reverseDeposit(memory, chitra, 'Fake screenshot', ACTOR);
+
+    assert.strictEqual(result.rejectedWithdrawal.amount, 30);
+    const after = await User.findOne({ chatId: CHITRA });
+    assert.strictEqual(after.withdrawalPending, false);
+    assert.strictEqual(after.isApproved, false);
+    assert.strictEqual(after.state, STATES.AWAITING_PAYMENT);
+    assert.strictEqual(await ledger.getOpenHold(CHITRA), null);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 50);
+
+    // Finance can no longer pay it out
+    assert.strictEqual(await adminActions.approveWithdrawal(memory, CHITRA, ACTOR), null);
+    await assertConsistent();
+});
+
+test('reversing decides from the user as they are now, not as they were looked up', async () => {
+    await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+    const stale = await User.findOne({ chatId: CHITRA });
+    await credit(CHITRA, 50);
+    await withdrawals.requestWithdrawal(CHITRA, 30);
+
+    const result = await adminActions.reverseDeposit(memory, stale, 'Fake screenshot', ACTOR);
+
+    assert.strictEqual(result.rejectedWithdrawal.amount, 30);
+    assert.strictEqual(result.user.withdrawalPending, false);
+    assert.strictEqual(await ledger.getOpenHold(CHITRA), null);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 50);
+    await assertConsistent();
+});
+
+test('reversing leaves a withdrawal in a payout batch for the settlement to decide', async () => {
+    await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+    await credit(CHITRA, 50);
+    await withdrawals.requestWithdrawal(CHITRA, 30);
+    const batch = await payouts.createBatch(ACTOR);
+    const [item] = batch.items;
+
+    const chitra = await User.findOne({ chatId: CHITRA });
+    const result = await adminActions.reverseDeposit(memory, chitra, 'Fake screenshot', ACTOR);
+
+    assert.strictEqual(result.rejectedWithdrawal, null);
+    assert.deepStrictEqual(result.batchedWithdrawal, { amount: 30, payoutReference: item.reference });
+    assert.strictEqual(result.user.withdrawalPending, true);
+    assert.strictEqual(result.user.payoutReference, item.reference);
+    assert.ok(await ledger.getOpenHold(CHITRA));
+    await assertConsistent();
+
+    // The bank couldn't pay it, so the settlement releases the hold and closes the batch
+    const report = await payouts.importSettlement(memory, `reference,status,reason\r\n${item.reference},failed,Account closed\r\n`, ACTOR);
+    assert.deepStrictEqual(report, { paid: 0, failed: 1, skipped: [] });
+    assert.strictEqual((await payouts.getBatch(batch.code)).status, 'settled');
+    assert.strictEqual(await ledger.getOpenHold(CHITRA), null);
+    assert.strictEqual(await ledger.getBalance(CHITRA), 50);
+    await assertConsistent();
+});
+
+test('a deposit is approved and the user added to the group even when its files fail to send', async () => {
+    await Product.updateOne({ code: 'PROMPTS' }, { $set: { files: [{ path: 'missing.pdf' }] } });
+
+    const result = await adminActions.approveDeposit(memory, CHITRA, ACTOR);
+
+    assert.strictEqual(result.delivered, false);
+    assert.strictEqual(result.addedToGroup, true);
+    assert.ok(memory.groups.get(GROUP).has(CHITRA));
+    assert.strictEqual(await ledger.getBalance(BALA), 13);
+    await assertConsistent();
+});
+
+test('the consistency check reports holds and flags that disagree', async () => {
+    await credit(ASHA, 100);
+    await ledger.post([{ chatId: ASHA, type: 'withdrawal_hold', amount: 60, delta: -60 }]);
+    await User.updateOne({ chatId: BALA }, { $set: { withdrawalPending: true } });
+    await ledger.post([{ chatId: BALA, type: 'adjustment', amount: 5, delta: -5 }]);
+
+    const { issues } = await ledger.checkConsistency();
+    assert.deepStrictEqual(
+        issues.map(({ chatId, issue }) => ({ chatId, issue })),
+        [
+            { chatId: ASHA, issue: 'withdrawal_flag_mismatch' },
+            { chatId: BALA, issue: 'negative_balance' },
+            { chatId: BALA, issue: 'withdrawal_flag_mismatch' },
+        ]
+    );
+});
@@ -0,0 +1,114 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const OutboundMessage = require('../models/OutboundMessage');
+const MemoryTransport = require('../transports/memory');
+const outbox = require('../services/outbox');
+const { outboxMaxAttempts } = require('../config');
+
+const GROUP = '120363000000000000@g.us';
+const MEMBER = '919000000001@c.us';
+
+// Memory Transport Whose Sends Fail Until `failing` Is Turned Off
+class FlakyTransport extends MemoryTransport {
+    constructor() {
+        super();
+        this.failing = true;
+    }
+
+    async sendMessage(chatId, content, options) {
+        if (this.failing) {
+            throw new Error('Connection closed');
+        }
+        return super.sendMessage(chatId, content, options);
+    }
+}
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+});
+
+// Run One Poll of the Queue Once Any Poll in Progress Has Finished
+async function drain(transport) {
+    while (transport.draining) {
+        await new Promise(setImmediate);
+    }
+    await transport.drain();
+}
+
+// Make Every Waiting Retry Due Now
+function retryNow() {
+    return OutboundMessage.updateMany({ status: 'queued' }, { $set: { nextAttemptAt: new Date() } });
+}
+
+test('messages are stored until the transport is ready, then sent in order', async () => {
+    const memory = new MemoryTransport();
+    const transport = outbox.createQueuedTransport(memory);
+
+    await transport.sendMessage(MEMBER, 'First');
+    await transport.sendMessage(MEMBER, 'Second');
+    assert.strictEqual(memory.outbox.length, 0);
+    assert.strictEqual((await outbox.getCounts()).queued, 2);
+
+    await memory.initialize();
+    await drain(transport);
+    await drain(transport);
+
+    assert.deepStrictEqual(memory.outbox.map((message) => message.content), ['First', 'Second']);
+    assert.deepStrictEqual(await outbox.getCounts(), { queued: 0, sending: 0, dead: 0, sentLastHour: 2 });
+});
+
+test('a failing message is retried, then dead-lettered and can be resent', async () => {
+    const flaky = new FlakyTransport();
+    const transport = outbox.createQueuedTransport(flaky);
+    await flaky.initialize();
+
+    await transport.sendMessage(MEMBER, 'Your withdrawal was approved');
+    await drain(transport);
+    const retry = await OutboundMessage.findOne({ chatId: MEMBER });
+    assert.strictEqual(retry.status, 'queued');
+    assert.strictEqual(retry.attempts, 1);
+    assert.ok(retry.nextAttemptAt > new Date());
+    assert.strictEqual(retry.lastError, 'Connection closed');
+
+    for (let attempt = 2; attempt <= outboxMaxAttempts; attempt++) {
+        await retryNow();
+        await drain(transport);
+    }
+    const [dead] = await outbox.listDead();
+    assert.strictEqual(dead.attempts, outboxMaxAttempts);
+    assert.strictEqual((await outbox.getCounts()).dead, 1);
+
+    flaky.failing = false;
+    assert.strictEqual(await outbox.resendDead('all'), 1);
+    await drain(transport);
+    assert.deepStrictEqual(flaky.outbox.map((message) => message.content), ['Your withdrawal was approved']);
+    assert.strictEqual((await OutboundMessage.findOne({ chatId: MEMBER })).status, 'sent');
+});
+
+test('retry delays double up to a cap', () => {
+    assert.strictEqual(outbox.retryDelay(1), 5000);
+    assert.strictEqual(outbox.retryDelay(3), 20000);
+    assert.strictEqual(outbox.retryDelay(20), 30 * 60 * 1000);
+});
+
+test('queued transport passes group changes and the invite link through', async () => {
+    const memory = new MemoryTransport();
+    const transport = outbox.createQueuedTransport(memory);
+    const left = [];
+    transport.on('group_leave', (event) => left.push(event.participant));
+
+    await transport.addToGroup(GROUP, [MEMBER]);
+    assert.ok(memory.groups.get(GROUP).has(MEMBER));
+
+    await transport.removeFromGroup(GROUP, [MEMBER]);
+    assert.ok(!memory.groups.get(GROUP).has(MEMBER));
+    assert.deepStrictEqual(left, [MEMBER]);
+
+    assert.match(await transport.getInviteLink(GROUP), /^https:\/\/chat\.whatsapp\.com\//);
+});
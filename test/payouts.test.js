@@ -0,0 +1,114 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const User = require('../models/User');
+const PayoutBatch = require('../models/PayoutBatch');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledger = require('../services/ledger');
+const payouts = require('../services/payouts');
+const withdrawals = require('../services/withdrawals');
+const { toCsv, parseCsv } = require('../services/csv');
+const MemoryTransport = require('../transports/memory');
+
+const ASHA = '919000000001@c.us';
+const BALA = '919000000002@c.us';
+const ACTOR = 'test';
+
+let memory;
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    memory = new MemoryTransport();
+
+    await User.create([
+        { chatId: ASHA, buddyCode: 'ASHA000001', name: 'Asha "AK" Kumar, Kochi', isApproved: true, hasPaid: true, upiId: 'asha@upi' },
+        { chatId: BALA, buddyCode: 'BALA000002', name: '=Bala', isApproved: true, hasPaid: true, upiId: 'bala@upi' },
+    ]);
+    for (const [chatId, amount] of [[ASHA, 60], [BALA, 40]]) {
+        await ledger.post([{ chatId, type: 'adjustment', amount: 100, delta: 100, reason: 'Opening balance' }]);
+        assert.strictEqual(await withdrawals.requestWithdrawal(chatId, amount), true);
+    }
+});
+
+// Build the Bank's Settlement File for a Batch, One Status per User
+function settlementFile(batch, statuses) {
+    return toCsv(['Reference No', 'Status', 'Remarks', 'UTR'], batch.items.map((item) => [
+        item.reference,
+        statuses[item.chatId],
+        statuses[item.chatId] === 'FAILED' ? 'Account closed' : '',
+        statuses[item.chatId] === 'SUCCESS' ? `UTR${item.reference}` : '',
+    ]));
+}
+
+test('a batch exports every pending withdrawal as a CSV that reads back the same', async () => {
+    const batch = await payouts.createBatch(ACTOR);
+
+    assert.strictEqual(batch.items.length, 2);
+    assert.strictEqual(payouts.batchTotal(batch), 100);
+    assert.strictEqual(await payouts.createBatch(ACTOR), null);
+
+    const [header, ...rows] = parseCsv(payouts.exportCsv(batch));
+    assert.deepStrictEqual(header, payouts.EXPORT_HEADER);
+    assert.deepStrictEqual(rows, [
+        ['Asha "AK" Kumar, Kochi', 'asha@upi', '60.00', batch.items[0].reference],
+        ['\'=Bala', 'bala@upi', '40.00', batch.items[1].reference],
+    ]);
+    for (const item of batch.items) {
+        assert.match(item.reference, /^PB\d{6}[0-9A-F]{4}\d{3}$/);
+        assert.strictEqual((await User.findOne({ chatId: item.chatId })).payoutReference, item.reference);
+    }
+});
+
+test('a settlement file pays and fails lines by reference', async () => {
+    const batch = await payouts.createBatch(ACTOR);
+    const report = await payouts.importSettlement(memory, settlementFile(batch, { [ASHA]: 'SUCCESS', [BALA]: 'FAILED' }), ACTOR);
+
+    assert.deepStrictEqual(report, { paid: 1, failed: 1, skipped: [] });
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+    assert.strictEqual(await ledger.getBalance(BALA), 100);
+    assert.strictEqual(await LedgerEntry.countDocuments({ type: 'payout' }), 1);
+
+    const settled = await PayoutBatch.findOne({ code: batch.code });
+    assert.strictEqual(settled.status, 'settled');
+    assert.deepStrictEqual(settled.items.map(({ status, reason }) => ({ status, reason })), [
+        { status: 'paid', reason: null },
+        { status: 'failed', reason: 'Account closed' },
+    ]);
+    assert.strictEqual(settled.items[0].utr, `UTR${batch.items[0].reference}`);
+    for (const chatId of [ASHA, BALA]) {
+        const user = await User.findOne({ chatId });
+        assert.strictEqual(user.withdrawalPending, false);
+        assert.strictEqual(user.payoutReference, null);
+    }
+});
+
+test('importing the same settlement file twice settles nothing the second time', async () => {
+    const batch = await payouts.createBatch(ACTOR);
+    const file = settlementFile(batch, { [ASHA]: 'SUCCESS', [BALA]: 'FAILED' });
+    await payouts.importSettlement(memory, file, ACTOR);
+
+    const report = await payouts.importSettlement(memory, file, ACTOR);
+    assert.strictEqual(report.paid, 0);
+    assert.strictEqual(report.failed, 0);
+    assert.deepStrictEqual(report.skipped.map(({ line, note }) => ({ line, note })), [
+        { line: 2, note: 'already paid' },
+        { line: 3, note: 'already failed' },
+    ]);
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+    assert.strictEqual(await ledger.getBalance(BALA), 100);
+    assert.strictEqual(await LedgerEntry.countDocuments({ type: 'payout' }), 1);
+    assert.deepStrictEqual((await ledger.checkConsistency()).issues, []);
+});
+
+test('a settlement file without reference and status columns is refused', async () => {
+    await payouts.createBatch(ACTOR);
+    const report = await payouts.importSettlement(memory, 'name,amount\r\nAsha,60\r\n', ACTOR);
+
+    assert.match(report.error, /reference and status columns/);
+    assert.strictEqual(await ledger.getBalance(ASHA), 40);
+});
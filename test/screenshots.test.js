@@ -0,0 +1,75 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const Deposit = require('../models/Deposit');
+const screenshots = require('../services/screenshots');
+
+const ASHA = '919000000001@c.us';
+const BALA = '919000000002@c.us';
+const PHASH = '8f3c00ff12a45e71';
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+});
+
+// Flip the Given Bit Positions of a Perceptual Hash
+function flip(phash, bits) {
+    const flipped = bits.reduce((value, bit) => value ^ (1n << BigInt(bit)), BigInt(`0x${phash}`));
+    return flipped.toString(16).padStart(16, '0');
+}
+
+// Record a Deposit the Way the Payment Flow Does
+function submit(chatId, sha256, phash, createdAt = new Date()) {
+    return Deposit.create({
+        chatId,
+        createdAt,
+        amount: 20,
+        planVersion: 1,
+        sha256,
+        phash,
+        phashBands: phash ? screenshots.phashBands(phash) : [],
+    });
+}
+
+test('hashes up to 6 bits apart always share a band', () => {
+    for (let i = 0; i < 500; i++) {
+        const bits = new Set();
+        while (bits.size < 6) {
+            bits.add(Math.floor(Math.random() * 64));
+        }
+        const other = flip(PHASH, [...bits]);
+        assert.strictEqual(screenshots.hammingDistance(PHASH, other), 6);
+        const shared = screenshots.phashBands(other).filter((band) => screenshots.phashBands(PHASH).includes(band));
+        assert.ok(shared.length > 0, other);
+    }
+});
+
+test('same and similar screenshots are found, different ones are not', async () => {
+    const same = await submit(ASHA, 'aaa', PHASH, new Date(Date.now() - 60 * 1000));
+    const similar = await submit(BALA, 'bbb', flip(PHASH, [0, 9, 18, 27, 36, 45]));
+    await submit(BALA, 'ccc', flip(PHASH, [0, 9, 18, 27, 36, 45, 54]));
+    await submit(BALA, 'ddd', null);
+
+    const matches = await screenshots.findMatches({ sha256: 'aaa', phash: PHASH });
+    assert.deepStrictEqual(matches.map(({ deposit, exact, distance }) => ({ id: String(deposit._id), exact, distance })), [
+        { id: String(similar._id), exact: false, distance: 6 },
+        { id: String(same._id), exact: true, distance: 0 },
+    ]);
+});
+
+test('deposits stored before the bands existed are found once indexed', async () => {
+    const legacy = await submit(ASHA, 'aaa', flip(PHASH, [3]));
+    await Deposit.collection.updateOne({ _id: legacy._id }, { $unset: { phashBands: '' } });
+    assert.deepStrictEqual(await screenshots.findMatches({ sha256: 'zzz', phash: PHASH }), []);
+
+    assert.strictEqual(await screenshots.indexHashes(), 1);
+    assert.strictEqual(await screenshots.indexHashes(), 0);
+    const [match] = await screenshots.findMatches({ sha256: 'zzz', phash: PHASH });
+    assert.strictEqual(String(match.deposit._id), String(legacy._id));
+    assert.strictEqual(match.distance, 1);
+});
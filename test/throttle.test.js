@@ -0,0 +1,76 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const memoryMongo = require('./helpers/memoryMongo');
+const User = require('../models/User');
+const throttle = require('../services/throttle');
+const MemoryTransport = require('../transports/memory');
+
+const SENDER = '919000000009@c.us';
+const MINUTE = 60 * 1000;
+
+let memory;
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    memory = new MemoryTransport();
+});
+
+// Enter a Wrong Buddy Code the Given Number of Times, Returning the Last Result
+async function failCodes(times) {
+    let result;
+    for (let i = 0; i < times; i++) {
+        result = await throttle.recordFailedCode(memory, SENDER);
+    }
+    return result;
+}
+
+test('a sender is locked out after too many wrong Buddy Codes', async () => {
+    await User.create({ chatId: SENDER, buddyCode: 'SEND000009', name: 'Sender' });
+
+    assert.deepStrictEqual(await failCodes(throttle.MAX_CODE_ATTEMPTS - 1), { remaining: 1 });
+    assert.strictEqual(await throttle.getLockedUntil(SENDER), null);
+
+    const notified = once(memory, 'sent');
+    const before = Date.now();
+    const { lockedUntil } = await throttle.recordFailedCode(memory, SENDER);
+    assert.ok(lockedUntil - before >= 15 * MINUTE - 1000 && lockedUntil - before <= 15 * MINUTE + 1000);
+    assert.deepStrictEqual(await throttle.getLockedUntil(SENDER), lockedUntil);
+    assert.deepStrictEqual((await User.findOne({ chatId: SENDER })).lockedUntil, lockedUntil);
+    const [message] = await notified;
+    assert.strictEqual(message.to, process.env.ADMIN_NUMBER);
+    assert.match(message.content, /Sender Locked/);
+});
+
+test('each further lockout lasts longer', async () => {
+    await failCodes(throttle.MAX_CODE_ATTEMPTS);
+    assert.strictEqual(await throttle.unlockSender(SENDER), true);
+    assert.strictEqual(await throttle.getLockedUntil(SENDER), null);
+
+    const before = Date.now();
+    const { lockedUntil } = await failCodes(throttle.MAX_CODE_ATTEMPTS);
+    assert.ok(lockedUntil - before >= 60 * MINUTE - 1000);
+});
+
+test('a correct code resets the failed attempts', async () => {
+    await failCodes(throttle.MAX_CODE_ATTEMPTS - 1);
+    await throttle.clearFailedCodes(SENDER);
+
+    assert.deepStrictEqual(await throttle.recordFailedCode(memory, SENDER), { remaining: throttle.MAX_CODE_ATTEMPTS - 1 });
+    assert.strictEqual(await throttle.unlockSender(SENDER), false);
+});
+
+test('messages over the per-minute limit are limited once, then dropped', () => {
+    const now = Date.now();
+    for (let i = 0; i < 20; i++) {
+        assert.strictEqual(throttle.hitMessageLimit(SENDER, now), 'ok');
+    }
+    assert.strictEqual(throttle.hitMessageLimit(SENDER, now), 'limited');
+    assert.strictEqual(throttle.hitMessageLimit(SENDER, now), 'dropped');
+    assert.strictEqual(throttle.hitMessageLimit(SENDER, now + MINUTE), 'ok');
+});
@@ -0,0 +1,54 @@
+require('./helpers/env');
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const memoryMongo = require('./helpers/memoryMongo');
+const User = require('../models/User');
+const upi = require('../services/upi');
+const i18n = require('../services/i18n');
+
+const ASHA = '919000000001@c.us';
+const t = i18n.translator('en');
+
+before(async () => {
+    await memoryMongo.connect();
+});
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    await User.create({ chatId: ASHA, buddyCode: 'ASHA000001', name: 'Asha', isApproved: true, hasPaid: true });
+});
+
+test('malformed UPI IDs are refused', () => {
+    for (const upiId of ['9876543210', 'asha@', '@ybl', 'a@ybl', 'asha kumar@ybl', 'asha@@ybl', 'asha@1bank', 'asha@ybl/x']) {
+        assert.strictEqual(upi.checkDetails(upiId, 'Asha Kumar', t), t('upi.invalid_id', { upiId }), upiId);
+    }
+});
+
+test('UPI IDs on handles no bank issues are refused', () => {
+    assert.strictEqual(upi.checkDetails('asha@ybll', 'Asha Kumar', t), t('upi.unknown_handle', { handle: 'ybll' }));
+    assert.strictEqual(upi.checkDetails('asha@gmail.com', 'Asha Kumar', t), t('upi.unknown_handle', { handle: 'gmail.com' }));
+});
+
+test('a well-formed UPI ID needs the account holder\'s name', () => {
+    assert.strictEqual(upi.checkDetails('9876543210@ybl', 'A', t), t('upi.invalid_name'));
+    assert.strictEqual(upi.checkDetails('9876543210@ybl', 'Asha 2', t), t('upi.invalid_name'));
+    assert.strictEqual(upi.checkDetails('9876543210@ybl', 'Asha Kumar', t), null);
+    assert.strictEqual(upi.checkDetails(upi.normalizeUpiId('  Asha.K@OKSBI '), 'Asha K', t), null);
+});
+
+test('changing payout details keeps a history and waits for pending withdrawals', async () => {
+    const user = await User.findOne({ chatId: ASHA });
+    assert.strictEqual(await upi.changeDetails(user, 'asha@ybl', 'Asha Kumar'), true);
+    assert.strictEqual(await upi.changeDetails(user, 'asha@oksbi', 'Asha Kumar'), true);
+
+    await User.updateOne({ chatId: ASHA }, { $set: { withdrawalPending: true } });
+    assert.strictEqual(await upi.changeDetails(await User.findOne({ chatId: ASHA }), 'asha@paytm', 'Asha Kumar'), false);
+
+    assert.strictEqual((await User.findOne({ chatId: ASHA })).upiId, 'asha@oksbi');
+    const history = await upi.getHistory(ASHA);
+    assert.deepStrictEqual(history.map(({ fromUpiId, toUpiId }) => ({ fromUpiId, toUpiId })), [
+        { fromUpiId: 'asha@ybl', toUpiId: 'asha@oksbi' },
+        { fromUpiId: null, toUpiId: 'asha@ybl' },
+    ]);
+    assert.strictEqual((await upi.getRecentChange(ASHA)).toUpiId, 'asha@oksbi');
+});
@@ -0,0 +1,104 @@
+require('./helpers/env');
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const memoryMongo = require('./helpers/memoryMongo');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../services/webhooks');
+
+const ACTOR = 'test';
+
+// Receiving Endpoint: answers with `status` and hands each request to the waiting test
+let server;
+let url;
+let status;
+let received;
+let deliver;
+
+before(async () => {
+    await memoryMongo.connect();
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            res.statusCode = status;
+            res.end();
+            deliver({ headers: req.headers, body });
+        });
+    });
+    server.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(async () => {
+    await memoryMongo.reset();
+    status = 200;
+    received = new Promise((resolve) => { deliver = resolve; });
+});
+
+// Wait Until a Delivery Has Been Attempted and Recorded
+async function settled(filter) {
+    for (let i = 0; i < 200; i++) {
+        const delivery = await WebhookDelivery.findOne(filter).lean();
+        if (delivery && delivery.status !== 'sending' && delivery.attempts > 0) {
+            return delivery;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error('The delivery was never attempted');
+}
+
+test('a delivery is signed with an HMAC of the timestamp and the exact body', async () => {
+    const { webhook } = await webhooks.addWebhook({ url, events: 'deposit.approved' }, ACTOR);
+    await webhooks.emit('deposit.approved', { chatId: '919000000001@c.us', amount: 20 });
+
+    const { headers, body } = await received;
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-buddycash-signature']);
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    assert.strictEqual(signature, expected);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    assert.strictEqual(webhooks.sign(webhook.secret, timestamp, body), headers['x-buddycash-signature']);
+
+    assert.strictEqual(headers['x-buddycash-event'], 'deposit.approved');
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'deposit.approved');
+    assert.deepStrictEqual(payload.data, { chatId: '919000000001@c.us', amount: 20 });
+
+    const delivery = await settled({ webhook: webhook._id });
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(String(delivery._id), headers['x-buddycash-delivery']);
+});
+
+test('a changed body or another secret does not match the signature', () => {
+    const signature = webhooks.sign('whsec_one', 1760000000, '{"amount":20}');
+
+    assert.notStrictEqual(webhooks.sign('whsec_one', 1760000000, '{"amount":200}'), signature);
+    assert.notStrictEqual(webhooks.sign('whsec_two', 1760000000, '{"amount":20}'), signature);
+    assert.notStrictEqual(webhooks.sign('whsec_one', 1760000001, '{"amount":20}'), signature);
+});
+
+test('a failed delivery is scheduled for a retry', async () => {
+    status = 500;
+    const { webhook } = await webhooks.addWebhook({ url }, ACTOR);
+    await webhooks.emit('withdrawal.requested', { amount: 60 });
+    await received;
+
+    const delivery = await settled({ webhook: webhook._id });
+    assert.strictEqual(delivery.status, 'queued');
+    assert.strictEqual(delivery.responseStatus, 500);
+    assert.strictEqual(delivery.lastError, 'HTTP 500');
+    assert.ok(delivery.nextAttemptAt > new Date());
+});
+
+test('only subscribed events are delivered', async () => {
+    assert.match((await webhooks.addWebhook({ url, events: 'deposit.paid' }, ACTOR)).error, /Unknown event/);
+    await webhooks.addWebhook({ url, events: 'group.joined' }, ACTOR);
+
+    await webhooks.emit('group.left', { chatId: '919000000001@c.us' });
+    assert.strictEqual(await WebhookDelivery.countDocuments(), 0);
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const readline = require('readline');
+const Media = require('./media');
+const logger = require('../services/logger');
+const MemoryTransport = require('./memory');
+
+// Terminal REPL Transport. Each line typed is a message from the current sender.
+//   /as <chatId>             switch the sender (e.g. to the admin number)
+//   /media <path> [caption]  send a file, e.g. a payment screenshot
+//   /quit                    exit
+// When `recordTo` is set, incoming messages are appended to that file as JSON
+// lines in the format scripts/replay.js reads.
+class ConsoleTransport extends MemoryTransport {
+    constructor({ chatId = '910000000000@c.us', recordTo = null } = {}) {
+        super();
+        this.name = 'console';
+        this.chatId = chatId;
+        this.recordTo = recordTo;
+
+        this.on('sent', ({ to, content, caption }) => {
+            const body = content instanceof Media
+                ? `[${content.mimetype} ${content.filename || ''}]${caption ? ` ${caption}` : ''}`
+                : content;
+            console.log(`\n[bot → ${to}]\n${body}\n`);
+        });
+        this.on('group_join', ({ groupId, participant }) => {
+            console.log(`[group ${groupId}] ${participant} added`);
+        });
+        this.on('group_leave', ({ groupId, participant }) => {
+            console.log(`[group ${groupId}] ${participant} removed`);
+        });
+    }
+
+    async initialize() {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const prompt = () => {
+            rl.setPrompt(`${this.chatId}> `);
+            rl.prompt();
+        };
+
+        rl.on('line', async (line) => {
+            const text = line.trim();
+            try {
+                if (text === '/quit') {
+                    rl.close();
+                    return;
+                }
+                if (text.startsWith('/as ')) {
+                    this.chatId = text.slice(4).trim();
+                } else if (text.startsWith('/media ')) {
+                    const [filePath, ...caption] = text.slice(7).trim().split(' ');
+                    await this.record({ from: this.chatId, body: caption.join(' '), media: filePath });
+                    await this.receive(this.chatId, caption.join(' '), { media: filePath });
+                } else if (text) {
+                    await this.record({ from: this.chatId, body: text });
+                    await this.receive(this.chatId, text);
+                }
+            } catch (e) {
+                logger.error('Console transport error', { chatId: this.chatId, error: e });
+            }
+            prompt();
+        });
+        rl.on('close', () => process.exit(0));
+
+        this.emit('ready');
+        prompt();
+    }
+
+    async record(entry) {
+        if (this.recordTo) {
+            await fs.promises.appendFile(this.recordTo, `${JSON.stringify(entry)}\n`);
+        }
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,35 @@
+// Chat Transports
+//
+// The bot talks to a transport instead of whatsapp-web.js directly. A transport is
+// an EventEmitter that implements:
+//   onMessage(handler)                     handler receives { from, author, body, type,
+//                                          hasMedia, profileName, downloadMedia() }
+//   initialize()
+//   sendMessage(chatId, textOrMedia, { caption })
+//   addToGroup(groupId, chatIds)
+//   removeFromGroup(groupId, chatIds)
+//   getInviteLink(groupId)
+// and may emit 'qr', 'authenticated', 'ready', 'disconnected', 'change_state', 'battery',
+// 'message_revoke', 'call', 'typing', 'group_join' and 'group_leave'.
+
+// Create a Transport by Name ('whatsapp', 'console' or 'memory')
+function createTransport(name = 'whatsapp', options = {}) {
+    switch (name) {
+        case 'whatsapp': {
+            const WhatsAppTransport = require('./whatsapp');
+            return new WhatsAppTransport(options);
+        }
+        case 'console': {
+            const ConsoleTransport = require('./console');
+            return new ConsoleTransport(options);
+        }
+        case 'memory': {
+            const MemoryTransport = require('./memory');
+            return new MemoryTransport(options);
+        }
+        default:
+            throw new Error(`Unknown transport: ${name}`);
+    }
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mimetypes for Files the Bot Sends from Disk
+const MIMETYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.csv': 'text/csv',
+};
+
+// Transport-Neutral Media Attachment (base64 data, like whatsapp-web.js MessageMedia)
+class Media {
+    constructor(mimetype, data, filename = null) {
+        this.mimetype = mimetype;
+        this.data = data;
+        this.filename = filename;
+    }
+
+    // Size of the Decoded Data in Bytes
+    get size() {
+        return Buffer.byteLength(this.data, 'base64');
+    }
+
+    static fromFilePath(filePath) {
+        const mimetype = MIMETYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        return new Media(mimetype, fs.readFileSync(filePath).toString('base64'), path.basename(filePath));
+    }
+}
+
+module.exports = Media;
@@ -0,0 +1,71 @@
+const EventEmitter = require('events');
+const Media = require('./media');
+
+// In-Memory Transport for Scripted Conversations and Replays.
+// Messages are injected with receive() and every outgoing message is kept in `outbox`.
+class MemoryTransport extends EventEmitter {
+    constructor() {
+        super();
+        this.name = 'memory';
+        this.outbox = [];
+        this.groups = new Map(); // groupId -> Set of chat IDs
+        this.messageHandler = null;
+    }
+
+    onMessage(handler) {
+        this.messageHandler = handler;
+    }
+
+    async initialize() {
+        this.emit('ready');
+    }
+
+    // Deliver an Incoming Message and Wait Until the Bot Has Handled It.
+    // `media` may be a Media instance or a file path.
+    async receive(from, body = '', { author = null, profileName = 'User', media = null, type = 'chat' } = {}) {
+        if (!this.messageHandler) {
+            throw new Error('No message handler registered on the memory transport');
+        }
+        const attachment = typeof media === 'string' ? Media.fromFilePath(media) : media;
+        const sent = this.outbox.length;
+
+        await this.messageHandler({
+            from,
+            author,
+            body,
+            type,
+            hasMedia: Boolean(attachment),
+            profileName,
+            downloadMedia: async () => attachment,
+        });
+
+        return this.outbox.slice(sent);
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        const message = { to: chatId, content, caption: options.caption || null, date: new Date() };
+        this.outbox.push(message);
+        this.emit('sent', message);
+        return message;
+    }
+
+    async addToGroup(groupId, chatIds) {
+        if (!this.groups.has(groupId)) {
+            this.groups.set(groupId, new Set());
+        }
+        chatIds.forEach((chatId) => this.groups.get(groupId).add(chatId));
+        chatIds.forEach((participant) => this.emit('group_join', { groupId, participant }));
+    }
+
+    async removeFromGroup(groupId, chatIds) {
+        const members = this.groups.get(groupId) || new Set();
+        chatIds.filter((chatId) => members.delete(chatId))
+            .forEach((participant) => this.emit('group_leave', { groupId, participant }));
+    }
+
+    async getInviteLink(groupId) {
+        return `https://chat.whatsapp.com/local-${encodeURIComponent(groupId)}`;
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const { Client, LocalAuth, RemoteAuth, MessageMedia } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+const Media = require('./media');
+const logger = require('../services/logger');
+
+// Wait Before Starting Again After a Disconnect
+const RESTART_DELAY_MS = 5 * 1000;
+
+// WhatsApp Transport Backed by whatsapp-web.js. With a `store` (e.g. wwebjs-mongo's
+// MongoStore) the session is backed up there every `backupSyncIntervalMs` and restored
+// on startup, so a new disk doesn't mean pairing again; otherwise it stays on local disk.
+class WhatsAppTransport extends EventEmitter {
+    constructor({ store = null, backupSyncIntervalMs = 5 * 60 * 1000 } = {}) {
+        super();
+        this.name = 'whatsapp';
+        this.client = new Client({
+            authStrategy: store ? new RemoteAuth({ store, backupSyncIntervalMs }) : new LocalAuth(),
+            puppeteer: { headless: true }
+        });
+
+        // Generate QR Code for WhatsApp Web
+        this.client.on('qr', (qr) => {
+            logger.info('Scan this QR code to log in, or open the /pairing page');
+            qrcode.generate(qr, { small: true });
+            this.emit('qr', qr);
+        });
+
+        this.client.on('authenticated', () => this.emit('authenticated'));
+        this.client.on('ready', () => this.emit('ready'));
+        this.client.on('remote_session_saved', () => logger.debug('WhatsApp session backed up'));
+        this.client.on('disconnected', (reason) => {
+            this.emit('disconnected', reason);
+            // After a logout the client clears the session and shows a new QR code
+            // by itself; other disconnects close it
+            if (reason !== 'LOGOUT') {
+                this.restart();
+            }
+        });
+        this.client.on('change_state', (state) => this.emit('change_state', state));
+        this.client.on('battery', (batteryInfo) => this.emit('battery', batteryInfo));
+
+        this.client.on('message_revoke_everyone', (after, before) => {
+            if (before) {
+                this.emit('message_revoke', { from: before.author || before.from, body: before.body || null });
+            }
+        });
+
+        this.client.on('call', (call) => this.emit('call', { from: call.from }));
+
+        this.client.on('typing', (chatId, contact, isTyping) => {
+            this.emit('typing', { chatId, name: contact.pushname || contact.number, isTyping });
+        });
+
+        this.client.on('group_join', (notification) => {
+            this.emit('group_join', { groupId: notification.id.remote, participant: notification.participant });
+        });
+
+        this.client.on('group_leave', (notification) => {
+            this.emit('group_leave', { groupId: notification.id.remote, participant: notification.participant });
+        });
+    }
+
+    // Register the Handler for Incoming Messages
+    onMessage(handler) {
+        this.client.on('message', async (msg) => {
+            let contact;
+            try {
+                contact = await msg.getContact();
+            } catch (e) {
+                logger.warn('Error loading message contact', { chatId: msg.from, error: e });
+                contact = {};
+            }
+            await handler({
+                from: msg.from,
+                author: msg.author || null,
+                body: msg.body,
+                type: msg.type,
+                hasMedia: msg.hasMedia,
+                profileName: contact.pushname || 'User',
+                downloadMedia: async () => {
+                    const media = await msg.downloadMedia();
+                    return media ? new Media(media.mimetype, media.data, media.filename) : null;
+                },
+            });
+        });
+    }
+
+    initialize() {
+        return this.client.initialize();
+    }
+
+    // Start the Client Again After It Closed, Reusing the Stored Session if It Is Still Valid
+    restart() {
+        setTimeout(async () => {
+            try {
+                await this.client.destroy().catch(() => {});
+                await this.client.initialize();
+            } catch (error) {
+                logger.error('Error restarting the WhatsApp client', { error });
+            }
+        }, RESTART_DELAY_MS);
+    }
+
+    // Send Text or Media (with an optional caption)
+    sendMessage(chatId, content, options = {}) {
+        if (content instanceof Media) {
+            const media = new MessageMedia(content.mimetype, content.data, content.filename);
+            return this.client.sendMessage(chatId, media, options);
+        }
+        return this.client.sendMessage(chatId, content, options);
+    }
+
+    async addToGroup(groupId, chatIds) {
+        const groupChat = await this.client.getChatById(groupId);
+        await groupChat.addParticipants(chatIds);
+    }
+
+    async removeFromGroup(groupId, chatIds) {
+        const groupChat = await this.client.getChatById(groupId);
+        await groupChat.removeParticipants(chatIds);
+    }
+
+    async getInviteLink(groupId) {
+        const groupChat = await this.client.getChatById(groupId);
+        const inviteCode = await groupChat.getInviteCode();
+        return `https://chat.whatsapp.com/${inviteCode}`;
+    }
+}
+
+module.exports = WhatsAppTransport;